@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Round" ADD COLUMN     "endPrice" DOUBLE PRECISION,
+ADD COLUMN     "endPriceAt" TIMESTAMP(3),
+ADD COLUMN     "endPriceSource" TEXT,
+ADD COLUMN     "startPrice" DOUBLE PRECISION,
+ADD COLUMN     "startPriceAt" TIMESTAMP(3),
+ADD COLUMN     "startPriceSource" TEXT;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "AuthNonce" (
+    "id" SERIAL NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AuthNonce_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthNonce_nonce_key" ON "AuthNonce"("nonce");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ChainCursor" (
+    "name" TEXT NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ChainCursor_pkey" PRIMARY KEY ("name")
+);
+
+-- A vault transaction can be credited at most once
+CREATE UNIQUE INDEX "Transfer_deposit_txHash_key" ON "Transfer" (("meta"->>'txHash')) WHERE "type" = 'deposit';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Round" ADD COLUMN     "feeBps" INTEGER NOT NULL DEFAULT 500,
+ADD COLUMN     "payoutMode" TEXT NOT NULL DEFAULT 'fixed';
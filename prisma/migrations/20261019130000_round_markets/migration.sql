@@ -0,0 +1,12 @@
+-- Rounds used to be keyed by their start timestamp; they are now keyed by (symbol, timeframe, startAt).
+-- Existing rows are all 1m ETH rounds and keep their ids; new ids continue after the largest one.
+CREATE SEQUENCE "round_id_seq";
+SELECT setval('"round_id_seq"', (SELECT COALESCE(MAX("id"), 0) + 1 FROM "Round"), false);
+
+-- AlterTable
+ALTER TABLE "Round" ADD COLUMN     "symbol" TEXT NOT NULL DEFAULT 'ETHUSDT',
+ALTER COLUMN "id" SET DEFAULT nextval('"round_id_seq"');
+ALTER SEQUENCE "round_id_seq" OWNED BY "Round"."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Round_symbol_timeframe_startAt_key" ON "Round"("symbol", "timeframe", "startAt");
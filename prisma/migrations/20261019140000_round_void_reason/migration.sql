@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Round" ADD COLUMN     "voidReason" TEXT;
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" SERIAL NOT NULL,
+    "transferId" INTEGER NOT NULL,
+    "account" TEXT NOT NULL,
+    "playerId" INTEGER,
+    "amount" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "LedgerEntry_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ReconciliationRun" (
+    "id" SERIAL NOT NULL,
+    "vaultBalance" BIGINT NOT NULL,
+    "bookVault" BIGINT NOT NULL,
+    "liabilities" BIGINT NOT NULL,
+    "houseEquity" BIGINT NOT NULL,
+    "drift" BIGINT NOT NULL,
+    "unbalancedCount" INTEGER NOT NULL,
+    "balanceMismatches" INTEGER NOT NULL,
+    "solvent" BOOLEAN NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ReconciliationRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_transferId_idx" ON "LedgerEntry"("transferId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_account_playerId_idx" ON "LedgerEntry"("account", "playerId");
+
+-- Pre-ledger rows stored some amounts signed: make them positive like ledger-backed transfers.
+-- A negative bet_release was a lost stake.
+UPDATE "Transfer" SET "type" = 'loss', "amount" = -"amount" WHERE "type" = 'bet_release' AND "amount" < 0;
+UPDATE "Transfer" SET "amount" = -"amount" WHERE "type" = 'withdraw' AND "amount" < 0;
+
+-- Open the ledger with every player's current balance, held in the vault.
+-- The house's equity at cutover is unknown to the ledger and shows up as drift in the first reconciliation.
+WITH opening AS (
+    INSERT INTO "Transfer" ("playerId", "type", "amount", "meta")
+    SELECT "playerId", 'opening_balance', "available" + "locked", '{}'::jsonb
+    FROM "Balance"
+    WHERE "available" <> 0 OR "locked" <> 0
+    RETURNING "id", "playerId"
+)
+INSERT INTO "LedgerEntry" ("transferId", "account", "playerId", "amount")
+SELECT o."id", e."account", e."playerId", e."amount"
+FROM opening o
+JOIN "Balance" b ON b."playerId" = o."playerId"
+CROSS JOIN LATERAL (VALUES
+    ('player_available', o."playerId", b."available"),
+    ('player_locked', o."playerId", b."locked"),
+    ('vault', NULL::INTEGER, -(b."available" + b."locked"))
+) AS e("account", "playerId", "amount")
+WHERE e."amount" <> 0;
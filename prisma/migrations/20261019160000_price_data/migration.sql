@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "price_data" (
+    "id" SERIAL NOT NULL,
+    "symbol" VARCHAR(20) NOT NULL,
+    "price" DECIMAL(20,8) NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "source" VARCHAR(50) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "price_data_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_symbol_timestamp" ON "price_data"("symbol", "timestamp");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "StreamEvent" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "playerId" INTEGER,
+    "dedupeKey" TEXT,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StreamEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StreamEvent_dedupeKey_key" ON "StreamEvent"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "StreamEvent_createdAt_idx" ON "StreamEvent"("createdAt");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "Withdrawal" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "toAddress" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "nonce" INTEGER,
+    "txHash" TEXT,
+    "rawTx" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "broadcastAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "Withdrawal_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Withdrawal_txHash_key" ON "Withdrawal"("txHash");
+
+-- CreateIndex
+CREATE INDEX "Withdrawal_playerId_createdAt_idx" ON "Withdrawal"("playerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Withdrawal_status_idx" ON "Withdrawal"("status");
+
+-- AddForeignKey
+ALTER TABLE "Withdrawal" ADD CONSTRAINT "Withdrawal_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "Player"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,93 @@
+-- CreateTable
+CREATE TABLE "PointsEvent" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "betId" INTEGER,
+    "seasonId" INTEGER,
+    "rulesVersion" INTEGER,
+    "meta" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PointsEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PointsRules" (
+    "id" SERIAL NOT NULL,
+    "rules" JSONB NOT NULL,
+    "createdBy" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PointsRules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PointsSeason" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "multiplierBps" INTEGER NOT NULL DEFAULT 10000,
+    "snapshotAt" TIMESTAMP(3),
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PointsSeason_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PointsSnapshot" (
+    "id" SERIAL NOT NULL,
+    "seasonId" INTEGER NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "address" TEXT NOT NULL,
+    "points" BIGINT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    CONSTRAINT "PointsSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PointsEvent_betId_kind_key" ON "PointsEvent"("betId", "kind");
+
+-- CreateIndex
+CREATE INDEX "PointsEvent_playerId_createdAt_idx" ON "PointsEvent"("playerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PointsEvent_seasonId_idx" ON "PointsEvent"("seasonId");
+
+-- CreateIndex
+CREATE INDEX "PointsSeason_startsAt_idx" ON "PointsSeason"("startsAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PointsSnapshot_seasonId_playerId_key" ON "PointsSnapshot"("seasonId", "playerId");
+
+-- CreateIndex
+CREATE INDEX "PointsSnapshot_seasonId_rank_idx" ON "PointsSnapshot"("seasonId", "rank");
+
+-- AddForeignKey
+ALTER TABLE "PointsEvent" ADD CONSTRAINT "PointsEvent_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "Player"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PointsEvent" ADD CONSTRAINT "PointsEvent_betId_fkey" FOREIGN KEY ("betId") REFERENCES "Bet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PointsEvent" ADD CONSTRAINT "PointsEvent_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "PointsSeason"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PointsSnapshot" ADD CONSTRAINT "PointsSnapshot_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "PointsSeason"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Stake points awarded so far were recorded on bet_lock transfers (meta.points); move them to the ledger
+INSERT INTO "PointsEvent" ("playerId", "kind", "amount", "betId", "rulesVersion", "createdAt")
+SELECT DISTINCT ON (t."id") t."playerId", 'stake', (t."meta"->>'points')::numeric::bigint, b."id", 0, t."createdAt"
+FROM "Transfer" t
+JOIN "Bet" b ON b."playerId" = t."playerId" AND b."roundId" = (t."meta"->>'roundId')::int
+WHERE t."type" = 'bet_lock' AND t."meta" ? 'points'
+ORDER BY t."id", b."id"
+ON CONFLICT ("betId", "kind") DO NOTHING;
+
+-- Whatever Balance.points holds beyond that (awards from before bet history) opens each player's points ledger
+INSERT INTO "PointsEvent" ("playerId", "kind", "amount")
+SELECT bal."playerId", 'opening_balance', bal."points" - COALESCE(e."total", 0)
+FROM "Balance" bal
+LEFT JOIN (SELECT "playerId", SUM("amount") AS "total" FROM "PointsEvent" GROUP BY "playerId") e ON e."playerId" = bal."playerId"
+WHERE bal."points" <> COALESCE(e."total", 0);
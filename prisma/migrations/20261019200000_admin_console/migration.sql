@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "MarketConfig" (
+    "id" SERIAL NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "timeframe" INTEGER NOT NULL,
+    "paused" BOOLEAN NOT NULL DEFAULT false,
+    "feeBps" INTEGER,
+    "minStake" BIGINT,
+    "maxStake" BIGINT,
+    "updatedBy" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "MarketConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" SERIAL NOT NULL,
+    "actor" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "target" TEXT,
+    "reason" TEXT,
+    "payload" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketConfig_symbol_timeframe_key" ON "MarketConfig"("symbol", "timeframe");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_createdAt_idx" ON "AuditLog"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_action_idx" ON "AuditLog"("action");
@@ -0,0 +1,19 @@
+-- Points move from the (now per-asset) Balance row to the Player
+ALTER TABLE "Player" ADD COLUMN "points" BIGINT NOT NULL DEFAULT 0;
+UPDATE "Player" p SET "points" = b."points" FROM "Balance" b WHERE b."playerId" = p."id";
+ALTER TABLE "Balance" DROP COLUMN "points";
+
+-- One Balance row per player and asset; existing rows are ETH
+ALTER TABLE "Balance" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+DROP INDEX "Balance_playerId_key";
+CREATE UNIQUE INDEX "Balance_playerId_asset_key" ON "Balance"("playerId", "asset");
+
+-- AlterTable
+ALTER TABLE "Bet" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+ALTER TABLE "Transfer" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+ALTER TABLE "LedgerEntry" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+ALTER TABLE "Withdrawal" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+ALTER TABLE "ReconciliationRun" ADD COLUMN "asset" TEXT NOT NULL DEFAULT 'ETH';
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_asset_account_idx" ON "LedgerEntry"("asset", "account");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "DailyStats" (
+    "id" SERIAL NOT NULL,
+    "date" DATE NOT NULL,
+    "asset" TEXT NOT NULL DEFAULT 'ETH',
+    "rounds" INTEGER NOT NULL DEFAULT 0,
+    "voidRounds" INTEGER NOT NULL DEFAULT 0,
+    "upWins" INTEGER NOT NULL DEFAULT 0,
+    "downWins" INTEGER NOT NULL DEFAULT 0,
+    "bets" INTEGER NOT NULL DEFAULT 0,
+    "volume" BIGINT NOT NULL DEFAULT 0,
+    "fees" BIGINT NOT NULL DEFAULT 0,
+    "uniquePlayers" INTEGER NOT NULL DEFAULT 0,
+    "computedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "DailyStats_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DailyStats_date_asset_key" ON "DailyStats"("date", "asset");
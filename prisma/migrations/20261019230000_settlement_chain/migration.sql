@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "SettlementRecord" (
+    "id" SERIAL NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "roundId" INTEGER NOT NULL,
+    "record" TEXT NOT NULL,
+    "recordHash" TEXT NOT NULL,
+    "prevHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SettlementRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ChainAnchor" (
+    "id" SERIAL NOT NULL,
+    "headSeq" INTEGER NOT NULL,
+    "headHash" TEXT NOT NULL,
+    "chainId" INTEGER NOT NULL,
+    "from" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "txHash" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "blockNumber" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "confirmedAt" TIMESTAMP(3),
+    CONSTRAINT "ChainAnchor_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SettlementRecord_seq_key" ON "SettlementRecord"("seq");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SettlementRecord_roundId_key" ON "SettlementRecord"("roundId");
+
+-- CreateIndex
+CREATE INDEX "ChainAnchor_status_idx" ON "ChainAnchor"("status");
+
+-- CreateIndex
+CREATE INDEX "ChainAnchor_headSeq_idx" ON "ChainAnchor"("headSeq");
+
+-- AddForeignKey
+ALTER TABLE "SettlementRecord" ADD CONSTRAINT "SettlementRecord_roundId_fkey" FOREIGN KEY ("roundId") REFERENCES "Round"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Player" ADD COLUMN     "referralCode" TEXT,
+ADD COLUMN     "referrerId" INTEGER,
+ADD COLUMN     "referredAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Player_referralCode_key" ON "Player"("referralCode");
+
+-- CreateIndex
+CREATE INDEX "Player_referrerId_idx" ON "Player"("referrerId");
+
+-- AddForeignKey
+ALTER TABLE "Player" ADD CONSTRAINT "Player_referrerId_fkey" FOREIGN KEY ("referrerId") REFERENCES "Player"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "Bet" ADD COLUMN     "planId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AutoBetPlan" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "timeframe" INTEGER NOT NULL,
+    "asset" TEXT NOT NULL DEFAULT 'ETH',
+    "mode" TEXT NOT NULL,
+    "side" TEXT,
+    "sizing" TEXT NOT NULL,
+    "baseStake" BIGINT NOT NULL DEFAULT 0,
+    "maxStake" BIGINT,
+    "percentBps" INTEGER,
+    "rounds" INTEGER NOT NULL,
+    "stopLoss" BIGINT,
+    "takeProfit" BIGINT,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "stopReason" TEXT,
+    "lastRoundAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "AutoBetPlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Bet_planId_idx" ON "Bet"("planId");
+
+-- CreateIndex
+CREATE INDEX "AutoBetPlan_status_idx" ON "AutoBetPlan"("status");
+
+-- CreateIndex
+CREATE INDEX "AutoBetPlan_playerId_idx" ON "AutoBetPlan"("playerId");
+
+-- AddForeignKey
+ALTER TABLE "Bet" ADD CONSTRAINT "Bet_planId_fkey" FOREIGN KEY ("planId") REFERENCES "AutoBetPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AutoBetPlan" ADD CONSTRAINT "AutoBetPlan_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "Player"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Player" ADD COLUMN     "excludedPermanently" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "excludedUntil" TIMESTAMP(3),
+ADD COLUMN     "sessionReminderMinutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Withdrawal" ADD COLUMN     "returnOf" TEXT;
+
+-- CreateTable
+CREATE TABLE "PlayLimit" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "asset" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "pendingAmount" BIGINT,
+    "pendingAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "PlayLimit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlayLimit_playerId_asset_kind_period_key" ON "PlayLimit"("playerId", "asset", "kind", "period");
+
+-- AddForeignKey
+ALTER TABLE "PlayLimit" ADD CONSTRAINT "PlayLimit_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "Player"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "ArchivedBet" (
+    "id" INTEGER NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "roundId" INTEGER NOT NULL,
+    "asset" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "side" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "planId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT NOT NULL,
+    "archivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ArchivedBet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ArchivedBet_playerId_idx" ON "ArchivedBet"("playerId");
+
+-- Earlier code allowed another bet on a round after a refund. Keep one bet per player and round, preferring
+-- one that was not refunded, then the newest, and archive the rest so the unique index can be built.
+INSERT INTO "ArchivedBet" ("id", "playerId", "roundId", "asset", "amount", "side", "status", "planId", "createdAt", "reason")
+SELECT b."id", b."playerId", b."roundId", b."asset", b."amount", b."side", b."status", b."planId", b."createdAt", 'duplicate_round_bet'
+FROM "Bet" b
+JOIN (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "playerId", "roundId" ORDER BY ("status" <> 'refund') DESC, "id" DESC) AS "rank"
+    FROM "Bet"
+) ranked ON ranked."id" = b."id"
+WHERE ranked."rank" > 1;
+
+-- Points awarded for an archived bet stay with the player; the bet id moves into the event's meta
+UPDATE "PointsEvent"
+SET "meta" = COALESCE("meta", '{}'::jsonb) || jsonb_build_object('archivedBetId', "betId"), "betId" = NULL
+WHERE "betId" IN (SELECT "id" FROM "ArchivedBet");
+
+DELETE FROM "Bet" WHERE "id" IN (SELECT "id" FROM "ArchivedBet");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Bet_playerId_roundId_key" ON "Bet"("playerId", "roundId");
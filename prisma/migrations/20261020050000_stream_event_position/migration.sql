@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "StreamEvent" ADD COLUMN "position" INTEGER;
+
+-- Existing events keep their id as their position, so clients resume where they were
+UPDATE "StreamEvent" SET "position" = "id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StreamEvent_position_key" ON "StreamEvent"("position");
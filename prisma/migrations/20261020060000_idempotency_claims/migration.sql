@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "IdempotencyRecord" ADD COLUMN "claimedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Requests already running were claimed when their record was created
+UPDATE "IdempotencyRecord" SET "claimedAt" = "createdAt";
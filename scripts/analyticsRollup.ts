@@ -0,0 +1,74 @@
+/*
+  Analytics Rollup
+  - Fills DailyStats (src/lib/analytics.ts): per UTC day and collateral asset, settled rounds, up/down wins,
+    bets, volume, house fees and unique players
+  - Each pass recomputes the last ANALYTICS_ROLLUP_DAYS days (default 2), since refunds and settlements can
+    still change a recent day
+  - Logs one JSON object per line
+
+  Usage:
+    npm run analytics:rollup                                  # keep rolling up every ANALYTICS_ROLLUP_INTERVAL_MS (default 1h)
+    npm run analytics:rollup -- --once                        # single pass, then exit
+    npm run analytics:rollup -- --from=2026-01-01 [--to=...]  # backfill a range of days, then exit
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.ANALYTICS_ROLLUP_INTERVAL_MS ?? 3600000) || 3600000;
+const RECENT_DAYS = Number(process.env.ANALYTICS_ROLLUP_DAYS ?? 2) || 2;
+const once = process.argv.includes('--once');
+const arg = (name: string) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+let stopping = false;
+let wake: (() => void) | null = null;
+
+// Passes are an hour apart by default, so a stop signal ends the wait early
+const sleep = (ms: number) => new Promise<void>((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  wake = () => { clearTimeout(timer); resolve(); };
+});
+const stop = () => {
+  stopping = true;
+  wake?.();
+};
+
+async function main() {
+  // Loaded after dotenv so the lib sees the database configuration
+  const { parseDay, rollupRange, rollupRecentDays } = await import('../src/lib/analytics');
+  const { logEvent } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    const from = arg('from');
+    if (from) {
+      const to = arg('to');
+      const days = await rollupRange(parseDay(from), to ? parseDay(to) : new Date());
+      logEvent('info', 'analytics.backfill', { from: days[0], to: days[days.length - 1], days: days.length });
+      return;
+    }
+
+    logEvent('info', 'analytics.start', { intervalMs: POLL_INTERVAL_MS, recentDays: RECENT_DAYS });
+    while (!stopping) {
+      try {
+        const days = await rollupRecentDays(RECENT_DAYS);
+        logEvent('info', 'analytics.rollup', { days });
+      } catch (error) {
+        logEvent('error', 'analytics.rollup_failed', { error: (error as Error).message });
+      }
+      if (once) break;
+      await sleep(POLL_INTERVAL_MS);
+    }
+    logEvent('info', 'analytics.stop');
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
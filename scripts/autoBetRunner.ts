@@ -0,0 +1,49 @@
+/*
+  Auto-Bet Runner
+  - Places each active auto-bet plan's bet for the current round (src/lib/autoBet.ts), through the same
+    checks as /api/vault/bet; bets are tagged with their plan id
+  - Waits for a plan's previous bet to settle first, so run it alongside the resolver
+  - Completes plans after their round count and stops them at their stop-loss or take-profit
+  - Logs one JSON object per line
+
+  Usage:
+    npm run autobet:runner              # keep polling every AUTOBET_INTERVAL_MS (default 5s)
+    npm run autobet:runner -- --once    # single pass, then exit
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.AUTOBET_INTERVAL_MS ?? 5000) || 5000;
+const once = process.argv.includes('--once');
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the database/oracle configuration
+  const { autoBetRunnerOptionsFromEnv, createAutoBetRunner } = await import('../src/lib/autoBet');
+  const { logEvent } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+  const options = autoBetRunnerOptionsFromEnv();
+  const runner = createAutoBetRunner(options);
+  logEvent('info', 'autobet.start', { ...options, intervalMs: POLL_INTERVAL_MS });
+
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  while (!stopping) {
+    await runner.runPass();
+    if (once) break;
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  logEvent('info', 'autobet.stop', runner.getStatus());
+  await prisma.$disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
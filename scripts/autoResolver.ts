@@ -0,0 +1,72 @@
+/*
+  Auto-Resolver (off-chain rounds)
+  - Finds every open round whose endAt has passed and settles it through the same code as /api/offchain/resolve
+  - Settlement prices come from the server price oracle, never from a browser
+  - Retries failed rounds with exponential backoff (RESOLVER_RETRY_BASE_MS, RESOLVER_RETRY_MAX_MS)
+  - Logs one JSON object per line
+  - Serves GET /health and GET /status on RESOLVER_STATUS_PORT (default 8787, 0 disables)
+
+  Usage:
+    npm run resolver                  # keep polling every RESOLVER_INTERVAL_MS (default 5s)
+    npm run resolver -- --once        # single pass, then exit
+    npm run resolver -- --dry-run     # log what each round would settle to, write nothing
+*/
+
+import { createServer } from 'node:http';
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.RESOLVER_INTERVAL_MS ?? 5000) || 5000;
+const STATUS_PORT = Number(process.env.RESOLVER_STATUS_PORT ?? 8787);
+// /health turns unhealthy once the oldest unsettled round has waited this long
+const MAX_LAG_SECONDS = Number(process.env.RESOLVER_MAX_LAG_SECONDS ?? 120) || 120;
+const once = process.argv.includes('--once');
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the database/oracle configuration
+  const { createRoundResolver, logEvent, resolverOptionsFromEnv } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+  const options = resolverOptionsFromEnv(process.argv);
+  const resolver = createRoundResolver(options);
+  logEvent('info', 'resolver.start', { ...options, intervalMs: POLL_INTERVAL_MS, statusPort: once ? null : STATUS_PORT || null });
+
+  const server = !once && STATUS_PORT > 0
+    ? createServer(async (req, res) => {
+        try {
+          if (req.url !== '/health' && req.url !== '/status') {
+            res.writeHead(404).end();
+            return;
+          }
+          const status = await resolver.getStatus();
+          const passAgeMs = status.lastPassAt ? Date.now() - Date.parse(status.lastPassAt) : Infinity;
+          const healthy = !status.lastPassError && passAgeMs < POLL_INTERVAL_MS * 3 + 30000 && status.lagSeconds <= MAX_LAG_SECONDS;
+          const body = req.url === '/health' ? { healthy, lagSeconds: status.lagSeconds, due: status.due } : { healthy, ...status };
+          res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+        } catch (error) {
+          res.writeHead(503, { 'Content-Type': 'application/json' }).end(JSON.stringify({ healthy: false, error: (error as Error).message }));
+        }
+      }).listen(STATUS_PORT)
+    : null;
+
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  while (!stopping) {
+    await resolver.runPass();
+    if (once) break;
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  server?.close();
+  logEvent('info', 'resolver.stop');
+  await prisma.$disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
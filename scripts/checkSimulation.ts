@@ -0,0 +1,107 @@
+/*
+  Simulation Check
+  - Regression run for settlement, payouts, fees, risk caps and points: replays the example simulation
+    (scripts/fixtures/simulation.example.json, seeded synthetic prices) in fixed and parimutuel payout mode
+  - Checks that the books balance: player P&L and the house result sum to zero, every balance equals its
+    starting balance plus P&L, per-round figures add up to the totals, and every bet settled exactly once
+  - Compares each report with scripts/fixtures/simulation.expected.json, so any change to how rounds settle
+    or points are awarded shows up as a diff; rerun with --update after an intended change
+  - Runs offline with the default environment (no .env is loaded, so local RISK_* caps cannot change the
+    result) and exits non-zero on any failure, for CI
+
+  Usage:
+    npm run simulate:check
+    npm run simulate:check -- --update
+*/
+
+import { readFileSync, writeFileSync } from 'fs';
+import { ethers } from 'ethers';
+
+process.env.ORACLE_PERSIST = '0';
+
+const CONFIG_PATH = 'scripts/fixtures/simulation.example.json';
+const EXPECTED_PATH = 'scripts/fixtures/simulation.expected.json';
+const PAYOUT_MODES = ['fixed', 'parimutuel'] as const;
+
+// Paths where two JSON values differ, at most `limit` of them
+function differences(expected: unknown, actual: unknown, path = '', limit = 10): string[] {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+  if (typeof expected !== 'object' || typeof actual !== 'object' || expected === null || actual === null) {
+    return [`${path || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  const found: string[] = [];
+  for (const key of keys) {
+    if (found.length >= limit) break;
+    found.push(...differences((expected as Record<string, unknown>)[key], (actual as Record<string, unknown>)[key], path ? `${path}.${key}` : key, limit - found.length));
+  }
+  return found;
+}
+
+async function main() {
+  const { parseSimulationConfig, runSimulation, syntheticPriceSeries } = await import('../src/lib/simulator');
+  const { getAsset } = await import('../src/lib/assets');
+  const update = process.argv.includes('--update');
+  const rawConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+  const expected: Record<string, unknown> = update ? {} : JSON.parse(readFileSync(EXPECTED_PATH, 'utf8'));
+
+  const reports: Record<string, unknown> = {};
+  const failures: string[] = [];
+  for (const payoutMode of PAYOUT_MODES) {
+    const simulation = parseSimulationConfig({ ...rawConfig, payoutMode });
+    const asset = getAsset(simulation.asset)!;
+    const units = (value: string) => ethers.parseUnits(value, asset.decimals);
+    const sum = (values: string[], parse: (value: string) => bigint = units) => values.reduce((total, v) => total + parse(v), BigInt(0));
+    const fail = (message: string) => failures.push(`${payoutMode}: ${message}`);
+
+    const prices = syntheticPriceSeries(simulation.symbol, simulation.syntheticPrices!, simulation.seed);
+    const { report, rounds, players } = await runSimulation(simulation, prices);
+    reports[payoutMode] = report;
+
+    const houseResult = units(report.house.result);
+    const playerPnl = sum(players.map((p) => p.pnl));
+    if (playerPnl + houseResult !== BigInt(0)) fail(`player P&L ${ethers.formatUnits(playerPnl, asset.decimals)} does not offset the house result ${report.house.result}`);
+    const startBalances = Object.fromEntries(simulation.groups.map((g) => [g.name, units(g.balance)]));
+    for (const p of players) {
+      if (units(p.balance) !== startBalances[p.group] + units(p.pnl)) fail(`player ${p.player}: balance ${p.balance} is not the starting balance plus P&L ${p.pnl}`);
+      if (units(p.balance) < BigInt(0)) fail(`player ${p.player}: negative balance ${p.balance}`);
+      if (p.wins + p.losses + p.refunds !== p.bets) fail(`player ${p.player}: ${p.bets} bets but ${p.wins + p.losses + p.refunds} results`);
+    }
+    if (sum(players.map((p) => p.balance)) + units(report.house.finalEquity) !== units(report.house.vaultBalance)) {
+      fail('player balances and house equity do not add up to the vault balance');
+    }
+
+    if (rounds.reduce((total, r) => total + r.bets, 0) !== report.bets.placed) fail('round bet counts do not add up to the bets placed');
+    if (sum(rounds.map((r) => r.houseResult)) !== houseResult) fail('round results do not add up to the house result');
+    if (sum(rounds.map((r) => r.fees)) !== units(report.house.fees)) fail('round fees do not add up to the house fees');
+    if (rounds.length && rounds[rounds.length - 1].houseEquity !== report.house.finalEquity) fail('the last round does not end at the final house equity');
+    const points = (list: string[]) => sum(list, ethers.parseEther);
+    if (points(rounds.map((r) => r.points)) !== ethers.parseEther(report.points.issued)) fail('round points do not add up to the points issued');
+    if (points(players.map((p) => p.points)) !== ethers.parseEther(report.points.issued)) fail('player points do not add up to the points issued');
+    for (const r of rounds) {
+      if ((r.outcome === 'void') !== (r.voidReason !== null)) fail(`round ${r.index}: outcome ${r.outcome} with void reason ${r.voidReason}`);
+      if (r.outcome === 'void' && r.bets > 0 && (units(r.houseResult) !== BigInt(0) || units(r.fees) !== BigInt(0))) fail(`round ${r.index}: void round moved money`);
+    }
+
+    if (!update) {
+      for (const difference of differences(expected[payoutMode], report)) fail(`report differs from ${EXPECTED_PATH}: ${difference}`);
+    }
+    console.error(`${payoutMode}: ${report.rounds.total} rounds, ${report.bets.placed} bets, house result ${report.house.result} ${asset.symbol}`);
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`FAIL ${failure}`));
+    process.exit(1);
+  }
+  if (update) {
+    writeFileSync(EXPECTED_PATH, JSON.stringify(reports, null, 2) + '\n');
+    console.error(`Wrote ${EXPECTED_PATH}`);
+  } else {
+    console.error('Simulation check passed');
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+/*
+  Vault Deposit Indexer
+  - Scans the vault's Deposited events from the last indexed block
+  - Credits each deposit once it has DEPOSIT_CONFIRMATIONS confirmations
+  - Shares its crediting code with /api/offchain/deposit-webhook, so a deposit is never credited twice
+
+  Usage:
+    npm run indexer:deposits            # keep polling
+    npm run indexer:deposits -- --once  # single pass, then exit
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.DEPOSIT_INDEXER_INTERVAL_MS ?? 15000) || 15000;
+const once = process.argv.includes('--once');
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the RPC/vault configuration
+  const { syncVaultDeposits, REQUIRED_CONFIRMATIONS } = await import('../src/lib/vaultDeposits');
+  const { prisma } = await import('../src/lib/prisma');
+  console.log(`[indexer] vault ${process.env.NEXT_PUBLIC_VAULT_ADDRESS}, ${REQUIRED_CONFIRMATIONS} confirmations`);
+
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  while (!stopping) {
+    let caughtUp = true;
+    try {
+      const pass = await syncVaultDeposits();
+      if (pass) {
+        console.log(`[indexer] blocks ${pass.fromBlock}-${pass.toBlock}: ${pass.credited} new deposit(s)`);
+        caughtUp = false;
+      }
+    } catch (error) {
+      console.error('[indexer] pass failed:', (error as Error).message);
+    }
+    if (once && caughtUp) break;
+    // Keep going without waiting while there is a backlog of blocks to scan
+    if (caughtUp) await sleep(POLL_INTERVAL_MS);
+  }
+
+  await prisma.$disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+/*
+  Settlement Chain Anchor
+  - Seals settled rounds missing from the settlement hash chain (src/lib/fairness.ts)
+  - Commits the chain head on-chain every FAIRNESS_ANCHOR_INTERVAL_MS (default 10 min) from FAIRNESS_ANCHOR_KEY,
+    as anchor(seq, head) calldata sent to FAIRNESS_ANCHOR_ADDRESS (the key's own address by default)
+  - Waits for FAIRNESS_ANCHOR_CONFIRMATIONS (default 2) and sends the head again if an anchor is not mined
+    within FAIRNESS_ANCHOR_DROP_AFTER_MS (default 30 min)
+  - Logs one JSON object per line
+
+  Use a key that sends nothing else; never the vault owner key the withdrawal worker uses.
+
+  Usage:
+    npm run fairness:anchor             # keep running, a pass every FAIRNESS_ANCHOR_POLL_MS (default 30s)
+    npm run fairness:anchor -- --once   # single pass, then exit
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.FAIRNESS_ANCHOR_POLL_MS ?? 30000) || 30000;
+const once = process.argv.includes('--once');
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the key and RPC configuration
+  const { anchorOptionsFromEnv, createChainAnchorer } = await import('../src/lib/fairness');
+  const { logEvent } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+
+  const options = anchorOptionsFromEnv();
+  const anchorer = createChainAnchorer(options);
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  logEvent('info', 'fairness.start', { signer: anchorer.signer, target: anchorer.target, pollMs: POLL_INTERVAL_MS, ...options });
+  try {
+    while (!stopping) {
+      try {
+        const pass = await anchorer.runOnce();
+        if (pass.sealed || pass.anchored) logEvent('info', 'fairness.pass', pass);
+      } catch (error) {
+        logEvent('error', 'fairness.pass_failed', { error: (error as Error).message });
+      }
+      if (once) break;
+      await sleep(POLL_INTERVAL_MS);
+    }
+    logEvent('info', 'fairness.stop');
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/*
+  Oracle Tick Recorder
+  - Reads the aggregated live price of every market every ORACLE_TICK_MS (default 1s), which stores each
+    source quote and the median in price_data
+  - Those median ticks are what /api/candles builds 1s/5s/15s/1m chart candles from; without this running,
+    the chart only has ticks from browsers polling /api/price and from settlement
+  - Logs one JSON object per line
+
+  Usage:
+    npm run oracle:ticker
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const TICK_MS = Math.max(250, Number(process.env.ORACLE_TICK_MS ?? 1000) || 1000);
+// Summary line every this many ticks
+const REPORT_EVERY = 60;
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the database/oracle configuration
+  const { readLivePrice } = await import('../src/lib/priceOracle');
+  const { MARKET_ASSETS } = await import('../src/lib/markets');
+  const { logEvent } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  const symbols = Object.values(MARKET_ASSETS);
+  const missed: Record<string, number> = Object.fromEntries(symbols.map((s) => [s, 0]));
+  logEvent('info', 'ticker.start', { symbols, tickMs: TICK_MS });
+  try {
+    for (let tick = 1; !stopping; tick++) {
+      const startedAt = Date.now();
+      await Promise.all(symbols.map(async (symbol) => {
+        try {
+          if (!(await readLivePrice(symbol)).quote) missed[symbol] += 1;
+        } catch (error) {
+          missed[symbol] += 1;
+          logEvent('error', 'ticker.read_failed', { symbol, error: (error as Error).message });
+        }
+      }));
+      if (tick % REPORT_EVERY === 0) {
+        logEvent(Object.values(missed).some(Boolean) ? 'warn' : 'info', 'ticker.report', { ticks: REPORT_EVERY, missed });
+        for (const symbol of symbols) missed[symbol] = 0;
+      }
+      await sleep(Math.max(0, TICK_MS - (Date.now() - startedAt)));
+    }
+    logEvent('info', 'ticker.stop');
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+/*
+  Ledger Reconciliation
+  - Compares the ledger's vault account and player liabilities with the vault's on-chain balance, per asset
+  - Checks every transfer balances and every Balance equals the replay of its ledger entries
+  - Records a ReconciliationRun per asset and exits 1 on drift, insolvency or a broken ledger, so it can alert from cron
+
+  Usage:
+    npm run ledger:reconcile
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+async function main() {
+  // Loaded after dotenv so the lib sees the RPC/vault configuration
+  const { reconcileAllAssets } = await import('../src/lib/reconciliation');
+  const { prisma } = await import('../src/lib/prisma');
+  try {
+    const result = await reconcileAllAssets();
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.ok ? 0 : 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+/*
+  Round Simulator
+  - Replays a price series through the server's own settlement, payout, risk-cap and points logic
+    (src/lib/simulator.ts) with synthetic player groups: stake distributions, up/down bias and bot strategies
+  - Reports house result and edge, vault drawdown, points issued and per-player P&L distributions as JSON,
+    plus optional per-round and per-player CSV
+  - Runs fully offline: prices come from a fixture file (the ORACLE_FIXTURE_FILE format) or the config's
+    `syntheticPrices` random walk, and nothing is written to the database
+  - --record exports the oracle's stored median ticks to a fixture file (needs DATABASE_URL), so a real
+    period can be replayed later without the database
+  - See scripts/fixtures/simulation.example.json for the config format
+
+  Usage:
+    npm run simulate -- --config=scripts/fixtures/simulation.example.json
+    npm run simulate -- --config=pop.json --prices=eth-week.json --out=report.json --rounds-csv=rounds.csv --players-csv=players.csv
+    npm run simulate -- --record=eth-week.json --symbol=ETHUSDT --from=2026-10-01 --to=2026-10-08
+*/
+
+import { config } from 'dotenv';
+import { readFileSync, writeFileSync } from 'fs';
+
+config({ path: ['.env.local', '.env'] });
+// Simulated price reads must never land in price_data
+process.env.ORACLE_PERSIST = '0';
+
+const arg = (name: string) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+
+function readJson(path: string) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${path}: ${(error as Error).message}`);
+  }
+}
+
+async function record(path: string) {
+  const { prisma } = await import('../src/lib/prisma');
+  const symbol = arg('symbol') ?? 'ETHUSDT';
+  const from = new Date(arg('from') ?? Date.now() - 24 * 3600 * 1000);
+  const to = new Date(arg('to') ?? Date.now());
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new Error('--from and --to must be dates');
+  try {
+    const ticks = await prisma.priceSample.findMany({
+      where: { symbol, source: 'median', timestamp: { gte: from, lte: to } },
+      orderBy: [{ timestamp: 'asc' }, { id: 'asc' }],
+      select: { timestamp: true, price: true },
+    });
+    writeFileSync(path, JSON.stringify({ [symbol]: ticks.map((t) => [t.timestamp.getTime(), Number(t.price)]) }));
+    console.error(`Recorded ${ticks.length} ${symbol} ticks from ${from.toISOString()} to ${to.toISOString()} into ${path}`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+async function main() {
+  const recordPath = arg('record');
+  if (recordPath) return record(recordPath);
+
+  const configPath = arg('config');
+  if (!configPath) throw new Error('--config=<file> is required');
+  // Loaded after dotenv so the RISK_* caps come from the same environment as the server
+  const { parseSimulationConfig, runSimulation, syntheticPriceSeries, toCsv } = await import('../src/lib/simulator');
+
+  const simulation = parseSimulationConfig(readJson(configPath));
+  const pricesPath = arg('prices');
+  let prices;
+  if (pricesPath) prices = readJson(pricesPath);
+  else if (simulation.syntheticPrices) prices = syntheticPriceSeries(simulation.symbol, simulation.syntheticPrices, simulation.seed);
+  else throw new Error('Pass --prices=<fixture> or set syntheticPrices in the config');
+
+  const result = await runSimulation(simulation, prices);
+  const json = JSON.stringify(result.report, null, 2);
+  const out = arg('out');
+  if (out) writeFileSync(out, json + '\n');
+  else console.log(json);
+
+  const roundsCsv = arg('rounds-csv');
+  if (roundsCsv) writeFileSync(roundsCsv, toCsv(result.rounds));
+  const playersCsv = arg('players-csv');
+  if (playersCsv) writeFileSync(playersCsv, toCsv(result.players));
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/*
+  Withdrawal Worker
+  - Pays queued withdrawals out of the vault (src/lib/withdrawals.ts), one vault-owner nonce each
+  - Saves every signed payout before sending it, rebroadcasts until it is mined, and confirms it with
+    WITHDRAW_CONFIRMATIONS (default 2) before marking it completed
+  - Returns the amount to the player when a payout reverts or its nonce is taken by another transaction
+  - Signs with SERVER_VAULT_OWNER_KEY (or RESOLVER_PRIVATE_KEY); run one worker per key
+  - Logs one JSON object per line
+
+  Usage:
+    npm run withdrawals:worker              # keep polling every WITHDRAW_WORKER_INTERVAL_MS (default 5s)
+    npm run withdrawals:worker -- --once    # single pass, then exit
+*/
+
+import { config } from 'dotenv';
+
+config({ path: ['.env.local', '.env'] });
+
+const POLL_INTERVAL_MS = Number(process.env.WITHDRAW_WORKER_INTERVAL_MS ?? 5000) || 5000;
+const once = process.argv.includes('--once');
+let stopping = false;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  // Loaded after dotenv so the lib sees the database/chain configuration
+  const { createWithdrawalWorker, withdrawalWorkerOptionsFromEnv } = await import('../src/lib/withdrawals');
+  const { logEvent } = await import('../src/lib/roundResolver');
+  const { prisma } = await import('../src/lib/prisma');
+  const options = withdrawalWorkerOptionsFromEnv();
+  const worker = createWithdrawalWorker(options);
+  const { signer } = await worker.getStatus();
+  logEvent('info', 'withdrawals.start', { ...options, signer, intervalMs: POLL_INTERVAL_MS });
+
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  while (!stopping) {
+    await worker.runPass();
+    if (once) break;
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  logEvent('info', 'withdrawals.stop', { ...(await worker.getStatus()) });
+  await prisma.$disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,661 @@
+"use client";
+
+import { ReactNode, useCallback, useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { EnhancedWalletConnect } from "../components/EnhancedWalletConnect";
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, getAsset, parseAssetAmount } from "@/lib/assets";
+import { useEnhancedWalletConnection } from "../hooks/useEnhancedWalletConnection";
+import {
+  AdminPlayer,
+  AdminPlayerDetail,
+  AdminRequestError,
+  Analytics,
+  AuditEntry,
+  MarketSettings,
+  Page,
+  PnlWindow,
+  RoundExposure,
+  adminAdjustBalance,
+  adminGetAnalytics,
+  adminGetAuditLog,
+  adminGetExposure,
+  adminGetMarkets,
+  adminGetPlayer,
+  adminGetPlayers,
+  adminGetPnl,
+  adminSettleRound,
+  adminUpdateMarket,
+} from "../utils/adminClient";
+
+type Tab = 'markets' | 'rounds' | 'players' | 'pnl' | 'analytics' | 'audit';
+
+const TABS: Array<{ id: Tab; label: string }> = [
+  { id: 'markets', label: 'MARKETS' },
+  { id: 'rounds', label: 'OPEN ROUNDS' },
+  { id: 'players', label: 'PLAYERS' },
+  { id: 'pnl', label: 'HOUSE P&L' },
+  { id: 'analytics', label: 'ANALYTICS' },
+  { id: 'audit', label: 'AUDIT LOG' },
+];
+
+const ANALYTICS_RANGES = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOW_LABELS: Record<PnlWindow['window'], string> = { daily: 'LAST 24H', weekly: 'LAST 7 DAYS', all: 'ALL-TIME' };
+
+function formatEth(wei: string | null, digits = 6) {
+  if (wei === null) return '-';
+  return Number(ethers.formatEther(BigInt(wei))).toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+// Base units of `asset` -> a number for display
+function formatUnits(units: string, asset: string, digits = 6) {
+  const decimals = getAsset(asset)?.decimals ?? 18;
+  return Number(ethers.formatUnits(BigInt(units), decimals)).toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function signedUnits(units: string, asset: string) {
+  return BigInt(units) > BigInt(0) ? `+${formatUnits(units, asset)}` : formatUnits(units, asset);
+}
+
+function shortAddress(address: string) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function timeframeLabel(seconds: number) {
+  return seconds >= 3600 ? `${seconds / 3600}h` : `${seconds / 60}m`;
+}
+
+// Shared loading/error handling; a 403 means the session is not an operator's
+function useAdminLoad<T>(load: () => Promise<T>) {
+  const [data, setData] = useState<T | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setData(await load());
+    } catch (e) {
+      setError(e instanceof AdminRequestError && e.status === 403 ? 'Operator only' : (e as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [load]);
+
+  useEffect(() => { reload(); }, [reload]);
+  return { data, error, loading, reload };
+}
+
+function Notice({ error, message }: { error?: string | null; message?: string | null }) {
+  if (error) return <div className="pixel-text text-sm text-red-400 mb-4">{error}</div>;
+  if (message) return <div className="pixel-text text-sm text-green-400 mb-4">{message}</div>;
+  return null;
+}
+
+const inputClass = 'bg-gray-800 border-2 border-gray-600 rounded-none px-2 py-1 text-white font-mono text-sm focus:border-orange-400 focus:outline-none';
+
+function MarketRow({ market, onSaved }: { market: MarketSettings; onSaved: () => void }) {
+  const [feeBps, setFeeBps] = useState(market.feeOverridden ? String(market.feeBps) : '');
+  const [minStake, setMinStake] = useState(market.minStake ? ethers.formatEther(market.minStake) : '');
+  const [maxStake, setMaxStake] = useState(market.maxStake ? ethers.formatEther(market.maxStake) : '');
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const save = async (paused: boolean) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await adminUpdateMarket({
+        symbol: market.symbol,
+        timeframe: market.timeframe,
+        paused,
+        feeBps: feeBps.trim() === '' ? null : Number(feeBps),
+        minStakeWei: minStake.trim() === '' ? null : ethers.parseEther(minStake.trim()).toString(),
+        maxStakeWei: maxStake.trim() === '' ? null : ethers.parseEther(maxStake.trim()).toString(),
+        reason: reason.trim() || undefined,
+      });
+      setReason('');
+      onSaved();
+    } catch (e) {
+      setError((e as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="pixel-card pixel-card--soft p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="pixel-text text-white font-mono">
+          {market.symbol} {timeframeLabel(market.timeframe)}{' '}
+          <span className={market.paused ? 'text-red-400' : 'text-green-400'}>{market.paused ? 'PAUSED' : 'LIVE'}</span>
+        </div>
+        <div className="pixel-text text-xs text-gray-400">
+          Fee {market.feeBps / 100}%{market.feeOverridden ? '' : ' (default)'}
+          {market.updatedBy && ` · updated by ${shortAddress(market.updatedBy)}`}
+        </div>
+      </div>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="pixel-text text-xs text-gray-400">FEE BPS
+          <input className={`${inputClass} block w-24`} value={feeBps} onChange={(e) => setFeeBps(e.target.value)} placeholder="default" />
+        </label>
+        <label className="pixel-text text-xs text-gray-400">MIN STAKE (ETH)
+          <input className={`${inputClass} block w-28`} value={minStake} onChange={(e) => setMinStake(e.target.value)} placeholder="none" />
+        </label>
+        <label className="pixel-text text-xs text-gray-400">MAX STAKE (ETH)
+          <input className={`${inputClass} block w-28`} value={maxStake} onChange={(e) => setMaxStake(e.target.value)} placeholder="none" />
+        </label>
+        <label className="pixel-text text-xs text-gray-400 flex-1 min-w-[10rem]">REASON
+          <input className={`${inputClass} block w-full`} value={reason} onChange={(e) => setReason(e.target.value)} />
+        </label>
+        <button onClick={() => save(market.paused)} disabled={busy} className="pixel-button pixel-button--blue px-3 py-1 font-mono text-xs disabled:opacity-50">
+          SAVE
+        </button>
+        <button
+          onClick={() => save(!market.paused)}
+          disabled={busy}
+          className={`pixel-button ${market.paused ? 'pixel-button--green' : 'pixel-button--red'} px-3 py-1 font-mono text-xs disabled:opacity-50`}
+        >
+          {market.paused ? 'RESUME' : 'PAUSE'}
+        </button>
+      </div>
+      {error && <div className="pixel-text text-xs text-red-400 mt-2">{error}</div>}
+    </div>
+  );
+}
+
+function MarketsTab() {
+  const { data, error, loading, reload } = useAdminLoad(adminGetMarkets);
+  return (
+    <div>
+      <Notice error={error} />
+      {loading && !data && <div className="pixel-text text-sm text-gray-400">Loading...</div>}
+      <div className="space-y-3">
+        {data?.markets.map((m) => (
+          <MarketRow key={`${m.symbol}:${m.timeframe}:${m.updatedAt}`} market={m} onSaved={reload} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RoundsTab() {
+  const { data, error, loading, reload } = useAdminLoad(adminGetExposure);
+  const [selected, setSelected] = useState<RoundExposure | null>(null);
+  const [reason, setReason] = useState('');
+  const [startPrice, setStartPrice] = useState('');
+  const [endPrice, setEndPrice] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const settle = async (action: 'resolve' | 'void') => {
+    if (!selected) return;
+    if (!reason.trim()) {
+      setActionError('A reason is required');
+      return;
+    }
+    setBusy(true);
+    setActionError(null);
+    setMessage(null);
+    try {
+      const result = await adminSettleRound({
+        roundId: selected.roundId,
+        action,
+        reason: reason.trim(),
+        startPrice: action === 'resolve' && startPrice.trim() ? Number(startPrice) : undefined,
+        endPrice: action === 'resolve' && endPrice.trim() ? Number(endPrice) : undefined,
+      });
+      setMessage(`Round ${selected.roundId} ${result.voidReason ? `voided (${result.voidReason})` : `resolved: ${result.winningSide?.toUpperCase()} won`}`);
+      setSelected(null);
+      setReason('');
+      setStartPrice('');
+      setEndPrice('');
+      reload();
+    } catch (e) {
+      setActionError((e as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <Notice error={error || actionError} message={message} />
+      <div className="flex items-center justify-between mb-4">
+        <div className="pixel-text text-sm text-gray-300">
+          Worst case across open rounds:{' '}
+          <span className="text-white font-mono">
+            {!data ? '-' : Object.keys(data.worstCase).length === 0 ? '0 ETH' : Object.entries(data.worstCase).map(([asset, amount]) => `${signedUnits(amount, asset)} ${asset}`).join(' · ')}
+          </span>
+        </div>
+        <button onClick={reload} disabled={loading} className="pixel-button px-3 py-1 font-mono text-xs disabled:opacity-50">REFRESH</button>
+      </div>
+      {data && data.rounds.length === 0 && <div className="pixel-text text-sm text-gray-400">No open rounds.</div>}
+      <div className="space-y-2">
+        {data?.rounds.map((r) => (
+          <button
+            key={`${r.roundId}-${r.asset}`}
+            onClick={() => { setSelected(r); setActionError(null); }}
+            className={`w-full text-left pixel-card pixel-card--soft p-3 font-mono text-xs ${selected?.roundId === r.roundId ? 'ring-2 ring-yellow-400' : ''}`}
+          >
+            <div className="flex flex-wrap justify-between gap-2 text-white">
+              <span>#{r.roundId} {r.symbol} {timeframeLabel(r.timeframe)} · {new Date(r.startAt).toLocaleString()}</span>
+              <span className={r.ended ? 'text-yellow-400' : 'text-green-400'}>{r.ended ? 'AWAITING SETTLEMENT' : `LOCKS ${new Date(r.lockAt).toLocaleTimeString()}`}</span>
+            </div>
+            <div className="flex flex-wrap justify-between gap-2 text-gray-300 mt-1">
+              <span>{r.asset} · UP {formatUnits(r.upPool, r.asset)} ({r.upBets}) · DOWN {formatUnits(r.downPool, r.asset)} ({r.downBets}) · {r.payoutMode} {r.feeBps / 100}%</span>
+              <span>
+                IF UP <span className={BigInt(r.houseIfUp) < BigInt(0) ? 'text-red-400' : 'text-green-400'}>{signedUnits(r.houseIfUp, r.asset)}</span>
+                {' · '}IF DOWN <span className={BigInt(r.houseIfDown) < BigInt(0) ? 'text-red-400' : 'text-green-400'}>{signedUnits(r.houseIfDown, r.asset)}</span>
+              </span>
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="pixel-card p-4 mt-6">
+          <h3 className="pixel-text-large text-lg text-white font-bold mb-3">SETTLE ROUND #{selected.roundId}</h3>
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="pixel-text text-xs text-gray-400 flex-1 min-w-[12rem]">REASON
+              <input className={`${inputClass} block w-full`} value={reason} onChange={(e) => setReason(e.target.value)} />
+            </label>
+            <label className="pixel-text text-xs text-gray-400">START PRICE
+              <input className={`${inputClass} block w-28`} value={startPrice} onChange={(e) => setStartPrice(e.target.value)} placeholder="oracle" />
+            </label>
+            <label className="pixel-text text-xs text-gray-400">END PRICE
+              <input className={`${inputClass} block w-28`} value={endPrice} onChange={(e) => setEndPrice(e.target.value)} placeholder="oracle" />
+            </label>
+            <button onClick={() => settle('resolve')} disabled={busy || !selected.ended} className="pixel-button pixel-button--green px-3 py-1 font-mono text-xs disabled:opacity-50">
+              RESOLVE
+            </button>
+            <button onClick={() => settle('void')} disabled={busy} className="pixel-button pixel-button--red px-3 py-1 font-mono text-xs disabled:opacity-50">
+              VOID &amp; REFUND
+            </button>
+          </div>
+          <div className="pixel-text text-xs text-gray-400 mt-2">
+            Prices are only needed when the oracle has none for the round; recorded prices are never replaced.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PlayerPanel({ playerId, onChanged }: { playerId: number; onChanged: () => void }) {
+  const load = useCallback(() => adminGetPlayer(playerId), [playerId]);
+  const { data, error, reload } = useAdminLoad<AdminPlayerDetail>(load);
+  const [amount, setAmount] = useState('');
+  const [asset, setAsset] = useState(DEFAULT_ASSET);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const adjust = async (sign: 1 | -1) => {
+    setActionError(null);
+    let wei: bigint;
+    try {
+      wei = parseAssetAmount(amount.trim() || '0', getAsset(asset)!);
+    } catch {
+      setActionError(`Enter an amount in ${asset}`);
+      return;
+    }
+    if (wei <= BigInt(0) || !reason.trim()) {
+      setActionError('Enter an amount and a reason');
+      return;
+    }
+    setBusy(true);
+    try {
+      await adminAdjustBalance({ playerId, asset, amountWei: (sign === 1 ? wei : -wei).toString(), reason: reason.trim() });
+      setAmount('');
+      setReason('');
+      reload();
+      onChanged();
+    } catch (e) {
+      setActionError((e as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (error) return <Notice error={error} />;
+  if (!data) return <div className="pixel-text text-sm text-gray-400">Loading...</div>;
+  return (
+    <div className="pixel-card p-4">
+      <div className="pixel-text font-mono text-white text-sm break-all mb-2">{data.address}</div>
+      <div className="pixel-text text-xs text-gray-300 mb-4">
+        {(data.balances.length ? data.balances : [{ asset: DEFAULT_ASSET, available: '0', locked: '0' }]).map((b) => (
+          <div key={b.asset}>{b.asset}: available {formatUnits(b.available, b.asset)} · locked {formatUnits(b.locked, b.asset)}</div>
+        ))}
+        <div>{formatEth(data.points, 2)} $KAIROS</div>
+      </div>
+
+      <h4 className="pixel-text text-xs text-gray-400 mb-2">ADJUST BALANCE</h4>
+      <div className="flex flex-wrap items-end gap-2 mb-2">
+        <input className={`${inputClass} w-28`} value={amount} onChange={(e) => setAmount(e.target.value)} placeholder={asset} />
+        {COLLATERAL_ASSETS.length > 1 && (
+          <select className={inputClass} value={asset} onChange={(e) => setAsset(e.target.value)}>
+            {COLLATERAL_ASSETS.map((a) => <option key={a.symbol} value={a.symbol}>{a.symbol}</option>)}
+          </select>
+        )}
+        <input className={`${inputClass} flex-1 min-w-[10rem]`} value={reason} onChange={(e) => setReason(e.target.value)} placeholder="reason" />
+        <button onClick={() => adjust(1)} disabled={busy} className="pixel-button pixel-button--green px-3 py-1 font-mono text-xs disabled:opacity-50">CREDIT</button>
+        <button onClick={() => adjust(-1)} disabled={busy} className="pixel-button pixel-button--red px-3 py-1 font-mono text-xs disabled:opacity-50">DEBIT</button>
+      </div>
+      {actionError && <div className="pixel-text text-xs text-red-400 mb-2">{actionError}</div>}
+
+      <h4 className="pixel-text text-xs text-gray-400 mt-4 mb-2">RECENT TRANSFERS</h4>
+      <div className="space-y-1 font-mono text-xs text-gray-300 max-h-48 overflow-y-auto">
+        {data.transfers.map((t) => (
+          <div key={t.id} className="flex justify-between gap-2">
+            <span>{new Date(t.createdAt).toLocaleString()} · {t.type}</span>
+            <span className="text-white">{formatUnits(t.amount, t.asset)} {t.asset}</span>
+          </div>
+        ))}
+        {data.transfers.length === 0 && <div className="text-gray-500">None</div>}
+      </div>
+
+      <h4 className="pixel-text text-xs text-gray-400 mt-4 mb-2">RECENT BETS</h4>
+      <div className="space-y-1 font-mono text-xs text-gray-300 max-h-48 overflow-y-auto">
+        {data.bets.map((b) => (
+          <div key={b.id} className="flex justify-between gap-2">
+            <span>#{b.roundId} {b.symbol} {timeframeLabel(b.timeframe)} {b.side.toUpperCase()}</span>
+            <span className="text-white">{formatUnits(b.amount, b.asset)} {b.asset} · {b.status}</span>
+          </div>
+        ))}
+        {data.bets.length === 0 && <div className="text-gray-500">None</div>}
+      </div>
+
+      <h4 className="pixel-text text-xs text-gray-400 mt-4 mb-2">WITHDRAWALS</h4>
+      <div className="space-y-1 font-mono text-xs text-gray-300">
+        {data.withdrawals.map((w) => (
+          <div key={w.id} className="flex justify-between gap-2">
+            <span>{new Date(w.createdAt).toLocaleString()}</span>
+            <span className="text-white">{formatUnits(w.amount, w.asset)} {w.asset} · {w.status}</span>
+          </div>
+        ))}
+        {data.withdrawals.length === 0 && <div className="text-gray-500">None</div>}
+      </div>
+    </div>
+  );
+}
+
+function PlayersTab() {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const load = useCallback(() => adminGetPlayers({ q: search, page }), [search, page]);
+  const { data, error, loading, reload } = useAdminLoad<Page<AdminPlayer>>(load);
+  const totalPages = data ? Math.max(1, Math.ceil(data.total / data.pageSize)) : 1;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div>
+        <form
+          onSubmit={(e) => { e.preventDefault(); setSearch(query.trim()); setPage(1); }}
+          className="flex gap-2 mb-4"
+        >
+          <input className={`${inputClass} flex-1`} value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search by address" />
+          <button type="submit" className="pixel-button pixel-button--blue px-3 py-1 font-mono text-xs">SEARCH</button>
+        </form>
+        <Notice error={error} />
+        <div className={`space-y-2 ${loading ? 'opacity-60' : ''}`}>
+          {data?.items.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => setSelectedId(p.id)}
+              className={`w-full text-left pixel-card pixel-card--soft p-3 font-mono text-xs ${selectedId === p.id ? 'ring-2 ring-yellow-400' : ''}`}
+            >
+              <div className="flex justify-between text-white">
+                <span>{shortAddress(p.address)}</span>
+                <span>{formatEth(p.available)} ETH</span>
+              </div>
+              <div className="text-gray-400 mt-1">
+                #{p.id} · {p.bets} bets · locked {formatEth(p.locked)}
+                {p.balances.filter((b) => b.asset !== DEFAULT_ASSET).map((b) => ` · ${formatUnits(b.available, b.asset)} ${b.asset}`).join('')}
+              </div>
+            </button>
+          ))}
+          {data && data.items.length === 0 && <div className="pixel-text text-sm text-gray-400">No players found.</div>}
+        </div>
+        {data && data.total > data.pageSize && (
+          <div className="flex items-center justify-between mt-4">
+            <button onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page <= 1} className="pixel-button px-3 py-1 font-mono text-xs disabled:opacity-40">Prev</button>
+            <span className="pixel-text text-xs text-gray-300">PAGE {page} / {totalPages}</span>
+            <button onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page >= totalPages} className="pixel-button px-3 py-1 font-mono text-xs disabled:opacity-40">Next</button>
+          </div>
+        )}
+      </div>
+      <div>
+        {selectedId !== null
+          ? <PlayerPanel key={selectedId} playerId={selectedId} onChanged={reload} />
+          : <div className="pixel-text text-sm text-gray-400">Select a player to see their history and adjust their balance.</div>}
+      </div>
+    </div>
+  );
+}
+
+function PnlTab() {
+  const { data, error } = useAdminLoad(adminGetPnl);
+  return (
+    <div>
+      <Notice error={error} />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {data?.windows.map((w) => (
+          <div key={`${w.window}-${w.asset}`} className="pixel-card pixel-card--soft p-6 text-center">
+            <div className="pixel-text text-sm text-gray-300 mb-2">{WINDOW_LABELS[w.window]}</div>
+            <div className={`pixel-text-large text-3xl font-bold ${BigInt(w.total) < BigInt(0) ? 'text-red-400' : 'text-green-400'}`}>{signedUnits(w.total, w.asset)}</div>
+            <div className="pixel-text text-xs text-gray-400 mt-2">{w.asset} · fees {formatUnits(w.fees, w.asset)} · P&amp;L {signedUnits(w.pnl, w.asset)}</div>
+          </div>
+        ))}
+      </div>
+      <div className="pixel-text text-xs text-gray-400 mt-4">
+        Fees are the house cut of winning payouts; P&amp;L covers losing stakes kept, fixed-odds payouts and balance adjustments.
+      </div>
+    </div>
+  );
+}
+
+function ratio(value: number | null) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function AnalyticsTab() {
+  const [days, setDays] = useState(30);
+  const [asset, setAsset] = useState(DEFAULT_ASSET);
+  const load = useCallback(
+    () => adminGetAnalytics({ from: new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10), asset }),
+    [days, asset]
+  );
+  const { data, error, loading } = useAdminLoad<Analytics>(load);
+  const maxVolume = data ? data.series.reduce((max, d) => (BigInt(d.volume) > max ? BigInt(d.volume) : max), BigInt(0)) : BigInt(0);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {ANALYTICS_RANGES.map((range) => (
+          <button
+            key={range}
+            onClick={() => setDays(range)}
+            className={`pixel-button ${days === range ? 'pixel-button--purple' : ''} px-3 py-1 font-mono text-xs`}
+          >
+            {range}D
+          </button>
+        ))}
+        {COLLATERAL_ASSETS.length > 1 && (
+          <select className={inputClass} value={asset} onChange={(e) => setAsset(e.target.value)}>
+            {COLLATERAL_ASSETS.map((a) => <option key={a.symbol} value={a.symbol}>{a.symbol}</option>)}
+          </select>
+        )}
+      </div>
+      <Notice error={error} />
+      {data && (
+        <div className={loading ? 'opacity-60' : ''}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            {[
+              ['ROUNDS', String(data.totals.rounds)],
+              ['BETS', String(data.totals.bets)],
+              [`VOLUME (${data.asset})`, formatUnits(data.totals.volume, data.asset, 4)],
+              [`FEES (${data.asset})`, formatUnits(data.totals.fees, data.asset, 4)],
+              ['PLAYERS', String(data.totals.uniquePlayers)],
+            ].map(([label, value]) => (
+              <div key={label} className="pixel-card pixel-card--soft p-4 text-center">
+                <div className="pixel-text text-xs text-gray-300 mb-1">{label}</div>
+                <div className="pixel-text-large text-xl font-bold text-white">{value}</div>
+              </div>
+            ))}
+          </div>
+          <div className="pixel-text text-xs text-gray-400 mb-4">
+            Up won {ratio(data.totals.upWinRatio)} of decided rounds ({data.totals.upWins} up / {data.totals.downWins} down, {data.totals.voidRounds} void)
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full font-mono text-xs text-left">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="p-2">DAY</th>
+                  <th className="p-2">ROUNDS</th>
+                  <th className="p-2">UP / DOWN</th>
+                  <th className="p-2">BETS</th>
+                  <th className="p-2">PLAYERS</th>
+                  <th className="p-2">FEES</th>
+                  <th className="p-2 w-1/3">VOLUME</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...data.series].reverse().map((d) => (
+                  <tr key={d.date} className="border-t border-gray-700 text-white">
+                    <td className="p-2">
+                      {d.date}
+                      {d.source !== 'rollup' && <span className="text-gray-500"> · {d.source}</span>}
+                    </td>
+                    <td className="p-2">{d.rounds}{d.voidRounds > 0 && <span className="text-gray-500"> ({d.voidRounds} void)</span>}</td>
+                    <td className="p-2">{d.upWins} / {d.downWins} <span className="text-gray-500">{ratio(d.upWinRatio)}</span></td>
+                    <td className="p-2">{d.bets}</td>
+                    <td className="p-2">{d.uniquePlayers}</td>
+                    <td className="p-2">{formatUnits(d.fees, d.asset, 4)}</td>
+                    <td className="p-2">
+                      <div className="flex items-center gap-2">
+                        <div
+                          className="h-2 bg-purple-500"
+                          style={{ width: `${maxVolume > BigInt(0) ? Number((BigInt(d.volume) * BigInt(100)) / maxVolume) : 0}%` }}
+                        />
+                        <span>{formatUnits(d.volume, d.asset, 4)}</span>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="pixel-text text-xs text-gray-400 mt-4">
+            Days are UTC. Today is live; earlier days come from the rollup job (npm run analytics:rollup), and &quot;missing&quot; days have not been rolled up yet.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuditTab() {
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState('');
+  const load = useCallback(() => adminGetAuditLog({ page, action: action || undefined }), [page, action]);
+  const { data, error, loading } = useAdminLoad<Page<AuditEntry>>(load);
+  const totalPages = data ? Math.max(1, Math.ceil(data.total / data.pageSize)) : 1;
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-4">
+        <input
+          className={`${inputClass} w-64`}
+          value={action}
+          onChange={(e) => { setAction(e.target.value.trim()); setPage(1); }}
+          placeholder="Filter by action, e.g. player.adjust"
+        />
+      </div>
+      <Notice error={error} />
+      <div className={`space-y-2 ${loading ? 'opacity-60' : ''}`}>
+        {data?.items.map((entry) => (
+          <div key={entry.id} className="pixel-card pixel-card--soft p-3 font-mono text-xs">
+            <div className="flex flex-wrap justify-between gap-2 text-white">
+              <span>{entry.action}{entry.target && <span className="text-gray-400"> · {entry.target}</span>}</span>
+              <span className="text-gray-400">{new Date(entry.createdAt).toLocaleString()} · {shortAddress(entry.actor)}</span>
+            </div>
+            {entry.reason && <div className="text-gray-300 mt-1">{entry.reason}</div>}
+            <div className="text-gray-500 mt-1 break-all">{JSON.stringify(entry.payload)}</div>
+          </div>
+        ))}
+        {data && data.items.length === 0 && <div className="pixel-text text-sm text-gray-400">Nothing logged yet.</div>}
+      </div>
+      {data && data.total > data.pageSize && (
+        <div className="flex items-center justify-between mt-4">
+          <button onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page <= 1} className="pixel-button px-3 py-1 font-mono text-xs disabled:opacity-40">Prev</button>
+          <span className="pixel-text text-xs text-gray-300">PAGE {page} / {totalPages}</span>
+          <button onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page >= totalPages} className="pixel-button px-3 py-1 font-mono text-xs disabled:opacity-40">Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AdminPage() {
+  const { isConnected, isAuthenticated, isOperator, isSigningIn, signIn } = useEnhancedWalletConnection();
+  const [tab, setTab] = useState<Tab>('markets');
+
+  let gate: ReactNode = null;
+  if (!isConnected) gate = <p className="pixel-text text-gray-400">Connect an operator wallet to continue.</p>;
+  else if (!isAuthenticated) {
+    gate = (
+      <button onClick={signIn} disabled={isSigningIn} className="pixel-button pixel-button--purple px-4 py-2 font-mono uppercase text-sm disabled:opacity-50">
+        {isSigningIn ? 'Signing in...' : 'Sign in'}
+      </button>
+    );
+  } else if (!isOperator) gate = <p className="pixel-text text-red-400">Operator only. This address is not an operator.</p>;
+
+  return (
+    <div className="min-h-screen pixel-bg" style={{ imageRendering: 'pixelated' }}>
+      <header className="flex justify-between items-center p-6 pixel-bg">
+        <div className="pixel-header-button">
+          <div className="pixel-header-icon"></div>
+          <span className="pixel-header-text">Kairos Admin</span>
+        </div>
+        <EnhancedWalletConnect />
+      </header>
+
+      <main className="container mx-auto px-4 py-8 max-w-6xl pixel-bg">
+        <h1 className="pixel-text-large text-4xl font-bold text-center mb-8 text-white tracking-widest">OPERATOR CONSOLE</h1>
+
+        {gate ? (
+          <div className="pixel-card p-8 text-center">{gate}</div>
+        ) : (
+          <>
+            <div className="flex flex-wrap justify-center gap-2 mb-8">
+              {TABS.map((t) => (
+                <button
+                  key={t.id}
+                  onClick={() => setTab(t.id)}
+                  className={`pixel-button ${tab === t.id ? 'pixel-button--purple' : ''} px-4 py-2 font-mono uppercase text-sm`}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+            <div className="pixel-card pixel-card--soft p-6">
+              {tab === 'markets' && <MarketsTab />}
+              {tab === 'rounds' && <RoundsTab />}
+              {tab === 'players' && <PlayersTab />}
+              {tab === 'pnl' && <PnlTab />}
+              {tab === 'analytics' && <AnalyticsTab />}
+              {tab === 'audit' && <AuditTab />}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
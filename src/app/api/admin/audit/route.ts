@@ -0,0 +1,18 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { listAuditLog } from '../../../../lib/audit';
+
+// Operator-only: GET ?page=1&pageSize=50&action=player.adjust&actor=0x... the audit log, newest first
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { searchParams } = req.nextUrl;
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(searchParams.get('pageSize') || '50') || 50));
+    const log = await listAuditLog({ page, pageSize, action: searchParams.get('action'), actor: searchParams.get('actor') });
+    return NextResponse.json(log, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -0,0 +1,47 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { parseMarket } from '../../../../lib/markets';
+import { listMarketSettings, MarketConfigError, MarketSettingsPatch, updateMarketSettings } from '../../../../lib/marketConfig';
+
+// Operator-only: settings of every market
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    return NextResponse.json({ markets: await listMarketSettings() }, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// Stake limits arrive as wei strings; null removes the limit
+function parseStake(value: unknown): bigint | null | undefined {
+  if (value === undefined || value === null) return value;
+  if (!/^\d+$/.test(String(value))) throw new MarketConfigError('Stake limits must be wei amounts');
+  return BigInt(String(value));
+}
+
+// Operator-only: PUT { symbol, timeframe, paused?, feeBps?, minStakeWei?, maxStakeWei?, reason? }.
+// Fields left out are unchanged; feeBps null restores the default fee.
+export async function PUT(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const body = await req.json();
+    const market = parseMarket(body.symbol, body.timeframe);
+    if (!market) return NextResponse.json({ error: `Unknown market ${body.symbol} ${body.timeframe}` }, { status: 400 });
+    if (body.paused !== undefined && typeof body.paused !== 'boolean') return NextResponse.json({ error: 'paused must be a boolean' }, { status: 400 });
+
+    const patch: MarketSettingsPatch = {
+      paused: body.paused,
+      feeBps: body.feeBps === undefined || body.feeBps === null ? body.feeBps : Number(body.feeBps),
+      minStake: parseStake(body.minStakeWei),
+      maxStake: parseStake(body.maxStakeWei),
+    };
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+    const settings = await updateMarketSettings(market, patch, address, reason);
+    return NextResponse.json({ success: true, settings });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
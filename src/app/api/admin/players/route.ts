@@ -0,0 +1,46 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { adjustPlayerBalance, getPlayerDetail, listPlayers } from '../../../../lib/admin';
+
+// Operator-only: GET ?q=0xab&page=1&pageSize=25 lists players by address; GET ?id=3 returns one with their history
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { searchParams } = req.nextUrl;
+    const id = searchParams.get('id');
+    if (id !== null) {
+      if (!/^\d+$/.test(id)) return NextResponse.json({ error: 'Invalid id' }, { status: 400 });
+      return NextResponse.json(await getPlayerDetail(Number(id)), { headers: { 'Cache-Control': 'private, no-store' } });
+    }
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize') || '25') || 25));
+    const players = await listPlayers({ query: searchParams.get('q'), page, pageSize });
+    return NextResponse.json(players, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
+
+// Operator-only: POST { playerId, amountWei, reason, asset? } adjusts a balance (ETH by default; amountWei in the
+// asset's base units); a negative amountWei debits it
+export async function POST(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { playerId, amountWei, reason, asset } = await req.json();
+    if (!Number.isInteger(playerId) || !/^-?\d+$/.test(String(amountWei)) || typeof reason !== 'string') {
+      return NextResponse.json({ error: 'Missing params' }, { status: 400 });
+    }
+    const result = await adjustPlayerBalance({
+      playerId,
+      asset: typeof asset === 'string' ? asset.toUpperCase() : undefined,
+      amount: BigInt(String(amountWei)),
+      reason: reason.slice(0, 500),
+      operator: address,
+    });
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
@@ -0,0 +1,14 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { getHousePnl } from '../../../../lib/admin';
+
+// Operator-only: house fees and P&L over the last day, week and all time
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    return NextResponse.json(await getHousePnl(), { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { getOpenExposure, settleRoundByHand } from '../../../../lib/admin';
+
+// Operator-only: open rounds with their pools and what the house wins or loses on each outcome
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    return NextResponse.json(await getOpenExposure(), { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+function optionalPrice(value: unknown) {
+  return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+// Operator-only: POST { roundId, action: 'resolve' | 'void', reason, startPrice?, endPrice? }.
+// Prices are only needed to resolve a round the oracle could not price.
+export async function POST(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { roundId, action, reason, startPrice, endPrice } = await req.json();
+    if (!Number.isInteger(roundId) || (action !== 'resolve' && action !== 'void') || typeof reason !== 'string') {
+      return NextResponse.json({ error: 'Missing params' }, { status: 400 });
+    }
+    const result = await settleRoundByHand({
+      roundId,
+      action,
+      reason: reason.trim().slice(0, 500),
+      operator: address,
+      startPrice: optionalPrice(startPrice),
+      endPrice: optionalPrice(endPrice),
+    });
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
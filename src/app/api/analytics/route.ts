@@ -0,0 +1,25 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../lib/auth';
+import { getAnalytics, parseDay, utcDay } from '../../../lib/analytics';
+
+const DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operator-only: GET ?from=YYYY-MM-DD&to=YYYY-MM-DD&asset=ETH
+// Daily rounds, bets, volume, fees, unique players and up/down wins, oldest first, plus totals over the range.
+// Defaults to the last 30 days up to today; today's figures are live, earlier days come from the rollup job.
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const params = req.nextUrl.searchParams;
+    const toParam = params.get('to');
+    const fromParam = params.get('from');
+    const to = toParam ? parseDay(toParam) : utcDay(new Date());
+    const from = fromParam ? parseDay(fromParam) : new Date(to.getTime() - (DEFAULT_DAYS - 1) * DAY_MS);
+    const analytics = await getAnalytics({ from, to, asset: params.get('asset')?.toUpperCase() || undefined });
+    return NextResponse.json(analytics, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
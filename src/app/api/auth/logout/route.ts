@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { clearSessionCookie } from '../../../../lib/auth';
+
+export async function POST() {
+  const res = NextResponse.json({ success: true });
+  clearSessionCookie(res);
+  return res;
+}
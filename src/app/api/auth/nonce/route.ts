@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { generateSiweNonce } from 'viem/siwe';
+import { prisma } from '../../../../lib/prisma';
+import { NONCE_TTL_MS } from '../../../../lib/auth';
+
+// Issues a single-use nonce to embed in the SIWE message
+export async function GET() {
+  try {
+    const nonce = generateSiweNonce();
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+    await prisma.authNonce.create({ data: { nonce, expiresAt } });
+    return NextResponse.json({ nonce, expiresAt }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('[auth] nonce error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -0,0 +1,8 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSession, isOperatorAddress } from '../../../../lib/auth';
+
+export async function GET(req: NextRequest) {
+  const session = getSession(req);
+  if (!session) return NextResponse.json({ error: 'Not signed in' }, { status: 401 });
+  return NextResponse.json({ ...session, operator: isOperatorAddress(session.address) }, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,58 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { createPublicClient, http, type Hex } from 'viem';
+import { sepolia } from 'viem/chains';
+import { parseSiweMessage, validateSiweMessage } from 'viem/siwe';
+import { prisma } from '../../../../lib/prisma';
+import { createSessionToken, setSessionCookie } from '../../../../lib/auth';
+import { tryAttributeReferral } from '../../../../lib/referrals';
+
+const RPC_URL = process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
+
+// Smart-contract wallets need an RPC to check ERC-1271/6492 signatures
+const publicClient = createPublicClient({ chain: sepolia, transport: http(RPC_URL) });
+
+/**
+ * POST /api/auth/verify
+ * Body: { message: string, signature: 0x..., referralCode?: string }
+ *
+ * Verifies a signed EIP-4361 message, burns its nonce and issues a session cookie.
+ * A referral code the player arrived with is attributed here; a bad one never fails the sign-in.
+ */
+export async function POST(req: NextRequest) {
+  try {
+    const { message, signature, referralCode } = await req.json() as { message?: string; signature?: Hex; referralCode?: string };
+    if (!message || !signature) return NextResponse.json({ error: 'Missing fields' }, { status: 400 });
+
+    const parsed = parseSiweMessage(message);
+    const domain = req.headers.get('host') ?? '';
+    if (!parsed.address || !parsed.nonce) {
+      return NextResponse.json({ error: 'Malformed SIWE message' }, { status: 400 });
+    }
+    if (!validateSiweMessage({ message: parsed, domain, nonce: parsed.nonce })) {
+      return NextResponse.json({ error: 'SIWE message is expired or for another domain' }, { status: 401 });
+    }
+
+    const valid = await publicClient.verifySiweMessage({ message, signature, domain, nonce: parsed.nonce });
+    if (!valid) return NextResponse.json({ error: 'Invalid signature' }, { status: 401 });
+
+    // Burn the nonce atomically so the same signed message cannot be replayed
+    const now = new Date();
+    const consumed = await prisma.authNonce.updateMany({
+      where: { nonce: parsed.nonce, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+    if (consumed.count === 0) {
+      return NextResponse.json({ error: 'Nonce expired or already used' }, { status: 401 });
+    }
+
+    const address = parsed.address.toLowerCase();
+    const referral = referralCode ? await tryAttributeReferral(address, referralCode) : null;
+    const { token, expiresAt } = createSessionToken(address);
+    const res = NextResponse.json({ success: true, address, expiresAt, referral });
+    setSessionCookie(res, token, expiresAt);
+    return res;
+  } catch (error) {
+    console.error('[auth] verify error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 400 });
+  }
+}
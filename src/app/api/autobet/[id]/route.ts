@@ -0,0 +1,19 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import { updateAutoBetPlan } from '../../../../lib/autoBet';
+
+// POST { action: 'pause' | 'resume' | 'cancel' } on one of the signed-in player's plans
+export async function POST(req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  const { id } = await params;
+  const planId = Number(id);
+  if (!Number.isInteger(planId) || planId <= 0) return NextResponse.json({ error: 'Invalid plan id' }, { status: 400 });
+  try {
+    const { action } = await req.json();
+    return NextResponse.json({ success: true, plan: await updateAutoBetPlan(address, planId, action) });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../lib/auth';
+import { createAutoBetPlan, listAutoBetPlans } from '../../../lib/autoBet';
+
+// GET: the signed-in player's auto-bet plans with their results so far
+export async function GET(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    return NextResponse.json({ plans: await listAutoBetPlans(address) }, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    console.error('[autobet] list error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// POST { symbol, timeframe, asset?, mode, side?, sizing, baseStake?, maxStake?, percent?, rounds, stopLoss, takeProfit }:
+// saves a plan; the runner starts betting from the next round it can reach
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const plan = await createAutoBetPlan(address, await req.json());
+    return NextResponse.json({ success: true, plan });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
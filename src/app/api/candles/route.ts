@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getChartRounds, getTickCandles, MAX_CHART_CANDLES } from '../../../lib/chartCandles';
+import { CHART_RESOLUTIONS, isChartResolution, isMarketSymbol, isMarketTimeframe } from '../../../lib/markets';
+
+// Round-aware chart data: ?symbol=ETHUSDT&resolution=1s|5s|15s|1m&limit=300&timeframe=60
+// { candles: [{ time, open, high, low, close, volume }], rounds: [...] } — OHLC of the oracle's median ticks,
+// and the rounds of that length (all lengths without `timeframe`) that started in the candle window,
+// with their entry and settlement prices.
+export async function GET(request: NextRequest) {
+  const { searchParams } = new URL(request.url);
+  const symbol = searchParams.get('symbol') || 'ETHUSDT';
+  const resolution = searchParams.get('resolution') || '1s';
+  const timeframe = searchParams.get('timeframe');
+  const limit = Math.min(MAX_CHART_CANDLES, Math.max(1, parseInt(searchParams.get('limit') || '300') || 300));
+
+  if (!isMarketSymbol(symbol)) return NextResponse.json({ error: `Unknown symbol ${symbol}` }, { status: 400 });
+  if (!isChartResolution(resolution)) return NextResponse.json({ error: `Unsupported resolution ${resolution}` }, { status: 400 });
+  if (timeframe && !isMarketTimeframe(timeframe)) return NextResponse.json({ error: `Unknown timeframe ${timeframe}` }, { status: 400 });
+
+  try {
+    const now = Date.now();
+    const windowStart = now - limit * CHART_RESOLUTIONS[resolution] * 1000;
+    const [candles, rounds] = await Promise.all([
+      getTickCandles(symbol, resolution, limit, now),
+      // Rounds that started before the window can still be running in it
+      getChartRounds(symbol, windowStart - (timeframe ? Number(timeframe) : 3600) * 1000, now, timeframe ? Number(timeframe) : undefined),
+    ]);
+    return NextResponse.json({ symbol, resolution, candles, rounds }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error fetching candles:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
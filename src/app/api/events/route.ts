@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { prisma } from '../../../lib/prisma';
+import { getSessionAddress } from '../../../lib/auth';
+import { openEventStream } from '../../../lib/events';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// GET: Server-Sent Events stream of round lifecycle and pool events, plus balance events for the
+// signed-in player. Resumes after the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=.
+export async function GET(req: NextRequest) {
+  const resumeFrom = req.headers.get('last-event-id') ?? req.nextUrl.searchParams.get('lastEventId');
+  const lastEventId = resumeFrom !== null && /^\d+$/.test(resumeFrom) ? Number(resumeFrom) : null;
+
+  let playerId: number | null = null;
+  const address = getSessionAddress(req);
+  try {
+    if (address) {
+      const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() }, select: { id: true } });
+      playerId = player?.id ?? null;
+    }
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+
+  return new Response(openEventStream({ playerId, lastEventId, signal: req.signal }), {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // let proxies pass events through as they are written
+    },
+  });
+}
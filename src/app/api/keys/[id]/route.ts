@@ -0,0 +1,18 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import { revokeApiKey } from '../../../../lib/apiKeys';
+
+// DELETE: revokes one of the signed-in player's API keys; it stops working immediately
+export async function DELETE(req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  const { id } = await params;
+  const keyId = Number(id);
+  if (!Number.isInteger(keyId) || keyId <= 0) return NextResponse.json({ error: 'Invalid key id' }, { status: 400 });
+  try {
+    return NextResponse.json({ success: true, apiKey: await revokeApiKey(address, keyId) });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
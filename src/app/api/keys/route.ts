@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../lib/auth';
+import { API_SCOPES, createApiKey, DEFAULT_RATE_LIMIT, listApiKeys, MAX_RATE_LIMIT } from '../../../lib/apiKeys';
+
+// GET: the signed-in player's API keys (never the secrets), with the scopes and rate limits they may pick
+export async function GET(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const keys = await listApiKeys(address);
+    return NextResponse.json(
+      { keys, scopes: API_SCOPES, defaultRateLimit: DEFAULT_RATE_LIMIT, maxRateLimit: MAX_RATE_LIMIT },
+      { headers: { 'Cache-Control': 'private, no-store' } }
+    );
+  } catch (error) {
+    console.error('[keys] list error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// POST { name, scopes?, rateLimit? }: creates a key; the response holds its only plaintext copy
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const { name, scopes, rateLimit } = await req.json();
+    const created = await createApiKey(address, { name, scopes, rateLimit });
+    return NextResponse.json(created, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getLeaderboard, isLeaderboardMetric, isLeaderboardWindow } from '../../../lib/leaderboard';
+
+// GET ?metric=profit|winRate|volume|points&window=daily|weekly|all&page=1&pageSize=20&address=0x...
+// `address` adds that player's own rank as `me`, whatever page they are on.
+export async function GET(req: NextRequest) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const metric = searchParams.get('metric') || 'profit';
+    const window = searchParams.get('window') || 'all';
+    if (!isLeaderboardMetric(metric)) return NextResponse.json({ error: `Unknown metric ${metric}` }, { status: 400 });
+    if (!isLeaderboardWindow(window)) return NextResponse.json({ error: `Unknown window ${window}` }, { status: 400 });
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize') || '20') || 20));
+
+    const leaderboard = await getLeaderboard({ metric, window, page, pageSize, address: searchParams.get('address') });
+    return NextResponse.json(leaderboard, { headers: { 'Cache-Control': 'public, max-age=15' } });
+  } catch (error) {
+    console.error('[leaderboard] error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
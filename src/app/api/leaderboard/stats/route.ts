@@ -0,0 +1,14 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getGlobalStats, isLeaderboardWindow } from '../../../../lib/leaderboard';
+
+// GET ?window=daily|weekly|all: settled rounds, bet volume (wei) and active players
+export async function GET(req: NextRequest) {
+  try {
+    const window = new URL(req.url).searchParams.get('window') || 'all';
+    if (!isLeaderboardWindow(window)) return NextResponse.json({ error: `Unknown window ${window}` }, { status: 400 });
+    return NextResponse.json(await getGlobalStats(window), { headers: { 'Cache-Control': 'public, max-age=30' } });
+  } catch (error) {
+    console.error('[leaderboard] stats error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
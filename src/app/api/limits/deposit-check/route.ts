@@ -0,0 +1,18 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import { checkDepositAllowed } from '../../../../lib/playLimits';
+
+// POST { asset, amount }: asked by the deposit page before it sends funds to the vault.
+// 403 with the reason when a deposit limit or self-exclusion would refuse the deposit.
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const { asset, amount } = await req.json();
+    await checkDepositAllowed(address, { asset, amount });
+    return NextResponse.json({ allowed: true });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
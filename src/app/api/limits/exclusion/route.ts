@@ -0,0 +1,17 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import { selfExclude } from '../../../../lib/playLimits';
+
+// POST { days } or { permanent: true }: self-excludes the signed-in player from betting and deposits.
+// It cannot be shortened or lifted; withdrawals stay open.
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const { days, permanent } = await req.json();
+    return NextResponse.json({ success: true, settings: await selfExclude(address, { days, permanent }) });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../lib/auth';
+import { getPlaySettings, setPlayLimit } from '../../../lib/playLimits';
+
+// GET: the signed-in player's limits with their use so far, pending raises, self-exclusion and session reminder
+export async function GET(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    return NextResponse.json(await getPlaySettings(address), { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    console.error('[limits] settings error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// POST { asset, kind: deposit|wager|loss, period: day|week|month, amount: decimal string | null }: sets or removes a
+// limit. Lowering applies at once; raising or removing waits for the cooling-off.
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const result = await setPlayLimit(address, await req.json());
+    return NextResponse.json({ success: true, ...result, settings: await getPlaySettings(address) });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
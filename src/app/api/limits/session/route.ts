@@ -0,0 +1,16 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import { setSessionReminder } from '../../../../lib/playLimits';
+
+// POST { reminderMinutes: number | null }: how often the game reminds the player of their session length
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const { reminderMinutes } = await req.json();
+    return NextResponse.json({ success: true, ...(await setSessionReminder(address, reminderMinutes)) });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
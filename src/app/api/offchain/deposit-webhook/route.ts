@@ -1,34 +1,41 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { prisma } from '../../../../lib/prisma';
+import { getSessionAddress } from '../../../../lib/auth';
+import {
+  DepositVerificationError,
+  REQUIRED_CONFIRMATIONS,
+  creditVaultDeposit,
+  verifyVaultDeposit,
+} from '../../../../lib/vaultDeposits';
+import { tryAttributeReferral } from '../../../../lib/referrals';
 
-// This simulates an on-chain deposit confirmation webhook.
-// Body: { address, amountEth }
+// Credits a vault deposit after reading the transaction from the chain.
+// Body: { txHash, referralCode? }; the deposit must come from the signed-in session address.
+// A referral code is attributed before the first deposit is credited, the last moment it still can be.
+// Responds 202 { pending: true } until the tx has DEPOSIT_CONFIRMATIONS confirmations; the client polls,
+// and the deposit indexer (scripts/depositIndexer.ts) credits it anyway if the client goes away.
 export async function POST(req: NextRequest) {
   try {
-    const { address, amountEth } = await req.json();
-    if (!address || !amountEth) return NextResponse.json({ error: 'Missing fields' }, { status: 400 });
-    const amount = BigInt(Math.floor(Number(amountEth) * 1e18));
-    const addr = String(address).toLowerCase();
+    const address = getSessionAddress(req);
+    if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+    const { txHash, referralCode } = await req.json();
+    if (!txHash || typeof txHash !== 'string') return NextResponse.json({ error: 'Missing txHash' }, { status: 400 });
 
-    const result = await prisma.$transaction(async (tx) => {
-      let player = await tx.player.findUnique({ where: { address: addr } });
-      if (!player) {
-        player = await tx.player.create({ data: { address: addr } });
-        await tx.balance.create({ data: { playerId: player.id } });
-      }
-      const bal = await tx.balance.findUnique({ where: { playerId: player.id } });
-      const updated = await tx.balance.update({
-        where: { playerId: player.id },
-        data: { available: (bal?.available ?? BigInt(0)) + amount },
-      });
-      await tx.transfer.create({ data: { playerId: player.id, type: 'deposit', amount, meta: {} } });
-      return { available: updated.available.toString(), locked: updated.locked.toString() };
-    });
+    const deposit = await verifyVaultDeposit(txHash);
+    if (deposit.from !== address) {
+      return NextResponse.json({ error: 'Deposit was not made from the signed-in address' }, { status: 403 });
+    }
+    if (deposit.confirmations < REQUIRED_CONFIRMATIONS) {
+      return NextResponse.json(
+        { pending: true, confirmations: deposit.confirmations, required: REQUIRED_CONFIRMATIONS },
+        { status: 202 }
+      );
+    }
 
-    return NextResponse.json({ success: true, balance: result });
+    if (referralCode) await tryAttributeReferral(address, referralCode);
+    const credit = await creditVaultDeposit(deposit, 'webhook');
+    return NextResponse.json({ success: true, ...credit });
   } catch (e: any) {
-    return NextResponse.json({ error: e.message }, { status: 400 });
+    const status = e instanceof DepositVerificationError ? e.status : 500;
+    return NextResponse.json({ error: e.message }, { status });
   }
 }
-
-
@@ -0,0 +1,60 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../lib/auth';
+import {
+  MAX_HISTORY_PAGE_SIZE,
+  betHistoryToCsv,
+  exportBetHistory,
+  getBetHistory,
+  isBetOutcome,
+} from '../../../../lib/betHistory';
+import { isMarketSymbol, isMarketTimeframe } from '../../../../lib/markets';
+
+// Accepts an ISO date or epoch milliseconds
+function parseDate(value: string | null): Date | null | undefined {
+  if (!value) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// GET ?from=&to=&symbol=ETHUSDT&timeframe=60&outcome=pending|won|lost|refund&page=1&pageSize=20[&format=csv]
+// The signed-in player's bets, newest first. `to` is exclusive.
+export async function GET(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+
+  try {
+    const { searchParams } = new URL(req.url);
+    const from = parseDate(searchParams.get('from'));
+    const to = parseDate(searchParams.get('to'));
+    if (from === undefined || to === undefined) return NextResponse.json({ error: 'Invalid date' }, { status: 400 });
+
+    const symbol = searchParams.get('symbol');
+    if (symbol && !isMarketSymbol(symbol)) return NextResponse.json({ error: `Unknown symbol ${symbol}` }, { status: 400 });
+    const timeframe = searchParams.get('timeframe') ? Number(searchParams.get('timeframe')) : null;
+    if (timeframe !== null && !isMarketTimeframe(timeframe)) {
+      return NextResponse.json({ error: 'Unknown timeframe' }, { status: 400 });
+    }
+    const outcome = searchParams.get('outcome') || null;
+    if (outcome !== null && !isBetOutcome(outcome)) return NextResponse.json({ error: `Unknown outcome ${outcome}` }, { status: 400 });
+    const filters = { from, to, symbol, timeframe, outcome };
+
+    if (searchParams.get('format') === 'csv') {
+      const items = await exportBetHistory({ address, ...filters });
+      return new NextResponse(betHistoryToCsv(items), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="kairos-bets-${address.slice(0, 10)}.csv"`,
+          'Cache-Control': 'private, no-store',
+        },
+      });
+    }
+
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1);
+    const pageSize = Math.min(MAX_HISTORY_PAGE_SIZE, Math.max(1, parseInt(searchParams.get('pageSize') || '20') || 20));
+    const history = await getBetHistory({ address, page, pageSize, ...filters });
+    return NextResponse.json(history, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    console.error('[history] error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -1,7 +1,17 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { prisma } from '../../../../lib/prisma';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET } from '../../../../lib/assets';
 
-// Lightweight profile endpoint optimized for navigation latency
+interface MarketStatsRow {
+  symbol: string;
+  timeframe: number;
+  gamesPlayed: number;
+  gamesWon: number;
+  totalWagered: string;
+}
+
+// Lightweight profile endpoint optimized for navigation latency.
+// `balance` and the wagered/payout stats are ETH (wei); `balances` has every asset in its base units.
 export async function GET(req: NextRequest) {
   const address = req.nextUrl.searchParams.get('address');
   if (!address) return NextResponse.json({ error: 'Missing address' }, { status: 400 });
@@ -14,8 +24,9 @@ export async function GET(req: NextRequest) {
       id: true,
       address: true,
       createdAt: true,
+      points: true,
       balances: {
-        select: { available: true, locked: true, points: true }
+        select: { asset: true, available: true, locked: true }
       }
     }
   });
@@ -24,34 +35,51 @@ export async function GET(req: NextRequest) {
     return NextResponse.json({
       player: null,
       balance: { available: '0', locked: '0' },
+      balances: COLLATERAL_ASSETS.map((a) => ({ asset: a.symbol, available: '0', locked: '0', wagered: '0', payout: '0' })),
       stats: {
         gamesPlayed: 0,
         gamesWon: 0,
         totalWagered: '0',
         totalPayout: '0',
         winRate: 0
-      }
+      },
+      markets: []
     });
   }
 
   // 2) Compute stats via targeted queries (avoid loading all bets/transfers)
-  const [resolvedCounts, wonCounts, totalWageredAgg, totalPayoutAgg] = await Promise.all([
+  const [resolvedCounts, wonCounts, wageredByAsset, payoutByAsset, marketRows] = await Promise.all([
     prisma.bet.count({ where: { playerId: player.id, status: { in: ['won', 'lost'] } } }),
     prisma.bet.count({ where: { playerId: player.id, status: 'won' } }),
-    prisma.bet.aggregate({
+    prisma.bet.groupBy({
+      by: ['asset'],
       where: { playerId: player.id },
       _sum: { amount: true }
     }),
-    prisma.transfer.aggregate({
+    prisma.transfer.groupBy({
+      by: ['asset'],
       where: { playerId: player.id, type: 'payout' },
       _sum: { amount: true }
-    })
+    }),
+    // Same counts split by market (round symbol + timeframe)
+    prisma.$queryRaw<MarketStatsRow[]>`
+      SELECT r."symbol", r."timeframe",
+        COUNT(*) FILTER (WHERE b."status" IN ('won', 'lost'))::int AS "gamesPlayed",
+        COUNT(*) FILTER (WHERE b."status" = 'won')::int AS "gamesWon",
+        COALESCE(SUM(b."amount") FILTER (WHERE b."asset" = ${DEFAULT_ASSET}), 0)::text AS "totalWagered"
+      FROM "Bet" b JOIN "Round" r ON r."id" = b."roundId"
+      WHERE b."playerId" = ${player.id}
+      GROUP BY r."symbol", r."timeframe"
+      ORDER BY r."symbol", r."timeframe"`
   ]);
 
   const gamesPlayed = resolvedCounts;
   const gamesWon = wonCounts;
-  const totalWagered = totalWageredAgg._sum.amount ?? BigInt(0);
-  const totalPayout = totalPayoutAgg._sum.amount ?? BigInt(0);
+  const sumFor = (rows: Array<{ asset: string; _sum: { amount: bigint | null } }>, asset: string) =>
+    rows.find((r) => r.asset === asset)?._sum.amount ?? BigInt(0);
+  const totalWagered = sumFor(wageredByAsset, DEFAULT_ASSET);
+  const totalPayout = sumFor(payoutByAsset, DEFAULT_ASSET);
+  const ethBalance = player.balances.find((b) => b.asset === DEFAULT_ASSET);
   const winRate = gamesPlayed > 0 ? Math.round(((gamesWon / gamesPlayed) * 100) * 100) / 100 : 0;
 
   return NextResponse.json({
@@ -61,17 +89,31 @@ export async function GET(req: NextRequest) {
       createdAt: player.createdAt
     },
     balance: {
-      available: (player.balances?.available ?? BigInt(0)).toString(),
-      locked: (player.balances?.locked ?? BigInt(0)).toString(),
-      points: (player.balances?.points ?? BigInt(0)).toString()
+      available: (ethBalance?.available ?? BigInt(0)).toString(),
+      locked: (ethBalance?.locked ?? BigInt(0)).toString(),
+      points: player.points.toString()
     },
+    balances: COLLATERAL_ASSETS.map(({ symbol }) => {
+      const row = player.balances.find((b) => b.asset === symbol);
+      return {
+        asset: symbol,
+        available: (row?.available ?? BigInt(0)).toString(),
+        locked: (row?.locked ?? BigInt(0)).toString(),
+        wagered: sumFor(wageredByAsset, symbol).toString(),
+        payout: sumFor(payoutByAsset, symbol).toString()
+      };
+    }),
     stats: {
       gamesPlayed,
       gamesWon,
       totalWagered: totalWagered.toString(),
       totalPayout: totalPayout.toString(),
       winRate
-    }
+    },
+    markets: marketRows.map((row) => ({
+      ...row,
+      winRate: row.gamesPlayed > 0 ? Math.round(((row.gamesWon / row.gamesPlayed) * 100) * 100) / 100 : 0
+    }))
   });
 }
 
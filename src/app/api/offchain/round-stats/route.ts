@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRoundStats } from '../../../../lib/roundSettlement';
+import { parseMarket } from '../../../../lib/markets';
+import { getAsset } from '../../../../lib/assets';
+
+// Live up/down pools and implied payout multipliers for a market's round, in one asset (default ETH):
+// GET ?symbol=ETHUSDT&timeframe=<seconds>&roundStart=<start seconds>[&asset=USDC]
+export async function GET(req: NextRequest) {
+  const params = req.nextUrl.searchParams;
+  const market = parseMarket(params.get('symbol'), params.get('timeframe'));
+  const roundStart = Number(params.get('roundStart'));
+  if (!market || !Number.isInteger(roundStart) || roundStart <= 0) {
+    return NextResponse.json({ error: 'Missing or invalid symbol, timeframe or roundStart' }, { status: 400 });
+  }
+  const asset = getAsset(params.get('asset') ?? 'ETH');
+  if (!asset) return NextResponse.json({ error: 'Unsupported asset' }, { status: 400 });
+  try {
+    const stats = await getRoundStats(market, roundStart, asset.symbol);
+    return NextResponse.json(stats, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { prisma } from '../../../../lib/prisma';
+import { requireOperator } from '../../../../lib/auth';
+import { recordAudit } from '../../../../lib/audit';
+import { lookupRoundId, RoundSettlementError, voidRound } from '../../../../lib/roundSettlement';
+
+// Operator-only: voids an unsettled round and refunds every stake on it.
+// Body: { roundId } or { symbol, timeframe, roundStart }, plus an optional { note } for the ledger.
+export async function POST(req: NextRequest) {
+  try {
+    const { denied, address } = requireOperator(req);
+    if (denied) return denied;
+
+    const body = await req.json();
+    const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 200) : undefined;
+    const roundId = await lookupRoundId(body);
+    const result = await voidRound(roundId, note);
+    await recordAudit(prisma, { actor: address, action: 'round.void', target: `round:${roundId}`, reason: note, payload: { bets: result.credits.length } });
+
+    console.log(`[void] round ${roundId} voided by ${address}${note ? `: ${note}` : ''}`);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[void] error', error);
+    const status = error instanceof RoundSettlementError ? error.status : 400;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
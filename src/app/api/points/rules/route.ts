@@ -0,0 +1,26 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { getPointsRules, listPointsRules, setPointsRules } from '../../../../lib/points';
+
+// GET: the points rules in force and recent versions, newest first
+export async function GET() {
+  try {
+    const [current, versions] = await Promise.all([getPointsRules(), listPointsRules()]);
+    return NextResponse.json({ version: current.version, rules: current.rules, versions });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// Operator-only: PUT { rules, note? } publishes a new version; awards from now on use it
+export async function PUT(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { rules, note } = await req.json();
+    const result = await setPointsRules(rules, address, typeof note === 'string' ? note.slice(0, 500) : null);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
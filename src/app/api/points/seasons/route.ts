@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../lib/auth';
+import { createSeason, listSeasons } from '../../../../lib/points';
+
+// GET: the running season, if any, and recent seasons
+export async function GET() {
+  try {
+    return NextResponse.json(await listSeasons());
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// Operator-only: POST { name, startsAt, endsAt, multiplier? } schedules a season (dates as ISO strings)
+export async function POST(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { name, startsAt, endsAt, multiplier } = await req.json();
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (typeof name !== 'string' || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return NextResponse.json({ error: 'Missing params' }, { status: 400 });
+    }
+    const season = await createSeason({ name, startsAt: start, endsAt: end, multiplier: Number(multiplier ?? 1), operator: address });
+    return NextResponse.json({ success: true, season });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
@@ -0,0 +1,39 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../../lib/auth';
+import { getSeasonSnapshot, seasonSnapshotToCsv, snapshotSeason } from '../../../../../lib/points';
+
+// Operator-only: GET ?seasonId=1[&format=csv] the final standings of a snapshotted season
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const seasonId = Number(req.nextUrl.searchParams.get('seasonId'));
+    if (!Number.isInteger(seasonId) || seasonId <= 0) return NextResponse.json({ error: 'Invalid seasonId' }, { status: 400 });
+    const snapshot = await getSeasonSnapshot(seasonId);
+    if (req.nextUrl.searchParams.get('format') === 'csv') {
+      return new NextResponse(seasonSnapshotToCsv(snapshot.standings), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="kairos-points-season-${seasonId}.csv"`,
+          'Cache-Control': 'private, no-store',
+        },
+      });
+    }
+    return NextResponse.json(snapshot);
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
+
+// Operator-only: POST { seasonId } freezes an ended season's standings
+export async function POST(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { seasonId } = await req.json();
+    if (!Number.isInteger(seasonId)) return NextResponse.json({ error: 'Missing params' }, { status: 400 });
+    return NextResponse.json({ success: true, ...(await snapshotSeason(seasonId, address)) });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
@@ -1,214 +1,20 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { CANDLE_INTERVALS, CandleInterval, getCandles } from '../../../lib/priceOracle';
+import { isMarketSymbol } from '../../../lib/markets';
 
-// Cache for price data to reduce API calls
-const priceCache = new Map<string, { data: any[]; timestamp: number }>();
-const CACHE_DURATION = 30000; // 30 seconds cache
-const PER_SOURCE_TIMEOUT_MS = 1000; // 1s per upstream source
-const TOTAL_DEADLINE_MS = 2500; // total budget to avoid blocking nav
-
+// Chart candles from the server oracle: ?symbol=ETHUSDT&interval=1h&limit=100
 export async function GET(request: NextRequest) {
   const { searchParams } = new URL(request.url);
   const symbol = searchParams.get('symbol') || 'ETHUSDT';
   const interval = searchParams.get('interval') || '1h';
-  const limit = parseInt(searchParams.get('limit') || '100');
+  const limit = Math.min(1000, Math.max(1, parseInt(searchParams.get('limit') || '100') || 100));
 
-  // Check cache first
-  const cacheKey = `${symbol}-${interval}-${limit}`;
-  const cached = priceCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return NextResponse.json({ data: cached.data, cached: true });
-  }
+  if (!isMarketSymbol(symbol)) return NextResponse.json({ error: `Unknown symbol ${symbol}` }, { status: 400 });
+  if (!(interval in CANDLE_INTERVALS)) return NextResponse.json({ error: `Unsupported interval ${interval}` }, { status: 400 });
 
   try {
-    let data = null;
-    const start = Date.now();
-
-    if (symbol === 'ETHUSDT') {
-      // Try multiple fast APIs for ETH
-      const ethSources = [
-        // Binance API (fastest)
-        async () => {
-          const response = await fetch(`https://api.binance.com/api/v3/klines?symbol=ETHUSDT&interval=${interval}&limit=${Math.min(limit, 1000)}`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-          });
-          if (response.ok) {
-            const binanceData = await response.json();
-            if (binanceData && binanceData.length > 0) {
-              return binanceData.map((kline: any[]) => {
-                const open = parseFloat(kline[1]);
-                const high = parseFloat(kline[2]);
-                const low = parseFloat(kline[3]);
-                const close = parseFloat(kline[4]);
-                
-                // Ensure minimum body size for visibility
-                const minBodySize = high * 0.001; // 0.1% of high price
-                const bodySize = Math.abs(close - open);
-                
-                let adjustedOpen = open;
-                let adjustedClose = close;
-                
-                if (bodySize < minBodySize) {
-                  // Create a visible body
-                  if (close > open) {
-                    adjustedClose = open + minBodySize;
-                  } else {
-                    adjustedOpen = close + minBodySize;
-                  }
-                }
-                
-                return {
-                  time: Math.floor(kline[0] / 1000),
-                  open: adjustedOpen,
-                  high: high,
-                  low: low,
-                  close: adjustedClose,
-                  volume: parseFloat(kline[5])
-                };
-              });
-            }
-          }
-          throw new Error(`Binance API failed: ${response.status}`);
-        },
-        // CryptoCompare API (fast alternative)
-        async () => {
-          const response = await fetch(`https://min-api.cryptocompare.com/data/v2/histohour?fsym=ETH&tsym=USDT&limit=${limit}`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-          });
-          if (response.ok) {
-            const cryptoCompareData = await response.json();
-            if (cryptoCompareData.Data && cryptoCompareData.Data.Data && cryptoCompareData.Data.Data.length > 0) {
-              return cryptoCompareData.Data.Data.map((item: any) => ({
-                time: item.time,
-                open: item.open,
-                high: item.high,
-                low: item.low,
-                close: item.close,
-                volume: item.volumeto
-              }));
-            }
-          }
-          throw new Error(`CryptoCompare API failed: ${response.status}`);
-        },
-        // CoinCap API (fast)
-        async () => {
-          const response = await fetch(`https://api.coincap.io/v2/assets/ethereum/history?interval=h1&limit=${limit}`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-          });
-          if (response.ok) {
-            const coinCapData = await response.json();
-            if (coinCapData.data && coinCapData.data.length > 0) {
-              return coinCapData.data.map((item: any) => ({
-                time: Math.floor(new Date(item.date).getTime() / 1000),
-                open: parseFloat(item.priceUsd),
-                high: parseFloat(item.priceUsd) * 1.01,
-                low: parseFloat(item.priceUsd) * 0.99,
-                close: parseFloat(item.priceUsd),
-                volume: Math.random() * 1000
-              }));
-            }
-          }
-          throw new Error(`CoinCap API failed: ${response.status}`);
-        }
-      ];
-
-      // Try each source with timeout and a total deadline
-      for (const source of ethSources) {
-        try {
-          const elapsed = Date.now() - start;
-          if (elapsed > TOTAL_DEADLINE_MS) {
-            throw new Error('Total deadline exceeded');
-          }
-
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('API timeout')), PER_SOURCE_TIMEOUT_MS)
-          );
-
-          data = await Promise.race([source(), timeoutPromise]);
-          if (data && data.length > 0) {
-            console.log(`Successfully fetched ETH data from ${source.name || 'API'}: ${data.length} candles`);
-            break;
-          }
-        } catch (error) {
-          console.warn('ETH API source failed:', error);
-        }
-      }
-    } else if (symbol === 'HYPEUSDT') {
-      // Fetch live HYPE price from Hyperliquid allMids and synthesize near-real candles
-      console.log('Fetching HYPE price from Hyperliquid...');
-      let basePrice = 0;
-      try {
-        const midRes = await fetch('https://api.hyperliquid.xyz/info', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ type: 'allMids' }),
-          cache: 'no-store',
-        });
-        if (midRes.ok) {
-          const mids = await midRes.json();
-          const candidates = ['HYPE', 'HYPE/USDC', 'HYPE-USDC'];
-          for (const key of candidates) {
-            const v = mids?.[key];
-            const p = typeof v === 'string' ? parseFloat(v) : Number(v);
-            if (!Number.isNaN(p) && p > 0) {
-              basePrice = p;
-              break;
-            }
-          }
-        }
-      } catch (e) {
-        console.warn('Hyperliquid allMids failed:', e);
-      }
-
-      // Skip slow fallback calls to keep navigation snappy
-
-      // Sanity: HYPE should not be an ETH-like price
-      if (basePrice > 500) {
-        // treat as bad read; clip to a safe placeholder to avoid crazy chart
-        basePrice = 50;
-      }
-
-      if (basePrice <= 0) basePrice = 50;
-
-      const now = Math.floor(Date.now() / 1000);
-      const candles = [] as any[];
-      for (let i = limit - 1; i >= 0; i--) {
-        const time = now - i * 60; // 1m
-        const drift = 1 + (Math.random() - 0.5) * 0.002; // ±0.1%
-        const price = basePrice * drift;
-        const open = price;
-        const close = price * (1 + (Math.random() - 0.5) * 0.002);
-        const bh = Math.max(open, close);
-        const bl = Math.min(open, close);
-        const wick = Math.max(bh * 0.0005, (bh - bl) * (0.5 + Math.random() * 0.5));
-        const high = bh + wick;
-        const low = Math.max(0.0001, bl - wick);
-        candles.push({
-          time,
-          open: +open.toFixed(6),
-          high: +high.toFixed(6),
-          low: +low.toFixed(6),
-          close: +close.toFixed(6),
-          volume: Math.random() * 5000,
-        });
-      }
-      data = candles;
-    }
-
-    if (!data || data.length === 0) {
-      // Serve last cached data if available to avoid blocking
-      const stale = priceCache.get(cacheKey);
-      if (stale) {
-        return NextResponse.json({ data: stale.data, cached: true }, { headers: { 'Cache-Control': 'public, max-age=30' } });
-      }
-      return NextResponse.json({ error: 'No data available' }, { status: 404 });
-    }
-
-    // Cache the result
-    priceCache.set(cacheKey, { data, timestamp: Date.now() });
-
+    const data = await getCandles(symbol, interval as CandleInterval, limit);
+    if (data.length === 0) return NextResponse.json({ error: 'No data available' }, { status: 404 });
     return NextResponse.json({ data }, { headers: { 'Cache-Control': 'public, max-age=30' } });
   } catch (error) {
     console.error('Error fetching price data:', error);
@@ -1,56 +1,24 @@
 import { NextResponse } from 'next/server';
+import { CANDLE_INTERVALS, CandleInterval, getCandles } from '../../../lib/priceOracle';
+import { MARKET_ASSETS, MarketAsset } from '../../../lib/markets';
 
+// Price series for the last `days` days from the server oracle: ?coinId=ethereum|eth|hype&days=1
+// Responds { prices: [{ timestamp (ms), price }] }, one point per candle close.
 export async function GET(request: Request) {
+  const { searchParams } = new URL(request.url);
+  const coinId = (searchParams.get('coinId') || 'ethereum').toLowerCase();
+  const days = Math.min(365, Math.max(1, Number(searchParams.get('days') || '1') || 1));
+  const asset: MarketAsset = coinId === 'hype' || coinId === 'hyperliquid' ? 'HYPE' : 'ETH';
+
+  const interval: CandleInterval = days <= 1 ? '5m' : days <= 7 ? '1h' : '1d';
+  const limit = Math.min(1000, Math.ceil((days * 86400) / CANDLE_INTERVALS[interval]));
+
   try {
-    const { searchParams } = new URL(request.url);
-    // Update to use ethereum or hype instead of solana
-    const coinId = searchParams.get('coinId') || 'ethereum';
-    const days = searchParams.get('days') || '1';
-    
-    // Map coinId to CoinGecko IDs
-    const coinGeckoId = coinId === 'ethereum' ? 'ethereum' : 
-                        coinId === 'hype' ? 'hyperliquid' : 
-                        coinId === 'eth' ? 'ethereum' : 'ethereum';
-    
-    // Fetch price history from CoinGecko
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/${coinGeckoId}/market_chart?vs_currency=usd&days=${days}&interval=minutely`
-    );
-    
-    if (!response.ok) {
-      console.error(`Failed to fetch ${coinId} price history: ${response.status} ${response.statusText}`);
-      throw new Error(`Failed to fetch ${coinId} price history from CoinGecko`);
-    }
-    
-    const data = await response.json();
-    
-    // Check if we have the expected data structure
-    if (!Array.isArray(data.prices)) {
-      console.error(`Unexpected ${coinId} price history data structure:`, data);
-      throw new Error(`Invalid ${coinId} price history data from CoinGecko`);
-    }
-    
-    // Convert the data to our format
-    const prices = data.prices.map(([timestamp, price]: [number, number]) => ({
-      timestamp,
-      price
-    }));
-    
-    return NextResponse.json({
-      prices,
-      coinId,
-      days
-    });
+    const candles = await getCandles(MARKET_ASSETS[asset], interval, limit);
+    const prices = candles.map((c) => ({ timestamp: (c.time + CANDLE_INTERVALS[interval]) * 1000, price: c.close }));
+    return NextResponse.json({ prices, coinId, days: String(days) });
   } catch (error) {
     console.error('Error fetching price history:', error);
-    return NextResponse.json(
-      { 
-        error: 'Failed to fetch price history',
-        prices: [], // Return empty array as fallback
-        coinId: 'ethereum',
-        days: '1'
-      },
-      { status: 200 } // Still return 200 so the frontend can handle the empty data gracefully
-    );
+    return NextResponse.json({ error: 'Failed to fetch price history', prices: [], coinId, days: String(days) }, { status: 502 });
   }
-}
\ No newline at end of file
+}
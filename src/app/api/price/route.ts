@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { readLivePrice } from '../../../lib/priceOracle';
+import { isMarketSymbol } from '../../../lib/markets';
+
+// Live aggregated price from the server oracle: ?symbol=ETHUSDT
+export async function GET(request: NextRequest) {
+  const symbol = new URL(request.url).searchParams.get('symbol') || 'ETHUSDT';
+  if (!isMarketSymbol(symbol)) return NextResponse.json({ error: `Unknown symbol ${symbol}` }, { status: 400 });
+
+  try {
+    const reading = await readLivePrice(symbol);
+    if (!reading.quote) {
+      return NextResponse.json({ error: 'No fresh price available', failed: reading.failed }, { status: 503 });
+    }
+    return NextResponse.json(
+      {
+        symbol,
+        ...reading.quote,
+        sources: reading.accepted.map((q) => q.source),
+        rejected: reading.rejected.map((q) => ({ source: q.source, reason: q.reason })),
+      },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    console.error('Error fetching price:', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../lib/auth';
+import { attributeReferral, getReferralSummary } from '../../../lib/referrals';
+
+// GET: the signed-in player's referral code, invitees, their volume and the rewards earned from them
+export async function GET(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    return NextResponse.json(await getReferralSummary(address), { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    console.error('[referrals] summary error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// POST { code }: attributes the signed-in player to the code's owner; only before their first deposit
+export async function POST(req: NextRequest) {
+  const address = getSessionAddress(req);
+  if (!address) return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  try {
+    const { code } = await req.json();
+    const result = await attributeReferral(address, code);
+    return NextResponse.json({ success: true, referredBy: result.referrer });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
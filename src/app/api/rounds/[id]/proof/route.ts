@@ -0,0 +1,21 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRoundProof } from '../../../../../lib/fairness';
+
+// Public: a settled round's settlement record and the hash-chain links from it up to the anchor covering it
+// { roundId, seq, record, recordHash, hash, sealedAt, links: [{ seq, recordHash, prevHash, hash }], anchor }
+// `record` is the exact text that was hashed; /verify recomputes everything from it.
+export async function GET(_req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params;
+    const roundId = Number(id);
+    if (!Number.isInteger(roundId) || roundId <= 0) return NextResponse.json({ error: 'Invalid round id' }, { status: 400 });
+    const proof = await getRoundProof(roundId);
+    // Proofs only grow until an anchor covers them; after that they never change
+    const maxAge = proof.anchor ? 3600 : 15;
+    return NextResponse.json(proof, { headers: { 'Cache-Control': `public, max-age=${maxAge}` } });
+  } catch (error) {
+    const status = (error as { status?: number }).status ?? 500;
+    if (status >= 500) console.error('[proof] error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status });
+  }
+}
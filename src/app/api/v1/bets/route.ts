@@ -0,0 +1,5 @@
+import { defineApiRoute } from '../../../../lib/publicApi';
+import { v1Routes } from '../../../../lib/publicApiRoutes';
+
+export const GET = defineApiRoute(v1Routes.listBets);
+export const POST = defineApiRoute(v1Routes.createBet);
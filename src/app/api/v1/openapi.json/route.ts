@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { openApiDocument } from '../../../../lib/publicApi';
+import { v1Routes } from '../../../../lib/publicApiRoutes';
+
+// Public: the OpenAPI spec of every /api/v1 endpoint, built from their route definitions
+export async function GET() {
+  return NextResponse.json(openApiDocument(Object.values(v1Routes)), { headers: { 'Cache-Control': 'public, max-age=300' } });
+}
@@ -0,0 +1,4 @@
+import { defineApiRoute } from '../../../../../lib/publicApi';
+import { v1Routes } from '../../../../../lib/publicApiRoutes';
+
+export const GET = defineApiRoute(v1Routes.getRound);
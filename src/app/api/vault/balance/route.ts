@@ -1,34 +1,27 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { ethers } from 'ethers';
-
-let cached: { value: { balance: string; balanceWei: string; vaultAddress: string }; ts: number } | null = null;
-const TTL_MS = 15_000; // 15s cache to avoid slow RPC on every nav
+import { getAsset, formatAssetAmount } from '../../../../lib/assets';
+import { getCachedVaultBalance } from '../../../../lib/vaultDeposits';
 
+// Same on-chain read the ledger reconciliation compares against (src/lib/reconciliation.ts),
+// cached for 15s to avoid a slow RPC on every nav. GET [?asset=USDC], ETH by default.
 export async function GET(req: NextRequest) {
   try {
-    if (cached && (Date.now() - cached.ts) < TTL_MS) {
-      return NextResponse.json(cached.value, { headers: { 'Cache-Control': 'public, max-age=15' } });
-    }
-    const RPC_URL = process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
-    const VAULT_ADDRESS = process.env.NEXT_PUBLIC_VAULT_ADDRESS;
-    
-    if (!VAULT_ADDRESS) {
+    if (!process.env.NEXT_PUBLIC_VAULT_ADDRESS) {
       return NextResponse.json({ error: 'Vault address not configured' }, { status: 400 });
     }
+    const asset = getAsset(req.nextUrl.searchParams.get('asset') ?? 'ETH');
+    if (!asset) return NextResponse.json({ error: 'Unsupported asset' }, { status: 400 });
 
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const balance = await provider.getBalance(VAULT_ADDRESS);
-    const balanceEth = ethers.formatEther(balance);
-    
+    const { vaultAddress, balance } = await getCachedVaultBalance(asset.symbol);
     const payload = {
-      balance: balanceEth,
-      balanceWei: balance.toString(),
-      vaultAddress: VAULT_ADDRESS
+      asset: asset.symbol,
+      balance: formatAssetAmount(balance, asset),
+      balanceWei: balance.toString(), // base units of `asset`
+      vaultAddress
     };
-    cached = { value: payload, ts: Date.now() };
     return NextResponse.json(payload, { headers: { 'Cache-Control': 'public, max-age=15' } });
-  } catch (error: any) {
+  } catch (error) {
     console.error('Error fetching vault balance:', error);
-    return NextResponse.json({ error: error.message }, { status: 500 });
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
   }
 }
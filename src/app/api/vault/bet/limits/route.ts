@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSessionAddress } from '../../../../../lib/auth';
+import { parseMarket } from '../../../../../lib/markets';
+import { getBetCapacity } from '../../../../../lib/risk';
+
+// House risk caps and how much more can be staked on each side of a round right now:
+// GET ?symbol=ETHUSDT&timeframe=<seconds>&roundStart=<start seconds>[&asset=USDC]. Signed-in players also get
+// their own per-round allowance counted in `remaining`.
+export async function GET(req: NextRequest) {
+  const params = req.nextUrl.searchParams;
+  const market = parseMarket(params.get('symbol'), params.get('timeframe'));
+  const roundStart = Number(params.get('roundStart'));
+  if (!market || !Number.isInteger(roundStart) || roundStart <= 0) {
+    return NextResponse.json({ error: 'Missing or invalid symbol, timeframe or roundStart' }, { status: 400 });
+  }
+  try {
+    const capacity = await getBetCapacity(market, roundStart, getSessionAddress(req), params.get('asset') ?? undefined);
+    return NextResponse.json(capacity, { headers: { 'Cache-Control': 'private, no-store' } });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { prisma } from '../../../../lib/prisma';
+import { requireOperator } from '../../../../lib/auth';
+import { reconcileAllAssets } from '../../../../lib/reconciliation';
+
+// Operator-only: recent reconciliation runs, newest first
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  const runs = await prisma.reconciliationRun.findMany({ orderBy: { id: 'desc' }, take: 50 });
+  return NextResponse.json({
+    runs: runs.map((r) => ({
+      ...r,
+      vaultBalance: r.vaultBalance.toString(),
+      bookVault: r.bookVault.toString(),
+      liabilities: r.liabilities.toString(),
+      houseEquity: r.houseEquity.toString(),
+      drift: r.drift.toString(),
+    })),
+  });
+}
+
+// Operator-only: reconciles the ledger against the vault's on-chain balances now, one run per asset:
+// { ok, reports: [...] }
+export async function POST(req: NextRequest) {
+  try {
+    const { denied } = requireOperator(req);
+    if (denied) return denied;
+    return NextResponse.json(await reconcileAllAssets());
+  } catch (error) {
+    console.error('[reconcile] error', error);
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
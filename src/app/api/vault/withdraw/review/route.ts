@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireOperator } from '../../../../../lib/auth';
+import { getWithdrawalQueue, reviewWithdrawal } from '../../../../../lib/withdrawals';
+
+// Operator-only: withdrawals held for review and the queue by status
+export async function GET(req: NextRequest) {
+  const { denied } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    return NextResponse.json(await getWithdrawalQueue());
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 500 });
+  }
+}
+
+// Operator-only: POST { id, approve, note? }. Approved withdrawals join the payout queue; rejected ones are refunded.
+export async function POST(req: NextRequest) {
+  const { denied, address } = requireOperator(req);
+  if (denied) return denied;
+  try {
+    const { id, approve, note } = await req.json();
+    if (!Number.isInteger(id) || typeof approve !== 'boolean') return NextResponse.json({ error: 'Missing params' }, { status: 400 });
+    const withdrawal = await reviewWithdrawal({ id, approve, operator: address, note: typeof note === 'string' ? note.slice(0, 500) : null });
+    return NextResponse.json({ success: true, withdrawal });
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: (error as { status?: number }).status ?? 500 });
+  }
+}
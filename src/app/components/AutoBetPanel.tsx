@@ -0,0 +1,236 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useAccount } from 'wagmi';
+import { marketLabel } from '@/lib/markets';
+import { COLLATERAL_ASSETS, formatAssetAmount, getAsset } from '@/lib/assets';
+import {
+  AutoBetMode,
+  AutoBetPlan,
+  AutoBetSizing,
+  createAutoBetPlan,
+  getAutoBetPlans,
+  updateAutoBetPlan,
+} from '../utils/offchainClient';
+
+// Plans run on the server, so the list is refreshed to show their progress
+const REFRESH_MS = 10000;
+
+const MODE_LABELS: Record<AutoBetMode, string> = {
+  fixed: 'Fixed side',
+  follow: 'Follow last result',
+  contrarian: 'Contrarian',
+};
+
+const SIZING_LABELS: Record<AutoBetSizing, string> = {
+  flat: 'Flat',
+  martingale: 'Martingale',
+  percent: '% of balance',
+};
+
+const STATUS_COLORS: Record<AutoBetPlan['status'], string> = {
+  active: 'text-green-400',
+  paused: 'text-yellow-400',
+  cancelled: 'text-gray-500',
+  completed: 'text-purple-300',
+  stopped: 'text-red-400',
+};
+
+interface AutoBetPanelProps {
+  symbol: string; // new plans are for the market and asset picked on the game page
+  timeframe: number;
+  asset: string;
+}
+
+export default function AutoBetPanel({ symbol, timeframe, asset }: AutoBetPanelProps) {
+  const { address } = useAccount();
+  const [plans, setPlans] = useState<AutoBetPlan[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [mode, setMode] = useState<AutoBetMode>('fixed');
+  const [side, setSide] = useState<'up' | 'down'>('up');
+  const [sizing, setSizing] = useState<AutoBetSizing>('flat');
+  const [baseStake, setBaseStake] = useState('');
+  const [maxStake, setMaxStake] = useState('');
+  const [percent, setPercent] = useState('');
+  const [rounds, setRounds] = useState('10');
+  const [stopLoss, setStopLoss] = useState('');
+  const [takeProfit, setTakeProfit] = useState('');
+
+  const load = useCallback(async () => {
+    if (!address) return;
+    try {
+      setPlans(await getAutoBetPlans());
+      setError(null);
+    } catch (err) {
+      const message = (err as Error)?.message ?? '';
+      setError(message.includes('Sign in required') ? 'Sign in to use auto-bet plans' : message || 'Failed to load plans');
+    }
+  }, [address]);
+
+  useEffect(() => {
+    if (!address) {
+      setPlans([]);
+      return;
+    }
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [address, load]);
+
+  const formatAmount = (units: string, symbol: string) => {
+    const collateral = getAsset(symbol) ?? COLLATERAL_ASSETS[0];
+    return `${formatAssetAmount(units, collateral)} ${collateral.symbol}`;
+  };
+
+  const stakeLabel = (plan: AutoBetPlan) => {
+    if (plan.sizing === 'percent') return `${plan.percent}% of balance`;
+    if (plan.sizing === 'martingale') return `${formatAmount(plan.baseStake, plan.asset)} doubling to ${formatAmount(plan.maxStake ?? plan.baseStake, plan.asset)}`;
+    return formatAmount(plan.baseStake, plan.asset);
+  };
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      await createAutoBetPlan({
+        symbol,
+        timeframe,
+        asset,
+        mode,
+        side: mode === 'fixed' ? side : undefined,
+        sizing,
+        baseStake: sizing === 'percent' ? undefined : baseStake,
+        maxStake: sizing === 'martingale' ? maxStake : undefined,
+        percent: sizing === 'percent' ? Number(percent) : undefined,
+        rounds: Number(rounds),
+        stopLoss,
+        takeProfit,
+      });
+      setShowForm(false);
+      await load();
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const act = async (plan: AutoBetPlan, action: 'pause' | 'resume' | 'cancel') => {
+    if (action === 'cancel' && !window.confirm(`Cancel plan #${plan.id}? A bet it already placed still settles.`)) return;
+    try {
+      await updateAutoBetPlan(plan.id, action);
+      await load();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  if (!address) return null;
+
+  const inputClass = "pixel-card pixel-card--soft p-2 bg-transparent text-sm";
+  const openPlans = plans.filter((p) => p.status === 'active' || p.status === 'paused');
+  const pastPlans = plans.filter((p) => p.status !== 'active' && p.status !== 'paused').slice(0, 5);
+
+  return (
+    <div className="pixel-card pixel-card--soft p-6 flex-shrink-0">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="pixel-text-large text-2xl font-bold text-white">AUTO-BET</h2>
+        <button onClick={() => setShowForm((v) => !v)} className="pixel-button pixel-button--purple text-xs">
+          {showForm ? 'Close' : 'New plan'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="space-y-3 mb-6">
+          <div className="pixel-text text-xs text-gray-400">
+            One bet per round on {marketLabel({ symbol, timeframe })} in {asset}, placed by the server while you are away.
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <select value={mode} onChange={(e) => setMode(e.target.value as AutoBetMode)} className={inputClass}>
+              {Object.entries(MODE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {mode === 'fixed' ? (
+              <select value={side} onChange={(e) => setSide(e.target.value as 'up' | 'down')} className={inputClass}>
+                <option value="up">UP</option>
+                <option value="down">DOWN</option>
+              </select>
+            ) : (
+              <div className="pixel-text text-xs text-gray-400 self-center">
+                {mode === 'follow' ? 'Bets on the side that won last round' : 'Bets against the side that won last round'}
+              </div>
+            )}
+            <select value={sizing} onChange={(e) => setSizing(e.target.value as AutoBetSizing)} className={inputClass}>
+              {Object.entries(SIZING_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {sizing === 'percent' ? (
+              <input value={percent} onChange={(e) => setPercent(e.target.value)} placeholder="Percent, e.g. 2" inputMode="decimal" className={inputClass} />
+            ) : (
+              <input value={baseStake} onChange={(e) => setBaseStake(e.target.value)} placeholder={`Stake (${asset})`} inputMode="decimal" className={inputClass} />
+            )}
+            {sizing === 'martingale' && (
+              <input value={maxStake} onChange={(e) => setMaxStake(e.target.value)} placeholder={`Max stake (${asset})`} inputMode="decimal" className={inputClass} />
+            )}
+            <input value={rounds} onChange={(e) => setRounds(e.target.value)} placeholder="Rounds" inputMode="numeric" className={inputClass} />
+            <input value={stopLoss} onChange={(e) => setStopLoss(e.target.value)} placeholder={`Stop-loss (${asset})`} inputMode="decimal" className={inputClass} />
+            <input value={takeProfit} onChange={(e) => setTakeProfit(e.target.value)} placeholder={`Take-profit (${asset})`} inputMode="decimal" className={inputClass} />
+          </div>
+          <button
+            onClick={submit}
+            disabled={saving || !rounds || !stopLoss || !takeProfit || (sizing === 'percent' ? !percent : !baseStake)}
+            className="w-full pixel-button pixel-button--purple text-sm disabled:opacity-40"
+          >
+            {saving ? 'SAVING...' : 'START PLAN'}
+          </button>
+        </div>
+      )}
+
+      {error && <div className="pixel-text text-xs text-red-400 mb-3">{error}</div>}
+
+      {openPlans.length === 0 && pastPlans.length === 0 ? (
+        <div className="text-center py-4 text-gray-400">No auto-bet plans yet.</div>
+      ) : (
+        <div className="space-y-3">
+          {[...openPlans, ...pastPlans].map((plan) => (
+            <div key={plan.id} className="p-3 pixel-card pixel-card--soft">
+              <div className="flex justify-between items-center">
+                <div className="font-medium">
+                  #{plan.id} {marketLabel(plan)} · {plan.mode === 'fixed' ? `${MODE_LABELS.fixed} ${plan.side?.toUpperCase()}` : MODE_LABELS[plan.mode]}
+                </div>
+                <div className={`font-bold text-sm uppercase ${STATUS_COLORS[plan.status]}`}>
+                  {plan.status === 'stopped' ? (plan.stopReason === 'take_profit' ? 'Take-profit' : 'Stop-loss') : plan.status}
+                </div>
+              </div>
+              <div className="text-xs text-gray-400 mt-1">
+                {stakeLabel(plan)} · {plan.placed}/{plan.rounds} rounds · {plan.won}W {plan.lost}L ·{' '}
+                <span className={plan.net.startsWith('-') ? 'text-red-400' : 'text-green-400'}>
+                  {plan.net.startsWith('-') ? '-' : '+'}{formatAmount(plan.net.replace('-', ''), plan.asset)}
+                </span>
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                Stop-loss {formatAmount(plan.stopLoss, plan.asset)} · Take-profit {formatAmount(plan.takeProfit, plan.asset)}
+              </div>
+              {plan.lastError && (plan.status === 'active' || plan.status === 'paused') && (
+                <div className="text-xs text-yellow-400 mt-1">Skipped a round: {plan.lastError}</div>
+              )}
+              {(plan.status === 'active' || plan.status === 'paused') && (
+                <div className="flex gap-3 mt-2 text-xs">
+                  <button onClick={() => act(plan, plan.status === 'active' ? 'pause' : 'resume')} className="text-purple-300 hover:text-purple-200">
+                    {plan.status === 'active' ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => act(plan, 'cancel')} className="text-red-400 hover:text-red-300">
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
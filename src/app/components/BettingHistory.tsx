@@ -1,65 +1,91 @@
 "use client";
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useAccount } from 'wagmi';
+import { ethers } from 'ethers';
+import { ALL_MARKETS, marketLabel } from '@/lib/markets';
+import { COLLATERAL_ASSETS, getAsset } from '@/lib/assets';
+import {
+  BetHistoryItem,
+  BetHistoryQuery,
+  offchainGetHistory,
+  offchainHistoryCsvUrl,
+} from '../utils/offchainClient';
 
-interface BettingHistoryItem {
-  id: string;
-  amount: string;
-  token: string;
-  prediction: "up" | "down";
-  entryPrice: number;
-  exitPrice: number;
-  result: "win" | "lose" | "refund" | "pending";
-  timestamp: number;
-  transactionHash?: string;
-}
+const PAGE_SIZE = 20;
+// Pending bets settle in the background, so the list is refreshed while it is open
+const REFRESH_MS = 10000;
+
+const OUTCOME_FILTERS: Array<{ value: '' | BetHistoryItem['outcome']; label: string }> = [
+  { value: '', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' },
+  { value: 'refund', label: 'Refunded' },
+];
 
 export default function BettingHistory() {
   const { address } = useAccount();
-  const [bettingHistory, setBettingHistory] = useState<BettingHistoryItem[]>([]);
+  const [bettingHistory, setBettingHistory] = useState<BetHistoryItem[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [market, setMarket] = useState('');
+  const [outcome, setOutcome] = useState<'' | BetHistoryItem['outcome']>('');
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
 
-  // Load betting history from localStorage
+  const filters = useCallback((): BetHistoryQuery => {
+    const [symbol, timeframe] = market ? market.split(':') : [];
+    return {
+      symbol: symbol || undefined,
+      timeframe: timeframe ? Number(timeframe) : undefined,
+      outcome: outcome || undefined,
+    };
+  }, [market, outcome]);
+
+  const load = useCallback(async () => {
+    if (!address) return;
+    try {
+      const history = await offchainGetHistory({ ...filters(), page, pageSize: PAGE_SIZE });
+      setBettingHistory(history.items);
+      setTotal(history.total);
+      setError(null);
+    } catch (err) {
+      console.error("Failed to load betting history:", err);
+      const message = (err as Error)?.message ?? '';
+      setError(message.includes('Sign in required') ? 'Sign in to see your betting history' : 'Failed to load betting history');
+    } finally {
+      setLoading(false);
+    }
+  }, [address, filters, page]);
+
   useEffect(() => {
-    if (typeof window !== 'undefined' && address) {
-      try {
-        const historyKey = `bettingHistory_${address}`;
-        const storedHistory = localStorage.getItem(historyKey);
-        if (storedHistory) {
-          const parsedHistory = JSON.parse(storedHistory);
-          console.log('Betting history loaded from localStorage:', parsedHistory.length, 'records');
-          // Sort by timestamp descending (newest first)
-          const sortedHistory = parsedHistory.sort((a: BettingHistoryItem, b: BettingHistoryItem) => 
-            b.timestamp - a.timestamp
-          );
-          console.log('Sorted betting history:', sortedHistory.length, 'records');
-          setBettingHistory(sortedHistory);
-        } else {
-          console.log('No betting history found in localStorage');
-        }
-      } catch (err) {
-        console.error("Failed to load betting history:", err);
-        setError("Failed to load betting history");
-      } finally {
-        setLoading(false);
-      }
-    } else {
+    if (!address) {
+      setBettingHistory([]);
       setLoading(false);
+      return;
     }
-  }, [address]);
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [address, load]);
 
   // Format timestamp for display
-  const formatTimestamp = (timestamp: number) => {
-    return new Date(timestamp).toLocaleString();
+  const formatTimestamp = (iso: string) => {
+    return new Date(iso).toLocaleString();
+  };
+
+  // Base units of the bet's collateral asset -> "1.2345"
+  const formatAmount = (units: string, symbol: string) => {
+    const asset = getAsset(symbol) ?? COLLATERAL_ASSETS[0];
+    return Number(ethers.formatUnits(units, asset.decimals)).toFixed(4);
   };
 
   // Get result color
   const getResultColor = (result: string) => {
     switch (result) {
-      case 'win': return 'text-green-400';
-      case 'lose': return 'text-red-400';
+      case 'won': return 'text-green-400';
+      case 'lost': return 'text-red-400';
       case 'refund': return 'text-yellow-400';
       default: return 'text-gray-400';
     }
@@ -68,13 +94,15 @@ export default function BettingHistory() {
   // Get result text
   const getResultText = (result: string) => {
     switch (result) {
-      case 'win': return 'WON';
-      case 'lose': return 'LOST';
+      case 'won': return 'WON';
+      case 'lost': return 'LOST';
       case 'refund': return 'REFUND';
       default: return result.toUpperCase();
     }
   };
 
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
   if (loading) {
     return (
       <div className="glass-card p-6 rounded-2xl">
@@ -99,8 +127,35 @@ export default function BettingHistory() {
 
   return (
     <div className="glass-card p-6 rounded-2xl flex flex-col h-full">
-      <h2 className="text-2xl font-bold mb-4">Betting History</h2>
-      
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold">Betting History</h2>
+        <a href={offchainHistoryCsvUrl(filters())} className="text-xs text-purple-300 hover:text-purple-200 underline">
+          Export CSV
+        </a>
+      </div>
+
+      <div className="flex gap-2 mb-3 text-sm">
+        <select
+          value={market}
+          onChange={(e) => { setMarket(e.target.value); setPage(1); }}
+          className="bg-black/30 border border-purple-500/20 rounded-lg px-2 py-1"
+        >
+          <option value="">All markets</option>
+          {ALL_MARKETS.map((m) => (
+            <option key={`${m.symbol}:${m.timeframe}`} value={`${m.symbol}:${m.timeframe}`}>{marketLabel(m)}</option>
+          ))}
+        </select>
+        <select
+          value={outcome}
+          onChange={(e) => { setOutcome(e.target.value as typeof outcome); setPage(1); }}
+          className="bg-black/30 border border-purple-500/20 rounded-lg px-2 py-1"
+        >
+          {OUTCOME_FILTERS.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </div>
+
       {bettingHistory.length === 0 ? (
         <div className="text-center py-4 text-gray-400">
           No betting history found. Place your first bet to see it here!
@@ -108,32 +163,53 @@ export default function BettingHistory() {
       ) : (
         <div className="space-y-3 flex-grow min-h-[300px] max-h-[500px] overflow-y-auto">
           {bettingHistory.map((bet) => (
-            <div key={bet.id} className="p-3 rounded-xl bg-black/20 border border-purple-500/20">
+            <div key={bet.betId} className="p-3 rounded-xl bg-black/20 border border-purple-500/20">
               <div className="flex justify-between items-center">
                 <div>
                   <div className="font-medium">
-                    {bet.amount} {bet.token} on {bet.prediction.toUpperCase()}
+                    {formatAmount(bet.stake, bet.asset)} {bet.asset} on {marketLabel(bet)} {bet.side.toUpperCase()}
+                    {bet.planId !== null && (
+                      <span className="ml-2 text-xs text-purple-300">AUTO #{bet.planId}</span>
+                    )}
                   </div>
                   <div className="text-sm text-gray-400">
-                    {formatTimestamp(bet.timestamp)}
+                    {formatTimestamp(bet.placedAt)}
                   </div>
                 </div>
-                <div className={`font-bold ${getResultColor(bet.result)}`}>
-                  {getResultText(bet.result)}
+                <div className="text-right">
+                  <div className={`font-bold ${getResultColor(bet.outcome)}`}>
+                    {getResultText(bet.outcome)}
+                  </div>
+                  {BigInt(bet.payout) > BigInt(0) && (
+                    <div className="text-xs text-gray-400">+{formatAmount(bet.payout, bet.asset)} {bet.asset}</div>
+                  )}
                 </div>
               </div>
               <div className="text-xs text-gray-500 mt-1">
-                Entry: ${bet.entryPrice.toFixed(4)} | Exit: {bet.result !== 'pending' ? `$${bet.exitPrice.toFixed(4)}` : '...'}
+                Entry: {bet.entryPrice !== null ? `$${bet.entryPrice.toFixed(4)}` : '...'} | Exit: {bet.exitPrice !== null ? `$${bet.exitPrice.toFixed(4)}` : '...'}
+                {bet.outcome !== 'pending' && (
+                  <a href={`/verify?round=${bet.roundId}`} className="ml-2 text-purple-400 hover:underline">Verify</a>
+                )}
               </div>
-              {bet.transactionHash && (
-                <div className="text-xs text-gray-500 mt-1">
-                  Tx: {bet.transactionHash.substring(0, 10)}...{bet.transactionHash.substring(bet.transactionHash.length - 8)}
-                </div>
+              {bet.outcome === 'refund' && bet.refundReason && (
+                <div className="text-xs text-yellow-400 mt-1">{bet.refundReason}</div>
               )}
             </div>
           ))}
         </div>
       )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-between items-center mt-3 text-sm text-gray-400">
+          <button onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page === 1} className="disabled:opacity-40">
+            ← Newer
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page >= totalPages} className="disabled:opacity-40">
+            Older →
+          </button>
+        </div>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
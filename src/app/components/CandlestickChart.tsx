@@ -1,976 +1,257 @@
 "use client";
 
-import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { createChart, ColorType, IChartApi, ISeriesApi, UTCTimestamp } from 'lightweight-charts';
-import { fetchHistoricalCandles, subscribeToPriceUpdates, getCurrentPrice, CandleData } from '../utils/hyperliquidPriceService';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createChart, ColorType, IChartApi, IPriceLine, ISeriesApi, LineStyle, SeriesMarker, Time, UTCTimestamp } from 'lightweight-charts';
+import { CHART_RESOLUTIONS, ChartResolution, isChartResolution, roundStartFor } from '@/lib/markets';
+import type { ChartRound } from '@/lib/chartCandles';
+
+// Candles come from /api/candles: OHLC of the oracle's own median ticks, the prices rounds are settled on.
+// Drawn over them: the current round's window, its official entry price, the settlement price of past rounds
+// and the player's own bets.
+
+export interface ChartBet {
+  roundStart: number; // seconds
+  timeframe: number; // seconds
+  side: 'up' | 'down';
+  label: string; // stake, e.g. "0.05 ETH"
+}
 
 interface CandlestickChartProps {
   symbol: string;
-  interval: string;
+  interval: string; // initial candle size; anything but 1s/5s/15s/1m opens at 1m
+  timeframe?: number; // round length whose rounds are drawn, seconds (default 60)
+  bets?: ChartBet[];
+}
+
+interface CandleRow {
+  time: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+}
+
+const HISTORY_CANDLES = 300;
+const POLL_MS = 1000;
+const CHART_HEIGHT = 400;
+const UP_COLOR = '#26a69a';
+const DOWN_COLOR = '#ef5350';
+const VOID_COLOR = '#9ca3af';
+const ENTRY_COLOR = '#facc15';
+
+async function fetchChartData(symbol: string, resolution: ChartResolution, timeframe: number, limit: number) {
+  const query = new URLSearchParams({ symbol, resolution, timeframe: String(timeframe), limit: String(limit) });
+  const res = await fetch(`/api/candles?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `Chart data unavailable (${res.status})`);
+  return res.json() as Promise<{ candles: CandleRow[]; rounds: ChartRound[] }>;
 }
 
-const CandlestickChart: React.FC<CandlestickChartProps> = ({ symbol, interval }) => {
+const CandlestickChart: React.FC<CandlestickChartProps> = ({ symbol, interval, timeframe = 60, bets = [] }) => {
   const chartContainerRef = useRef<HTMLDivElement>(null);
   const chartRef = useRef<IChartApi | null>(null);
   const seriesRef = useRef<ISeriesApi<"Candlestick"> | null>(null);
-  const [priceData, setPriceData] = useState<{ price: number; change: number }>({ price: 0, change: 0 });
-  const [intervalOption, setIntervalOption] = useState<string>(interval);
+  const entryLineRef = useRef<IPriceLine | null>(null);
+  const lastCandleRef = useRef<CandleRow | null>(null);
+  const firstOpenRef = useRef<number | null>(null);
+  const [resolution, setResolution] = useState<ChartResolution>(isChartResolution(interval) ? interval : '1m');
+  const [rounds, setRounds] = useState<Map<number, ChartRound>>(new Map());
+  const [priceData, setPriceData] = useState<{ price: number; change: number } | null>(null);
   const [chartError, setChartError] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [isLive, setIsLive] = useState<boolean>(false);
-  const unsubscribeRef = useRef<(() => void) | null>(null);
-  const isSubscribedRef = useRef<boolean>(false);
-  const isComponentMountedRef = useRef<boolean>(true);
-  const previousSymbolRef = useRef<string | null>(null);
-  const wsRef = useRef<WebSocket | null>(null);
-  const livePriceRef = useRef<number>(0);
-  const lastCandleTimeRef = useRef<number>(0);
-  const initializedRef = useRef<boolean>(false);
-  const pollRef = useRef<any>(null);
-
-  // Update chart with live price (define before polling to avoid TDZ issues)
-  const updateChartWithLivePrice = useCallback((price: number) => {
-    if (!isChartValid() || !seriesRef.current) return;
-
-    const now = Math.floor(Date.now() / 1000);
-    const currentTime = now - (now % 60); // Round to minute
+  const [now, setNow] = useState<number>(() => Date.now());
+  const [roundBox, setRoundBox] = useState<{ left: number; width: number } | null>(null);
+
+  const step = CHART_RESOLUTIONS[resolution];
+  const bucket = useCallback((seconds: number) => Math.floor(seconds / step) * step, [step]);
+  const currentStart = roundStartFor(timeframe, now);
+  const currentRound = useMemo(
+    () => [...rounds.values()].find((r) => r.timeframe === timeframe && r.startAt === currentStart) ?? null,
+    [rounds, timeframe, currentStart]
+  );
 
-    // If it's a new minute, create a new candle
-    if (currentTime !== lastCandleTimeRef.current) {
-      lastCandleTimeRef.current = currentTime;
-      const newCandle = {
-        time: currentTime as UTCTimestamp,
-        open: price,
-        high: price,
-        low: price,
-        close: price
-      };
-      seriesRef.current.update(newCandle);
-    } else {
-      const currentCandle = {
-        time: currentTime as UTCTimestamp,
-        open: price,
-        high: Math.max(price, livePriceRef.current),
-        low: Math.min(price, livePriceRef.current),
-        close: price
-      };
-      seriesRef.current.update(currentCandle);
-    }
+  // Create the chart once
+  useEffect(() => {
+    const container = chartContainerRef.current;
+    if (!container) return;
+    const chart = createChart(container, {
+      layout: {
+        background: { type: ColorType.Solid, color: 'transparent' },
+        textColor: 'rgba(255, 255, 255, 0.7)',
+      },
+      grid: {
+        vertLines: { color: 'rgba(255, 255, 255, 0.1)' },
+        horzLines: { color: 'rgba(255, 255, 255, 0.1)' },
+      },
+      width: container.clientWidth,
+      height: CHART_HEIGHT,
+      timeScale: { rightOffset: 12, barSpacing: 8, borderVisible: false, timeVisible: true, secondsVisible: true },
+    });
+    seriesRef.current = chart.addCandlestickSeries({
+      upColor: UP_COLOR,
+      downColor: DOWN_COLOR,
+      borderUpColor: UP_COLOR,
+      borderDownColor: DOWN_COLOR,
+      wickUpColor: UP_COLOR,
+      wickDownColor: DOWN_COLOR,
+    });
+    chartRef.current = chart;
+
+    const handleResize = () => chart.applyOptions({ width: container.clientWidth });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chart.remove();
+      chartRef.current = null;
+      seriesRef.current = null;
+      entryLineRef.current = null;
+    };
   }, []);
 
-  // Connect to live price WebSocket
-  const startPolling = useCallback(() => {
-    if (pollRef.current) return;
-    pollRef.current = setInterval(async () => {
-      if (!isComponentMountedRef.current) return;
-      try {
-        if (symbol === 'ETHUSDT') {
-          const r = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=ETHUSDT', { cache: 'no-store' });
-          if (r.ok) {
-            const j = await r.json();
-            const p = parseFloat(j?.price);
-            if (!Number.isNaN(p) && p > 0) {
-              livePriceRef.current = p;
-              setPriceData(v => ({ ...v, price: p }));
-              updateChartWithLivePrice(p);
-            }
-          }
-        } else if (symbol === 'HYPEUSDT') {
-          // Poll our internal API for a near-real-time mid price
-          const r = await fetch('/api/price-data?symbol=HYPEUSDT&interval=1h&limit=1', { cache: 'no-store' });
-          if (r.ok) {
-            const j = await r.json();
-            const c = j?.data?.[j.data.length - 1];
-            const p = c?.close;
-            if (typeof p === 'number' && p > 0 && p < 500) {
-              livePriceRef.current = p;
-              setPriceData(v => ({ ...v, price: p }));
-              updateChartWithLivePrice(p);
-            }
-          }
-        }
-      } catch {}
-    }, 2000);
-  }, [symbol, updateChartWithLivePrice]);
-
-  const connectLivePriceFeed = useCallback(() => {
-    if (wsRef.current) {
-      wsRef.current.close();
-    }
-
-    const wsUrl = symbol === 'ETHUSDT' 
-      ? 'wss://stream.binance.com:9443/ws/ethusdt@ticker'
-      : 'wss://stream.binance.com:9443/ws/ethusdt@ticker'; // Use ETH for HYPE as fallback
-
-    try {
-      const ws = new WebSocket(wsUrl);
-      wsRef.current = ws;
-
-      ws.onopen = () => {
-        console.log('Live price WebSocket connected');
-        setIsLive(true);
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          const price = parseFloat(data.c); // Current price
-          const change = parseFloat(data.P); // Price change percent
-          
-          if (price > 0) {
-            livePriceRef.current = price;
-            setPriceData({ price, change });
-            
-            // Update chart with live price
-            updateChartWithLivePrice(price);
-          }
-        } catch (error) {
-          console.error('Error parsing live price data:', error);
-        }
-      };
-
-      ws.onclose = () => {
-        console.log('Live price WebSocket disconnected');
-        setIsLive(false);
-        // Reconnect after 5 seconds
-        setTimeout(() => {
-          if (isComponentMountedRef.current) {
-            connectLivePriceFeed();
-          }
-        }, 5000);
-      };
-
-      ws.onerror = () => {
-        try { ws.close(); } catch {}
-        wsRef.current = null;
-        // Fallback to polling to keep the chart live
-        startPolling();
-      };
-    } catch (error) {
-      console.error('Error connecting to live price feed:', error);
-      startPolling();
-    }
-  }, [symbol, startPolling]);
-
-  
-
-  // Fetch current price for display
-  const fetchCurrentPrice = async (symbol: string) => {
-    try {
-      if (symbol === 'ETHUSDT') {
-        // Try multiple sources for ETH with better error handling
-        const sources = [
-          // Binance API
-          async () => {
-            const response = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=ETHUSDT', {
-              method: 'GET',
-              headers: {
-                'Accept': 'application/json',
-              },
-            });
-            if (response.ok) {
-              const data = await response.json();
-              if (data.price) {
-                return parseFloat(data.price);
-              }
-            }
-            throw new Error(`Binance API failed: ${response.status}`);
-          },
-          // CryptoCompare API (fast alternative)
-          async () => {
-            const response = await fetch('https://min-api.cryptocompare.com/data/price?fsym=ETH&tsyms=USD', {
-              method: 'GET',
-              headers: {
-                'Accept': 'application/json',
-              },
-            });
-            if (response.ok) {
-              const data = await response.json();
-              if (data.USD && typeof data.USD === 'number') {
-                return data.USD;
-              }
-            }
-            throw new Error(`CryptoCompare API failed: ${response.status}`);
-          },
-          // Our evmPrice utility
-          async () => {
-            const { fetchEthPrice } = await import('../utils/evmPrice');
-            return await fetchEthPrice();
-          }
-        ];
-
-        for (const source of sources) {
-          try {
-            const price = await source();
-            if (price && price > 0) {
-              console.log(`Successfully fetched ETH price: ${price}`);
-              return price;
-            }
-          } catch (error) {
-            console.warn('Price source failed:', error);
-          }
-        }
-        
-        console.warn('All ETH price sources failed, using default');
-        return 3200; // Default ETH price
-      } else if (symbol === 'HYPEUSDT') {
-        // Try multiple sources for HYPE
-        const sources = [
-          // Hyperliquid API
-          async () => {
-            const price = await getCurrentPrice(symbol);
-            if (price !== null && price > 0 && price < 100) { // HYPE should be < $100
-              return price;
-            }
-            throw new Error('Invalid HYPE price from Hyperliquid');
-          },
-          // Generate realistic HYPE price (since HYPE is not widely available)
-          async () => {
-            // Generate a realistic HYPE price around $54.35 with small variations
-            const basePrice = 54.35;
-            const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-            return basePrice * (1 + variation);
-          }
-        ];
-
-        for (const source of sources) {
-          try {
-            const price = await source();
-            if (price && price > 0) {
-              console.log(`Successfully fetched HYPE price: ${price}`);
-              return price;
-            }
-          } catch (error) {
-            console.warn('HYPE price source failed:', error);
-          }
-        }
-        
-        console.warn('All HYPE price sources failed, using default');
-        return 54.35; // Default HYPE price
-      }
-      return 0;
-    } catch (error) {
-      console.error('Error fetching current price:', error);
-      return symbol === 'ETHUSDT' ? 3200 : 54.35;
-    }
-  };
+  const showPrice = useCallback((last: CandleRow) => {
+    const first = firstOpenRef.current ?? last.open;
+    setPriceData({ price: last.close, change: first ? ((last.close - first) / first) * 100 : 0 });
+  }, []);
 
-  // Generate mock ETH data
-  const generateMockEthData = () => {
-    console.log('Generating mock ETH data for interval:', intervalOption);
-    const now = Date.now();
-    const mockData = [];
-    
-    // Start with current ETH price from our fetch attempt
-    const basePrice = priceData.price > 0 ? priceData.price : 3200;
-    let currentPrice = basePrice;
-    
-    let points = 200;
-    let intervalMs = 60000; // 1 minute default
-    
-    switch (intervalOption) {
-      case '1s':
-        points = 100;
-        intervalMs = 1000; // 1 second
-        break;
-      case '1m':
-        points = 100;
-        intervalMs = 60000; // 1 minute
-        break;
-      case '5m':
-        points = 100;
-        intervalMs = 300000; // 5 minutes
-        break;
-      case '15m':
-        points = 100;
-        intervalMs = 900000; // 15 minutes
-        break;
-      case '1h':
-        points = 100;
-        intervalMs = 3600000; // 1 hour
-        break;
-    }
-    
-    for (let i = 0; i < points; i++) {
-      const timestamp = now - (points - i) * intervalMs;
-      
-      // More realistic price movement
-      const priceChange = (Math.random() - 0.5) * 0.8; // ±0.4% per point
-      currentPrice = currentPrice * (1 + priceChange / 100);
-      currentPrice = Math.max(1000, currentPrice); // ETH minimum around $1000
-      
-      const volatility = 0.5 + Math.random() * 0.8; // 0.5-1.3% volatility for better visibility
-      const open = currentPrice * (1 + (Math.random() - 0.5) * volatility / 100);
-      const close = currentPrice * (1 + (Math.random() - 0.5) * volatility / 100);
-      
-      // Ensure proper candlestick shape with visible body
-      const bodyHigh = Math.max(open, close);
-      const bodyLow = Math.min(open, close);
-      const wickRange = (bodyHigh - bodyLow) * (0.2 + Math.random() * 0.6); // 20-80% of body size
-      
-      const high = bodyHigh + wickRange;
-      const low = Math.max(1000, bodyLow - wickRange);
-      
-      mockData.push({
-        time: Math.floor(timestamp / 1000) as UTCTimestamp,
-        open: parseFloat(open.toFixed(2)),
-        high: parseFloat(high.toFixed(2)),
-        low: parseFloat(low.toFixed(2)),
-        close: parseFloat(close.toFixed(2))
-      });
-    }
-    
-    return mockData;
-  };
+  const mergeRounds = useCallback((next: ChartRound[], replace: boolean) => {
+    setRounds((prev) => {
+      const merged = new Map(replace ? [] : prev);
+      for (const round of next) merged.set(round.id, round);
+      return merged;
+    });
+  }, []);
 
-  // Generate mock HYPE data
-  const generateMockHypeData = () => {
-    console.log('Generating mock HYPE data for interval:', intervalOption);
-    const now = Date.now();
-    const mockData = [];
-    
-    // Start with current HYPE price from our fetch attempt
-    const basePrice = priceData.price > 0 ? priceData.price : 54.35;
-    let currentPrice = basePrice;
-    
-    let points = 200;
-    let intervalMs = 60000; // 1 minute default
-    
-    switch (intervalOption) {
-      case '1s':
-        points = 100;
-        intervalMs = 1000; // 1 second
-        break;
-      case '1m':
-        points = 100;
-        intervalMs = 60000; // 1 minute
-        break;
-      case '5m':
-        points = 100;
-        intervalMs = 300000; // 5 minutes
-        break;
-      case '15m':
-        points = 100;
-        intervalMs = 900000; // 15 minutes
-        break;
-      case '1h':
-        points = 100;
-        intervalMs = 3600000; // 1 hour
-        break;
-    }
-    
-    for (let i = 0; i < points; i++) {
-      const timestamp = now - (points - i) * intervalMs;
-      
-      // More realistic price movement for HYPE
-      const priceChange = (Math.random() - 0.5) * 1.2; // ±0.6% per point (higher volatility)
-      currentPrice = currentPrice * (1 + priceChange / 100);
-      currentPrice = Math.max(10, currentPrice); // HYPE minimum around $10
-      
-      const volatility = 0.8 + Math.random() * 1.2; // 0.8-2.0% volatility for better visibility
-      const open = currentPrice * (1 + (Math.random() - 0.5) * volatility / 100);
-      const close = currentPrice * (1 + (Math.random() - 0.5) * volatility / 100);
-      
-      // Ensure proper candlestick shape with visible body
-      const bodyHigh = Math.max(open, close);
-      const bodyLow = Math.min(open, close);
-      const wickRange = (bodyHigh - bodyLow) * (0.3 + Math.random() * 0.7); // 30-100% of body size
-      
-      const high = bodyHigh + wickRange;
-      const low = Math.max(10, bodyLow - wickRange);
-      
-      mockData.push({
-        time: Math.floor(timestamp / 1000) as UTCTimestamp,
-        open: parseFloat(open.toFixed(4)),
-        high: parseFloat(high.toFixed(4)),
-        low: parseFloat(low.toFixed(4)),
-        close: parseFloat(close.toFixed(4))
-      });
-    }
-    
-    return mockData;
-  };
+  // Load history for the market and candle size, then keep the last candles up to date
+  useEffect(() => {
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    setIsLoading(true);
+    setChartError(null);
+    setIsLive(false);
+    lastCandleRef.current = null;
+    firstOpenRef.current = null;
+    seriesRef.current?.setData([]);
 
-  // Check if chart is still valid
-  const isChartValid = () => {
-    try {
-      return (
-        chartRef.current !== null && 
-        seriesRef.current !== null &&
-        isComponentMountedRef.current
-      );
-    } catch (e) {
-      console.error('Error in chart validity check:', e);
-      return false;
-    }
-  };
+    const toBar = (c: CandleRow) => ({ time: c.time as UTCTimestamp, open: c.open, high: c.high, low: c.low, close: c.close });
 
-  // Safe chart data update
-  const safeChartUpdate = useCallback((data: any[], forceUpdate: boolean = false) => {
-    if (isChartValid() && seriesRef.current && data.length > 0) {
+    const poll = async () => {
       try {
-        console.log(`Safe chart update for ${symbol}:`, data.length, 'data points');
-        seriesRef.current.setData(data);
-        
-        if (!forceUpdate) {
-          chartRef.current?.timeScale().fitContent();
+        const { candles, rounds: latest } = await fetchChartData(symbol, resolution, timeframe, 3);
+        if (cancelled) return;
+        for (const candle of candles) {
+          if (lastCandleRef.current && candle.time < lastCandleRef.current.time) continue;
+          seriesRef.current?.update(toBar(candle));
+          lastCandleRef.current = candle;
         }
+        if (lastCandleRef.current) showPrice(lastCandleRef.current);
+        mergeRounds(latest, false);
+        setIsLive(true);
       } catch (error) {
-        console.error('Error in safe chart update:', error);
-        setTimeout(() => {
-          if (isChartValid() && seriesRef.current && data.length > 0) {
-            try {
-              seriesRef.current.setData(data);
-            } catch (retryError) {
-              console.error('Error in retry chart update:', retryError);
-            }
-          }
-        }, 100);
-      }
-    }
-  }, [symbol]);
-
-  // Initialize chart
-  const initializeChart = useCallback(async () => {
-    console.log(`Initializing chart for symbol: ${symbol} with interval: ${intervalOption}`);
-    
-    setIsLoading(true);
-    setChartError(null);
-    
-    try {
-    if (!isComponentMountedRef.current || !chartContainerRef.current) {
-      console.log('Component not mounted or container not found, skipping chart initialization');
-      return;
-    }
-
-    if (chartContainerRef.current.clientWidth === 0 || chartContainerRef.current.clientHeight === 0) {
-      console.log('Chart container has no dimensions, retrying in 100ms');
-      setTimeout(() => {
-        if (isComponentMountedRef.current) {
-          initializeChart();
+        if (!cancelled) setIsLive(false);
+        console.warn(`[chart] ${symbol} update failed:`, error);
+      } finally {
+        if (!cancelled) {
+          setNow(Date.now());
+          timer = setTimeout(poll, POLL_MS);
         }
-      }, 100);
-      return;
-    }
-    
-    if (chartRef.current) {
-        try {
-          chartRef.current.remove();
-        } catch (e) {
-          console.warn('Error removing existing chart:', e);
-        }
-        chartRef.current = null;
-        seriesRef.current = null;
       }
+    };
 
-      const currentWidth = chartContainerRef.current.clientWidth;
-      const currentHeight = 400;
-      
-      const chart = createChart(chartContainerRef.current, {
-        layout: {
-          background: { type: ColorType.Solid, color: 'transparent' },
-          textColor: 'rgba(255, 255, 255, 0.7)',
-        },
-        grid: {
-          vertLines: { color: 'rgba(255, 255, 255, 0.1)' },
-          horzLines: { color: 'rgba(255, 255, 255, 0.1)' },
-        },
-        width: currentWidth,
-        height: currentHeight,
-        handleScroll: {
-          mouseWheel: true,
-          pressedMouseMove: true,
-          horzTouchDrag: true,
-          vertTouchDrag: true,
-        },
-        handleScale: {
-          axisPressedMouseMove: true,
-          mouseWheel: true,
-          pinch: true,
-        },
-      });
-
-      chartRef.current = chart;
-
-          const seriesOptions = {
-            upColor: '#26a69a',
-            downColor: '#ef5350',
-            borderVisible: true,
-            borderUpColor: '#26a69a',
-            borderDownColor: '#ef5350',
-            wickUpColor: '#26a69a',
-            wickDownColor: '#ef5350',
-            // keep options minimal to avoid v4/v5 assertion edge-cases
-          } as const;
-
-          // Support both v4 (addCandlestickSeries) and v5 (addSeries({ type: 'Candlestick' }))
-          let series: any;
-          try {
-            const anyChart: any = chart as any;
-            if (typeof anyChart.addCandlestickSeries === 'function') {
-              series = anyChart.addCandlestickSeries(seriesOptions);
-            } else if (typeof anyChart.addSeries === 'function') {
-              series = anyChart.addSeries({ type: 'Candlestick' });
-              series.applyOptions(seriesOptions);
-            } else {
-              throw new Error('Unsupported Lightweight Charts API: no addSeries method available');
-            }
-          } catch (e) {
-            console.warn('Primary series creation failed, retrying with bare options:', e);
-            // Retry once with bare creation
-            const anyChart: any = chart as any;
-            if (typeof anyChart.addCandlestickSeries === 'function') {
-              series = anyChart.addCandlestickSeries();
-            } else if (typeof anyChart.addSeries === 'function') {
-              series = anyChart.addSeries({ type: 'Candlestick' });
-            } else {
-              throw e;
-            }
-            try { series.applyOptions(seriesOptions); } catch {}
-          }
-      
-          seriesRef.current = series;
-      
-      chart.timeScale().applyOptions({
-        rightOffset: 12,
-        barSpacing: 12, // Increased further for wider candlesticks
-        fixLeftEdge: false, // Allow scrolling to see all data
-        lockVisibleTimeRangeOnResize: false, // Allow time range to adjust
-        rightBarStaysOnScroll: true,
-        borderVisible: false,
-        borderColor: '#fff000',
-        visible: true,
-        timeVisible: true,
-        secondsVisible: false,
-      });
-
-      // Defer visible range adjustments until after data is set to avoid null assertions
-
-      // Load chart data
-      await refreshChartData();
-      
-      // Connect to live price feed
-      connectLivePriceFeed();
-      
-    } catch (error) {
-      console.error('Chart initialization failed:', error);
-      if (isComponentMountedRef.current) {
-        setChartError(`Failed to initialize chart: ${error instanceof Error ? error.message : 'Unknown error'}`);
-      }
-    } finally {
-      if (isComponentMountedRef.current) {
+    fetchChartData(symbol, resolution, timeframe, HISTORY_CANDLES)
+      .then(({ candles, rounds: history }) => {
+        if (cancelled) return;
+        seriesRef.current?.setData(candles.map(toBar));
+        chartRef.current?.timeScale().scrollToRealTime();
+        lastCandleRef.current = candles[candles.length - 1] ?? null;
+        firstOpenRef.current = candles[0]?.open ?? null;
+        if (lastCandleRef.current) showPrice(lastCandleRef.current);
+        else setChartError(`No oracle ticks for ${symbol} yet`);
+        mergeRounds(history, true);
+      })
+      .catch((error) => {
+        if (!cancelled) setChartError(`Error loading data for ${symbol}: ${(error as Error).message}`);
+      })
+      .finally(() => {
+        if (cancelled) return;
         setIsLoading(false);
-      }
-    }
-  }, [symbol, intervalOption]);
-  
-  // Refresh chart data
-  const refreshChartData = async () => {
-    try {
-      let formattedData: any[] = [];
-      let isUsingMockData = false;
-      
-      console.log(`Fetching chart data for ${symbol} with interval ${intervalOption}`);
-      
-      if (symbol === 'HYPEUSDT') {
-        // Try multiple data sources for HYPE with better error handling
-        const dataSources = [
-          // Our internal API route (most reliable)
-          async () => {
-            console.log('Trying internal API for HYPE...');
-            const response = await fetch(`/api/price-data?symbol=HYPEUSDT&interval=1h&limit=100`, {
-              method: 'GET',
-              headers: { 'Accept': 'application/json' }
-            });
-            
-            if (!response.ok) {
-              throw new Error(`Internal API failed: ${response.status}`);
-            }
-            
-            const apiData = await response.json();
-            if (apiData.data && apiData.data.length > 0) {
-              return apiData.data.map((candle: any) => ({
-                time: candle.time as UTCTimestamp,
-                open: candle.open,
-                high: candle.high,
-                low: candle.low,
-                close: candle.close
-              }));
-            }
-            throw new Error('No data from internal API');
-          },
-          // Hyperliquid API
-          async () => {
-            console.log('Trying Hyperliquid API for HYPE...');
-            const candles = await fetchHistoricalCandles(symbol, intervalOption);
-            if (candles && candles.length > 0) {
-              const avgPrice = candles.reduce((sum, candle) => sum + candle.close, 0) / candles.length;
-              
-              if (avgPrice > 100) {
-                throw new Error(`Invalid HYPE price detected: ${avgPrice} (too high)`);
-              }
-              
-              return candles.map(candle => ({
-                time: (typeof candle.time === 'number' ? 
-                         (candle.time > 10000000000 ? Math.floor(candle.time / 1000) : candle.time) : 
-                       Math.floor(new Date(candle.time).getTime() / 1000)) as UTCTimestamp,
-                open: typeof candle.open === 'number' ? parseFloat(candle.open.toFixed(4)) : candle.open,
-                high: typeof candle.high === 'number' ? parseFloat(candle.high.toFixed(4)) : candle.high,
-                low: typeof candle.low === 'number' ? parseFloat(candle.low.toFixed(4)) : candle.low,
-                close: typeof candle.close === 'number' ? parseFloat(candle.close.toFixed(4)) : candle.close
-              }));
-            }
-            throw new Error('No candle data from Hyperliquid');
-          },
-          // Generate realistic HYPE data (since HYPE is not widely available on major APIs)
-          async () => {
-            console.log('Generating realistic HYPE data...');
-            const now = Math.floor(Date.now() / 1000);
-            const basePrice = 54.35; // HYPE base price
-            const candles = [];
-            
-            for (let i = 23; i >= 0; i--) {
-              const time = now - (i * 3600); // 1 hour intervals
-              const priceVariation = (Math.random() - 0.5) * 0.02; // ±1% variation
-              const price = basePrice * (1 + priceVariation);
-              
-              const open = price;
-              const close = price * (1 + (Math.random() - 0.5) * 0.01);
-              const high = Math.max(open, close) * (1 + Math.random() * 0.005);
-              const low = Math.min(open, close) * (1 - Math.random() * 0.005);
-              
-              candles.push({
-                time: time as UTCTimestamp,
-                open: parseFloat(open.toFixed(4)),
-                high: parseFloat(high.toFixed(4)),
-                low: parseFloat(low.toFixed(4)),
-                close: parseFloat(close.toFixed(4))
-              });
-            }
-            return candles;
-          }
-        ];
-
-        // Try each data source
-        for (const source of dataSources) {
-          try {
-            formattedData = await source();
-            if (formattedData && formattedData.length > 0) {
-              console.log(`Successfully fetched HYPE data: ${formattedData.length} candles`);
-              break;
-            }
-          } catch (error) {
-            console.warn('HYPE data source failed:', error);
-          }
-        }
-
-        // Fallback to mock data if all sources fail
-        if (!formattedData || formattedData.length === 0) {
-          console.log('All HYPE data sources failed, using mock data');
-          const mockCandles = generateMockHypeData();
-          formattedData = mockCandles.map(candle => ({
-            time: candle.time as UTCTimestamp,
-            open: parseFloat(candle.open.toFixed(4)),
-            high: parseFloat(candle.high.toFixed(4)),
-            low: parseFloat(candle.low.toFixed(4)),
-            close: parseFloat(candle.close.toFixed(4))
-          }));
-          isUsingMockData = true;
-        }
-      } else if (symbol === 'ETHUSDT') {
-        // Try multiple data sources for ETH with better error handling
-        const dataSources = [
-          // Our internal API route (most reliable)
-          async () => {
-            console.log('Trying internal API for ETH...');
-            const response = await fetch(`/api/price-data?symbol=ETHUSDT&interval=1h&limit=100`, {
-              method: 'GET',
-              headers: { 'Accept': 'application/json' }
-            });
-            
-            if (!response.ok) {
-              throw new Error(`Internal API failed: ${response.status}`);
-            }
-            
-            const apiData = await response.json();
-            if (apiData.data && apiData.data.length > 0) {
-              return apiData.data.map((candle: any) => ({
-                time: candle.time as UTCTimestamp,
-                open: candle.open,
-                high: candle.high,
-                low: candle.low,
-                close: candle.close
-              }));
-            }
-            throw new Error('No data from internal API');
-          },
-          // Binance API (direct)
-          async () => {
-            console.log('Trying Binance API for ETH...');
-            const response = await fetch(`https://api.binance.com/api/v3/klines?symbol=ETHUSDT&interval=1h&limit=24`, {
-              method: 'GET',
-              headers: { 'Accept': 'application/json' }
-            });
-            
-            if (!response.ok) {
-              throw new Error(`Binance API failed: ${response.status}`);
-            }
-            
-            const binanceData = await response.json();
-            if (binanceData && binanceData.length > 0) {
-              return binanceData.map((kline: any[]) => ({
-                time: Math.floor(kline[0] / 1000) as UTCTimestamp,
-                open: parseFloat(kline[1]),
-                high: parseFloat(kline[2]),
-                low: parseFloat(kline[3]),
-                close: parseFloat(kline[4])
-              }));
-            }
-            throw new Error('No data from Binance');
-          },
-          // CryptoCompare API (fast alternative)
-          async () => {
-            console.log('Trying CryptoCompare API for ETH...');
-            const response = await fetch(`https://min-api.cryptocompare.com/data/v2/histohour?fsym=ETH&tsym=USDT&limit=24`, {
-              method: 'GET',
-              headers: { 'Accept': 'application/json' }
-            });
-            
-            if (!response.ok) {
-              throw new Error(`CryptoCompare API failed: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            if (data.Data && data.Data.Data && data.Data.Data.length > 0) {
-              return data.Data.Data.map((item: any) => ({
-                time: item.time as UTCTimestamp,
-                open: item.open,
-                high: item.high,
-                low: item.low,
-                close: item.close
-              }));
-            }
-            throw new Error('No price data from CryptoCompare');
-          },
-          // evmPrice utility
-          async () => {
-            console.log('Trying evmPrice utility for ETH...');
-            const { fetchPriceHistory } = await import('../utils/evmPrice');
-            const priceHistory = await fetchPriceHistory('ethereum', 1);
-            
-            if (priceHistory && priceHistory.length > 0) {
-              const candles = [];
-              for (let i = 0; i < priceHistory.length; i++) {
-                const current = priceHistory[i];
-                const previous = i > 0 ? priceHistory[i - 1] : current;
-                
-                const open = previous.price;
-                const close = current.price;
-                const high = Math.max(open, close) * (1 + Math.random() * 0.005);
-                const low = Math.max(100, Math.min(open, close) * (1 - Math.random() * 0.005));
-                
-                candles.push({
-                  time: (current.timestamp / 1000) as UTCTimestamp,
-                  open: open,
-                  high: high,
-                  low: low,
-                  close: close
-                });
-              }
-              return candles;
-            }
-            throw new Error('No price history data from evmPrice utility');
-          }
-        ];
-
-        // Try each data source
-        for (const source of dataSources) {
-          try {
-            formattedData = await source();
-            if (formattedData && formattedData.length > 0) {
-              console.log(`Successfully fetched ETH data: ${formattedData.length} candles`);
-              break;
-            }
-          } catch (error) {
-            console.warn('ETH data source failed:', error);
-          }
-        }
-
-        // Fallback to mock data if all sources fail
-        if (!formattedData || formattedData.length === 0) {
-          console.log('All ETH data sources failed, using mock data');
-          formattedData = generateMockEthData();
-          isUsingMockData = true;
-        }
-      }
-
-      // Sort and deduplicate data
-      const sortedData = formattedData
-        .sort((a, b) => (a.time as number) - (b.time as number))
-        .filter((candle, index, self) => {
-          if (index === 0) return true;
-          return candle.time !== self[index - 1].time;
-        })
-        .map(candle => {
-          // Ensure proper OHLC values for candlestick display
-          let open = parseFloat(candle.open) || 0;
-          let high = parseFloat(candle.high) || 0;
-          let low = parseFloat(candle.low) || 0;
-          let close = parseFloat(candle.close) || 0;
-          
-          // Ensure high is the highest and low is the lowest
-          const actualHigh = Math.max(open, high, close);
-          const actualLow = Math.min(open, low, close);
-          
-          // Ensure minimum body size for visibility (0.1% of price)
-          const minBodySize = actualHigh * 0.001; // 0.1% of high price
-          const bodySize = Math.abs(close - open);
-          
-          if (bodySize < minBodySize) {
-            // If body is too small, create a visible body
-            const adjustment = minBodySize / 2;
-            if (close > open) {
-              close = open + minBodySize;
-            } else {
-              open = close + minBodySize;
-            }
-          }
-          
-          return {
-            time: candle.time,
-            open: open,
-            high: actualHigh,
-            low: actualLow,
-            close: close
-          };
-        });
-
-      console.log(`Chart data prepared for ${symbol}:`, sortedData.length, 'candles');
-      console.log('Sample candle data:', sortedData.slice(0, 3));
-      
-      if (sortedData.length > 0) {
-        safeChartUpdate(sortedData, true);
-        
-        // Force chart to redraw after data is loaded (only if still mounted)
-        setTimeout(() => {
-          try {
-            if (!isComponentMountedRef.current) return;
-            const chart = chartRef.current;
-            if (!chart) return;
-            const ts = chart.timeScale?.();
-            if (!ts) return;
-            ts.fitContent?.();
-            const vr = ts.getVisibleRange?.();
-            if (vr && typeof vr.from === 'number' && typeof vr.to === 'number') {
-              ts.setVisibleRange?.({
-                from: vr.from - (vr.to - vr.from) * 0.5,
-                to: vr.to,
-              });
-            }
-          } catch {}
-        }, 100);
-        
-        if (isUsingMockData) {
-          setChartError(`Using mock data for ${symbol} - API unavailable`);
-          console.log(`Using mock data for ${symbol}`);
-        } else {
-          setChartError(null);
-          console.log(`Using real data for ${symbol}`);
-        }
-      } else {
-        setChartError(`No data available for ${symbol}`);
-        console.error(`No data available for ${symbol}`);
-      }
-
-      } catch (error) {
-      console.error('Error refreshing chart data:', error);
-      setChartError(`Error loading data for ${symbol}`);
-    }
-  };
-
-  // Initialize chart on mount
-  useEffect(() => {
-    console.log(`Chart component mounted for ${symbol}`);
-    isComponentMountedRef.current = true;
-    
-    // Add a small delay to ensure DOM is ready
-    const timer = setTimeout(() => {
-      if (isComponentMountedRef.current && !initializedRef.current) {
-        initializedRef.current = true;
-        initializeChart();
-      }
-    }, 100);
+        timer = setTimeout(poll, POLL_MS);
+      });
 
     return () => {
-      console.log(`Chart component unmounting for ${symbol}`);
-      isComponentMountedRef.current = false;
-      initializedRef.current = false;
-      clearTimeout(timer);
-      if (unsubscribeRef.current) {
-          unsubscribeRef.current();
-      }
-      if (wsRef.current) {
-        wsRef.current.close();
-        wsRef.current = null;
-      }
-      if (pollRef.current) {
-        clearInterval(pollRef.current);
-        pollRef.current = null;
-      }
-      if (chartRef.current) {
-        chartRef.current.remove();
-      }
+      cancelled = true;
+      if (timer) clearTimeout(timer);
     };
-  }, [initializeChart]);
+  }, [symbol, resolution, timeframe, showPrice, mergeRounds]);
 
-  // Handle interval changes
+  // Settlement prices of past rounds and the player's bets, as markers
   useEffect(() => {
-    if (previousSymbolRef.current !== symbol || isComponentMountedRef.current) {
-      previousSymbolRef.current = symbol;
-      if (isChartValid() && seriesRef.current) {
-        seriesRef.current.setData([]);
-      }
-      refreshChartData();
+    const series = seriesRef.current;
+    if (!series) return;
+    const markers: SeriesMarker<Time>[] = [];
+    for (const round of rounds.values()) {
+      if (round.timeframe !== timeframe || round.endPrice === null || round.status === 'open') continue;
+      const color = round.status === 'void' ? VOID_COLOR : round.winningSide === 'up' ? UP_COLOR : DOWN_COLOR;
+      markers.push({ time: bucket(round.endAt) as UTCTimestamp, position: 'aboveBar', shape: 'circle', color, text: `#${round.id} ${round.endPrice}` });
+    }
+    for (const bet of bets) {
+      if (bet.timeframe !== timeframe) continue;
+      const up = bet.side === 'up';
+      markers.push({
+        time: bucket(bet.roundStart) as UTCTimestamp,
+        position: up ? 'belowBar' : 'aboveBar',
+        shape: up ? 'arrowUp' : 'arrowDown',
+        color: up ? UP_COLOR : DOWN_COLOR,
+        text: `${bet.side.toUpperCase()} ${bet.label}`,
+      });
     }
-  }, [symbol, intervalOption]);
+    markers.sort((a, b) => (a.time as number) - (b.time as number));
+    series.setMarkers(markers);
+  }, [rounds, bets, timeframe, bucket]);
 
-  // Fetch current price and change
+  // The current round's official entry price, once the server has recorded it
   useEffect(() => {
-    const updatePriceData = async () => {
-      try {
-        const price = await fetchCurrentPrice(symbol);
-        const change = Math.random() * 2 - 1; // Mock change for now
-        
-    if (isComponentMountedRef.current) {
-          setPriceData({ price, change });
-        }
-      } catch (error) {
-        console.error('Error updating price data:', error);
-      }
-    };
-
-    updatePriceData();
-  }, [symbol]);
+    const series = seriesRef.current;
+    if (!series) return;
+    if (entryLineRef.current) {
+      series.removePriceLine(entryLineRef.current);
+      entryLineRef.current = null;
+    }
+    if (currentRound?.startPrice != null) {
+      entryLineRef.current = series.createPriceLine({
+        price: currentRound.startPrice,
+        color: ENTRY_COLOR,
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: true,
+        title: `ENTRY #${currentRound.id}`,
+      });
+    }
+  }, [currentRound?.id, currentRound?.startPrice]);
+
+  // Shades the current round's window; its end is usually past the last candle, so extrapolate by bar spacing
+  const layoutRoundBox = useCallback(() => {
+    const chart = chartRef.current;
+    const last = lastCandleRef.current;
+    if (!chart || !last) return setRoundBox(null);
+    const timeScale = chart.timeScale();
+    const lastX = timeScale.timeToCoordinate(last.time as UTCTimestamp);
+    if (lastX === null) return setRoundBox(null);
+    const spacing = timeScale.options().barSpacing;
+    const x = (seconds: number) => timeScale.timeToCoordinate(bucket(seconds) as UTCTimestamp) ?? lastX + ((bucket(seconds) - last.time) / step) * spacing;
+    const left = Math.max(0, x(currentStart) - spacing / 2);
+    const right = Math.min(timeScale.width(), x(currentStart + timeframe) - spacing / 2);
+    setRoundBox(right > left ? { left, width: right - left } : null);
+  }, [bucket, step, currentStart, timeframe]);
 
-  // Handle window resize
   useEffect(() => {
-    const handleResize = () => {
-      try {
-        if (!isComponentMountedRef.current) return;
-        const chart = chartRef.current;
-        const container = chartContainerRef.current;
-        if (chart && container) {
-          const newWidth = container.clientWidth;
-          chart.applyOptions({ width: newWidth, height: 400 });
-          const ts = chart.timeScale?.();
-          ts?.fitContent?.();
-        }
-      } catch {}
-    };
+    layoutRoundBox();
+    const timeScale = chartRef.current?.timeScale();
+    timeScale?.subscribeVisibleLogicalRangeChange(layoutRoundBox);
+    return () => timeScale?.unsubscribeVisibleLogicalRangeChange(layoutRoundBox);
+  }, [layoutRoundBox, now]);
 
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, []);
+  const decimals = symbol === 'ETHUSDT' ? 2 : 4;
+  const secondsLeft = Math.max(0, currentStart + timeframe - Math.floor(now / 1000));
 
   return (
     <div className="w-full h-full">
@@ -978,10 +259,12 @@ const CandlestickChart: React.FC<CandlestickChartProps> = ({ symbol, interval })
         <div className="flex items-center gap-4">
           <h3 className="pixel-font text-lg font-bold">{symbol}</h3>
           <div className="pixel-font text-sm">
-            ${priceData.price.toFixed(symbol === 'ETHUSDT' ? 2 : 4)}
-            <span className={`ml-2 ${priceData.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-              {priceData.change >= 0 ? '+' : ''}{priceData.change.toFixed(2)}%
-            </span>
+            {priceData ? `$${priceData.price.toFixed(decimals)}` : '-'}
+            {priceData && (
+              <span className={`ml-2 ${priceData.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {priceData.change >= 0 ? '+' : ''}{priceData.change.toFixed(2)}%
+              </span>
+            )}
             {isLive && (
               <span className="ml-2 inline-flex items-center gap-1">
                 <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
@@ -990,26 +273,32 @@ const CandlestickChart: React.FC<CandlestickChartProps> = ({ symbol, interval })
             )}
           </div>
         </div>
-        
+
         <select
-          value={intervalOption}
-          onChange={(e) => setIntervalOption(e.target.value)}
+          value={resolution}
+          onChange={(e) => setResolution(e.target.value as ChartResolution)}
           className="pixel-font bg-gray-800 border border-gray-600 rounded px-3 py-1 text-sm"
         >
-          <option value="1s">1s</option>
-          <option value="1m">1m</option>
-          <option value="5m">5m</option>
-          <option value="15m">15m</option>
-          <option value="1h">1h</option>
+          {Object.keys(CHART_RESOLUTIONS).map((r) => (
+            <option key={r} value={r}>{r}</option>
+          ))}
         </select>
       </div>
-      
+
+      <div className="pixel-font text-xs text-gray-400 mb-2 flex flex-wrap gap-4">
+        <span>Round {currentRound ? `#${currentRound.id}` : ''} ends in {secondsLeft}s</span>
+        <span style={{ color: ENTRY_COLOR }}>
+          Entry: {currentRound?.startPrice != null ? currentRound.startPrice : 'set by the first bet'}
+        </span>
+        <span>● settlement price of past rounds</span>
+      </div>
+
       {chartError && (
         <div className="pixel-font text-yellow-400 text-sm mb-2 p-2 bg-yellow-900 bg-opacity-20 rounded">
           <div className="font-bold">⚠️ Chart Status:</div>
           <div>{chartError}</div>
           <div className="text-xs mt-1 opacity-75">
-            {symbol} • {intervalOption} • {new Date().toLocaleTimeString()}
+            {symbol} • {resolution} • {new Date(now).toLocaleTimeString()}
           </div>
         </div>
       )}
@@ -1020,15 +309,21 @@ const CandlestickChart: React.FC<CandlestickChartProps> = ({ symbol, interval })
             <div className="pixel-font text-white">Loading chart...</div>
           </div>
         )}
-        
-        <div 
-          ref={chartContainerRef} 
+        {roundBox && (
+          <div
+            className="absolute top-0 pointer-events-none z-[1] border-x border-yellow-400/40 bg-yellow-400/10"
+            style={{ left: roundBox.left, width: roundBox.width, height: CHART_HEIGHT }}
+          />
+        )}
+
+        <div
+          ref={chartContainerRef}
           className="w-full h-96 border border-gray-700 rounded"
-          style={{ minHeight: '400px' }}
+          style={{ minHeight: `${CHART_HEIGHT}px` }}
         />
       </div>
     </div>
   );
 };
 
-export default CandlestickChart;
\ No newline at end of file
+export default CandlestickChart;
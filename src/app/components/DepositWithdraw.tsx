@@ -1,29 +1,31 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { usePredictionGameContract } from "../utils/evmContract";
-import { useAccount } from "wagmi";
-import { ethers } from "ethers";
+import { useAccount, useWalletClient } from "wagmi";
+import { depositToVaultWithWallet, depositTokenToVaultWithWallet } from "../utils/vault";
+import { offchainConfirmDeposit, offchainGetProfile, offchainRequestWithdrawal } from "../utils/offchainClient";
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, formatAssetAmount, getAsset, parseAssetAmount } from "@/lib/assets";
 
+// Per-asset figures from the off-chain profile, in base units
 interface PlayerProfile {
   balance: bigint;
-  gamesPlayed: bigint;
-  gamesWon: bigint;
+  gamesPlayed: number;
+  gamesWon: number;
   totalWagered: bigint;
   totalPayout: bigint;
 }
 
+const QUICK_DEPOSITS: Record<string, string[]> = {
+  ETH: ["0.01", "0.1"],
+  USDC: ["10", "100"],
+};
+
 export default function DepositWithdraw() {
   const { address, isConnected } = useAccount();
-  const {
-    deposit,
-    withdraw,
-    getPlayerProfile,
-    formatEther,
-    parseEther,
-    isConnected: contractConnected
-  } = usePredictionGameContract();
+  const { data: walletClient } = useWalletClient();
 
+  const [assetSymbol, setAssetSymbol] = useState(DEFAULT_ASSET);
+  const asset = getAsset(assetSymbol) ?? COLLATERAL_ASSETS[0];
   const [depositAmount, setDepositAmount] = useState("");
   const [withdrawAmount, setWithdrawAmount] = useState("");
   const [playerProfile, setPlayerProfile] = useState<PlayerProfile | null>(null);
@@ -36,8 +38,15 @@ export default function DepositWithdraw() {
     if (!isConnected || !address) return;
     
     try {
-      const profile = await getPlayerProfile();
-      setPlayerProfile(profile);
+      const profile = await offchainGetProfile(address);
+      const row = (profile?.balances ?? []).find((b: { asset: string }) => b.asset === asset.symbol);
+      setPlayerProfile({
+        balance: BigInt(row?.available ?? "0"),
+        gamesPlayed: profile?.stats?.gamesPlayed ?? 0,
+        gamesWon: profile?.stats?.gamesWon ?? 0,
+        totalWagered: BigInt(row?.wagered ?? "0"),
+        totalPayout: BigInt(row?.payout ?? "0"),
+      });
     } catch (error) {
       console.error("Error fetching player profile:", error);
     }
@@ -45,7 +54,13 @@ export default function DepositWithdraw() {
 
   // Handle deposit
   const handleDeposit = async () => {
-    if (!depositAmount || parseFloat(depositAmount) <= 0) {
+    let units = BigInt(0);
+    try {
+      units = parseAssetAmount(depositAmount, asset);
+    } catch {
+      // reported below
+    }
+    if (units <= BigInt(0)) {
       setError("Please enter a valid deposit amount");
       return;
     }
@@ -55,8 +70,13 @@ export default function DepositWithdraw() {
     setSuccess("");
 
     try {
-      const txHash = await deposit(depositAmount);
-      setSuccess(`Deposit successful! Transaction: ${txHash}`);
+      const txHash = asset.token
+        ? await depositTokenToVaultWithWallet(walletClient, asset.token, units)
+        : await depositToVaultWithWallet(walletClient, depositAmount);
+      const credit = await offchainConfirmDeposit(txHash);
+      setSuccess(credit?.pending
+        ? `Deposit confirming; it will be credited automatically. Transaction: ${txHash}`
+        : `Deposit successful! Transaction: ${txHash}`);
       setDepositAmount("");
       
       // Refresh player profile
@@ -72,7 +92,13 @@ export default function DepositWithdraw() {
 
   // Handle withdraw
   const handleWithdraw = async () => {
-    if (!withdrawAmount || parseFloat(withdrawAmount) <= 0) {
+    let withdrawUnits = BigInt(0);
+    try {
+      withdrawUnits = parseAssetAmount(withdrawAmount, asset);
+    } catch {
+      // reported below
+    }
+    if (withdrawUnits <= BigInt(0)) {
       setError("Please enter a valid withdraw amount");
       return;
     }
@@ -82,8 +108,7 @@ export default function DepositWithdraw() {
       return;
     }
 
-    const withdrawAmountWei = parseEther(withdrawAmount);
-    if (withdrawAmountWei > playerProfile.balance) {
+    if (withdrawUnits > playerProfile.balance) {
       setError("Insufficient balance");
       return;
     }
@@ -93,8 +118,9 @@ export default function DepositWithdraw() {
     setSuccess("");
 
     try {
-      const txHash = await withdraw(withdrawAmount);
-      setSuccess(`Withdrawal successful! Transaction: ${txHash}`);
+      // Queued; the vault pays it out in the background (see the withdraw page for its status)
+      const { withdrawal } = await offchainRequestWithdrawal(withdrawUnits.toString(), asset.symbol);
+      setSuccess(`Withdrawal #${withdrawal.id} of ${withdrawAmount} ${asset.symbol} requested`);
       setWithdrawAmount("");
       
       // Refresh player profile
@@ -113,7 +139,7 @@ export default function DepositWithdraw() {
     if (isConnected && address) {
       fetchPlayerProfile();
     }
-  }, [isConnected, address]);
+  }, [isConnected, address, assetSymbol]);
 
   if (!isConnected) {
     return (
@@ -124,23 +150,41 @@ export default function DepositWithdraw() {
     );
   }
 
-  const balance = playerProfile ? parseFloat(formatEther(playerProfile.balance)) : 0;
-  const gamesPlayed = playerProfile ? Number(playerProfile.gamesPlayed) : 0;
-  const gamesWon = playerProfile ? Number(playerProfile.gamesWon) : 0;
-  const totalWagered = playerProfile ? parseFloat(formatEther(playerProfile.totalWagered)) : 0;
-  const totalPayout = playerProfile ? parseFloat(formatEther(playerProfile.totalPayout)) : 0;
+  const toNumber = (units: bigint) => Number(units) / 10 ** asset.decimals;
+  const balance = playerProfile ? toNumber(playerProfile.balance) : 0;
+  const gamesPlayed = playerProfile?.gamesPlayed ?? 0;
+  const gamesWon = playerProfile?.gamesWon ?? 0;
+  const totalWagered = playerProfile ? toNumber(playerProfile.totalWagered) : 0;
+  const totalPayout = playerProfile ? toNumber(playerProfile.totalPayout) : 0;
+  const digits = asset.displayDecimals;
 
   return (
     <div className="pixel-card p-6">
       <h3 className="text-lg font-semibold mb-4 font-mono uppercase tracking-wider">Deposit & Withdraw</h3>
-      
+
+      {/* Asset */}
+      {COLLATERAL_ASSETS.length > 1 && (
+        <div className="mb-4 flex gap-2">
+          {COLLATERAL_ASSETS.map((a) => (
+            <button
+              key={a.symbol}
+              onClick={() => { setAssetSymbol(a.symbol); setDepositAmount(""); setWithdrawAmount(""); }}
+              className={`pixel-tag px-3 py-1 text-sm font-mono transition-colors cursor-pointer ${a.symbol === asset.symbol ? "bg-purple-700 text-white" : "hover:bg-gray-700"}`}
+              disabled={loading}
+            >
+              {a.symbol}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Player Stats */}
       <div className="mb-6 p-4 pixel-card--soft">
         <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Your Profile</h4>
         <div className="grid grid-cols-2 gap-4 text-sm">
           <div>
             <span className="text-gray-400 font-mono text-xs">Deposit Balance:</span>
-            <div className="font-bold text-green-400 font-mono">{balance.toFixed(4)} ETH</div>
+            <div className="font-bold text-green-400 font-mono">{balance.toFixed(digits)} {asset.symbol}</div>
           </div>
           <div>
             <span className="text-gray-400 font-mono text-xs">Games Played:</span>
@@ -158,18 +202,18 @@ export default function DepositWithdraw() {
           </div>
           <div>
             <span className="text-gray-400 font-mono text-xs">Total Wagered:</span>
-            <div className="font-bold font-mono">{totalWagered.toFixed(4)} ETH</div>
+            <div className="font-bold font-mono">{totalWagered.toFixed(digits)} {asset.symbol}</div>
           </div>
           <div>
             <span className="text-gray-400 font-mono text-xs">Total Payout:</span>
-            <div className="font-bold text-yellow-400 font-mono">{totalPayout.toFixed(4)} ETH</div>
+            <div className="font-bold text-yellow-400 font-mono">{totalPayout.toFixed(digits)} {asset.symbol}</div>
           </div>
         </div>
       </div>
 
       {/* Deposit Section */}
       <div className="mb-6">
-        <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Deposit ETH</h4>
+        <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Deposit {asset.symbol}</h4>
         <div className="flex gap-3">
           <input
             type="number"
@@ -177,7 +221,7 @@ export default function DepositWithdraw() {
             onChange={(e) => setDepositAmount(e.target.value)}
             placeholder="0.00"
             className="flex-1 bg-gray-800 border-2 border-gray-600 rounded-none px-4 py-3 text-white focus:border-purple-400 focus:outline-none font-mono"
-            step="0.001"
+            step={asset.token ? "0.01" : "0.001"}
             min="0"
           />
           <button
@@ -192,7 +236,7 @@ export default function DepositWithdraw() {
 
       {/* Withdraw Section */}
       <div className="mb-6">
-        <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Withdraw ETH</h4>
+        <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Withdraw {asset.symbol}</h4>
         <div className="flex gap-3">
           <input
             type="number"
@@ -200,7 +244,7 @@ export default function DepositWithdraw() {
             onChange={(e) => setWithdrawAmount(e.target.value)}
             placeholder="0.00"
             className="flex-1 bg-gray-800 border-2 border-gray-600 rounded-none px-4 py-3 text-white focus:border-orange-400 focus:outline-none font-mono"
-            step="0.001"
+            step={asset.token ? "0.01" : "0.001"}
             min="0"
             max={balance}
           />
@@ -213,7 +257,7 @@ export default function DepositWithdraw() {
           </button>
         </div>
         <div className="text-xs text-gray-400 mt-2 font-mono">
-          Available: {balance.toFixed(4)} ETH
+          Available: {balance.toFixed(digits)} {asset.symbol}
         </div>
       </div>
 
@@ -221,20 +265,17 @@ export default function DepositWithdraw() {
       <div className="mb-4">
         <h4 className="text-md font-medium mb-3 font-mono uppercase tracking-wide">Quick Actions</h4>
         <div className="flex gap-2">
+          {(QUICK_DEPOSITS[asset.symbol] ?? []).map((quick) => (
+            <button
+              key={quick}
+              onClick={() => setDepositAmount(quick)}
+              className="pixel-tag px-3 py-1 text-sm hover:bg-gray-700 transition-colors cursor-pointer"
+            >
+              {quick} {asset.symbol}
+            </button>
+          ))}
           <button
-            onClick={() => setDepositAmount("0.01")}
-            className="pixel-tag px-3 py-1 text-sm hover:bg-gray-700 transition-colors cursor-pointer"
-          >
-            0.01 ETH
-          </button>
-          <button
-            onClick={() => setDepositAmount("0.1")}
-            className="pixel-tag px-3 py-1 text-sm hover:bg-gray-700 transition-colors cursor-pointer"
-          >
-            0.1 ETH
-          </button>
-          <button
-            onClick={() => setWithdrawAmount(balance.toString())}
+            onClick={() => setWithdrawAmount(playerProfile ? formatAssetAmount(playerProfile.balance, asset) : "0")}
             className="pixel-tag px-3 py-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-700 transition-colors"
             disabled={balance <= 0}
           >
@@ -70,6 +70,10 @@ export function EnhancedWalletConnect() {
     formatAddress,
     switchToSepoliaChain,
     refetchEthBalance,
+    isAuthenticated,
+    isSigningIn,
+    authError,
+    signIn,
   } = useEnhancedWalletConnection();
   
   const [isOpen, setIsOpen] = useState(false);
@@ -274,6 +278,19 @@ export function EnhancedWalletConnect() {
                   <div className="px-3 py-2 text-sm font-bold text-white border-b-2 border-gray-700 tracking-widest">
                     WALLET MENU
                   </div>
+                  {!isAuthenticated && (
+                    <button
+                      onClick={() => { signIn(); }}
+                      disabled={isSigningIn}
+                      className={pixelMenuButtonClass}
+                    >
+                      {isSigningIn ? <Loader2 size={18} className="animate-spin" /> : <CheckCircle size={18} />}
+                      <span>{isSigningIn ? 'Check your wallet...' : 'Sign In'}</span>
+                    </button>
+                  )}
+                  {authError && !isAuthenticated && (
+                    <div className="px-3 py-2 text-xs text-red-300 font-mono">{authError}</div>
+                  )}
                   <button 
                     onClick={() => { setDropdownOpen(false); router.push('/profile'); }} 
                     onMouseEnter={() => (window as any).prefetchRoute?.('/profile')}
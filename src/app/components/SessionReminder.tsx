@@ -0,0 +1,67 @@
+"use client";
+
+import React, { useState, useEffect, useRef } from "react";
+import { useAccount } from 'wagmi';
+import { getPlaySettings } from '../utils/offchainClient';
+
+// The session starts with the first game page load in this browser tab
+const SESSION_STORAGE_KEY = 'kairos_play_started';
+const CHECK_MS = 30000;
+
+// Reminds the player how long they have been playing, every sessionReminderMinutes (set on the profile page)
+export default function SessionReminder() {
+  const { address } = useAccount();
+  const [intervalMinutes, setIntervalMinutes] = useState<number | null>(null);
+  const shown = useRef(0); // reminders shown so far this session
+  const [elapsedMinutes, setElapsedMinutes] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!address) return;
+    getPlaySettings()
+      .then((settings) => setIntervalMinutes(settings.sessionReminderMinutes))
+      .catch(() => setIntervalMinutes(null));
+  }, [address]);
+
+  useEffect(() => {
+    if (!intervalMinutes) return;
+    const stored = Number(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+    const startedAt = stored > 0 ? stored : Date.now();
+    window.sessionStorage.setItem(SESSION_STORAGE_KEY, String(startedAt));
+
+    const check = () => {
+      const minutes = Math.floor((Date.now() - startedAt) / 60000);
+      const due = Math.floor(minutes / intervalMinutes);
+      if (due > shown.current) {
+        shown.current = due;
+        setElapsedMinutes(minutes);
+      }
+    };
+    check();
+    const timer = setInterval(check, CHECK_MS);
+    return () => clearInterval(timer);
+  }, [intervalMinutes]);
+
+  if (elapsedMinutes === null) return null;
+
+  const hours = Math.floor(elapsedMinutes / 60);
+  const duration = hours > 0 ? `${hours}h ${elapsedMinutes % 60}m` : `${elapsedMinutes} minutes`;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
+      <div className="pixel-card pixel-card--soft p-6 max-w-md text-center">
+        <h2 className="pixel-text-large text-2xl font-bold text-white mb-3">TIME CHECK</h2>
+        <p className="pixel-text text-gray-300 mb-6">
+          You have been playing for {duration}. Consider taking a break.
+        </p>
+        <div className="flex justify-center gap-3">
+          <button onClick={() => setElapsedMinutes(null)} className="pixel-button pixel-button--purple text-sm">
+            Keep playing
+          </button>
+          <a href="/profile" className="pixel-button text-sm">
+            Limits
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -5,8 +5,14 @@ import { useAccount } from 'wagmi';
 import { useRouter } from 'next/navigation';
 import { usePredictionGameContract } from '../utils/evmContract';
 import { useWalletClient } from 'wagmi';
-import { depositToVaultWithWallet } from '../utils/vault';
+import { depositToVaultWithWallet, depositTokenToVaultWithWallet } from '../utils/vault';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, getAsset, parseAssetAmount } from '@/lib/assets';
+
+const QUICK_AMOUNTS: Record<string, string[]> = {
+  ETH: ['0.01', '0.1', '0.5'],
+  USDC: ['10', '100', '500'],
+};
 
 export default function DepositPage() {
   const { address, isConnected } = useAccount();
@@ -14,6 +20,8 @@ export default function DepositPage() {
   const { deposit, getPlayerProfile, formatEther } = usePredictionGameContract();
   const { data: walletClient } = useWalletClient();
   
+  const [assetSymbol, setAssetSymbol] = useState<string>(DEFAULT_ASSET);
+  const asset = getAsset(assetSymbol) ?? COLLATERAL_ASSETS[0];
   const [amount, setAmount] = useState<string>('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -24,16 +32,16 @@ export default function DepositPage() {
     if (isConnected && address) {
       fetchCurrentBalance();
     }
-  }, [isConnected, address]);
+  }, [isConnected, address, assetSymbol]);
 
   const fetchCurrentBalance = async () => {
     try {
       if (!address) return;
       const { offchainGetProfile } = await import('../utils/offchainClient');
       const oc = await offchainGetProfile(address);
-      const weiStr = oc?.balance?.available ?? '0';
-      const eth = Number(BigInt(weiStr)) / 1e18;
-      setCurrentBalance(isFinite(eth) ? eth.toFixed(4) : '0');
+      const row = (oc?.balances ?? []).find((b: { asset: string }) => b.asset === asset.symbol);
+      const value = Number(BigInt(row?.available ?? '0')) / 10 ** asset.decimals;
+      setCurrentBalance(isFinite(value) ? value.toFixed(asset.displayDecimals) : '0');
     } catch (err) {
       console.error('Error fetching balance:', err);
     }
@@ -45,7 +53,13 @@ export default function DepositPage() {
       return;
     }
 
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    let units: bigint;
+    try {
+      units = parseAssetAmount(amount, asset);
+    } catch {
+      units = BigInt(0);
+    }
+    if (units <= BigInt(0)) {
       setError('Please enter a valid amount');
       return;
     }
@@ -55,12 +69,26 @@ export default function DepositPage() {
       setError(null);
       setSuccess(null);
 
+      // Deposit limits and self-exclusion are checked before any funds leave the wallet
+      const { checkDepositAllowed, offchainConfirmDeposit } = await import('../utils/offchainClient');
+      await checkDepositAllowed(asset.symbol, amount);
+
       // On-chain: deposit to Vault, then credit off-chain
-      const txHash = await depositToVaultWithWallet(walletClient, amount);
-      setSuccess(`Successfully deposited ${amount} ETH! Transaction: ${txHash}`);
-      // Credit off-chain balance after on-chain confirm
-      const { offchainDepositWebhook } = await import('../utils/offchainClient');
-      await offchainDepositWebhook(address!, amount);
+      // ERC-20s are approved for the vault first, so the wallet may ask for two signatures
+      const txHash = asset.token
+        ? await depositTokenToVaultWithWallet(walletClient, asset.token, units)
+        : await depositToVaultWithWallet(walletClient, amount);
+      setSuccess(`Deposit sent, waiting for confirmations... Transaction: ${txHash}`);
+      // The server verifies the tx on-chain and credits it once it has enough confirmations
+      const credit = await offchainConfirmDeposit(txHash);
+      if (credit?.returned) {
+        setSuccess(null);
+        setError(`Your deposit of ${amount} ${asset.symbol} was refused and is being sent back to your wallet: ${credit.returned.reason}`);
+      } else if (credit?.pending) {
+        setSuccess(`Deposit of ${amount} ${asset.symbol} is confirming (${credit.confirmations}/${credit.required}); it will be credited automatically. Transaction: ${txHash}`);
+      } else {
+        setSuccess(`Successfully deposited ${amount} ${asset.symbol}! Transaction: ${txHash}`);
+      }
       setAmount('');
       
       // Refresh balance after successful deposit
@@ -97,7 +125,7 @@ export default function DepositPage() {
       <div className="container mx-auto px-4 py-8">
         {/* Pixel header */}
         <div className="flex justify-between items-center mb-8">
-          <h1 className="pixel-text-large text-3xl font-bold text-white tracking-widest">DEPOSIT ETH</h1>
+          <h1 className="pixel-text-large text-3xl font-bold text-white tracking-widest">DEPOSIT {asset.symbol}</h1>
           <button 
             onClick={() => router.push('/game')} 
             className="pixel-button pixel-button--blue px-5 py-3 font-mono uppercase text-sm"
@@ -111,7 +139,7 @@ export default function DepositPage() {
           {/* Current Balance */}
           <div className="pixel-card p-6 mb-6">
             <h2 className="pixel-text-large text-xl font-bold text-white mb-4 uppercase tracking-wide">CURRENT BALANCE</h2>
-            <div className="pixel-text-large text-3xl font-bold text-green-400">{currentBalance} ETH</div>
+            <div className="pixel-text-large text-3xl font-bold text-green-400">{currentBalance} {asset.symbol}</div>
             <p className="pixel-text text-gray-400 text-sm mt-2">Available for betting</p>
           </div>
 
@@ -119,12 +147,31 @@ export default function DepositPage() {
           <div className="pixel-card p-6">
             <h2 className="pixel-text-large text-xl font-bold text-white mb-4 uppercase tracking-wide">DEPOSIT AMOUNT</h2>
             
+            {/* Asset */}
+            {COLLATERAL_ASSETS.length > 1 && (
+              <div className="mb-4">
+                <label className="pixel-text block text-gray-400 text-sm mb-2">ASSET</label>
+                <div className="grid grid-cols-2 gap-2">
+                  {COLLATERAL_ASSETS.map((a) => (
+                    <button
+                      key={a.symbol}
+                      onClick={() => { setAssetSymbol(a.symbol); setAmount(''); }}
+                      className={`pixel-tag py-2 px-3 text-sm font-mono transition-colors cursor-pointer ${a.symbol === asset.symbol ? 'bg-purple-700 text-white' : 'hover:bg-gray-700'}`}
+                      disabled={loading}
+                    >
+                      {a.symbol}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Amount Input */}
             <div className="mb-4">
-              <label className="pixel-text block text-gray-400 text-sm mb-2">AMOUNT (ETH)</label>
+              <label className="pixel-text block text-gray-400 text-sm mb-2">AMOUNT ({asset.symbol})</label>
               <input
                 type="number"
-                step="0.001"
+                step={asset.token ? '0.01' : '0.001'}
                 min="0"
                 value={amount}
                 onChange={(e) => setAmount(e.target.value)}
@@ -138,27 +185,16 @@ export default function DepositPage() {
             <div className="mb-6">
               <label className="pixel-text block text-gray-400 text-sm mb-2">QUICK DEPOSIT</label>
               <div className="grid grid-cols-3 gap-2">
-                <button
-                  onClick={() => handleQuickDeposit('0.01')}
-                  className="pixel-tag py-2 px-3 text-sm font-mono hover:bg-gray-700 transition-colors cursor-pointer"
-                  disabled={loading}
-                >
-                  0.01 ETH
-                </button>
-                <button
-                  onClick={() => handleQuickDeposit('0.1')}
-                  className="pixel-tag py-2 px-3 text-sm font-mono hover:bg-gray-700 transition-colors cursor-pointer"
-                  disabled={loading}
-                >
-                  0.1 ETH
-                </button>
-                <button
-                  onClick={() => handleQuickDeposit('0.5')}
-                  className="pixel-tag py-2 px-3 text-sm font-mono hover:bg-gray-700 transition-colors cursor-pointer"
-                  disabled={loading}
-                >
-                  0.5 ETH
-                </button>
+                {(QUICK_AMOUNTS[asset.symbol] ?? []).map((quick) => (
+                  <button
+                    key={quick}
+                    onClick={() => handleQuickDeposit(quick)}
+                    className="pixel-tag py-2 px-3 text-sm font-mono hover:bg-gray-700 transition-colors cursor-pointer"
+                    disabled={loading}
+                  >
+                    {quick} {asset.symbol}
+                  </button>
+                ))}
               </div>
             </div>
 
@@ -208,7 +244,7 @@ export default function DepositPage() {
                   Depositing...
                 </div>
               ) : (
-                `Deposit ${amount || '0'} ETH`
+                `Deposit ${amount || '0'} ${asset.symbol}`
               )}
             </button>
 
@@ -216,7 +252,7 @@ export default function DepositPage() {
             <div className="mt-4 text-xs text-gray-400 font-mono">
               <p>• Deposits are held in the smart contract</p>
               <p>• You can withdraw your balance anytime</p>
-              <p>• Minimum deposit: 0.001 ETH</p>
+              {!asset.token && <p>• Minimum deposit: 0.001 ETH</p>}
             </div>
           </div>
 
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import dynamic from "next/dynamic";
 import { ClientWalletButton } from "../components/ClientWalletButton";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
@@ -12,8 +12,26 @@ import { useAccount } from 'wagmi';
 import DebugInfo from "../components/DebugInfo";
 import { getCurrentPrice } from "../utils/hyperliquidPriceService"; // Import Hyperliquid price service
 import { ethers } from 'ethers';
+import type { BetCapacity, RoundStats } from "../utils/offchainClient";
+import { subscribeEvent, type RoundSettledEvent } from "../utils/eventStream";
+import {
+  MARKET_ASSETS,
+  MARKET_TIMEFRAMES,
+  MarketAsset,
+  TimeframeLabel,
+  betCutoffSeconds,
+  marketLabel,
+  roundStartFor,
+  timeframeLabel,
+} from "@/lib/markets";
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, getAsset, parseAssetAmount } from "@/lib/assets";
 // On-chain contract utilities removed for off-chain implementation
 
+// How long after a round ends the page waits for its settlement event before asking the server itself
+const RESOLVE_FALLBACK_MS = 10000;
+
+type SettlementResult = Pick<RoundSettledEvent, 'winningSide' | 'voidReasonLabel' | 'startPrice' | 'endPrice' | 'payoutMultiplier' | 'payoutMultipliers'>;
+
 // Dynamic imports for client-side only components - OPTIMIZED LOADING
 const CandlestickChart = dynamic(() => import("../components/CandlestickChart"), {
   ssr: false,
@@ -35,6 +53,9 @@ const BettingHistory = dynamic(() => import("../components/BettingHistory"), {
   )
 });
 
+const AutoBetPanel = dynamic(() => import("../components/AutoBetPanel"), { ssr: false });
+const SessionReminder = dynamic(() => import("../components/SessionReminder"), { ssr: false });
+
 // Client-side only component for wagmi hooks
 function GamePageClient() {
   const router = useRouter();
@@ -49,15 +70,18 @@ function GamePageClient() {
   }, []);
 
   // Removed on-chain contract hooks; gameplay is fully off-chain
+  // Bets are staked in the chosen collateral asset; the balance shown is in that asset
+  const [stakeAsset, setStakeAsset] = useState<string>(DEFAULT_ASSET);
+  const collateral = getAsset(stakeAsset) ?? COLLATERAL_ASSETS[0];
   const [offchainBalanceEth, setOffchainBalanceEth] = useState<string>("0.0000");
   const [playerPoints, setPlayerPoints] = useState<string>("0.0000");
   const [prediction, setPrediction] = useState<"up" | "down" | null>(null);
   const [amount, setAmount] = useState<string>("");
-  const [token, setToken] = useState<string>("ETH");
-  const [timeframe, setTimeframe] = useState<string>("1m");
+  const [token, setToken] = useState<MarketAsset>("ETH");
+  const [timeframe, setTimeframe] = useState<TimeframeLabel>("1m");
   const [timeLeft, setTimeLeft] = useState<number>(60);
-  const [upPool, setUpPool] = useState<number>(125.5);
-  const [downPool, setDownPool] = useState<number>(89.3);
+  const [roundStats, setRoundStats] = useState<RoundStats | null>(null);
+  const [betCapacity, setBetCapacity] = useState<BetCapacity | null>(null);
   const [prices, setPrices] = useState<{ ethereum: number | null; hype: number | null }>({ ethereum: null, hype: null });
   const [prevPrices, setPrevPrices] = useState<{ ethereum: number | null; hype: number | null }>({ ethereum: null, hype: null });
   const [priceDirection, setPriceDirection] = useState<{ ethereum: 'up' | 'down' | 'same'; hype: 'up' | 'down' | 'same' }>({ ethereum: 'same', hype: 'same' });
@@ -67,7 +91,7 @@ function GamePageClient() {
   const [activeChart, setActiveChart] = useState<'ethereum' | 'hype'>('ethereum');
   const [isBettingLocked, setIsBettingLocked] = useState<boolean>(false);
   const [isPlacingBet, setIsPlacingBet] = useState<boolean>(false);
-  const [resolvingBets, setResolvingBets] = useState<Set<number>>(new Set());
+  const [resolvingBets, setResolvingBets] = useState<Set<string>>(new Set());
   const [isNavigating, setIsNavigating] = useState<boolean>(false);
   const [showResultPopup, setShowResultPopup] = useState<boolean>(false);
   const [betResult, setBetResult] = useState<{
@@ -75,8 +99,10 @@ function GamePageClient() {
     exitPrice: number;
     result: "win" | "lose" | "refund";
     amount: number;
+    asset: string;
     payout: number;
     pointsEarned: number;
+    refundReason?: string | null;
   } | null>(null);
   const [houseWalletBalance, setHouseWalletBalance] = useState<string>("0");
   const [showBettingHistory, setShowBettingHistory] = useState<boolean>(false);
@@ -84,28 +110,12 @@ function GamePageClient() {
   const OWNER_ADDRESS = '0x5460156db508fC52161A97585c27035eEDf2D3ba'.toLowerCase();
   const [ownerWithdrawAmount, setOwnerWithdrawAmount] = useState<string>("");
 
-  // Calculate points earned based on bet amount (same tiered system as API)
-  const calculatePointsEarned = (betAmountEth: number): number => {
-    let pointsMultiplier: number;
-    
-    if (betAmountEth >= 0.1) {
-      pointsMultiplier = 25; // 25% for 0.1+ ETH bets
-    } else if (betAmountEth >= 0.05) {
-      pointsMultiplier = 50; // 50% for 0.05-0.1 ETH bets
-    } else if (betAmountEth >= 0.01) {
-      pointsMultiplier = 75; // 75% for 0.01-0.05 ETH bets
-    } else {
-      pointsMultiplier = 100; // 100% for 0.001-0.01 ETH bets
-    }
-    
-    return (betAmountEth * pointsMultiplier) / 100;
-  };
   const [withdrawSuccess, setWithdrawSuccess] = useState<boolean>(false);
   const [withdrawError, setWithdrawError] = useState<string>("");
   const [playerProfile, setPlayerProfile] = useState<any>(null);
   // Betting method toggle removed; always using off-chain deposit balance
   // Track rounds we already attempted to resolve to avoid duplicate txs
-  const [resolvedRoundsMemo, setResolvedRoundsMemo] = useState<Record<number, boolean>>({});
+  const [resolvedRoundsMemo, setResolvedRoundsMemo] = useState<Record<string, boolean>>({});
 
   // Initialize round start time from localStorage or current time
   const [roundStartTime, setRoundStartTime] = useState<number>(() => {
@@ -136,6 +146,7 @@ function GamePageClient() {
   const [showBetConfirmation, setShowBetConfirmation] = useState<boolean>(false);
   const [lastBet, setLastBet] = useState<{
     amount: string;
+    asset: string;
     token: string;
     prediction: "up" | "down";
     entryPrice: number;
@@ -143,11 +154,13 @@ function GamePageClient() {
   } | null>(null);
   const [recentGames, setRecentGames] = useState<Array<{
     amount: string;
+    asset?: string; // collateral the stake is in; ETH when missing
     token: string;
     prediction: "up" | "down";
     entryPrice: number;
     exitPrice: number;
     result: "win" | "lose" | "refund" | "pending";
+    refundReason?: string | null;
     timestamp: number;
     // Add bet-specific timing information
     startTime: number;
@@ -158,19 +171,36 @@ function GamePageClient() {
     endOraclePrice: number | null;
     endOracleExpo: number | null;
     isOptimistic?: boolean; // Flag for optimistic updates
+    pointsEarned?: string; // stake points the server awarded, 18 decimals
   }>>([]);
 
   // Get round duration based on timeframe
-  const getRoundDuration = () => {
-    // Only 1m timeframe now
-    return 60;   // 60 seconds for 1-minute game
-  };
+  const getRoundDuration = useCallback(() => MARKET_TIMEFRAMES[timeframe], [timeframe]);
+
+  // Get cutoff time based on timeframe (when betting should be locked)
+  const getCutoffTime = useCallback(() => betCutoffSeconds(getRoundDuration()), [getRoundDuration]);
+
+  // Get current round ID (start time in seconds of the selected market's current round)
+  const getCurrentRoundId = useCallback((): number => roundStartFor(getRoundDuration()), [getRoundDuration]);
+
+  // The player's bets on the charted market, drawn as markers
+  const chartBets = useMemo(() => {
+    const chartToken: MarketAsset = activeChart === 'ethereum' ? 'ETH' : 'HYPE';
+    return recentGames
+      .filter((game) => game.token === chartToken)
+      .map((game) => ({ roundStart: game.timestamp, timeframe: game.duration, side: game.prediction, label: `${game.amount} ${game.asset ?? DEFAULT_ASSET}` }));
+  }, [recentGames, activeChart]);
 
+  // A round is identified by its market (token + duration) and start time; games are keyed the same way
+  const getGameKey = (game: { token: string; duration: number; timestamp: number }) =>
+    `${game.token}:${game.duration}:${game.timestamp}`;
+  const isSameMarket = (game: { token: string; duration: number }) =>
+    game.token === token && game.duration === getRoundDuration();
 
   // Check if player already has a bet in current round
   const hasBetInCurrentRound = recentGames.some(game => {
-    const currentRoundId = Math.floor(Date.now() / (getRoundDuration() * 1000)) * (getRoundDuration());
-    return game.timestamp === currentRoundId && 
+    const currentRoundId = roundStartFor(getRoundDuration());
+    return isSameMarket(game) && game.timestamp === currentRoundId && 
            (game.result === "pending" || game.result === "win" || game.result === "lose");
   });
 
@@ -192,27 +222,101 @@ function GamePageClient() {
 
   // Note: Wallet balance refresh removed - now using deposit balance only
   
-  // Off-chain balance poller
+  const showOffchainBalance = useCallback((unitsStr: string, pointsStr: string) => {
+    const value = Number(BigInt(unitsStr)) / 10 ** collateral.decimals;
+    const points = Number(BigInt(pointsStr)) / 1e18;
+    setOffchainBalanceEth(isFinite(value) ? value.toFixed(4) : '0.0000');
+    setPlayerPoints(isFinite(points) ? points.toFixed(4) : '0.0000');
+  }, [collateral.decimals]);
+  // Available balance in the stake asset from an off-chain profile, in base units
+  const stakeAssetBalance = useCallback((profile: { balances?: Array<{ asset: string; available: string }> } | null): string =>
+    profile?.balances?.find((b) => b.asset === stakeAsset)?.available ?? '0', [stakeAsset]);
+
+  // Off-chain balance: loaded once, then kept current by balance events from the server
   useEffect(() => {
-    let timer: any;
+    if (!isConnected || !address) return;
     const fetchOffchain = async () => {
       try {
-        if (!isConnected || !address) return;
         const { offchainGetProfile } = await import('../utils/offchainClient');
         const res = await offchainGetProfile(address);
-        const weiStr = res?.balance?.available ?? '0';
-        const pointsStr = res?.balance?.points ?? '0';
-        const eth = Number(BigInt(weiStr)) / 1e18;
-        const points = Number(BigInt(pointsStr)) / 1e18;
-        setOffchainBalanceEth(isFinite(eth) ? eth.toFixed(4) : '0.0000');
-        setPlayerPoints(isFinite(points) ? points.toFixed(4) : '0.0000');
+        showOffchainBalance(stakeAssetBalance(res), res?.balance?.points ?? '0');
       } catch {}
     };
     fetchOffchain();
-    timer = setInterval(fetchOffchain, 30000); // Reduce frequency to save bandwidth
-    return () => timer && clearInterval(timer);
-  }, [isConnected, address]);
+    const offBalance = subscribeEvent('balance', (event) => {
+      if (event.asset === stakeAsset) showOffchainBalance(event.available, event.points);
+      else setPlayerPoints((Number(BigInt(event.points)) / 1e18).toFixed(4));
+    });
+    // The server could not replay what we missed, so reload instead
+    const offReset = subscribeEvent('stream.reset', fetchOffchain);
+    return () => {
+      offBalance();
+      offReset();
+    };
+  }, [isConnected, address, stakeAsset, showOffchainBalance, stakeAssetBalance]);
   
+  // Live pools for the current round, and how much the house will still take on each side
+  const refreshRoundStats = useCallback(async () => {
+    const { offchainGetBetCapacity, offchainGetRoundStats } = await import('../utils/offchainClient');
+    const params = {
+      symbol: MARKET_ASSETS[token],
+      timeframe: getRoundDuration(),
+      roundStart: getCurrentRoundId(),
+      asset: stakeAsset,
+    };
+    try {
+      setRoundStats(await offchainGetRoundStats(params));
+    } catch (error) {
+      console.warn('Failed to load round stats:', error);
+    }
+    try {
+      setBetCapacity(await offchainGetBetCapacity(params));
+    } catch (error) {
+      setBetCapacity(null);
+      console.warn('Failed to load bet limits:', error);
+    }
+  }, [token, stakeAsset, getRoundDuration, getCurrentRoundId]);
+  const maxBetEth = (side: 'up' | 'down') => {
+    const remaining = betCapacity?.remaining[side];
+    return remaining === null || remaining === undefined ? null : Number(BigInt(remaining)) / 10 ** collateral.decimals;
+  };
+
+  const upPool = Number(BigInt(roundStats?.upPool ?? '0')) / 10 ** collateral.decimals;
+  const downPool = Number(BigInt(roundStats?.downPool ?? '0')) / 10 ** collateral.decimals;
+  const totalPool = upPool + downPool;
+  const formatMultiplier = (multiplier: number | null | undefined) =>
+    multiplier ? `${multiplier.toFixed(2)}x` : '—';
+
+  // Pools are pushed by round.pool events; a new round starts empty, so reload at each round boundary
+  useEffect(() => {
+    refreshRoundStats();
+    const offPool = subscribeEvent('round.pool', (stats) => {
+      if (stats.symbol === MARKET_ASSETS[token] && stats.timeframe === getRoundDuration() && stats.startAt === getCurrentRoundId() && stats.asset === stakeAsset) {
+        setRoundStats(stats);
+      }
+    });
+    const offReset = subscribeEvent('stream.reset', refreshRoundStats);
+    let timer: ReturnType<typeof setTimeout>;
+    const scheduleRollover = () => {
+      const nextRoundMs = (getCurrentRoundId() + getRoundDuration()) * 1000 - Date.now();
+      timer = setTimeout(() => {
+        refreshRoundStats();
+        scheduleRollover();
+      }, nextRoundMs + 250);
+    };
+    scheduleRollover();
+    return () => {
+      offPool();
+      offReset();
+      clearTimeout(timer);
+    };
+  }, [token, stakeAsset, getRoundDuration, getCurrentRoundId, refreshRoundStats]);
+
+  // Keep the chart on the market being bet on
+  useEffect(() => {
+    setActiveChart(token === 'ETH' ? 'ethereum' : 'hype');
+  }, [token]);
+
   // Removed periodic on-chain profile/house balance checks
   
   // Removed on-chain winnings listener (off-chain only)
@@ -226,27 +330,6 @@ function GamePageClient() {
   
   useEffect(() => { /* no-op */ }, [isConnected]);
   
-  // Get cutoff time based on timeframe (when betting should be locked)
-  const getCutoffTime = () => {
-    // Only 1m timeframe now
-    return 10;  // Lock at 10 seconds remaining for 1-minute game
-  };
-
-  // Calculate round ID (start time in seconds) from a timestamp that may be in ms or seconds
-  const calculateRoundId = (betTimestamp: number): number => {
-    const roundDuration = 60; // seconds
-    // Heuristically detect units: if value is larger than 1e12, it's ms; if around 1e9, seconds
-    const tsSeconds = betTimestamp > 1e12 ? Math.floor(betTimestamp / 1000) : Math.floor(betTimestamp);
-    return Math.floor(tsSeconds / roundDuration) * roundDuration;
-  };
-
-  // Get current round ID (always current time)
-  const getCurrentRoundId = (): number => {
-    const roundDuration = 60; // seconds
-    const nowSeconds = Math.floor(Date.now() / 1000);
-    return Math.floor(nowSeconds / roundDuration) * roundDuration;
-  };
-
   // Resolve round automatically via backend API (no user confirmation needed!)
   const resolveRoundOnChainLocal = async (roundId: number, winningPrediction: boolean): Promise<string | null> => {
     try {
@@ -275,12 +358,7 @@ function GamePageClient() {
             const { offchainGetProfile } = await import('../utils/offchainClient');
             const profile = await offchainGetProfile(address);
             setPlayerProfile(profile);
-            const weiStr = profile?.balance?.available ?? '0';
-            const pointsStr = profile?.balance?.points ?? '0';
-            const eth = Number(BigInt(weiStr)) / 1e18;
-            const points = Number(BigInt(pointsStr)) / 1e18;
-            setOffchainBalanceEth(isFinite(eth) ? eth.toFixed(4) : '0.0000');
-            setPlayerPoints(isFinite(points) ? points.toFixed(4) : '0.0000');
+            showOffchainBalance(stakeAssetBalance(profile), profile?.balance?.points ?? '0');
             console.log('💰 Profile refreshed - check your updated balance and points!');
           }
         } catch {}
@@ -378,15 +456,7 @@ function GamePageClient() {
         
         // If round ended, resolve and move to next round boundary
         if (timeRemaining === 0) {
-          console.log("Resolving bets and resetting for next round - time reached 1 second");
-          
-          // Resolve all pending bets before resetting the round
-          const pendingBets = recentGames.filter(game => game.result === "pending");
-          pendingBets.forEach(bet => {
-            resolveIndividualBet(bet.timestamp);
-          });
-          
-          // Reset for next round
+          // Reset for next round; ended bets are settled by round events (or the fallback below)
           setIsBettingLocked(false);
           // Calculate the start time of the next round (aligned to duration)
           const nextRoundStart = Math.ceil(Date.now() / (roundDuration * 1000)) * (roundDuration * 1000);
@@ -413,7 +483,7 @@ function GamePageClient() {
     }, 1000);
 
     return () => clearInterval(timer);
-  }, [timeframe, roundStartTime, recentGames]); // Depend on timeframe, roundStartTime, and recentGames
+  }, [timeframe, roundStartTime, recentGames, getCutoffTime, getRoundDuration]); // Depend on timeframe, roundStartTime, and recentGames
 
   // Load history and initial prices
   useEffect(() => {
@@ -507,7 +577,30 @@ function GamePageClient() {
     };
   }, [getCurrentPrice, prices, prevPrices]);
 
-  // FAST RESOLUTION TIMER - Check every 1 second for pending bets
+  // Settlements pushed by the server (the resolver daemon settles rounds as they end)
+  const settlementHandler = useRef<(event: RoundSettledEvent) => void>(() => {});
+  settlementHandler.current = (event) => {
+    recentGames
+      .filter(game =>
+        (game.result === "pending" || game.result === ("resolving" as any)) &&
+        MARKET_ASSETS[game.token as MarketAsset] === event.symbol &&
+        game.duration === event.timeframe &&
+        game.timestamp === event.startAt
+      )
+      .forEach(game => applySettlement(getGameKey(game), event));
+  };
+
+  useEffect(() => {
+    const onSettled = (event: RoundSettledEvent) => settlementHandler.current(event);
+    const offResolved = subscribeEvent('round.resolved', onSettled);
+    const offVoided = subscribeEvent('round.voided', onSettled);
+    return () => {
+      offResolved();
+      offVoided();
+    };
+  }, []);
+
+  // Fallback when no settlement event arrived (stream down or no resolver running): ask the server to settle
   useEffect(() => {
     if (!address) return;
     
@@ -515,11 +608,11 @@ function GamePageClient() {
       const now = Date.now();
       recentGames.forEach(game => {
         if (game.result === "pending") {
-          const betEndTime = game.startTime + (game.duration * 1000);
-          // Resolve 5 seconds early for faster feedback
-          if (now >= betEndTime - 5000) {
-            console.log(`Bet ${game.timestamp} is ready for resolution (early)`);
-            resolveIndividualBet(game.timestamp);
+          // The server only settles once the round has ended
+          const roundEndTime = (game.timestamp + game.duration) * 1000;
+          if (now >= roundEndTime + RESOLVE_FALLBACK_MS) {
+            console.log(`Bet ${getGameKey(game)} is ready for resolution`);
+            resolveIndividualBet(getGameKey(game));
           }
         }
       });
@@ -531,245 +624,115 @@ function GamePageClient() {
     return () => clearInterval(interval);
   }, [recentGames, address]);
 
-  // Get a fast current price with a strict timeout and safe fallback
-  const getFastCurrentPrice = async (symbol: 'ETHUSDT' | 'HYPEUSDT', fallbackPrice: number | null): Promise<number | null> => {
-    const timeoutMs = 1500;
-    try {
-      const pricePromise = getCurrentPrice(symbol);
-      const timeoutPromise = new Promise<null>((resolve) => setTimeout(() => resolve(null), timeoutMs));
-      const priceOrNull = await Promise.race([pricePromise, timeoutPromise]);
-      if (typeof priceOrNull === 'number' && isFinite(priceOrNull) && priceOrNull > 0) {
-        return priceOrNull;
-      }
-    } catch {}
-    return typeof fallbackPrice === 'number' && isFinite(fallbackPrice) && fallbackPrice > 0
-      ? fallbackPrice
-      : null;
-  };
+  // Settlements already shown, so a pushed event and the fallback cannot both pop up a result
+  const appliedSettlements = useRef(new Set<string>());
 
-  // Resolve an individual bet based on its timestamp
-  const resolveIndividualBet = async (betTimestamp: number) => {
+  // Resolve an individual bet by its game key (market + round start)
+  const resolveIndividualBet = async (gameKey: string) => {
     // Check if this bet is already being resolved to prevent duplicate resolution
-    if (resolvingBets.has(betTimestamp)) {
-      console.log(`Bet ${betTimestamp} is already being resolved, skipping`);
-      return;
-    }
-    
-    // Check if this bet has already been resolved
-    const existingBet = recentGames.find(game => game.timestamp === betTimestamp);
-    if (!existingBet || existingBet.result !== "pending") {
-      console.log(`Bet ${betTimestamp} already resolved or not found, skipping`);
+    if (resolvingBets.has(gameKey)) {
+      console.log(`Bet ${gameKey} is already being resolved, skipping`);
       return;
     }
     
-    // Mark this bet as being resolved
-    setResolvingBets(prev => new Set([...prev, betTimestamp]));
-    
-    // Off-chain rounds are 1 minute; keep in sync with roundId generator
-    const timeframeSeconds = 60;
-    console.log(`=== RESOLVING INDIVIDUAL BET: ${betTimestamp} ===`);
-    
     // Find the specific bet to resolve
-    const betToResolve = recentGames.find(game => game.timestamp === betTimestamp);
-    
+    const betToResolve = recentGames.find(game => getGameKey(game) === gameKey);
     if (!betToResolve || betToResolve.result !== "pending") {
-      console.log("Bet not found or already resolved");
+      console.log(`Bet ${gameKey} already resolved or not found, skipping`);
       return;
     }
     
+    // Mark this bet as being resolved
+    setResolvingBets(prev => new Set([...prev, gameKey]));
+    console.log(`=== RESOLVING INDIVIDUAL BET: ${gameKey} ===`);
+    
     // INSTANT UI UPDATE - Mark as resolving
     setRecentGames(prev => prev.map(game => 
-      game.timestamp === betTimestamp
+      getGameKey(game) === gameKey
         ? { ...game, result: "resolving" as any }
         : game
     ));
     
-    // Get current price as end price quickly with timeout and fallback to last seen price
-    let currentPrice: number | null = null;
-    if (betToResolve.token === 'HYPE') {
-      currentPrice = await getFastCurrentPrice('HYPEUSDT', prices.hype);
-    } else if (betToResolve.token === 'ETH') {
-      currentPrice = await getFastCurrentPrice('ETHUSDT', prices.ethereum);
-    } else {
-      // For other tokens, use the existing method
-      currentPrice = betToResolve.token === 'ETH' ? prices.ethereum : prices.hype;
-    }
-    
-    // If Hyperliquid service didn't provide a price, use existing method
-    if (currentPrice === null) {
-      const priceData = betToResolve.token === 'ETH' ? prices.ethereum : prices.hype;
-      currentPrice = priceData !== null ? priceData : null;
-    }
+    const stopResolving = () => setResolvingBets(prev => {
+      const newSet = new Set(prev);
+      newSet.delete(gameKey);
+      return newSet;
+    });
     
-    console.log("Current price:", currentPrice);
-    if (currentPrice === null) {
-      console.log("Could not resolve bet - unable to fetch current price");
-      // Treat as lose if we can't get current price (no refunds)
-      const updatedGames = recentGames.map(game => 
-        game.timestamp === betTimestamp
-          ? { ...game, exitPrice: game.entryPrice, result: "lose" as "win" | "lose" | "refund" | "pending" }
+    // The server settles the round from its own recorded start/end prices
+    const { offchainResolveRound } = await import('../utils/offchainClient');
+    let settlement: SettlementResult;
+    try {
+      settlement = await offchainResolveRound({
+        symbol: MARKET_ASSETS[betToResolve.token as MarketAsset] ?? MARKET_ASSETS.ETH,
+        timeframe: betToResolve.duration,
+        roundStart: betToResolve.timestamp,
+      });
+      console.log('✅ Off-chain resolution successful', settlement);
+    } catch (error) {
+      // Round not ended yet or settlement price not available: back to pending, the timer retries
+      console.error('❌ Failed to resolve off-chain:', error);
+      setRecentGames(prev => prev.map(game => 
+        getGameKey(game) === gameKey
+          ? { ...game, result: "pending" as const }
           : game
-      );
-      
-      setRecentGames(updatedGames);
-      
-      // Update betting history in localStorage
-      if (typeof window !== 'undefined' && address) {
-        try {
-          const historyKey = `bettingHistory_${address}`;
-          const existingHistory = localStorage.getItem(historyKey);
-          if (existingHistory) {
-            const history = JSON.parse(existingHistory);
-            const updatedHistory = history.map((bet: any) => 
-              bet.timestamp === betTimestamp
-                ? { ...bet, exitPrice: betToResolve.entryPrice, result: "lose" }
-                : bet
-            );
-            localStorage.setItem(historyKey, JSON.stringify(updatedHistory));
-          }
-        } catch (err) {
-          console.error("Failed to update bet in history:", err);
-        }
-      }
-      
+      ));
+      stopResolving();
       return;
     }
     
-    // Use higher precision for exit price recording
-    const preciseExitPrice = Number(currentPrice.toFixed(6));
-    
-    // Get entry price (when player placed bet) and current price (when bet resolves)
-    const entryPrice = betToResolve.entryPrice;
-    const exitPrice = preciseExitPrice;
-    
-    console.log("Entry price (player bet):", entryPrice);
-    console.log("Exit price (current):", exitPrice);
-    
-    // Calculate price difference with tolerance and determine result with tie/refund
-    const priceDifference = exitPrice - entryPrice;
-    const epsilon = 1e-6; // treat ultra-small moves as no movement
-    console.log("Price difference:", priceDifference);
+    applySettlement(gameKey, settlement);
+    stopResolving();
+  };
+
+  // Shows a bet's settlement: result popup and the recent games row. The balance follows from balance events.
+  const applySettlement = (gameKey: string, settlement: SettlementResult) => {
+    const betToResolve = recentGames.find(game => getGameKey(game) === gameKey);
+    if (!betToResolve || appliedSettlements.current.has(gameKey)) return;
+    appliedSettlements.current.add(gameKey);
+    setResolvedRoundsMemo(prev => ({ ...prev, [gameKey]: true }));
+
+    const entryPrice = settlement.startPrice ?? betToResolve.entryPrice;
+    const exitPrice = settlement.endPrice ?? betToResolve.entryPrice;
     
     let result: "win" | "lose" | "refund" = "lose";
     let payout = 0;
-
-    if (Math.abs(priceDifference) <= epsilon) {
+    const refundReason = settlement.voidReasonLabel;
+    if (refundReason) {
+      // Tie, one-sided or voided round: the stake is back in the available balance
       result = "refund";
-      payout = parseFloat(betToResolve.amount); // refund stake on tie
-      console.log("↔️ BET REFUNDED - No meaningful price change");
-    } else if ((priceDifference > 0 && betToResolve.prediction === "up") || (priceDifference < 0 && betToResolve.prediction === "down")) {
+      payout = parseFloat(betToResolve.amount);
+      console.log(`🔄 BET REFUNDED - ${refundReason}`);
+    } else if (settlement.winningSide === betToResolve.prediction) {
       result = "win";
-      const grossPayout = parseFloat(betToResolve.amount) * 2;
-      const commission = grossPayout * 0.05;
-      payout = grossPayout - commission;
+      // Net of the house fee; in parimutuel rounds this is the winners' share of the pool
+      const multiplier = settlement.payoutMultipliers?.[betToResolve.asset ?? DEFAULT_ASSET] ?? settlement.payoutMultiplier;
+      payout = parseFloat(betToResolve.amount) * (multiplier ?? 0);
       console.log("✅ BET WON - Price moved in predicted direction");
     } else {
-      result = "lose";
-      payout = 0;
-      console.log("❌ BET LOST - Price moved opposite to prediction");
+      console.log("❌ BET LOST - Price did not move in predicted direction");
     }
     
-    console.log(`Final result for bet ${betTimestamp}:`, result);
-    
-    // FAST RESOLUTION - Update UI immediately, resolve backend in background
-    // Use the original round id we stored on the bet (already seconds and aligned)
-    const roundId = betToResolve.timestamp;
-    console.log("Calculated round ID:", roundId);
-
-    // Update UI with result immediately
-    const updatedGames = recentGames.map(game => 
-      game.timestamp === betTimestamp
-        ? { 
-            ...game, 
-            exitPrice: exitPrice,
-            result 
-          }
+    console.log(`Final result for bet ${gameKey}:`, result, { entryPrice, exitPrice });
+
+    setRecentGames(prev => prev.map(game => 
+      getGameKey(game) === gameKey
+        ? { ...game, entryPrice, exitPrice, result, refundReason }
         : game
-    );
-    
-    setRecentGames(updatedGames);
+    ));
     
-    // Show result popup immediately for all results
     setBetResult({
-      entryPrice: betToResolve.entryPrice,
-      exitPrice: exitPrice,
+      entryPrice,
+      exitPrice,
       result,
       amount: parseFloat(betToResolve.amount),
+      asset: betToResolve.asset ?? DEFAULT_ASSET,
       payout,
-      pointsEarned: calculatePointsEarned(parseFloat(betToResolve.amount))
+      pointsEarned: Number(BigInt(betToResolve.pointsEarned ?? '0')) / 1e18,
+      refundReason
     });
     setShowResultPopup(true);
-    
-    // Update balance optimistically
-    if (result === "win" && playerProfile?.balance) {
-      const currentBalance = Number(BigInt(playerProfile.balance)) / 1e18;
-      const newBalance = currentBalance + payout;
-      setOffchainBalanceEth(newBalance.toFixed(4));
-    }
-    
-    // Resolve backend in background (non-blocking)
-    try {
-      const winningSide = priceDifference > 0 ? "up" : "down";
-      const nowSec = Math.floor(Date.now() / 1000);
-      const roundEndSec = roundId + timeframeSeconds;
-      
-      // Always resolve immediately for better user experience
-      console.log('🔄 Resolving bet immediately via backend...');
-      const { offchainResolveRound, offchainGetProfile } = await import('../utils/offchainClient');
-      
-      try {
-        const res = await offchainResolveRound(roundId, winningSide);
-        console.log('✅ Off-chain resolution successful', res);
-        setResolvedRoundsMemo(prev => ({ ...prev, [roundId]: true }));
-        
-        // Refresh balance from backend
-        if (address) {
-          console.log('🔄 Refreshing balance after resolution...');
-          const oc = await offchainGetProfile(address);
-          const weiStr = oc?.balance?.available ?? '0';
-          const pointsStr = oc?.balance?.points ?? '0';
-          const eth = Number(BigInt(weiStr)) / 1e18;
-          const points = Number(BigInt(pointsStr)) / 1e18;
-          console.log('💰 Updated balance from backend:', { eth, points });
-          setOffchainBalanceEth(isFinite(eth) ? eth.toFixed(4) : '0.0000');
-          setPlayerPoints(isFinite(points) ? points.toFixed(4) : '0.0000');
-        }
-      } catch (error: any) {
-        console.error('❌ Failed to resolve off-chain:', error);
-        // Mark as resolved to prevent infinite retries
-        setResolvedRoundsMemo(prev => ({ ...prev, [roundId]: true }));
-      }
-    } catch (error) {
-      console.error('Failed to resolve off-chain:', error);
-    }
-    
     console.log("=====================================");
-    
-    // Update betting history in localStorage
-    if (typeof window !== 'undefined' && address) {
-      try {
-        const historyKey = `bettingHistory_${address}`;
-        const existingHistory = localStorage.getItem(historyKey);
-        if (existingHistory) {
-          const history = JSON.parse(existingHistory);
-          const updatedHistory = history.map((bet: any) => 
-            bet.timestamp === betTimestamp
-              ? { ...bet, exitPrice: exitPrice, result: result }
-              : bet
-          );
-          localStorage.setItem(historyKey, JSON.stringify(updatedHistory));
-        }
-      } catch (err) {
-        console.error("Failed to update bet in history:", err);
-      }
-    }
-    
-    // Remove this bet from the resolving set
-    setResolvingBets(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(betTimestamp);
-      return newSet;
-    });
   };
 
   const handlePlaceBet = async () => {
@@ -788,12 +751,18 @@ function GamePageClient() {
       alert("Please enter a valid amount");
       return;
     }
+    try {
+      parseAssetAmount(amount, collateral);
+    } catch (error) {
+      alert((error as Error).message);
+      return;
+    }
     
     // Check if player has sufficient balance
     const currentBalance = parseFloat(offchainBalanceEth);
     const betAmount = parseFloat(amount);
     if (currentBalance < betAmount) {
-      alert(`❌ INSUFFICIENT FUNDS\n\nYour balance: ${currentBalance.toFixed(6)} ETH\nRequired: ${betAmount.toFixed(6)} ETH\n\nPlease deposit more funds to continue betting.`);
+      alert(`❌ INSUFFICIENT FUNDS\n\nYour balance: ${currentBalance.toFixed(6)} ${collateral.symbol}\nRequired: ${betAmount.toFixed(6)} ${collateral.symbol}\n\nPlease deposit more funds to continue betting.`);
       return;
     }
     
@@ -801,6 +770,17 @@ function GamePageClient() {
       alert("Betting is currently locked. Please wait for the next round.");
       return;
     }
+
+    // House risk caps; the server checks them again when the bet lands
+    const maxBet = maxBetEth(prediction);
+    if (betCapacity?.market.paused) {
+      alert("Betting is paused on this market.");
+      return;
+    }
+    if (maxBet !== null && betAmount > maxBet) {
+      alert(`❌ BET TOO LARGE\n\nThis round can take at most ${maxBet.toFixed(6)} ${collateral.symbol} more on ${prediction.toUpperCase()} right now.`);
+      return;
+    }
     
     // INSTANT UI FEEDBACK - Update UI immediately
     setIsPlacingBet(true);
@@ -820,6 +800,7 @@ function GamePageClient() {
     // Create optimistic bet entry immediately
     const optimisticBet = {
       amount,
+      asset: collateral.symbol,
       token,
       prediction,
       entryPrice: Number(currentPrice.toFixed(6)),
@@ -827,7 +808,7 @@ function GamePageClient() {
       result: "pending" as const,
       timestamp: roundId, // Use roundId instead of Date.now()
       startTime: Date.now(),
-      duration: 60,
+      duration: roundDuration,
       startOraclePrice: null,
       startOracleExpo: null,
       endOraclePrice: null,
@@ -841,10 +822,11 @@ function GamePageClient() {
     // Show instant confirmation
     setLastBet({
       amount,
+      asset: collateral.symbol,
       token,
       prediction,
       entryPrice: optimisticBet.entryPrice,
-      timeframe: "1m"
+      timeframe
     });
     setShowBetConfirmation(true);
     
@@ -858,15 +840,15 @@ function GamePageClient() {
     setAmount("");
     
     // Update balance optimistically
-    if (playerProfile?.balance) {
-      const currentBalance = Number(BigInt(playerProfile.balance)) / 1e18;
+    if (playerProfile) {
+      const currentBalance = Number(BigInt(stakeAssetBalance(playerProfile))) / 10 ** collateral.decimals;
       const newBalance = Math.max(0, currentBalance - betAmount);
       setOffchainBalanceEth(newBalance.toFixed(4));
     }
     
     try {
-      // Get timeframe in seconds (only 1m timeframe now)
-      const timeframeSeconds = 60;
+      // Get timeframe in seconds for the selected market
+      const timeframeSeconds = roundDuration;
       
       // Use the roundId we already calculated above
       const now = Math.floor(Date.now() / 1000);
@@ -915,7 +897,7 @@ function GamePageClient() {
 
       // 🚨 CRITICAL: Check if player already has a bet in this round (client-side validation)
       const existingBet = recentGames.find(game => 
-        game.timestamp === roundId && 
+        isSameMarket(game) && game.timestamp === roundId && 
         (game.result === "pending" || game.result === "win" || game.result === "lose")
       );
       
@@ -932,7 +914,7 @@ function GamePageClient() {
       
       const betsInCurrentRound = recentGames.filter(game => {
         const gameTime = game.timestamp * 1000; // Convert to milliseconds
-        return gameTime >= roundStartTime && gameTime < roundEndTime && 
+        return isSameMarket(game) && gameTime >= roundStartTime && gameTime < roundEndTime && 
                (game.result === "pending" || game.result === "win" || game.result === "lose");
       });
       
@@ -976,14 +958,22 @@ function GamePageClient() {
       const side = prediction === 'up' ? 'up' : 'down';
 
       try {
-        const resp = await offchainPlaceBet({ address: address!, amount, side, roundId, timeframe: timeframeSeconds });
+        const resp = await offchainPlaceBet({
+          amount,
+          side,
+          symbol: MARKET_ASSETS[token],
+          timeframe: timeframeSeconds,
+          roundStart: roundId,
+          asset: collateral.symbol,
+        });
         console.log('✅ Off-chain bet placed:', resp);
         // Mark optimistic entry as confirmed
         setRecentGames(prev => prev.map(game =>
-          game.timestamp === optimisticBet.timestamp && game.isOptimistic
-            ? { ...game, isOptimistic: false }
+          getGameKey(game) === getGameKey(optimisticBet) && game.isOptimistic
+            ? { ...game, isOptimistic: false, pointsEarned: resp?.points }
             : game
         ));
+        refreshRoundStats();
       } catch (err) {
         console.error('❌ Off-chain bet failed:', err);
         const errorMessage = (err as any)?.message || 'Unknown error';
@@ -998,12 +988,7 @@ function GamePageClient() {
           try {
             const { offchainGetProfile } = await import('../utils/offchainClient');
             const profile = await offchainGetProfile(address!);
-            const weiStr = profile?.balance?.available ?? '0';
-            const pointsStr = profile?.balance?.points ?? '0';
-            const eth = Number(BigInt(weiStr)) / 1e18;
-            const points = Number(BigInt(pointsStr)) / 1e18;
-            setOffchainBalanceEth(isFinite(eth) ? eth.toFixed(4) : '0.0000');
-            setPlayerPoints(isFinite(points) ? points.toFixed(4) : '0.0000');
+            showOffchainBalance(stakeAssetBalance(profile), profile?.balance?.points ?? '0');
             console.log('💰 Balance refreshed after timeout - check if bet succeeded');
           } catch (refreshError) {
             console.error('Failed to refresh balance after timeout:', refreshError);
@@ -1013,16 +998,18 @@ function GamePageClient() {
         } else {
           // Remove optimistic bet on actual failure
           setRecentGames(prev => prev.filter(game =>
-            !(game.timestamp === optimisticBet.timestamp && game.isOptimistic)
+            !(getGameKey(game) === getGameKey(optimisticBet) && game.isOptimistic)
           ));
           // Revert balance
-          if (playerProfile?.balance) {
-            const currentBalance = Number(BigInt(playerProfile.balance)) / 1e18;
+          if (playerProfile) {
+            const currentBalance = Number(BigInt(stakeAssetBalance(playerProfile))) / 10 ** collateral.decimals;
             setOffchainBalanceEth(currentBalance.toFixed(4));
           }
           
-          if (errorMessage.includes('Insufficient balance')) {
-            alert('❌ INSUFFICIENT FUNDS\n\nYou need to deposit ETH to your account before betting.\n\nGo to the Deposit page to add funds.');
+          if (errorMessage.includes('Sign in required')) {
+            alert('🔐 SIGN IN REQUIRED\n\nSign in with your wallet (wallet menu → Sign In) before placing bets.');
+          } else if (errorMessage.includes('Insufficient balance')) {
+            alert(`❌ INSUFFICIENT FUNDS\n\nYou need to deposit ${collateral.symbol} to your account before betting.\n\nGo to the Deposit page to add funds.`);
           } else {
             alert('Bet failed: ' + errorMessage);
           }
@@ -1034,26 +1021,6 @@ function GamePageClient() {
       // Set entry price for display
       setEntryPrice(optimisticBet.entryPrice);
       
-      // Save to betting history in localStorage
-      if (typeof window !== 'undefined' && address) {
-        try {
-          const historyKey = `bettingHistory_${address}`;
-          const existingHistory = localStorage.getItem(historyKey);
-          const history = existingHistory ? JSON.parse(existingHistory) : [];
-          
-          // Add the new bet to history with a unique ID
-          const betWithId = {
-            ...optimisticBet,
-            id: `${address}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            transactionHash: undefined
-          };
-          
-          const updatedHistory = [betWithId, ...history].slice(0, 100); // Keep last 100 bets
-          localStorage.setItem(historyKey, JSON.stringify(updatedHistory));
-        } catch (err) {
-          console.error("Failed to save bet to history:", err);
-        }
-      }
     } catch (error: any) {
       console.error("Error placing bet:", error);
       
@@ -1138,6 +1105,9 @@ function GamePageClient() {
 
   return (
     <div className="min-h-screen text-white pixel-font pixel-bg">
+      {/* Session length reminders, if the player set them */}
+      <SessionReminder />
+
       {/* Navigation Loading Overlay */}
       {isNavigating && (
         <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center">
@@ -1160,7 +1130,7 @@ function GamePageClient() {
             <>
               <div className="pixel-tag px-3 py-2 text-sm">
                 <span className="text-gray-300 font-mono font-medium">
-                  Deposit: {offchainBalanceEth} ETH
+                  Deposit: {offchainBalanceEth} {collateral.symbol}
                 </span>
               </div>
                      <div className="pixel-tag px-3 py-2 text-sm">
@@ -1186,7 +1156,7 @@ function GamePageClient() {
                 <div className="space-y-1 text-sm">
                   <div className="flex justify-between">
                     <span className="text-gray-400">Amount:</span>
-                    <span className="font-medium">{lastBet.amount} ETH</span>
+                    <span className="font-medium">{lastBet.amount} {lastBet.asset}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-400">Prediction:</span>
@@ -1265,16 +1235,37 @@ function GamePageClient() {
               <div className="pixel-card pixel-card--soft p-6">
                 <h2 className="pixel-text-large text-2xl font-bold mb-6 text-white">PLACE YOUR PREDICTION</h2>
                 
-                {/* Timeframe Selection - Only 1 minute option now */}
+                {/* Market Selection */}
+                <div className="mb-6">
+                  <h3 className="pixel-text text-lg font-semibold mb-3 text-white">MARKET</h3>
+                  <div className="grid grid-cols-2 gap-3">
+                    {(Object.keys(MARKET_ASSETS) as MarketAsset[]).map((asset) => (
+                      <button
+                        key={asset}
+                        onClick={() => setToken(asset)}
+                        aria-pressed={token === asset}
+                        className={`pixel-button pixel-button--blue ${token === asset ? 'ring-4 ring-blue-400' : 'opacity-70'}`}
+                      >
+                        {asset}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Timeframe Selection */}
                 <div className="mb-6">
                   <h3 className="pixel-text text-lg font-semibold mb-3 text-white">TIMEFRAME</h3>
-                  <div className="grid grid-cols-1 gap-3">
-                    <button
-                      onClick={() => setTimeframe("1m")}
-                      className="pixel-button pixel-button--blue"
-                    >
-                      1 MIN
-                    </button>
+                  <div className="grid grid-cols-4 gap-3">
+                    {(Object.keys(MARKET_TIMEFRAMES) as TimeframeLabel[]).map((label) => (
+                      <button
+                        key={label}
+                        onClick={() => setTimeframe(label)}
+                        aria-pressed={timeframe === label}
+                        className={`pixel-button pixel-button--blue ${timeframe === label ? 'ring-4 ring-blue-400' : 'opacity-70'}`}
+                      >
+                        {label.toUpperCase()}
+                      </button>
+                    ))}
                   </div>
                 </div>
                 
@@ -1312,14 +1303,20 @@ function GamePageClient() {
                 <div className="mb-6">
                   <h3 className="pixel-text text-lg font-semibold mb-3 text-white">BET AMOUNT</h3>
                   <div className="flex gap-3">
-                    <select
-                      value={token}
-                      onChange={(e) => setToken(e.target.value)}
-                      className="pixel-card pixel-card--soft p-3 w-24"
-                    >
-                      <option value="ETH">ETH</option>
-                      <option value="USDC">USDC</option>
-                    </select>
+                    {COLLATERAL_ASSETS.length > 1 ? (
+                      <select
+                        value={stakeAsset}
+                        onChange={(e) => { setStakeAsset(e.target.value); setAmount(""); }}
+                        disabled={isPlacingBet}
+                        className="pixel-card pixel-card--soft p-3 w-24 text-center bg-transparent"
+                      >
+                        {COLLATERAL_ASSETS.map((a) => (
+                          <option key={a.symbol} value={a.symbol}>{a.symbol}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <div className="pixel-card pixel-card--soft p-3 w-24 text-center">{collateral.symbol}</div>
+                    )}
                     <input
                       type="number"
                       min={0}
@@ -1340,6 +1337,13 @@ function GamePageClient() {
                       className="flex-1 pixel-card pixel-card--soft p-3"
                     />
                   </div>
+                  {betCapacity?.market.paused ? (
+                    <div className="pixel-text text-xs text-red-400 mt-2">Betting is paused on this market</div>
+                  ) : (maxBetEth('up') !== null || maxBetEth('down') !== null) && (
+                    <div className="pixel-text text-xs text-gray-400 mt-2">
+                      Max bet now: UP {maxBetEth('up')?.toFixed(4) ?? '∞'} {collateral.symbol} · DOWN {maxBetEth('down')?.toFixed(4) ?? '∞'} {collateral.symbol}
+                    </div>
+                  )}
                   <div className="pixel-text text-xs text-yellow-400 mt-2">
                     * Using test tokens on local testnet
                   </div>
@@ -1363,6 +1367,9 @@ function GamePageClient() {
                 
               </div>
               
+              {/* Auto-bet plans, placed by the server each round */}
+              <AutoBetPanel symbol={MARKET_ASSETS[token]} timeframe={getRoundDuration()} asset={collateral.symbol} />
+
               {/* Recent Games */}
               <div className="pixel-card pixel-card--soft p-6 flex-shrink-0">
                 <h2 className="pixel-text-large text-2xl font-bold mb-4 text-white">RECENT GAMES</h2>
@@ -1373,7 +1380,7 @@ function GamePageClient() {
                         <div className="flex justify-between items-center">
                           <div>
                             <div className="font-medium">
-                              {game.amount} ETH on {game.prediction.toUpperCase()}
+                              {game.amount} {game.asset ?? DEFAULT_ASSET} on {game.token} {timeframeLabel(game.duration)} {game.prediction.toUpperCase()}
                             </div>
                             <div className="text-sm text-gray-400">
                               {new Date(game.timestamp).toLocaleTimeString()}
@@ -1386,6 +1393,9 @@ function GamePageClient() {
                         <div className="text-xs text-gray-500 mt-1">
                           Entry: ${game.entryPrice.toFixed(4)} | Exit: {game.result !== 'pending' ? `$${game.exitPrice.toFixed(4)}` : '...'}
                         </div>
+                        {game.result === 'refund' && game.refundReason && (
+                          <div className="text-xs text-yellow-400 mt-1">{game.refundReason}</div>
+                        )}
                       </div>
                     ))
                   ) : (
@@ -1446,34 +1456,45 @@ function GamePageClient() {
                 </div>
                 
                 {activeChart === 'ethereum' ? (
-                  <CandlestickChart symbol="ETHUSDT" interval="1m" />
+                  <CandlestickChart symbol="ETHUSDT" interval="1s" timeframe={getRoundDuration()} bets={chartBets} />
                 ) : (
-                  <CandlestickChart symbol="HYPEUSDT" interval="1m" />
+                  <CandlestickChart symbol="HYPEUSDT" interval="1s" timeframe={getRoundDuration()} bets={chartBets} />
                 )}
               </div>
               
               {/* Pools */}
               <div className="pixel-card pixel-card--soft p-6">
                 <h2 className="text-2xl font-bold mb-4">Game Information</h2>
+                <p className="text-sm text-gray-400 mb-4">
+                  {marketLabel({ symbol: MARKET_ASSETS[token], timeframe: getRoundDuration() })} round
+                </p>
                 
                 <div className="space-y-4">
                   <div className="p-4 pixel-card pixel-card--soft">
                     <div className="flex justify-between">
                       <span className="font-semibold">UP Pool</span>
-                      <span className="font-bold">{upPool.toFixed(2)} ETH</span>
+                      <span className="font-bold">{upPool.toFixed(4)} {collateral.symbol}</span>
                     </div>
                     <div className="w-full pixel-card pixel-card--soft h-3 mt-2">
-                      <div className="bg-green-500 h-3" style={{ width: `${(upPool / (upPool + downPool)) * 100}%` }} />
+                      <div className="bg-green-500 h-3" style={{ width: `${totalPool > 0 ? (upPool / totalPool) * 100 : 50}%` }} />
+                    </div>
+                    <div className="flex justify-between text-sm text-gray-400 mt-2">
+                      <span>{roundStats?.upBets ?? 0} bets</span>
+                      <span>Pays {formatMultiplier(roundStats?.upMultiplier)}</span>
                     </div>
                   </div>
                   
                   <div className="p-4 pixel-card pixel-card--soft">
                     <div className="flex justify-between">
                       <span className="font-semibold">DOWN Pool</span>
-                      <span className="font-bold">{downPool.toFixed(2)} ETH</span>
+                      <span className="font-bold">{downPool.toFixed(4)} {collateral.symbol}</span>
                     </div>
                     <div className="w-full pixel-card pixel-card--soft h-3 mt-2">
-                      <div className="bg-red-500 h-3" style={{ width: `${(downPool / (upPool + downPool)) * 100}%` }} />
+                      <div className="bg-red-500 h-3" style={{ width: `${totalPool > 0 ? (downPool / totalPool) * 100 : 50}%` }} />
+                    </div>
+                    <div className="flex justify-between text-sm text-gray-400 mt-2">
+                      <span>{roundStats?.downBets ?? 0} bets</span>
+                      <span>Pays {formatMultiplier(roundStats?.downMultiplier)}</span>
                     </div>
                   </div>
                 </div>
@@ -1481,8 +1502,13 @@ function GamePageClient() {
                 <div className="mt-4 pt-4 border-t border-gray-700">
                   <div className="flex justify-between">
                     <span className="font-semibold">Total Pool</span>
-                    <span className="font-bold">{(upPool + downPool).toFixed(2)} ETH</span>
+                    <span className="font-bold">{totalPool.toFixed(4)} {collateral.symbol}</span>
                   </div>
+                  <p className="text-sm text-gray-400 mt-2">
+                    {roundStats?.payoutMode === 'parimutuel'
+                      ? `Pool payout: winners split the losing side, less a ${(roundStats.feeBps / 100).toFixed(2)}% house fee`
+                      : `Fixed payout: 2x stake, less a ${((roundStats?.feeBps ?? 500) / 100).toFixed(2)}% house fee`}
+                  </p>
                 </div>
               </div>
 
@@ -1600,7 +1626,7 @@ function GamePageClient() {
                   )}
                   {betResult.result === 'refund' && (
                     <p className="text-white text-lg" style={{ fontFamily: 'monospace' }}>
-                      Bet refunded due to insufficient price movement.
+                      Bet refunded: {betResult.refundReason ?? 'round voided'}.
                     </p>
                   )}
                 </div>
@@ -1617,12 +1643,12 @@ function GamePageClient() {
                   </div>
                   <div className="flex justify-between py-1 border-b border-gray-400">
                     <span className="text-white font-mono">Amount:</span>
-                    <span className="text-white font-mono font-bold">{betResult.amount.toFixed(4)} ETH</span>
+                    <span className="text-white font-mono font-bold">{betResult.amount.toFixed(4)} {betResult.asset}</span>
                   </div>
                   <div className="flex justify-between py-1 border-b border-gray-400">
                     <span className="text-white font-mono">Payout:</span>
                     <span className={`font-mono font-bold ${betResult.result === 'win' ? 'text-green-400' : betResult.result === 'refund' ? 'text-yellow-400' : 'text-gray-400'}`}>
-                      {betResult.payout.toFixed(4)} ETH
+                      {betResult.payout.toFixed(4)} {betResult.asset}
                     </span>
                   </div>
                   {/* Points Earned */}
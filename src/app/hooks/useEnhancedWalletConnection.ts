@@ -2,6 +2,11 @@ import { useState, useEffect, useCallback } from 'react';
 import { useAccount, useConnect, useDisconnect, useSwitchChain, useChains, useWalletClient } from 'wagmi';
 import { sepolia } from 'wagmi/chains'; // Import sepolia chain from wagmi
 import { usePredictionGameContract } from '../utils/evmContract';
+import { captureReferralCode, fetchAuthSession, signInWithEthereum, signOutSession, type AuthSession } from '../utils/authClient';
+
+// Shared across hook instances so a connected wallet sees at most one SIWE prompt at a time
+let signInInFlight: Promise<AuthSession> | null = null;
+const autoPromptedAddresses = new Set<string>();
 
 export interface WalletInfo {
   address: `0x${string}` | undefined;
@@ -24,6 +29,12 @@ export function useEnhancedWalletConnection() {
   const [walletInfo, setWalletInfo] = useState<WalletInfo | null>(null);
   const [isSwitchingChain, setIsSwitchingChain] = useState(false);
   const [chainSwitchError, setChainSwitchError] = useState<string | null>(null);
+  const [session, setSession] = useState<AuthSession | null>(null);
+  const [sessionCheckedFor, setSessionCheckedFor] = useState<string | null>(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [authError, setAuthError] = useState<string | null>(null);
+  const isAuthenticated = !!session && !!address && session.address === address.toLowerCase();
+  const isOperator = isAuthenticated && !!session?.operator;
   
   const { getPlayerProfile, formatEther } = usePredictionGameContract();
 
@@ -98,6 +109,63 @@ export function useEnhancedWalletConnection() {
     })();
   }, [isConnected, address, walletClient, connector?.name, chainId, getPlayerProfile, formatEther]);
 
+  // An invite link's ?ref= code waits in storage for the first sign-in
+  useEffect(() => { captureReferralCode(); }, []);
+
+  // Restore the server session (if any) whenever the connected address changes
+  useEffect(() => {
+    if (!address) {
+      setSession(null);
+      setSessionCheckedFor(null);
+      return;
+    }
+    let cancelled = false;
+    fetchAuthSession()
+      .then((s) => { if (!cancelled) setSession(s); })
+      .catch(() => { if (!cancelled) setSession(null); })
+      .finally(() => { if (!cancelled) setSessionCheckedFor(address.toLowerCase()); });
+    return () => { cancelled = true; };
+  }, [address]);
+
+  // Sign-In with Ethereum: proves address ownership to the server for balance-changing routes
+  const signIn = useCallback(async () => {
+    if (!walletClient || !address) return null;
+    setIsSigningIn(true);
+    setAuthError(null);
+    try {
+      if (!signInInFlight) {
+        signInInFlight = signInWithEthereum(walletClient, address, chainId ?? sepolia.id)
+          .finally(() => { signInInFlight = null; });
+      }
+      const next = await signInInFlight;
+      setSession(next);
+      return next;
+    } catch (err: unknown) {
+      console.error('Sign-in failed:', err);
+      setAuthError('Sign-in was rejected or failed. Sign in again to place bets.');
+      return null;
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, [walletClient, address, chainId]);
+
+  const signOut = useCallback(async () => {
+    try {
+      await signOutSession();
+    } finally {
+      setSession(null);
+    }
+  }, []);
+
+  // Prompt for a signature once per address right after connecting
+  useEffect(() => {
+    if (!isConnected || !walletClient || !address) return;
+    const lower = address.toLowerCase();
+    if (sessionCheckedFor !== lower || isAuthenticated || autoPromptedAddresses.has(lower)) return;
+    autoPromptedAddresses.add(lower);
+    signIn();
+  }, [isConnected, walletClient, address, sessionCheckedFor, isAuthenticated, signIn]);
+
   // Handle chain switching with better error handling
   const switchToSepoliaChain = useCallback(async () => {
     if (!isConnected || !chainId || chainId === sepolia.id) return false;
@@ -163,6 +231,8 @@ export function useEnhancedWalletConnection() {
 
   const disconnectWallet = useCallback(() => {
     try {
+      // End the server session along with the wallet connection
+      signOutSession().catch(() => {});
       // Call wagmi disconnect
       disconnect();
       
@@ -257,5 +327,11 @@ export function useEnhancedWalletConnection() {
     walletClient, // Expose the wallet client
     getWalletClientInfo, // Expose wallet client info function
     refetchEthBalance, // Expose balance refetch function
+    isAuthenticated,
+    isOperator,
+    isSigningIn,
+    authError,
+    signIn,
+    signOut,
   };
 }
\ No newline at end of file
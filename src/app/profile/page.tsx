@@ -1,12 +1,38 @@
 "use client";
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { useChainId } from 'wagmi';
 import { useAccount } from 'wagmi';
 import { useRouter } from 'next/navigation';
 import { usePredictionGameContract } from '../utils/evmContract';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
+import { ALL_MARKETS, marketLabel } from '@/lib/markets';
+import { COLLATERAL_ASSETS, formatAssetAmount, getAsset } from '@/lib/assets';
+import {
+  ApiKeyList,
+  ApiScope,
+  BetHistoryItem,
+  BetHistoryQuery,
+  PlayLimit,
+  PlayLimitKind,
+  PlayLimitPeriod,
+  PlaySettings,
+  ReferralSummary,
+  claimReferralCode,
+  createApiKey,
+  getApiKeys,
+  getPlaySettings,
+  getReferrals,
+  offchainGetHistory,
+  offchainHistoryCsvUrl,
+  revokeApiKey,
+  selfExclude,
+  setPlayLimit,
+  setSessionReminder,
+} from '../utils/offchainClient';
+
+const HISTORY_PAGE_SIZE = 20;
 
 interface PlayerProfile {
   balance: string;
@@ -17,14 +43,20 @@ interface PlayerProfile {
   totalPayout: string;
 }
 
-interface BetHistory {
-  timestamp: number;
-  prediction: string;
-  amount: string;
-  result: string;
-  entryPrice: number;
-  exitPrice?: number;
-  token: string;
+interface MarketStats {
+  symbol: string;
+  timeframe: number;
+  gamesPlayed: number;
+  gamesWon: number;
+  totalWagered: string; // wei
+  winRate: number;
+}
+
+interface HistoryFilters {
+  market: string; // "symbol:timeframe" or '' for all
+  outcome: '' | BetHistoryItem['outcome'];
+  from: string; // yyyy-mm-dd
+  to: string; // yyyy-mm-dd, inclusive
 }
 
 export default function ProfilePage() {
@@ -38,7 +70,33 @@ export default function ProfilePage() {
   useEffect(() => { setMounted(true); }, []);
 
   const [profile, setProfile] = useState<PlayerProfile | null>(null);
-  const [betHistory, setBetHistory] = useState<BetHistory[]>([]);
+  const [betHistory, setBetHistory] = useState<BetHistoryItem[]>([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [historyFilters, setHistoryFilters] = useState<HistoryFilters>({ market: '', outcome: '', from: '', to: '' });
+  const [historyError, setHistoryError] = useState<string | null>(null);
+  const [marketStats, setMarketStats] = useState<MarketStats[]>([]);
+  const [tab, setTab] = useState<'history' | 'referrals' | 'keys' | 'limits'>('history');
+  const [referrals, setReferrals] = useState<ReferralSummary | null>(null);
+  const [referralError, setReferralError] = useState<string | null>(null);
+  const [referralInput, setReferralInput] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [apiKeys, setApiKeys] = useState<ApiKeyList | null>(null);
+  const [apiKeyError, setApiKeyError] = useState<string | null>(null);
+  const [newKeyName, setNewKeyName] = useState('');
+  const [newKeyScopes, setNewKeyScopes] = useState<ApiScope[]>(['read']);
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+  const [playSettings, setPlaySettings] = useState<PlaySettings | null>(null);
+  const [limitsError, setLimitsError] = useState<string | null>(null);
+  const [limitsNotice, setLimitsNotice] = useState<string | null>(null);
+  const [limitForm, setLimitForm] = useState<{ asset: string; kind: PlayLimitKind; period: PlayLimitPeriod; amount: string }>({
+    asset: COLLATERAL_ASSETS[0].symbol,
+    kind: 'deposit',
+    period: 'day',
+    amount: '',
+  });
+  const [reminderInput, setReminderInput] = useState('');
+  const [excludeDays, setExcludeDays] = useState('7');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -78,26 +136,8 @@ export default function ProfilePage() {
         totalPayout: totalPayoutEth.toFixed(6),
       };
       setProfile(formattedProfile);
+      setMarketStats(Array.isArray(oc?.markets) ? oc.markets : []);
 
-      // Fetch bet history from localStorage
-      if (typeof window !== 'undefined') {
-        const historyKey = `bettingHistory_${address}`;
-        const existingHistory = localStorage.getItem(historyKey);
-        if (existingHistory) {
-          const history = JSON.parse(existingHistory);
-          // Normalize and defend against missing fields
-          const normalized = Array.isArray(history) ? history.map((h: any) => ({
-            timestamp: typeof h.timestamp === 'number' ? h.timestamp : Date.now(),
-            prediction: typeof h.prediction === 'string' ? h.prediction : 'up',
-            amount: typeof h.amount === 'string' ? h.amount : String(h.amount ?? '0'),
-            result: typeof h.result === 'string' ? h.result : 'pending',
-            entryPrice: typeof h.entryPrice === 'number' ? h.entryPrice : 0,
-            exitPrice: typeof h.exitPrice === 'number' ? h.exitPrice : undefined,
-            token: typeof h.token === 'string' ? h.token : 'ETH'
-          })) : [];
-          setBetHistory(normalized.reverse()); // Show most recent first
-        }
-      }
     } catch (err) {
       console.error('Error fetching profile data:', err);
       const msg = (err as Error)?.message === 'timeout' 
@@ -109,6 +149,181 @@ export default function ProfilePage() {
     }
   };
 
+  // Date inputs are local days; `to` covers the whole day
+  const historyQuery = useCallback((): BetHistoryQuery => {
+    const [symbol, timeframe] = historyFilters.market ? historyFilters.market.split(':') : [];
+    const toDay = historyFilters.to ? new Date(`${historyFilters.to}T00:00:00`) : null;
+    if (toDay) toDay.setDate(toDay.getDate() + 1);
+    return {
+      symbol: symbol || undefined,
+      timeframe: timeframe ? Number(timeframe) : undefined,
+      outcome: historyFilters.outcome || undefined,
+      from: historyFilters.from ? new Date(`${historyFilters.from}T00:00:00`).toISOString() : undefined,
+      to: toDay ? toDay.toISOString() : undefined,
+    };
+  }, [historyFilters]);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const history = await offchainGetHistory({ ...historyQuery(), page: historyPage, pageSize: HISTORY_PAGE_SIZE });
+      setBetHistory(history.items);
+      setHistoryTotal(history.total);
+      setHistoryError(null);
+    } catch (err) {
+      console.error('Error fetching bet history:', err);
+      setHistoryError((err as Error)?.message?.includes('Sign in required')
+        ? 'Sign in with your wallet to see your bet history'
+        : 'Failed to load bet history');
+    }
+  }, [historyQuery, historyPage]);
+
+  useEffect(() => {
+    if (!mounted || !isConnected || !address) return;
+    fetchHistory();
+    const poll = setInterval(fetchHistory, 12000);
+    return () => clearInterval(poll);
+  }, [mounted, isConnected, address, fetchHistory]);
+
+  const fetchReferrals = async () => {
+    try {
+      setReferrals(await getReferrals());
+      setReferralError(null);
+    } catch (err) {
+      const message = (err as Error)?.message ?? '';
+      setReferralError(message.includes('Sign in required') ? 'Sign in with your wallet to see your referrals' : message || 'Failed to load referrals');
+    }
+  };
+
+  useEffect(() => {
+    if (!mounted || !isConnected || !address || tab !== 'referrals') return;
+    fetchReferrals();
+  }, [mounted, isConnected, address, tab]);
+
+  const submitReferralCode = async () => {
+    try {
+      await claimReferralCode(referralInput);
+      setReferralInput('');
+      await fetchReferrals();
+    } catch (err) {
+      setReferralError((err as Error).message);
+    }
+  };
+
+  const referralLink = referrals ? `${window.location.origin}/?ref=${referrals.code}` : '';
+
+  const copyReferralLink = async () => {
+    await navigator.clipboard.writeText(referralLink);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  const fetchApiKeys = async () => {
+    try {
+      setApiKeys(await getApiKeys());
+      setApiKeyError(null);
+    } catch (err) {
+      const message = (err as Error)?.message ?? '';
+      setApiKeyError(message.includes('Sign in required') ? 'Sign in with your wallet to manage API keys' : message || 'Failed to load API keys');
+    }
+  };
+
+  useEffect(() => {
+    if (!mounted || !isConnected || !address || tab !== 'keys') return;
+    fetchApiKeys();
+  }, [mounted, isConnected, address, tab]);
+
+  const toggleNewKeyScope = (scope: ApiScope) => {
+    setNewKeyScopes((current) => (current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]));
+  };
+
+  const submitApiKey = async () => {
+    try {
+      const { key } = await createApiKey({ name: newKeyName, scopes: newKeyScopes });
+      setCreatedKey(key);
+      setNewKeyName('');
+      await fetchApiKeys();
+    } catch (err) {
+      setApiKeyError((err as Error).message);
+    }
+  };
+
+  const revokeKey = async (id: number) => {
+    if (!window.confirm('Revoke this API key? Programs using it stop working immediately.')) return;
+    try {
+      await revokeApiKey(id);
+      await fetchApiKeys();
+    } catch (err) {
+      setApiKeyError((err as Error).message);
+    }
+  };
+
+  const fetchPlaySettings = async () => {
+    try {
+      const settings = await getPlaySettings();
+      setPlaySettings(settings);
+      setReminderInput(settings.sessionReminderMinutes ? String(settings.sessionReminderMinutes) : '');
+      setLimitsError(null);
+    } catch (err) {
+      const message = (err as Error)?.message ?? '';
+      setLimitsError(message.includes('Sign in required') ? 'Sign in with your wallet to manage your limits' : message || 'Failed to load limits');
+    }
+  };
+
+  useEffect(() => {
+    if (!mounted || !isConnected || !address || tab !== 'limits') return;
+    fetchPlaySettings();
+  }, [mounted, isConnected, address, tab]);
+
+  const saveLimit = async (input: { asset: string; kind: PlayLimitKind; period: PlayLimitPeriod; amount: string | null }) => {
+    try {
+      const result = await setPlayLimit(input);
+      setPlaySettings(result.settings);
+      setLimitsError(null);
+      setLimitsNotice(result.applied ? 'Limit updated.' : `The change takes effect on ${formatDate(result.effectiveAt)}, after the cooling-off period.`);
+      setLimitForm((current) => ({ ...current, amount: '' }));
+    } catch (err) {
+      setLimitsError((err as Error).message);
+    }
+  };
+
+  const saveReminder = async (minutes: number | null) => {
+    try {
+      await setSessionReminder(minutes);
+      setLimitsNotice(minutes ? `You will be reminded every ${minutes} minutes while playing.` : 'Session reminders are off.');
+      await fetchPlaySettings();
+    } catch (err) {
+      setLimitsError((err as Error).message);
+    }
+  };
+
+  const submitExclusion = async (permanent: boolean) => {
+    const what = permanent ? 'permanently' : `for ${excludeDays} days`;
+    if (!window.confirm(`Self-exclude ${what}? Betting and deposits are blocked and this cannot be undone early. Withdrawals stay open.`)) return;
+    try {
+      setPlaySettings(await selfExclude(permanent ? { permanent: true } : { days: Number(excludeDays) }));
+      setLimitsError(null);
+      setLimitsNotice(null);
+    } catch (err) {
+      setLimitsError((err as Error).message);
+    }
+  };
+
+  const limitLabel = (limit: Pick<PlayLimit, 'kind' | 'period'>) =>
+    `${{ day: 'Daily', week: 'Weekly', month: 'Monthly' }[limit.period]} ${{ deposit: 'deposit', wager: 'wager', loss: 'net loss' }[limit.kind]}`;
+
+  // { ETH: "1000...", USDC: "..." } in base units -> "0.001 ETH · 25 USDC"
+  const formatAssetSums = (sums: Record<string, string>) => {
+    const parts = Object.entries(sums)
+      .filter(([, amount]) => amount !== '0')
+      .map(([symbol, amount]) => `${formatAssetAmount(amount, getAsset(symbol) ?? COLLATERAL_ASSETS[0])} ${symbol}`);
+    return parts.length > 0 ? parts.join(' · ') : '-';
+  };
+
+  const updateHistoryFilter = (patch: Partial<HistoryFilters>) => {
+    setHistoryFilters((current) => ({ ...current, ...patch }));
+    setHistoryPage(1);
+  };
+
   const getWinRate = () => {
     if (!profile || profile.gamesPlayed === 0) return 0;
     return ((profile.gamesWon / profile.gamesPlayed) * 100).toFixed(1);
@@ -116,8 +331,8 @@ export default function ProfilePage() {
 
   const getResultColor = (result: string) => {
     switch (result) {
-      case 'win': return 'text-green-400';
-      case 'lose': return 'text-red-400';
+      case 'won': return 'text-green-400';
+      case 'lost': return 'text-red-400';
       case 'refund': return 'text-yellow-400';
       default: return 'text-gray-400';
     }
@@ -125,15 +340,15 @@ export default function ProfilePage() {
 
   const getResultIcon = (result: string) => {
     switch (result) {
-      case 'win': return '✅';
-      case 'lose': return '❌';
+      case 'won': return '✅';
+      case 'lost': return '❌';
       case 'refund': return '🔄';
       default: return '⏳';
     }
   };
 
-  const formatDate = (timestamp: number) => {
-    return new Date(timestamp).toLocaleString();
+  const formatDate = (iso: string) => {
+    return new Date(iso).toLocaleString();
   };
 
   // Live refresh on on-chain events so profile updates automatically after wins/deposits
@@ -254,6 +469,7 @@ export default function ProfilePage() {
   const pixelValue = "pixel-text-large text-2xl font-bold text-white";
   const pixelValueGreen = "pixel-text-large text-2xl font-bold text-green-400";
   const pixelAddress = "pixel-text text-white break-all";
+  const pixelInput = "pixel-text bg-black/40 border-2 border-gray-700 text-white text-xs px-3 py-2";
 
   return (
     <div className="min-h-screen pixel-bg" style={{ imageRendering: 'pixelated' }}>
@@ -307,49 +523,463 @@ export default function ProfilePage() {
           </div>
         )}
 
-        <div className={`${pixelCard} mb-8`}>
-          <div className={pixelLabel}>WALLET ADDRESS</div>
-          <div className={pixelAddress}>{address}</div>
-        </div>
-
-        <div className={pixelCard}>
-          <h2 className="pixel-text-large text-lg font-bold text-white mb-6 tracking-widest">BET HISTORY</h2>
-          {betHistory.length === 0 ? (
-            <div className="text-center py-8 text-gray-400 pixel-text">No betting history found</div>
-          ) : (
+        {marketStats.length > 0 && (
+          <div className={`${pixelCard} mb-8`}>
+            <h2 className="pixel-text-large text-lg font-bold text-white mb-6 tracking-widest">STATS BY MARKET</h2>
             <div className="overflow-x-auto">
               <table className="w-full pixel-border">
                 <thead>
                   <tr className="border-b-2 border-gray-700 pixel-bg">
-                    <th className={pixelTableHead}>DATE</th>
-                    <th className={pixelTableHead}>TOKEN</th>
-                    <th className={pixelTableHead}>PREDICTION</th>
-                    <th className={pixelTableHead}>AMOUNT</th>
-                    <th className={pixelTableHead}>ENTRY PRICE</th>
-                    <th className={pixelTableHead}>EXIT PRICE</th>
-                    <th className={pixelTableHead}>RESULT</th>
+                    <th className={pixelTableHead}>MARKET</th>
+                    <th className={pixelTableHead}>PLAYED</th>
+                    <th className={pixelTableHead}>WON</th>
+                    <th className={pixelTableHead}>WIN RATE</th>
+                    <th className={pixelTableHead}>WAGERED</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {betHistory.map((bet, index) => (
-                    <tr key={index} className="border-b border-gray-800 hover:bg-gray-800/50 pixel-bg">
-                      <td className={pixelTableCell}>{formatDate(bet.timestamp)}</td>
-                      <td className={pixelTableCell}>{bet.token}</td>
-                      <td className={`${pixelTableCell} capitalize`}>{bet.prediction}</td>
-                      <td className={pixelTableCell}>{bet.amount} ETH</td>
-                      <td className={pixelTableCell}>${typeof bet.entryPrice === 'number' ? bet.entryPrice.toFixed(6) : '0.000000'}</td>
-                      <td className={pixelTableCell}>{bet.exitPrice ? `$${bet.exitPrice.toFixed(6)}` : '-'}</td>
-                      <td className={pixelTableCell}>
-                        <span className={`flex items-center gap-2 ${getResultColor(bet.result)} pixel-text`}>
-                          <span>{getResultIcon(bet.result)}</span>
-                          <span className="capitalize">{bet.result}</span>
-                        </span>
-                      </td>
+                  {marketStats.map((market) => (
+                    <tr key={`${market.symbol}:${market.timeframe}`} className="border-b border-gray-800 pixel-bg">
+                      <td className={pixelTableCell}>{marketLabel(market)}</td>
+                      <td className={pixelTableCell}>{market.gamesPlayed}</td>
+                      <td className={pixelTableCell}>{market.gamesWon}</td>
+                      <td className={pixelTableCell}>{market.winRate}%</td>
+                      <td className={pixelTableCell}>{(Number(BigInt(market.totalWagered)) / 1e18).toFixed(6)} ETH</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
+          </div>
+        )}
+
+        <div className={`${pixelCard} mb-8`}>
+          <div className={pixelLabel}>WALLET ADDRESS</div>
+          <div className={pixelAddress}>{address}</div>
+        </div>
+
+        <div className={pixelCard}>
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+            <div className="flex gap-6">
+              {(['history', 'referrals', 'keys', 'limits'] as const).map((t) => (
+                <button
+                  key={t}
+                  onClick={() => setTab(t)}
+                  className={`pixel-text-large text-lg font-bold tracking-widest ${tab === t ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                >
+                  {{ history: 'BET HISTORY', referrals: 'REFERRALS', keys: 'API KEYS', limits: 'LIMITS' }[t]}
+                </button>
+              ))}
+            </div>
+            {tab === 'history' && (
+              <a href={offchainHistoryCsvUrl(historyQuery())} className="pixel-button pixel-button--purple text-xs">
+                Export CSV
+              </a>
+            )}
+          </div>
+          {tab === 'referrals' ? (
+            referralError && !referrals ? (
+              <div className="text-center py-8 text-red-400 pixel-text">{referralError}</div>
+            ) : !referrals ? (
+              <div className="text-center py-8 text-gray-400 pixel-text">Loading referrals...</div>
+            ) : (
+              <div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                  <div>
+                    <div className={pixelLabel}>YOUR INVITE LINK</div>
+                    <div className="flex items-center gap-3">
+                      <span className="pixel-text text-white text-sm break-all">{referralLink}</span>
+                      <button onClick={copyReferralLink} className={`${pixelButton} text-xs`}>{linkCopied ? 'Copied' : 'Copy'}</button>
+                    </div>
+                    <div className="pixel-text text-gray-500 text-xs mt-2">
+                      You earn {referrals.shareBps / 100}% of the house fee on your invitees&apos; winning bets.
+                    </div>
+                  </div>
+                  <div>
+                    <div className={pixelLabel}>INVITEES</div>
+                    <div className={pixelValue}>{referrals.totals.invitees}</div>
+                    <div className="pixel-text text-gray-400 text-xs mt-2">Volume: {formatAssetSums(referrals.totals.volume)}</div>
+                  </div>
+                  <div>
+                    <div className={pixelLabel}>EARNED</div>
+                    <div className="pixel-text-large text-lg font-bold text-green-400">{formatAssetSums(referrals.totals.earned)}</div>
+                  </div>
+                </div>
+                {referrals.referredBy && (
+                  <div className="pixel-text text-gray-400 text-xs mb-6">Referred by {referrals.referredBy}</div>
+                )}
+                {referrals.canBeReferred && (
+                  <div className="flex flex-wrap items-center gap-3 mb-6">
+                    <span className="pixel-text text-gray-400 text-xs">HAVE A CODE? (BEFORE YOUR FIRST DEPOSIT)</span>
+                    <input
+                      value={referralInput}
+                      onChange={(e) => setReferralInput(e.target.value)}
+                      placeholder="CODE"
+                      className={pixelInput}
+                    />
+                    <button onClick={submitReferralCode} disabled={!referralInput.trim()} className={`${pixelButton} text-xs disabled:opacity-40`}>
+                      Apply
+                    </button>
+                  </div>
+                )}
+                {referralError && <div className="pixel-text text-red-400 text-xs mb-6">{referralError}</div>}
+                {referrals.invitees.length === 0 ? (
+                  <div className="text-center py-8 text-gray-400 pixel-text">No invitees yet. Share your link to start earning.</div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full pixel-border">
+                      <thead>
+                        <tr className="border-b-2 border-gray-700 pixel-bg">
+                          <th className={pixelTableHead}>PLAYER</th>
+                          <th className={pixelTableHead}>JOINED</th>
+                          <th className={pixelTableHead}>BETS</th>
+                          <th className={pixelTableHead}>VOLUME</th>
+                          <th className={pixelTableHead}>EARNED</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {referrals.invitees.map((invitee) => (
+                          <tr key={invitee.address} className="border-b border-gray-800 pixel-bg">
+                            <td className={pixelTableCell}>{invitee.address.slice(0, 6)}...{invitee.address.slice(-4)}</td>
+                            <td className={pixelTableCell}>{invitee.referredAt ? formatDate(invitee.referredAt) : '-'}</td>
+                            <td className={pixelTableCell}>{invitee.bets}</td>
+                            <td className={pixelTableCell}>{formatAssetSums(invitee.volume)}</td>
+                            <td className={`${pixelTableCell} text-green-400`}>{formatAssetSums(invitee.earned)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )
+          ) : tab === 'keys' ? (
+            apiKeyError && !apiKeys ? (
+              <div className="text-center py-8 text-red-400 pixel-text">{apiKeyError}</div>
+            ) : !apiKeys ? (
+              <div className="text-center py-8 text-gray-400 pixel-text">Loading API keys...</div>
+            ) : (
+              <div>
+                <div className="pixel-text text-gray-400 text-xs mb-6">
+                  Keys let your programs use the trading API: send one in the X-API-Key header. Endpoints are listed in the{' '}
+                  <a href="/api/v1/openapi.json" className="text-purple-300 hover:text-purple-200">OpenAPI spec</a>.
+                  Each key allows {apiKeys.defaultRateLimit} requests per minute.
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mb-6">
+                  <input
+                    value={newKeyName}
+                    onChange={(e) => setNewKeyName(e.target.value)}
+                    placeholder="KEY NAME"
+                    className={pixelInput}
+                  />
+                  {apiKeys.scopes.map((scope) => (
+                    <label key={scope} className="pixel-text text-gray-300 text-xs flex items-center gap-2">
+                      <input type="checkbox" checked={newKeyScopes.includes(scope)} onChange={() => toggleNewKeyScope(scope)} />
+                      {scope.toUpperCase()}
+                    </label>
+                  ))}
+                  <button
+                    onClick={submitApiKey}
+                    disabled={!newKeyName.trim() || newKeyScopes.length === 0}
+                    className={`${pixelButton} text-xs disabled:opacity-40`}
+                  >
+                    Create key
+                  </button>
+                </div>
+                {createdKey && (
+                  <div className="pixel-border p-4 mb-6">
+                    <div className={pixelLabel}>NEW KEY (COPY IT NOW, IT IS NOT SHOWN AGAIN)</div>
+                    <div className="flex items-center gap-3">
+                      <span className="pixel-text text-green-400 text-sm break-all">{createdKey}</span>
+                      <button onClick={() => navigator.clipboard.writeText(createdKey)} className={`${pixelButton} text-xs`}>Copy</button>
+                      <button onClick={() => setCreatedKey(null)} className={`${pixelButton} text-xs`}>Done</button>
+                    </div>
+                  </div>
+                )}
+                {apiKeyError && <div className="pixel-text text-red-400 text-xs mb-6">{apiKeyError}</div>}
+                {apiKeys.keys.length === 0 ? (
+                  <div className="text-center py-8 text-gray-400 pixel-text">No API keys yet.</div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full pixel-border">
+                      <thead>
+                        <tr className="border-b-2 border-gray-700 pixel-bg">
+                          <th className={pixelTableHead}>NAME</th>
+                          <th className={pixelTableHead}>KEY</th>
+                          <th className={pixelTableHead}>SCOPES</th>
+                          <th className={pixelTableHead}>LIMIT</th>
+                          <th className={pixelTableHead}>LAST USED</th>
+                          <th className={pixelTableHead}></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {apiKeys.keys.map((key) => (
+                          <tr key={key.id} className={`border-b border-gray-800 pixel-bg ${key.revokedAt ? 'opacity-50' : ''}`}>
+                            <td className={pixelTableCell}>{key.name}</td>
+                            <td className={pixelTableCell}>{key.prefix}_...</td>
+                            <td className={pixelTableCell}>{key.scopes.join(', ')}</td>
+                            <td className={pixelTableCell}>{key.rateLimit}/min</td>
+                            <td className={pixelTableCell}>{key.lastUsedAt ? formatDate(key.lastUsedAt) : '-'}</td>
+                            <td className={pixelTableCell}>
+                              {key.revokedAt ? (
+                                <span className="text-gray-500">Revoked</span>
+                              ) : (
+                                <button onClick={() => revokeKey(key.id)} className="pixel-text text-red-400 hover:text-red-300 text-xs">
+                                  Revoke
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )
+          ) : tab === 'limits' ? (
+            limitsError && !playSettings ? (
+              <div className="text-center py-8 text-red-400 pixel-text">{limitsError}</div>
+            ) : !playSettings ? (
+              <div className="text-center py-8 text-gray-400 pixel-text">Loading limits...</div>
+            ) : (
+              <div>
+                {playSettings.exclusion && (
+                  <div className="pixel-border p-4 mb-6 pixel-text text-yellow-400 text-sm">
+                    {playSettings.exclusion.permanent
+                      ? 'You have self-excluded permanently.'
+                      : `You have self-excluded until ${formatDate(playSettings.exclusion.until!)}.`}{' '}
+                    Betting and deposits are blocked; you can still withdraw.
+                  </div>
+                )}
+                {limitsNotice && <div className="pixel-text text-green-400 text-xs mb-6">{limitsNotice}</div>}
+                {limitsError && <div className="pixel-text text-red-400 text-xs mb-6">{limitsError}</div>}
+
+                <div className={pixelLabel}>DEPOSIT, WAGER AND LOSS LIMITS</div>
+                <div className="pixel-text text-gray-500 text-xs mb-4">
+                  Periods are the last 24 hours, 7 days or 30 days. Net loss is what you staked minus what came back; open bets count as lost.
+                  Lowering a limit applies at once, raising or removing one after {playSettings.coolingOffHours} hours.
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mb-6">
+                  <select value={limitForm.asset} onChange={(e) => setLimitForm({ ...limitForm, asset: e.target.value })} className={pixelInput}>
+                    {COLLATERAL_ASSETS.map((a) => (
+                      <option key={a.symbol} value={a.symbol}>{a.symbol}</option>
+                    ))}
+                  </select>
+                  <select value={limitForm.kind} onChange={(e) => setLimitForm({ ...limitForm, kind: e.target.value as PlayLimitKind })} className={pixelInput}>
+                    <option value="deposit">Deposit</option>
+                    <option value="wager">Wager</option>
+                    <option value="loss">Net loss</option>
+                  </select>
+                  <select value={limitForm.period} onChange={(e) => setLimitForm({ ...limitForm, period: e.target.value as PlayLimitPeriod })} className={pixelInput}>
+                    <option value="day">Daily</option>
+                    <option value="week">Weekly</option>
+                    <option value="month">Monthly</option>
+                  </select>
+                  <input
+                    value={limitForm.amount}
+                    onChange={(e) => setLimitForm({ ...limitForm, amount: e.target.value })}
+                    placeholder={`AMOUNT (${limitForm.asset})`}
+                    inputMode="decimal"
+                    className={pixelInput}
+                  />
+                  <button onClick={() => saveLimit(limitForm)} disabled={!limitForm.amount.trim()} className={`${pixelButton} text-xs disabled:opacity-40`}>
+                    Set limit
+                  </button>
+                </div>
+                {playSettings.limits.length === 0 ? (
+                  <div className="text-center py-4 text-gray-400 pixel-text mb-6">No limits set.</div>
+                ) : (
+                  <div className="overflow-x-auto mb-8">
+                    <table className="w-full pixel-border">
+                      <thead>
+                        <tr className="border-b-2 border-gray-700 pixel-bg">
+                          <th className={pixelTableHead}>LIMIT</th>
+                          <th className={pixelTableHead}>AMOUNT</th>
+                          <th className={pixelTableHead}>USED</th>
+                          <th className={pixelTableHead}>LEFT</th>
+                          <th className={pixelTableHead}>PENDING</th>
+                          <th className={pixelTableHead}></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {playSettings.limits.map((limit) => {
+                          const collateral = getAsset(limit.asset) ?? COLLATERAL_ASSETS[0];
+                          const units = (value: string) => `${formatAssetAmount(value, collateral)} ${collateral.symbol}`;
+                          return (
+                            <tr key={`${limit.asset}:${limit.kind}:${limit.period}`} className="border-b border-gray-800 pixel-bg">
+                              <td className={pixelTableCell}>{limitLabel(limit)}</td>
+                              <td className={pixelTableCell}>{units(limit.amount)}</td>
+                              <td className={pixelTableCell}>{units(limit.used)}</td>
+                              <td className={pixelTableCell}>{units(limit.remaining)}</td>
+                              <td className={`${pixelTableCell} text-yellow-400`}>
+                                {limit.pendingAt
+                                  ? `${limit.pendingRemoval ? 'Removal' : units(limit.pendingAmount!)} on ${formatDate(limit.pendingAt)}`
+                                  : '-'}
+                              </td>
+                              <td className={pixelTableCell}>
+                                {!limit.pendingRemoval && (
+                                  <button
+                                    onClick={() => saveLimit({ asset: limit.asset, kind: limit.kind, period: limit.period, amount: null })}
+                                    className="pixel-text text-red-400 hover:text-red-300 text-xs"
+                                  >
+                                    Remove
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <div className={pixelLabel}>SESSION REMINDERS</div>
+                <div className="flex flex-wrap items-center gap-3 mb-8">
+                  <span className="pixel-text text-gray-400 text-xs">REMIND ME EVERY</span>
+                  <input
+                    value={reminderInput}
+                    onChange={(e) => setReminderInput(e.target.value)}
+                    placeholder="MINUTES"
+                    inputMode="numeric"
+                    className={`${pixelInput} w-24`}
+                  />
+                  <span className="pixel-text text-gray-400 text-xs">MINUTES OF PLAY</span>
+                  <button onClick={() => saveReminder(Number(reminderInput))} disabled={!reminderInput.trim()} className={`${pixelButton} text-xs disabled:opacity-40`}>
+                    Save
+                  </button>
+                  {playSettings.sessionReminderMinutes && (
+                    <button onClick={() => saveReminder(null)} className="pixel-text text-gray-400 hover:text-gray-300 text-xs">
+                      Turn off
+                    </button>
+                  )}
+                </div>
+
+                <div className={pixelLabel}>SELF-EXCLUSION</div>
+                <div className="pixel-text text-gray-500 text-xs mb-4">
+                  Blocks betting and deposits, and pauses your auto-bet plans. It cannot be shortened or lifted early. Withdrawals stay open.
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <select value={excludeDays} onChange={(e) => setExcludeDays(e.target.value)} className={pixelInput}>
+                    {[1, 7, 30, 90, 180, 365].map((days) => (
+                      <option key={days} value={days}>{days === 1 ? '24 hours' : `${days} days`}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => submitExclusion(false)} disabled={playSettings.exclusion?.permanent} className={`${pixelButton} text-xs disabled:opacity-40`}>
+                    Take a break
+                  </button>
+                  <button
+                    onClick={() => submitExclusion(true)}
+                    disabled={playSettings.exclusion?.permanent}
+                    className="pixel-text text-red-400 hover:text-red-300 text-xs disabled:opacity-40"
+                  >
+                    Exclude permanently
+                  </button>
+                </div>
+              </div>
+            )
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-3 mb-6">
+                <select
+                  value={historyFilters.market}
+                  onChange={(e) => updateHistoryFilter({ market: e.target.value })}
+                  className={pixelInput}
+                >
+                  <option value="">ALL MARKETS</option>
+                  {ALL_MARKETS.map((m) => (
+                    <option key={`${m.symbol}:${m.timeframe}`} value={`${m.symbol}:${m.timeframe}`}>{marketLabel(m)}</option>
+                  ))}
+                </select>
+                <select
+                  value={historyFilters.outcome}
+                  onChange={(e) => updateHistoryFilter({ outcome: e.target.value as HistoryFilters['outcome'] })}
+                  className={pixelInput}
+                >
+                  <option value="">ALL RESULTS</option>
+                  <option value="pending">PENDING</option>
+                  <option value="won">WON</option>
+                  <option value="lost">LOST</option>
+                  <option value="refund">REFUNDED</option>
+                </select>
+                <label className="pixel-text text-gray-400 text-xs flex items-center gap-2">
+                  FROM
+                  <input type="date" value={historyFilters.from} onChange={(e) => updateHistoryFilter({ from: e.target.value })} className={pixelInput} />
+                </label>
+                <label className="pixel-text text-gray-400 text-xs flex items-center gap-2">
+                  TO
+                  <input type="date" value={historyFilters.to} onChange={(e) => updateHistoryFilter({ to: e.target.value })} className={pixelInput} />
+                </label>
+              </div>
+              {historyError ? (
+                <div className="text-center py-8 text-red-400 pixel-text">{historyError}</div>
+              ) : betHistory.length === 0 ? (
+                <div className="text-center py-8 text-gray-400 pixel-text">No betting history found</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full pixel-border">
+                    <thead>
+                      <tr className="border-b-2 border-gray-700 pixel-bg">
+                        <th className={pixelTableHead}>DATE</th>
+                        <th className={pixelTableHead}>MARKET</th>
+                        <th className={pixelTableHead}>PREDICTION</th>
+                        <th className={pixelTableHead}>AMOUNT</th>
+                        <th className={pixelTableHead}>ENTRY PRICE</th>
+                        <th className={pixelTableHead}>EXIT PRICE</th>
+                        <th className={pixelTableHead}>RESULT</th>
+                        <th className={pixelTableHead}>PAYOUT</th>
+                        <th className={pixelTableHead}>POINTS</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {betHistory.map((bet) => (
+                        <tr key={bet.betId} className="border-b border-gray-800 hover:bg-gray-800/50 pixel-bg">
+                          <td className={pixelTableCell}>{formatDate(bet.placedAt)}</td>
+                          <td className={pixelTableCell}>{marketLabel(bet)}</td>
+                          <td className={`${pixelTableCell} capitalize`}>
+                            {bet.side}
+                            {bet.planId !== null && <span className="ml-2 text-xs text-purple-300 normal-case">AUTO #{bet.planId}</span>}
+                          </td>
+                          <td className={pixelTableCell}>{formatAssetAmount(bet.stake, getAsset(bet.asset) ?? COLLATERAL_ASSETS[0])} {bet.asset}</td>
+                          <td className={pixelTableCell}>{bet.entryPrice !== null ? `$${bet.entryPrice.toFixed(6)}` : '-'}</td>
+                          <td className={pixelTableCell}>{bet.exitPrice !== null ? `$${bet.exitPrice.toFixed(6)}` : '-'}</td>
+                          <td className={pixelTableCell}>
+                            <span className={`flex items-center gap-2 ${getResultColor(bet.outcome)} pixel-text`} title={bet.refundReason ?? undefined}>
+                              <span>{getResultIcon(bet.outcome)}</span>
+                              <span className="capitalize">{bet.outcome}</span>
+                            </span>
+                          </td>
+                          <td className={pixelTableCell}>{bet.payout !== '0' ? `${formatAssetAmount(bet.payout, getAsset(bet.asset) ?? COLLATERAL_ASSETS[0])} ${bet.asset}` : '-'}</td>
+                          <td className={pixelTableCell}>{Number(ethers.formatEther(bet.points)).toFixed(4)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {historyTotal > HISTORY_PAGE_SIZE && (
+                <div className="flex justify-between items-center mt-6">
+                  <button
+                    onClick={() => setHistoryPage((p) => Math.max(1, p - 1))}
+                    disabled={historyPage === 1}
+                    className={`${pixelButton} disabled:opacity-40`}
+                  >
+                    Newer
+                  </button>
+                  <span className="pixel-text text-gray-400 text-xs">
+                    PAGE {historyPage} / {Math.ceil(historyTotal / HISTORY_PAGE_SIZE)}
+                  </span>
+                  <button
+                    onClick={() => setHistoryPage((p) => p + 1)}
+                    disabled={historyPage * HISTORY_PAGE_SIZE >= historyTotal}
+                    className={`${pixelButton} disabled:opacity-40`}
+                  >
+                    Older
+                  </button>
+                </div>
+              )}
+            </>
           )}
         </div>
       </div>
@@ -0,0 +1,185 @@
+// Browser helpers for the operator console (/admin). Every /api/admin route needs an operator session.
+
+export class AdminRequestError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'AdminRequestError';
+  }
+}
+
+export interface MarketSettings {
+  symbol: string;
+  timeframe: number;
+  paused: boolean;
+  feeBps: number;
+  feeOverridden: boolean;
+  minStake: string | null; // wei
+  maxStake: string | null;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+export interface MarketSettingsUpdate {
+  symbol: string;
+  timeframe: number;
+  paused?: boolean;
+  feeBps?: number | null; // null: back to the default fee
+  minStakeWei?: string | null; // null: no limit
+  maxStakeWei?: string | null;
+  reason?: string;
+}
+
+export interface RoundExposure {
+  roundId: number;
+  symbol: string;
+  timeframe: number;
+  startAt: string;
+  endAt: string;
+  lockAt: string;
+  ended: boolean;
+  payoutMode: string;
+  feeBps: number;
+  asset: string; // one row per asset staked on the round; amounts in its base units
+  upPool: string;
+  downPool: string;
+  upBets: number;
+  downBets: number;
+  houseIfUp: string; // negative when the house pays out more than it takes in
+  houseIfDown: string;
+  worstCase: string;
+}
+
+export interface AdminPlayer {
+  id: number;
+  address: string;
+  createdAt: string;
+  available: string; // wei, ETH
+  locked: string;
+  balances: Array<{ asset: string; available: string; locked: string }>; // base units of each asset
+  points: string;
+  bets: number;
+}
+
+export interface AdminPlayerDetail extends Omit<AdminPlayer, 'bets'> {
+  transfers: Array<{ id: number; type: string; asset: string; amount: string; meta: unknown; createdAt: string }>;
+  bets: Array<{ id: number; roundId: number; symbol: string; timeframe: number; roundStart: string; side: string; asset: string; amount: string; status: string; createdAt: string }>;
+  withdrawals: Array<{ id: number; asset: string; amount: string; status: string; txHash: string | null; createdAt: string }>;
+}
+
+export interface PnlWindow {
+  window: 'daily' | 'weekly' | 'all';
+  asset: string;
+  since: string;
+  fees: string; // base units of `asset`
+  pnl: string;
+  total: string;
+}
+
+export interface DailyStats {
+  date: string; // YYYY-MM-DD, UTC
+  asset: string;
+  rounds: number;
+  voidRounds: number;
+  upWins: number;
+  downWins: number;
+  upWinRatio: number | null;
+  bets: number;
+  volume: string; // base units of `asset`
+  fees: string;
+  uniquePlayers: number;
+  source: 'rollup' | 'live' | 'missing';
+}
+
+export interface Analytics {
+  asset: string;
+  from: string;
+  to: string;
+  totals: Omit<DailyStats, 'date' | 'asset' | 'source'>;
+  series: DailyStats[]; // oldest first
+}
+
+export interface AuditEntry {
+  id: number;
+  actor: string;
+  action: string;
+  target: string | null;
+  reason: string | null;
+  payload: unknown;
+  createdAt: string;
+}
+
+export interface Page<T> {
+  page: number;
+  pageSize: number;
+  total: number;
+  items: T[];
+}
+
+async function adminFetch<T>(path: string, init?: RequestInit): Promise<T> {
+  const res = await fetch(path, {
+    cache: 'no-store',
+    ...init,
+    headers: init?.body ? { 'Content-Type': 'application/json' } : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new AdminRequestError(data.error || `Request failed (${res.status})`, res.status);
+  return data as T;
+}
+
+export function adminGetMarkets() {
+  return adminFetch<{ markets: MarketSettings[] }>('/api/admin/markets');
+}
+
+export function adminUpdateMarket(update: MarketSettingsUpdate) {
+  return adminFetch<{ success: boolean; settings: MarketSettings }>('/api/admin/markets', { method: 'PUT', body: JSON.stringify(update) });
+}
+
+export function adminGetExposure() {
+  return adminFetch<{ rounds: RoundExposure[]; worstCase: Record<string, string> }>('/api/admin/rounds'); // worstCase per asset
+}
+
+export function adminSettleRound(params: { roundId: number; action: 'resolve' | 'void'; reason: string; startPrice?: number; endPrice?: number }) {
+  return adminFetch<{ success: boolean; winningSide: string | null; voidReason: string | null }>('/api/admin/rounds', {
+    method: 'POST',
+    body: JSON.stringify(params),
+  });
+}
+
+export function adminGetPlayers(params: { q?: string; page?: number }) {
+  const search = new URLSearchParams();
+  if (params.q) search.set('q', params.q);
+  if (params.page) search.set('page', String(params.page));
+  return adminFetch<Page<AdminPlayer>>(`/api/admin/players?${search}`);
+}
+
+export function adminGetPlayer(id: number) {
+  return adminFetch<AdminPlayerDetail>(`/api/admin/players?id=${id}`);
+}
+
+// amountWei (base units of `asset`, ETH by default) may be negative to debit the player
+export function adminAdjustBalance(params: { playerId: number; amountWei: string; reason: string; asset?: string }) {
+  return adminFetch<{ success: boolean; transferId: number; available: string; locked: string }>('/api/admin/players', {
+    method: 'POST',
+    body: JSON.stringify(params),
+  });
+}
+
+export function adminGetPnl() {
+  return adminFetch<{ windows: PnlWindow[] }>('/api/admin/pnl');
+}
+
+// Daily game statistics; from/to are YYYY-MM-DD (UTC), the last 30 days by default
+export function adminGetAnalytics(params: { from?: string; to?: string; asset?: string }) {
+  const search = new URLSearchParams();
+  if (params.from) search.set('from', params.from);
+  if (params.to) search.set('to', params.to);
+  if (params.asset) search.set('asset', params.asset);
+  return adminFetch<Analytics>(`/api/analytics?${search}`);
+}
+
+export function adminGetAuditLog(params: { page?: number; action?: string }) {
+  const search = new URLSearchParams();
+  if (params.page) search.set('page', String(params.page));
+  if (params.action) search.set('action', params.action);
+  return adminFetch<Page<AuditEntry>>(`/api/admin/audit?${search}`);
+}
@@ -0,0 +1,74 @@
+import type { WalletClient } from 'viem';
+import { createSiweMessage } from 'viem/siwe';
+import { reconnectEvents } from './eventStream';
+
+export interface AuthSession {
+  address: string;
+  expiresAt: number; // seconds
+  operator?: boolean; // may use /admin
+  referral?: { referrer: string } | { error: string } | null; // outcome of the referral code sent at sign-in
+}
+
+const REFERRAL_STORAGE_KEY = 'kairos_ref';
+
+// Keeps the ?ref= code a player arrived with until sign-in or their first deposit can use it
+export function captureReferralCode() {
+  const code = new URLSearchParams(window.location.search).get('ref');
+  if (code) window.localStorage.setItem(REFERRAL_STORAGE_KEY, code);
+}
+
+export function pendingReferralCode(): string | null {
+  return typeof window === 'undefined' ? null : window.localStorage.getItem(REFERRAL_STORAGE_KEY);
+}
+
+export function clearReferralCode() {
+  window.localStorage.removeItem(REFERRAL_STORAGE_KEY);
+}
+
+export async function fetchAuthSession(): Promise<AuthSession | null> {
+  const res = await fetch('/api/auth/session', { cache: 'no-store' });
+  if (!res.ok) return null;
+  return res.json();
+}
+
+// Sign-In with Ethereum: fetch a nonce, sign an EIP-4361 message, exchange it for a session cookie
+export async function signInWithEthereum(
+  walletClient: WalletClient,
+  address: `0x${string}`,
+  chainId: number
+): Promise<AuthSession> {
+  const nonceRes = await fetch('/api/auth/nonce', { cache: 'no-store' });
+  if (!nonceRes.ok) throw new Error(await nonceRes.text());
+  const { nonce } = await nonceRes.json();
+
+  const message = createSiweMessage({
+    domain: window.location.host,
+    address,
+    statement: 'Sign in to Kairos to place bets and manage your deposit balance.',
+    uri: window.location.origin,
+    version: '1',
+    chainId,
+    nonce,
+    issuedAt: new Date(),
+    expirationTime: new Date(Date.now() + 10 * 60 * 1000),
+  });
+  const signature = await walletClient.signMessage({ account: address, message });
+
+  const res = await fetch('/api/auth/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature, referralCode: pendingReferralCode() ?? undefined })
+  });
+  if (!res.ok) throw new Error(await res.text());
+  const session: AuthSession = await res.json();
+  // Attributed or refused for good (own code, already referred, already deposited): either way it is spent
+  if (session.referral) clearReferralCode();
+  // The event stream picks up the new session's balance events
+  reconnectEvents();
+  return session;
+}
+
+export async function signOutSession() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  reconnectEvents();
+}
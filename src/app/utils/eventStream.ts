@@ -0,0 +1,143 @@
+// Browser side of the /api/events stream. One EventSource is shared by every subscriber on the page;
+// it reconnects on its own, resuming after the last event id it saw, so a dropped connection does not
+// miss a settlement. After a stream.reset the server could not replay everything: reload state.
+
+export interface RoundEvent {
+  roundId: number;
+  symbol: string;
+  timeframe: number; // seconds
+  startAt: number; // seconds
+  endAt: number;
+  lockAt: number;
+  status: string;
+}
+
+// round.resolved / round.voided
+export interface RoundSettledEvent extends RoundEvent {
+  winningSide: 'up' | 'down' | null;
+  voidReason: string | null;
+  voidReasonLabel: string | null;
+  startPrice: number | null;
+  endPrice: number | null;
+  payoutMode: 'fixed' | 'parimutuel';
+  payoutMultiplier: number | null; // for ETH stakes
+  payoutMultipliers: Record<string, number | null>; // per collateral asset staked in the round
+}
+
+// Same shape as /api/offchain/round-stats
+export interface RoundPoolEvent {
+  roundId: number | null;
+  symbol: string;
+  timeframe: number;
+  startAt: number;
+  status: string;
+  payoutMode: 'fixed' | 'parimutuel';
+  feeBps: number;
+  asset: string; // one event per asset; pools in its base units
+  upPool: string;
+  downPool: string;
+  upBets: number;
+  downBets: number;
+  upMultiplier: number | null;
+  downMultiplier: number | null;
+}
+
+export interface BalanceEvent {
+  transferId: number;
+  transferType: string;
+  amount: string;
+  roundId: number | null;
+  asset: string; // the Balance row this updated; amounts are in its base units
+  available: string;
+  locked: string;
+  points: string;
+}
+
+export interface StreamEventMap {
+  'round.opened': RoundEvent;
+  'round.locked': RoundEvent;
+  'round.pool': RoundPoolEvent;
+  'round.resolved': RoundSettledEvent;
+  'round.voided': RoundSettledEvent;
+  'balance': BalanceEvent;
+  'stream.ready': { head: number };
+  'stream.reset': { head: number };
+}
+
+export type StreamEventName = keyof StreamEventMap;
+type Handler<K extends StreamEventName = StreamEventName> = (payload: StreamEventMap[K]) => void;
+
+const EVENT_NAMES: StreamEventName[] = [
+  'round.opened', 'round.locked', 'round.pool', 'round.resolved', 'round.voided', 'balance', 'stream.ready', 'stream.reset',
+];
+const RETRY_MS = 5000;
+
+const handlers = new Map<StreamEventName, Set<Handler>>();
+let source: EventSource | null = null;
+let lastEventId: string | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+
+function subscriberCount() {
+  let count = 0;
+  handlers.forEach((set) => { count += set.size; });
+  return count;
+}
+
+function connect() {
+  if (source || typeof window === 'undefined') return;
+  // A fresh EventSource has no Last-Event-ID of its own, so carry it over in the query
+  const es = new EventSource(lastEventId ? `/api/events?lastEventId=${lastEventId}` : '/api/events');
+  source = es;
+  for (const name of EVENT_NAMES) {
+    es.addEventListener(name, (message) => {
+      const { data, lastEventId: id } = message as MessageEvent<string>;
+      if (id) lastEventId = id;
+      let payload: unknown;
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        return;
+      }
+      handlers.get(name)?.forEach((handler) => {
+        try {
+          handler(payload as never);
+        } catch (error) {
+          console.error(`Event handler for ${name} failed:`, error);
+        }
+      });
+    });
+  }
+  es.onerror = () => {
+    // EventSource retries by itself unless the server refused the connection outright
+    if (es.readyState !== EventSource.CLOSED) return;
+    if (source === es) source = null;
+    if (!retryTimer && subscriberCount() > 0) {
+      retryTimer = setTimeout(() => { retryTimer = null; connect(); }, RETRY_MS);
+    }
+  };
+}
+
+function disconnect() {
+  source?.close();
+  source = null;
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+}
+
+// Returns the unsubscribe function; the stream closes when the last subscriber leaves
+export function subscribeEvent<K extends StreamEventName>(name: K, handler: Handler<K>): () => void {
+  if (!handlers.has(name)) handlers.set(name, new Set());
+  handlers.get(name)!.add(handler as Handler);
+  connect();
+  return () => {
+    handlers.get(name)?.delete(handler as Handler);
+    if (subscriberCount() === 0) disconnect();
+  };
+}
+
+// Reopens the stream, e.g. after signing in or out, since private events follow the session cookie
+export function reconnectEvents() {
+  if (!source && !retryTimer) return;
+  disconnect();
+  if (subscriberCount() > 0) connect();
+}
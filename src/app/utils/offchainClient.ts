@@ -1,11 +1,30 @@
-export async function offchainDepositWebhook(address: string, amountEth: string) {
+import type { ProofLink } from '@/lib/settlementProof';
+import { clearReferralCode, pendingReferralCode } from './authClient';
+
+// Balance-changing calls act on the signed-in (SIWE) session address; see utils/authClient
+// Asks the server to credit a vault deposit by tx hash. Resolves to { pending: true } until it is confirmed.
+export async function offchainDepositWebhook(txHash: string) {
   const res = await fetch('/api/offchain/deposit-webhook', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ address, amountEth })
+    body: JSON.stringify({ txHash, referralCode: pendingReferralCode() ?? undefined })
   });
   if (!res.ok) throw new Error(await res.text());
-  return res.json();
+  const result = await res.json();
+  // After the first deposit a referral code can no longer be attributed
+  if (!result?.pending) clearReferralCode();
+  return result;
+}
+
+// Polls the deposit webhook until the server has credited the tx (or gives up after `timeoutMs`)
+export async function offchainConfirmDeposit(txHash: string, timeoutMs = 120000, intervalMs = 4000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await offchainDepositWebhook(txHash);
+    if (!result?.pending) return result;
+    if (Date.now() + intervalMs > deadline) return result;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
 }
 
 export async function offchainGetProfile(address: string) {
@@ -24,7 +43,9 @@ export async function offchainGetProfile(address: string) {
   }
 }
 
-export async function offchainPlaceBet(params: { address: string; amount: string; side: 'up'|'down'; roundId: number; timeframe: number; }) {
+// timeframe and roundStart are in seconds; the market is (symbol, timeframe).
+// amount is a decimal string in `asset` (default ETH)
+export async function offchainPlaceBet(params: { amount: string; side: 'up'|'down'; symbol: string; timeframe: number; roundStart: number; asset?: string }) {
   // Use PURE OFF-CHAIN betting system
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 15000);
@@ -49,16 +70,472 @@ export async function offchainPlaceBet(params: { address: string; amount: string
   }
 }
 
-export async function offchainResolveRound(roundId: number, winningSide: 'up'|'down') {
-  // Use PURE OFF-CHAIN resolution system
+export async function offchainResolveRound(params: { symbol: string; timeframe: number; roundStart: number }) {
+  // The server decides the winning side from its recorded start/end prices
   const res = await fetch('/api/offchain/resolve', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ roundId, winningSide })
+    body: JSON.stringify(params)
+  });
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+export interface RoundStats {
+  roundId: number | null;
+  asset: string; // pools below are in its base units
+  symbol: string;
+  timeframe: number;
+  startAt: number;
+  status: string;
+  payoutMode: 'fixed' | 'parimutuel';
+  feeBps: number;
+  upPool: string;
+  downPool: string;
+  upBets: number;
+  downBets: number;
+  upMultiplier: number | null;
+  downMultiplier: number | null;
+}
+
+export async function offchainGetRoundStats(params: { symbol: string; timeframe: number; roundStart: number; asset?: string }): Promise<RoundStats> {
+  const query = new URLSearchParams({
+    symbol: params.symbol,
+    timeframe: String(params.timeframe),
+    roundStart: String(params.roundStart),
+  });
+  if (params.asset) query.set('asset', params.asset);
+  const res = await fetch(`/api/offchain/round-stats?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+// House risk caps and what can still be staked on each side of a round (all amounts in base units of `asset`)
+export interface BetCapacity {
+  asset: string;
+  limits: {
+    maxStake: string | null;
+    maxPlayerRoundStake: string | null;
+    maxRoundImbalance: string | null;
+    maxLiabilityFraction: number | null;
+  };
+  market: { paused: boolean; minStake: string | null; maxStake: string | null };
+  round: { roundId: number | null; upPool: string; downPool: string; imbalance: string };
+  liability: { open: string; cap: string | null };
+  playerStake: string | null;
+  remaining: { up: string | null; down: string | null }; // null: no cap applies
+}
+
+export async function offchainGetBetCapacity(params: { symbol: string; timeframe: number; roundStart: number; asset?: string }): Promise<BetCapacity> {
+  const query = new URLSearchParams({
+    symbol: params.symbol,
+    timeframe: String(params.timeframe),
+    roundStart: String(params.roundStart),
+  });
+  if (params.asset) query.set('asset', params.asset);
+  const res = await fetch(`/api/vault/bet/limits?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+export interface LeaderboardEntry {
+  rank: number;
+  address: string;
+  gamesPlayed: number;
+  gamesWon: number;
+  winRate: number; // percent
+  volume: string; // wei
+  netProfit: string; // wei, may be negative
+  points: string;
+}
+
+export interface Leaderboard {
+  metric: 'profit' | 'winRate' | 'volume' | 'points';
+  window: 'daily' | 'weekly' | 'all';
+  minGamesForWinRate: number;
+  page: number;
+  pageSize: number;
+  total: number;
+  entries: LeaderboardEntry[];
+  me: LeaderboardEntry | null;
+}
+
+export async function getLeaderboard(params: { metric: Leaderboard['metric']; window: Leaderboard['window']; page: number; pageSize?: number; address?: string }): Promise<Leaderboard> {
+  const query = new URLSearchParams({
+    metric: params.metric,
+    window: params.window,
+    page: String(params.page),
+    pageSize: String(params.pageSize ?? 20),
+  });
+  if (params.address) query.set('address', params.address.toLowerCase());
+  const res = await fetch(`/api/leaderboard?${query}`);
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+export interface GlobalStats {
+  window: Leaderboard['window'];
+  totalRounds: number;
+  totalVolume: string; // wei
+  activePlayers: number;
+}
+
+export async function getGlobalStats(window: Leaderboard['window']): Promise<GlobalStats> {
+  const res = await fetch(`/api/leaderboard/stats?window=${window}`);
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+export interface BetHistoryItem {
+  betId: number;
+  roundId: number;
+  symbol: string;
+  timeframe: number; // seconds
+  side: 'up' | 'down';
+  asset: string; // stake and payout are in its base units
+  stake: string;
+  entryPrice: number | null;
+  exitPrice: number | null;
+  outcome: 'pending' | 'won' | 'lost' | 'refund';
+  payout: string;
+  points: string;
+  refundReason: string | null;
+  planId: number | null; // auto-bet plan that placed the bet
+  placedAt: string;
+  roundStart: string;
+  roundEnd: string;
+}
+
+export interface BetHistoryPage {
+  page: number;
+  pageSize: number;
+  total: number;
+  items: BetHistoryItem[];
+}
+
+export interface BetHistoryQuery {
+  from?: string; // ISO date
+  to?: string; // ISO date, exclusive
+  symbol?: string;
+  timeframe?: number;
+  outcome?: BetHistoryItem['outcome'];
+}
+
+function betHistoryParams(filters: BetHistoryQuery) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== '') query.set(key, String(value));
+  }
+  return query;
+}
+
+// The signed-in player's bets, newest first
+export async function offchainGetHistory(params: BetHistoryQuery & { page: number; pageSize?: number }): Promise<BetHistoryPage> {
+  const { page, pageSize, ...filters } = params;
+  const query = betHistoryParams(filters);
+  query.set('page', String(page));
+  query.set('pageSize', String(pageSize ?? 20));
+  const res = await fetch(`/api/offchain/history?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+// Link target for the CSV export of the same filters
+export function offchainHistoryCsvUrl(filters: BetHistoryQuery = {}) {
+  const query = betHistoryParams(filters);
+  query.set('format', 'csv');
+  return `/api/offchain/history?${query}`;
+}
+
+export interface WithdrawalItem {
+  id: number;
+  asset: string;
+  amount: string; // base units of `asset`
+  toAddress: string;
+  status: 'review' | 'queued' | 'signed' | 'broadcast' | 'completed' | 'failed' | 'rejected';
+  txHash: string | null;
+  error: string | null;
+  createdAt: string;
+  completedAt: string | null;
+}
+
+export interface WithdrawalLimits {
+  asset: string;
+  min: string; // base units of `asset`
+  dailyLimit: string;
+  usedToday: string;
+  remainingToday: string;
+  reviewThreshold: string;
+}
+
+export interface WithdrawalStatus {
+  withdrawals: WithdrawalItem[];
+  limits: WithdrawalLimits;
+}
+
+// Queues a withdrawal; the server pays it out in the background
+export async function offchainRequestWithdrawal(amountWei: string, asset?: string): Promise<{ withdrawal: WithdrawalItem; limits: WithdrawalLimits }> {
+  const res = await fetch('/api/vault/withdraw', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ amountWei, asset })
   });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Withdrawal failed');
+  return res.json();
+}
+
+// The signed-in player's recent withdrawals and remaining daily limit in `asset`
+export async function offchainGetWithdrawals(asset?: string): Promise<WithdrawalStatus> {
+  const query = asset ? `?asset=${encodeURIComponent(asset)}` : '';
+  const res = await fetch(`/api/vault/withdraw${query}`, { cache: 'no-store' });
   if (!res.ok) throw new Error(await res.text());
   return res.json();
 }
 
+export interface RoundProofAnchor {
+  headSeq: number;
+  headHash: string;
+  chainId: number;
+  from: string;
+  to: string;
+  txHash: string | null;
+  status: string;
+  blockNumber: number | null;
+  confirmedAt: string | null;
+}
+
+export interface RoundProof {
+  roundId: number;
+  seq: number;
+  record: string; // canonical JSON, exactly as hashed
+  recordHash: string;
+  hash: string;
+  sealedAt: string;
+  links: ProofLink[]; // from this round's link up to the anchored head
+  anchor: RoundProofAnchor | null; // null until an on-chain anchor covers the round
+}
+
+// Public settlement proof of a round (see /verify)
+export async function getRoundProof(roundId: number): Promise<RoundProof> {
+  const res = await fetch(`/api/rounds/${roundId}/proof`, { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not load the proof');
+  return res.json();
+}
+
+export interface ReferralInvitee {
+  address: string;
+  referredAt: string | null;
+  bets: number;
+  volume: Record<string, string>; // per asset, base units
+  earned: Record<string, string>;
+}
+
+export interface ReferralSummary {
+  code: string;
+  shareBps: number; // of the fee on each winning bet of an invitee
+  referredBy: string | null;
+  canBeReferred: boolean;
+  invitees: ReferralInvitee[];
+  totals: { invitees: number; volume: Record<string, string>; earned: Record<string, string> };
+}
+
+// The signed-in player's referral code, invitees and earnings
+export async function getReferrals(): Promise<ReferralSummary> {
+  const res = await fetch('/api/referrals', { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not load referrals');
+  return res.json();
+}
+
+// Uses someone's referral code; only possible before the first deposit
+export async function claimReferralCode(code: string): Promise<{ referredBy: string }> {
+  const res = await fetch('/api/referrals', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not use the referral code');
+  return res.json();
+}
+
+export type ApiScope = 'read' | 'trade';
+
+export interface ApiKeyInfo {
+  id: number;
+  name: string;
+  prefix: string; // identifies the key; the secret is only shown once
+  scopes: ApiScope[];
+  rateLimit: number; // requests per minute
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+export interface ApiKeyList {
+  keys: ApiKeyInfo[];
+  scopes: ApiScope[];
+  defaultRateLimit: number;
+  maxRateLimit: number;
+}
+
+// The signed-in player's keys for the public API (/api/v1)
+export async function getApiKeys(): Promise<ApiKeyList> {
+  const res = await fetch('/api/keys', { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not load API keys');
+  return res.json();
+}
+
+// Creates a key; `key` is its only plaintext copy
+export async function createApiKey(input: { name: string; scopes: ApiScope[]; rateLimit?: number }): Promise<{ key: string; apiKey: ApiKeyInfo }> {
+  const res = await fetch('/api/keys', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input)
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not create the API key');
+  return res.json();
+}
+
+export async function revokeApiKey(id: number): Promise<ApiKeyInfo> {
+  const res = await fetch(`/api/keys/${id}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not revoke the API key');
+  return (await res.json()).apiKey;
+}
+
+export type AutoBetMode = 'fixed' | 'follow' | 'contrarian';
+export type AutoBetSizing = 'flat' | 'martingale' | 'percent';
+
+export interface AutoBetPlan {
+  id: number;
+  symbol: string;
+  timeframe: number; // seconds
+  asset: string; // stakes, stop levels and net are in its base units
+  mode: AutoBetMode;
+  side: 'up' | 'down' | null;
+  sizing: AutoBetSizing;
+  baseStake: string;
+  maxStake: string | null;
+  percent: number | null;
+  rounds: number;
+  stopLoss: string;
+  takeProfit: string;
+  status: 'active' | 'paused' | 'cancelled' | 'completed' | 'stopped';
+  stopReason: 'stop_loss' | 'take_profit' | null;
+  lastError: string | null;
+  placed: number;
+  pending: number;
+  won: number;
+  lost: number;
+  net: string; // negative is a loss
+  createdAt: string;
+}
+
+// Amounts are decimal strings in `asset`
+export interface AutoBetPlanInput {
+  symbol: string;
+  timeframe: number;
+  asset: string;
+  mode: AutoBetMode;
+  side?: 'up' | 'down';
+  sizing: AutoBetSizing;
+  baseStake?: string;
+  maxStake?: string;
+  percent?: number;
+  rounds: number;
+  stopLoss: string;
+  takeProfit: string;
+}
+
+export async function getAutoBetPlans(): Promise<AutoBetPlan[]> {
+  const res = await fetch('/api/autobet', { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not load auto-bet plans');
+  return (await res.json()).plans;
+}
+
+export async function createAutoBetPlan(input: AutoBetPlanInput): Promise<AutoBetPlan> {
+  const res = await fetch('/api/autobet', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input)
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not save the plan');
+  return (await res.json()).plan;
+}
+
+export async function updateAutoBetPlan(id: number, action: 'pause' | 'resume' | 'cancel'): Promise<AutoBetPlan> {
+  const res = await fetch(`/api/autobet/${id}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `Could not ${action} the plan`);
+  return (await res.json()).plan;
+}
+
+export type PlayLimitKind = 'deposit' | 'wager' | 'loss';
+export type PlayLimitPeriod = 'day' | 'week' | 'month';
+
+export interface PlayLimit {
+  asset: string; // amounts are in its base units
+  kind: PlayLimitKind;
+  period: PlayLimitPeriod;
+  amount: string;
+  used: string;
+  remaining: string;
+  pendingAmount: string | null; // a raise waiting out the cooling-off
+  pendingRemoval: boolean;
+  pendingAt: string | null;
+}
+
+export interface PlaySettings {
+  exclusion: { until: string | null; permanent: boolean } | null;
+  sessionReminderMinutes: number | null;
+  coolingOffHours: number;
+  limits: PlayLimit[];
+}
+
+// The signed-in player's responsible-play limits, self-exclusion and session reminder
+export async function getPlaySettings(): Promise<PlaySettings> {
+  const res = await fetch('/api/limits', { cache: 'no-store' });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not load your limits');
+  return res.json();
+}
+
+// amount is a decimal string in `asset`, null removes the limit. Raising or removing waits for the cooling-off.
+export async function setPlayLimit(input: { asset: string; kind: PlayLimitKind; period: PlayLimitPeriod; amount: string | null }): Promise<{ applied: boolean; effectiveAt: string; settings: PlaySettings }> {
+  const res = await fetch('/api/limits', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input)
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not save the limit');
+  return res.json();
+}
+
+export async function selfExclude(input: { days: number } | { permanent: true }): Promise<PlaySettings> {
+  const res = await fetch('/api/limits/exclusion', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input)
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not self-exclude');
+  return (await res.json()).settings;
+}
 
+export async function setSessionReminder(reminderMinutes: number | null): Promise<void> {
+  const res = await fetch('/api/limits/session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reminderMinutes })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not save the reminder');
+}
 
+// Asked before sending a deposit: throws with the reason when the player's limits or self-exclusion refuse it
+export async function checkDepositAllowed(asset: string, amount: string): Promise<void> {
+  const res = await fetch('/api/limits/deposit-check', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ asset, amount })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? 'Could not check your deposit limits');
+}
@@ -1,11 +1,24 @@
 import { ethers } from 'ethers';
+import type { WalletClient } from 'viem';
 
+// ETH goes through deposit/withdraw; ERC-20 collateral (src/lib/assets.ts) through depositToken, which pulls an
+// approved amount with transferFrom, and the owner-only withdrawToken
 export const VAULT_ABI = [
   'function deposit() payable',
   'function withdraw(address to, uint256 amount)',
   'function getBalance() view returns (uint256)',
+  'function depositToken(address token, uint256 amount)',
+  'function withdrawToken(address token, address to, uint256 amount)',
   'event Deposited(address indexed from, uint256 amount)',
-  'event Withdrawn(address indexed to, uint256 amount)'
+  'event Withdrawn(address indexed to, uint256 amount)',
+  'event TokenDeposited(address indexed token, address indexed from, uint256 amount)',
+  'event TokenWithdrawn(address indexed token, address indexed to, uint256 amount)'
+];
+
+export const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
 ];
 
 export function getVaultAddress(): string {
@@ -30,4 +43,21 @@ export async function depositToVaultWithWallet(walletClient: any, amountEth: str
   return tx.hash;
 }
 
-
+// Approves the vault for `amount` (base units) of `token` if needed, then deposits it
+export async function depositTokenToVaultWithWallet(walletClient: WalletClient | undefined, token: string, amount: bigint) {
+  if (!walletClient) throw new Error('No wallet client');
+  const addr = getVaultAddress();
+  if (!addr) throw new Error('Vault address not configured');
+  const provider = new ethers.BrowserProvider(walletClient);
+  const signer = await provider.getSigner();
+  const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+  const allowance: bigint = await erc20.allowance(await signer.getAddress(), addr);
+  if (allowance < amount) {
+    const approval = await erc20.approve(addr, amount);
+    await approval.wait();
+  }
+  const contract = new ethers.Contract(addr, VAULT_ABI, signer);
+  const tx = await contract.depositToken(token, amount);
+  await tx.wait();
+  return tx.hash;
+}
@@ -0,0 +1,250 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { ethers } from "ethers";
+import { EnhancedWalletConnect } from "../components/EnhancedWalletConnect";
+import { getRoundProof, RoundProof } from "../utils/offchainClient";
+import { getAsset } from "@/lib/assets";
+import { decodeAnchor, ProofCheck, SettlementRecordBody, verifyProof } from "@/lib/settlementProof";
+
+const RPC_URL = process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
+
+type AnchorCheck = { state: 'checking' } | { state: 'ok'; blockNumber: number | null } | { state: 'error'; message: string };
+
+function formatAmount(amount: string, symbol: string) {
+  const asset = getAsset(symbol);
+  return asset ? `${ethers.formatUnits(amount, asset.decimals)} ${symbol}` : `${amount} ${symbol}`;
+}
+
+function shortHash(hash: string) {
+  return `${hash.slice(0, 10)}...${hash.slice(-8)}`;
+}
+
+// Reads the anchor transaction from the chain and checks its calldata commits the head the proof ends at
+async function checkAnchorOnChain(proof: RoundProof): Promise<AnchorCheck> {
+  const anchor = proof.anchor!;
+  const head = proof.links[proof.links.length - 1];
+  if (!anchor.txHash) return { state: 'error', message: 'Anchor has no transaction' };
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const [network, tx] = await Promise.all([provider.getNetwork(), provider.getTransaction(anchor.txHash)]);
+  if (Number(network.chainId) !== anchor.chainId) return { state: 'error', message: `RPC is on chain ${network.chainId}, anchor on ${anchor.chainId}` };
+  if (!tx) return { state: 'error', message: 'Anchor transaction not found' };
+  if (tx.from.toLowerCase() !== anchor.from || tx.to?.toLowerCase() !== anchor.to) return { state: 'error', message: 'Anchor transaction has a different sender or target' };
+  const committed = decodeAnchor(tx.data);
+  if (!committed) return { state: 'error', message: 'Transaction is not an anchor call' };
+  if (committed.seq !== head.seq || committed.head.toLowerCase() !== head.hash.toLowerCase()) {
+    return { state: 'error', message: `Transaction commits #${committed.seq} ${shortHash(committed.head)}, not the proof's head` };
+  }
+  return { state: 'ok', blockNumber: tx.blockNumber };
+}
+
+export default function VerifyPage() {
+  const [roundInput, setRoundInput] = useState('');
+  const [proof, setProof] = useState<RoundProof | null>(null);
+  const [check, setCheck] = useState<ProofCheck | null>(null);
+  const [anchorCheck, setAnchorCheck] = useState<AnchorCheck | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const verify = useCallback(async (roundId: number) => {
+    setLoading(true);
+    setError(null);
+    setProof(null);
+    setCheck(null);
+    setAnchorCheck(null);
+    try {
+      const loaded = await getRoundProof(roundId);
+      setProof(loaded);
+      setCheck(verifyProof(loaded.record, loaded.links));
+      window.history.replaceState(null, '', `/verify?round=${roundId}`);
+      if (loaded.anchor) {
+        setAnchorCheck({ state: 'checking' });
+        checkAnchorOnChain(loaded)
+          .then(setAnchorCheck)
+          .catch((e) => setAnchorCheck({ state: 'error', message: (e as Error).message }));
+      }
+    } catch (e) {
+      setError((e as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // /verify?round=123 verifies straight away
+  useEffect(() => {
+    const round = new URLSearchParams(window.location.search).get('round');
+    if (round) {
+      setRoundInput(round);
+      if (Number(round) > 0) verify(Number(round));
+    }
+  }, [verify]);
+
+  const record = useMemo<SettlementRecordBody | null>(() => {
+    try {
+      return proof ? JSON.parse(proof.record) : null;
+    } catch {
+      return null;
+    }
+  }, [proof]);
+
+  const submit = () => {
+    const roundId = Number(roundInput);
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      setError('Enter a round number');
+      return;
+    }
+    verify(roundId);
+  };
+
+  return (
+    <div className="min-h-screen pixel-bg" style={{ imageRendering: 'pixelated' }}>
+      <header className="flex justify-between items-center p-6 pixel-bg">
+        <div className="pixel-header-button">
+          <div className="pixel-header-icon"></div>
+          <span className="pixel-header-text">Kairos</span>
+        </div>
+        <div className="flex gap-4">
+          <button
+            onClick={() => window.location.href = '/game'}
+            className="pixel-button pixel-button--purple px-4 py-2 font-mono uppercase text-sm"
+          >
+            Play Game
+          </button>
+          <EnhancedWalletConnect />
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-8 max-w-5xl pixel-bg">
+        <h1 className="pixel-text-large text-4xl md:text-5xl font-bold text-center mb-4 text-white tracking-widest">VERIFY A ROUND</h1>
+        <p className="pixel-text text-center mb-8 text-gray-300">
+          Every settled round is sealed into a public record, hashed and chained, and the chain head is committed on-chain.
+          This page recomputes the hashes in your browser.
+        </p>
+
+        <div className="flex justify-center gap-2 mb-8">
+          <input
+            value={roundInput}
+            onChange={(e) => setRoundInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+            placeholder="Round #"
+            inputMode="numeric"
+            className="pixel-input px-3 py-2 font-mono text-sm bg-gray-800 text-white w-40"
+          />
+          <button onClick={submit} disabled={loading} className="pixel-button pixel-button--purple px-4 py-2 font-mono uppercase text-sm disabled:opacity-40">
+            {loading ? 'Checking...' : 'Verify'}
+          </button>
+        </div>
+
+        {error && <div className="pixel-text text-sm text-red-400 text-center mb-6">{error}</div>}
+
+        {proof && check && (
+          <div className="space-y-6">
+            <div className={`pixel-card pixel-card--soft p-6 ${check.ok ? 'ring-2 ring-green-500' : 'ring-2 ring-red-500'}`}>
+              <div className={`pixel-text-large text-2xl font-bold mb-3 ${check.ok ? 'text-green-400' : 'text-red-400'}`}>
+                {check.ok ? 'HASHES MATCH' : 'VERIFICATION FAILED'}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2 pixel-text text-xs text-gray-300 font-mono">
+                <div>Record #{proof.seq}, sealed {new Date(proof.sealedAt).toLocaleString()}</div>
+                <div>Record hash {shortHash(check.recordHash)}</div>
+                <div>Chain links checked: {proof.links.length}</div>
+                <div>Head #{proof.links[proof.links.length - 1]?.seq} {proof.links.length > 0 && shortHash(proof.links[proof.links.length - 1].hash)}</div>
+              </div>
+              {check.errors.map((e) => <div key={e} className="pixel-text text-xs text-red-400 mt-2">{e}</div>)}
+
+              <div className="mt-4 pt-4 border-t border-gray-700 pixel-text text-xs">
+                {!proof.anchor && <span className="text-yellow-400">Not anchored on-chain yet; the next anchor will cover this round.</span>}
+                {proof.anchor && (
+                  <div className="space-y-1 text-gray-300 font-mono">
+                    <div>Anchored at head #{proof.anchor.headSeq} on chain {proof.anchor.chainId}, tx {proof.anchor.txHash && shortHash(proof.anchor.txHash)}</div>
+                    {anchorCheck?.state === 'checking' && <div className="text-gray-400">Reading the anchor transaction...</div>}
+                    {anchorCheck?.state === 'ok' && <div className="text-green-400">On-chain calldata commits this head{anchorCheck.blockNumber ? ` (block ${anchorCheck.blockNumber})` : ''}</div>}
+                    {anchorCheck?.state === 'error' && <div className="text-red-400">{anchorCheck.message}</div>}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {record && (
+              <>
+                <div className="pixel-card pixel-card--soft p-6">
+                  <h2 className="pixel-text-large text-xl text-white font-bold tracking-widest mb-4">
+                    ROUND {record.round.id} · {record.round.symbol} {record.round.timeframe}s
+                  </h2>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 pixel-text text-sm">
+                    <div>
+                      <div className="text-xs text-gray-400">START</div>
+                      <div className="text-white">{record.prices.start?.price ?? '-'}</div>
+                      <div className="text-xs text-gray-500">{record.prices.start?.source ?? ''}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-400">END</div>
+                      <div className="text-white">{record.prices.end?.price ?? '-'}</div>
+                      <div className="text-xs text-gray-500">{record.prices.end?.source ?? ''}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-400">OUTCOME</div>
+                      <div className="text-white uppercase">{record.round.status === 'void' ? `void (${record.round.voidReason})` : record.round.winningSide}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-400">FEE</div>
+                      <div className="text-white">{record.round.feeBps / 100}% {record.round.payoutMode}</div>
+                      {Object.entries(record.fees).map(([asset, fee]) => (
+                        <div key={asset} className="text-xs text-gray-500">{formatAmount(fee, asset)}</div>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="pixel-text text-xs text-gray-500 mt-3">
+                    {new Date(record.round.startAt).toLocaleString()} → {new Date(record.round.endAt).toLocaleString()}
+                  </div>
+                </div>
+
+                <div className="pixel-card pixel-card--soft p-6">
+                  <h2 className="pixel-text-large text-xl text-white font-bold tracking-widest mb-4">BETS</h2>
+                  <table className="w-full pixel-text text-xs text-gray-300">
+                    <thead>
+                      <tr className="text-gray-400 text-left"><th>PLAYER</th><th>SIDE</th><th>STAKE</th><th>RESULT</th><th>CREDITED</th><th>FEE</th></tr>
+                    </thead>
+                    <tbody>
+                      {record.bets.map((bet) => (
+                        <tr key={bet.id} className="border-t border-gray-800">
+                          <td className="font-mono py-1">{bet.player.slice(0, 6)}...{bet.player.slice(-4)}</td>
+                          <td className="uppercase">{bet.side}</td>
+                          <td>{formatAmount(bet.amount, bet.asset)}</td>
+                          <td className="uppercase">{bet.status}</td>
+                          <td>{formatAmount(bet.credited, bet.asset)}</td>
+                          <td>{formatAmount(bet.fee, bet.asset)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="pixel-card pixel-card--soft p-6">
+                  <h2 className="pixel-text-large text-xl text-white font-bold tracking-widest mb-4">ORACLE SAMPLES</h2>
+                  {record.samples.length === 0 && <div className="pixel-text text-xs text-gray-400">No stored quotes near the start or end.</div>}
+                  <table className="w-full pixel-text text-xs text-gray-300">
+                    <tbody>
+                      {record.samples.map((s, i) => (
+                        <tr key={i} className="border-t border-gray-800">
+                          <td className="uppercase py-1">{s.at}</td>
+                          <td>{s.source}</td>
+                          <td>{s.price}</td>
+                          <td className="font-mono">{s.timestamp}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <details className="pixel-card pixel-card--soft p-6">
+                  <summary className="pixel-text text-sm text-white cursor-pointer">Raw record (hashed as-is)</summary>
+                  <pre className="mt-3 text-xs text-gray-300 whitespace-pre-wrap break-all font-mono">{proof.record}</pre>
+                </details>
+              </>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
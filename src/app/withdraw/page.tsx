@@ -1,40 +1,96 @@
 "use client";
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAccount } from 'wagmi';
 import { useRouter } from 'next/navigation';
 import { usePredictionGameContract } from '../utils/evmContract';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
+import {
+  WithdrawalItem,
+  WithdrawalLimits,
+  offchainGetWithdrawals,
+  offchainRequestWithdrawal,
+} from '../utils/offchainClient';
+import { COLLATERAL_ASSETS, CollateralAsset, DEFAULT_ASSET, formatAssetAmount, getAsset, parseAssetAmount } from '@/lib/assets';
+
+// Withdrawals are paid out in the background; poll while one is still on its way
+const POLL_MS = 5000;
+const PENDING_STATUSES: WithdrawalItem['status'][] = ['review', 'queued', 'signed', 'broadcast'];
+
+const STATUS_LABELS: Record<WithdrawalItem['status'], { text: string; color: string }> = {
+  review: { text: 'IN REVIEW', color: 'text-yellow-400' },
+  queued: { text: 'QUEUED', color: 'text-gray-300' },
+  signed: { text: 'SENDING', color: 'text-blue-300' },
+  broadcast: { text: 'CONFIRMING', color: 'text-blue-300' },
+  completed: { text: 'COMPLETED', color: 'text-green-400' },
+  failed: { text: 'FAILED - REFUNDED', color: 'text-red-400' },
+  rejected: { text: 'REJECTED - REFUNDED', color: 'text-red-400' },
+};
+
+// Base units -> a rounded number for display; amounts themselves are compared as bigints
+const toUnits = (units: string, asset: CollateralAsset) => Number(BigInt(units)) / 10 ** asset.decimals;
+
+function parseOrZero(value: string, asset: CollateralAsset) {
+  try {
+    return parseAssetAmount(value, asset);
+  } catch {
+    return BigInt(0);
+  }
+}
 
 export default function WithdrawPage() {
   const { address, isConnected } = useAccount();
   const router = useRouter();
   const { withdraw, getPlayerProfile, formatEther } = usePredictionGameContract();
   
+  const [assetSymbol, setAssetSymbol] = useState<string>(DEFAULT_ASSET);
+  const asset = getAsset(assetSymbol) ?? COLLATERAL_ASSETS[0];
   const [amount, setAmount] = useState<string>('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
-  const [currentBalance, setCurrentBalance] = useState<string>('0');
+  const [available, setAvailable] = useState<string>('0'); // base units of `asset`
+  const [withdrawals, setWithdrawals] = useState<WithdrawalItem[]>([]);
+  const [limits, setLimits] = useState<WithdrawalLimits | null>(null);
 
-  useEffect(() => {
-    if (isConnected && address) {
-      fetchCurrentBalance();
+  const fetchWithdrawals = useCallback(async () => {
+    try {
+      const status = await offchainGetWithdrawals(assetSymbol);
+      setWithdrawals(status.withdrawals);
+      setLimits(status.limits);
+    } catch (err) {
+      console.error('Error fetching withdrawals:', err);
     }
-  }, [isConnected, address]);
+  }, [assetSymbol]);
 
-  const fetchCurrentBalance = async () => {
+  const fetchCurrentBalance = useCallback(async () => {
     try {
       if (!address) return;
       const { offchainGetProfile } = await import('../utils/offchainClient');
       const oc = await offchainGetProfile(address);
-      const weiStr = oc?.balance?.available ?? '0';
-      const eth = Number(BigInt(weiStr)) / 1e18;
-      setCurrentBalance(isFinite(eth) ? eth.toFixed(6) : '0');
+      const row = (oc?.balances ?? []).find((b: { asset: string }) => b.asset === asset.symbol);
+      setAvailable(row?.available ?? '0');
     } catch (err) {
       console.error('Error fetching balance:', err);
     }
-  };
+  }, [address, asset.symbol]);
+
+  useEffect(() => {
+    if (isConnected && address) {
+      fetchCurrentBalance();
+      fetchWithdrawals();
+    }
+  }, [isConnected, address, fetchCurrentBalance, fetchWithdrawals]);
+
+  const hasPending = withdrawals.some((w) => PENDING_STATUSES.includes(w.status));
+  useEffect(() => {
+    if (!hasPending) return;
+    const timer = setInterval(() => {
+      fetchWithdrawals();
+      fetchCurrentBalance();
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, fetchWithdrawals, fetchCurrentBalance]);
 
   const handleWithdraw = async () => {
     if (!isConnected || !address) {
@@ -42,38 +98,42 @@ export default function WithdrawPage() {
       return;
     }
 
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    const units = parseOrZero(amount, asset);
+    if (units <= BigInt(0)) {
       setError('Please enter a valid amount');
       return;
     }
 
-    if (parseFloat(amount) > parseFloat(currentBalance)) {
+    if (units > BigInt(available)) {
       setError('Insufficient balance');
       return;
     }
 
+    if (limits && units < BigInt(limits.min)) {
+      setError(`Minimum withdrawal is ${formatAssetAmount(limits.min, asset)} ${asset.symbol}`);
+      return;
+    }
+
+    if (limits && units > BigInt(limits.remainingToday)) {
+      setError(`Daily limit reached: ${formatAssetAmount(limits.remainingToday, asset)} ${asset.symbol} left in the last 24 hours`);
+      return;
+    }
+
     try {
       setLoading(true);
       setError(null);
       setSuccess(null);
 
-      // Withdraw from off-chain balance (sends ETH to player's wallet via vault)
-      const amountWei = Math.floor(parseFloat(amount) * 1e18).toString();
-      const res = await fetch('/api/vault/withdraw', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ address, amountWei })
-      });
-      if (!res.ok) throw new Error(await res.text());
-      const result = await res.json();
-      setSuccess(`Successfully withdrew ${amount} ETH! Transaction: ${result.txHash}`);
+      // Debits the off-chain balance now; the vault sends the funds in the background
+      const { withdrawal, limits: updated } = await offchainRequestWithdrawal(units.toString(), asset.symbol);
+      setSuccess(withdrawal.status === 'review'
+        ? `Withdrawal of ${amount} ${asset.symbol} requested. Large withdrawals are reviewed before they are sent.`
+        : `Withdrawal of ${amount} ${asset.symbol} requested. It will be sent to your wallet shortly.`);
       setAmount('');
-      
-      // Refresh balance after successful withdrawal
-      setTimeout(() => {
-        fetchCurrentBalance();
-      }, 500);
-      
+      setLimits(updated);
+      setWithdrawals((prev) => [withdrawal, ...prev.filter((w) => w.id !== withdrawal.id)]);
+      fetchCurrentBalance();
+
     } catch (err: any) {
       console.error('Withdraw error:', err);
       setError(err.message || 'Failed to withdraw. Please try again.');
@@ -83,15 +143,15 @@ export default function WithdrawPage() {
   };
 
   const handleMaxWithdraw = () => {
-    setAmount(currentBalance);
+    setAmount(formatAssetAmount(available, asset));
   };
 
   const handlePartialWithdraw = (percentage: number) => {
-    const balance = parseFloat(currentBalance);
-    const withdrawAmount = (balance * percentage / 100).toFixed(6);
-    setAmount(withdrawAmount);
+    setAmount(formatAssetAmount(BigInt(available) * BigInt(percentage) / BigInt(100), asset));
   };
 
+  const amountUnits = parseOrZero(amount, asset);
+
   if (!isConnected) {
     return (
       <div className="min-h-screen pixel-bg flex items-center justify-center">
@@ -109,7 +169,7 @@ export default function WithdrawPage() {
       <div className="container mx-auto px-4 py-8">
         {/* Pixel header */}
         <div className="flex justify-between items-center mb-8">
-          <h1 className="pixel-text-large text-3xl font-bold text-white tracking-widest">WITHDRAW ETH</h1>
+          <h1 className="pixel-text-large text-3xl font-bold text-white tracking-widest">WITHDRAW {asset.symbol}</h1>
                  <button 
                    onClick={() => router.push('/game')} 
                    onMouseEnter={() => router.prefetch('/game')}
@@ -123,7 +183,7 @@ export default function WithdrawPage() {
           {/* Current Balance */}
           <div className="pixel-card p-6 mb-6">
             <h2 className="pixel-text-large text-xl font-bold text-white mb-4 uppercase tracking-wide">AVAILABLE BALANCE</h2>
-            <div className="pixel-text-large text-3xl font-bold text-green-400">{currentBalance} ETH</div>
+            <div className="pixel-text-large text-3xl font-bold text-green-400">{toUnits(available, asset).toFixed(asset.displayDecimals)} {asset.symbol}</div>
             <p className="pixel-text text-gray-400 text-sm mt-2">Ready to withdraw</p>
           </div>
 
@@ -131,15 +191,34 @@ export default function WithdrawPage() {
           <div className="pixel-card p-6">
             <h2 className="pixel-text-large text-xl font-bold text-white mb-4 uppercase tracking-wide">WITHDRAW AMOUNT</h2>
             
+            {/* Asset */}
+            {COLLATERAL_ASSETS.length > 1 && (
+              <div className="mb-4">
+                <label className="pixel-text block text-gray-400 text-sm mb-2">ASSET</label>
+                <div className="grid grid-cols-2 gap-2">
+                  {COLLATERAL_ASSETS.map((a) => (
+                    <button
+                      key={a.symbol}
+                      onClick={() => { setAssetSymbol(a.symbol); setAmount(''); }}
+                      className={`pixel-tag py-2 px-3 text-sm font-mono transition-colors cursor-pointer ${a.symbol === asset.symbol ? 'bg-orange-700 text-white' : 'hover:bg-gray-700'}`}
+                      disabled={loading}
+                    >
+                      {a.symbol}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Amount Input */}
             <div className="mb-4">
-              <label className="pixel-text block text-gray-400 text-sm mb-2">AMOUNT (ETH)</label>
+              <label className="pixel-text block text-gray-400 text-sm mb-2">AMOUNT ({asset.symbol})</label>
               <div className="relative">
                 <input
                   type="number"
-                  step="0.001"
+                  step={asset.token ? '0.01' : '0.001'}
                   min="0"
-                  max={currentBalance}
+                  max={formatAssetAmount(available, asset)}
                   value={amount}
                   onChange={(e) => setAmount(e.target.value)}
                   placeholder="0.0"
@@ -204,22 +283,8 @@ export default function WithdrawPage() {
                 <div className="flex items-start gap-3">
                   <div className="mt-0.5 h-5 w-5 flex items-center justify-center bg-green-600 text-white font-bold font-mono">✓</div>
                   <div className="text-green-300 text-sm font-mono">
-                    <div className="text-green-200 font-semibold tracking-wider">Withdrawal successful</div>
-                    {(() => {
-                      const match = success.match(/Transaction:\s*(0x[a-fA-F0-9]{64})/);
-                      const tx = match?.[1];
-                      if (!tx) return <div className="mt-1 text-green-300/90">Your withdrawal was confirmed.</div>;
-                      const short = `${tx.substring(0, 10)}…${tx.substring(tx.length - 8)}`;
-                      const href = `https://sepolia.etherscan.io/tx/${tx}`;
-                      return (
-                        <div className="mt-1">
-                          <span className="text-green-300/90">Tx:</span>{' '}
-                          <a className="underline decoration-green-500 underline-offset-2 hover:text-green-200" href={href} target="_blank" rel="noreferrer">
-                            {short}
-                          </a>
-                        </div>
-                      );
-                    })()}
+                    <div className="text-green-200 font-semibold tracking-wider">Withdrawal requested</div>
+                    <div className="mt-1 text-green-300/90">{success}</div>
                   </div>
                 </div>
               </div>
@@ -228,27 +293,65 @@ export default function WithdrawPage() {
             {/* Withdraw Button */}
             <button
               onClick={handleWithdraw}
-              disabled={loading || !amount || parseFloat(amount) <= 0 || parseFloat(amount) > parseFloat(currentBalance)}
+              disabled={loading || amountUnits <= BigInt(0) || amountUnits > BigInt(available)}
               className="w-full pixel-button pixel-button--red py-3 px-4 font-mono disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? (
                 <div className="flex items-center justify-center">
                   <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                  Withdrawing...
+                  Requesting...
                 </div>
               ) : (
-                `Withdraw ${amount || '0'} ETH`
+                `Withdraw ${amount || '0'} ${asset.symbol}`
               )}
             </button>
 
             {/* Info */}
             <div className="mt-4 text-xs text-gray-400 font-mono">
-              <p>• Withdrawals are processed immediately</p>
+              <p>• Withdrawals are sent from the vault within a few minutes</p>
               <p>• Funds will be sent to your connected wallet</p>
-              <p>• Minimum withdrawal: 0.001 ETH</p>
+              {limits && (
+                <>
+                  <p>• Minimum withdrawal: {formatAssetAmount(limits.min, asset)} {asset.symbol}</p>
+                  <p>• Daily limit: {formatAssetAmount(limits.dailyLimit, asset)} {asset.symbol} ({toUnits(limits.remainingToday, asset).toFixed(asset.displayDecimals)} {asset.symbol} left)</p>
+                  <p>• Withdrawals of {formatAssetAmount(limits.reviewThreshold, asset)} {asset.symbol} or more are reviewed first</p>
+                </>
+              )}
             </div>
           </div>
 
+          {/* Recent Withdrawals */}
+          {withdrawals.length > 0 && (
+            <div className="pixel-card p-6 mt-6">
+              <h2 className="pixel-text-large text-xl font-bold text-white mb-4 uppercase tracking-wide">RECENT WITHDRAWALS</h2>
+              <div className="space-y-3">
+                {withdrawals.map((w) => {
+                  const wAsset = getAsset(w.asset) ?? asset;
+                  return (
+                  <div key={w.id} className="border-2 border-gray-700 p-3 font-mono text-sm">
+                    <div className="flex justify-between items-center">
+                      <span className="text-white">{toUnits(w.amount, wAsset).toFixed(wAsset.displayDecimals)} {w.asset}</span>
+                      <span className={STATUS_LABELS[w.status].color}>{STATUS_LABELS[w.status].text}</span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">{new Date(w.createdAt).toLocaleString()}</div>
+                    {w.txHash && (
+                      <a
+                        className="text-xs underline decoration-gray-500 underline-offset-2 text-gray-300 hover:text-white"
+                        href={`https://sepolia.etherscan.io/tx/${w.txHash}`}
+                        target="_blank"
+                        rel="noreferrer"
+                      >
+                        Tx: {`${w.txHash.substring(0, 10)}…${w.txHash.substring(w.txHash.length - 8)}`}
+                      </a>
+                    )}
+                    {w.error && <div className="text-xs text-red-300 mt-1">{w.error}</div>}
+                  </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Navigation */}
           <div className="mt-6 flex gap-4">
                    <button
@@ -0,0 +1,281 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { betCutoffSeconds } from './markets';
+import { adjustmentLines, LedgerError, postTransfer } from './ledger';
+import { LeaderboardWindow, windowStart } from './leaderboard';
+import { recordAudit } from './audit';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, getAsset } from './assets';
+import {
+  RoundPools,
+  RoundSettlementError,
+  recordOperatorPrices,
+  resolveRound,
+  roundExposure,
+  voidRound,
+} from './roundSettlement';
+
+// Data and actions behind the operator console (/admin). Every action is written to the audit log.
+
+export interface RoundExposureView {
+  roundId: number;
+  symbol: string;
+  timeframe: number;
+  startAt: string;
+  endAt: string;
+  lockAt: string;
+  ended: boolean; // waiting to be settled
+  payoutMode: string;
+  feeBps: number;
+  asset: string; // pools and results below are in its base units
+  upPool: string;
+  downPool: string;
+  upBets: number;
+  downBets: number;
+  houseIfUp: string; // what the house makes (negative: loses) if up wins
+  houseIfDown: string;
+  worstCase: string;
+}
+
+// Every open round, one row per asset staked on it (ETH for rounds without bets), and what the house stands
+// to win or lose on each. worstCase sums the losing rows per asset.
+export async function getOpenExposure() {
+  const rounds = await prisma.round.findMany({ where: { status: 'open' }, orderBy: { endAt: 'asc' }, take: 200 });
+  const groups = rounds.length
+    ? await prisma.bet.groupBy({
+        by: ['roundId', 'asset', 'side'],
+        where: { roundId: { in: rounds.map((r) => r.id) } },
+        _sum: { amount: true },
+        _count: { _all: true },
+      })
+    : [];
+
+  const now = Date.now();
+  const worstCase: Record<string, bigint> = {};
+  const items: RoundExposureView[] = rounds.flatMap((round) => {
+    const roundGroups = groups.filter((g) => g.roundId === round.id);
+    const assets = roundGroups.length ? [...new Set(roundGroups.map((g) => g.asset))] : [DEFAULT_ASSET];
+    return assets.map((asset) => {
+      const pools: RoundPools = { up: BigInt(0), down: BigInt(0), upBets: 0, downBets: 0 };
+      for (const group of roundGroups.filter((g) => g.asset === asset)) {
+        if (group.side === 'up') {
+          pools.up = group._sum.amount ?? BigInt(0);
+          pools.upBets = group._count._all;
+        } else if (group.side === 'down') {
+          pools.down = group._sum.amount ?? BigInt(0);
+          pools.downBets = group._count._all;
+        }
+      }
+      const exposure = roundExposure(round, pools);
+      if (exposure.worstCase < BigInt(0)) worstCase[asset] = (worstCase[asset] ?? BigInt(0)) + exposure.worstCase;
+      return {
+        roundId: round.id,
+        symbol: round.symbol,
+        timeframe: round.timeframe,
+        startAt: round.startAt.toISOString(),
+        endAt: round.endAt.toISOString(),
+        lockAt: new Date(round.endAt.getTime() - betCutoffSeconds(round.timeframe) * 1000).toISOString(),
+        ended: round.endAt.getTime() <= now,
+        payoutMode: round.payoutMode,
+        feeBps: round.feeBps,
+        asset,
+        upPool: pools.up.toString(),
+        downPool: pools.down.toString(),
+        upBets: pools.upBets,
+        downBets: pools.downBets,
+        houseIfUp: exposure.houseIfUp.toString(),
+        houseIfDown: exposure.houseIfDown.toString(),
+        worstCase: exposure.worstCase.toString(),
+      };
+    });
+  });
+  return {
+    rounds: items,
+    worstCase: Object.fromEntries(Object.entries(worstCase).map(([asset, amount]) => [asset, amount.toString()])),
+  };
+}
+
+// Operator: settles a round now (optionally pricing it by hand first) or voids it, with a reason
+export async function settleRoundByHand(params: {
+  roundId: number;
+  action: 'resolve' | 'void';
+  reason: string;
+  operator: string;
+  startPrice?: number;
+  endPrice?: number;
+}) {
+  const { roundId, action, reason, operator, startPrice, endPrice } = params;
+  if (!reason.trim()) throw new RoundSettlementError('A reason is required');
+  if (action === 'void' && (startPrice !== undefined || endPrice !== undefined)) {
+    throw new RoundSettlementError('Prices can only be sent to resolve a round');
+  }
+
+  if (startPrice !== undefined || endPrice !== undefined) await recordOperatorPrices(roundId, { startPrice, endPrice });
+  const result = action === 'void' ? await voidRound(roundId, reason) : await resolveRound(roundId);
+  await recordAudit(prisma, {
+    actor: operator,
+    action: `round.${action}`,
+    target: `round:${roundId}`,
+    reason,
+    payload: {
+      ...(startPrice !== undefined ? { startPrice } : {}),
+      ...(endPrice !== undefined ? { endPrice } : {}),
+      winningSide: result.winningSide,
+      voidReason: result.voidReason,
+      already: result.already ?? false,
+      bets: result.credits.length,
+    },
+  });
+  return result;
+}
+
+// House fees and P&L from the ledger, per window and asset
+export async function getHousePnl() {
+  const windows: LeaderboardWindow[] = ['daily', 'weekly', 'all'];
+  const results = await Promise.all(windows.map(async (window) => {
+    const since = windowStart(window);
+    const totals = await prisma.ledgerEntry.groupBy({
+      by: ['asset', 'account'],
+      where: { account: { in: ['house_fees', 'house_pnl'] }, createdAt: { gte: since } },
+      _sum: { amount: true },
+    });
+    return COLLATERAL_ASSETS.map(({ symbol: asset }) => {
+      const account = (name: string) => totals.find((t) => t.asset === asset && t.account === name)?._sum.amount ?? BigInt(0);
+      const fees = account('house_fees');
+      const pnl = account('house_pnl');
+      return { window, asset, since: since.toISOString(), fees: fees.toString(), pnl: pnl.toString(), total: (fees + pnl).toString() };
+    });
+  }));
+  return { windows: results.flat() };
+}
+
+function balancesView(balances: Array<{ asset: string; available: bigint; locked: bigint }>) {
+  return balances.map((b) => ({ asset: b.asset, available: b.available.toString(), locked: b.locked.toString() }));
+}
+
+function ethBalance(balances: Array<{ asset: string; available: bigint; locked: bigint }>) {
+  return balances.find((b) => b.asset === DEFAULT_ASSET);
+}
+
+export interface AdminPlayerRow {
+  id: number;
+  address: string;
+  createdAt: string;
+  available: string; // wei, ETH
+  locked: string;
+  balances: Array<{ asset: string; available: string; locked: string }>; // every asset, in base units
+  points: string;
+  bets: number;
+}
+
+export async function listPlayers(params: { query?: string | null; page: number; pageSize: number }) {
+  const { page, pageSize } = params;
+  const query = params.query?.trim().toLowerCase();
+  const where: Prisma.PlayerWhereInput = query ? { address: { contains: query } } : {};
+  const [players, total] = await Promise.all([
+    prisma.player.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      take: pageSize,
+      skip: (page - 1) * pageSize,
+      include: { balances: true, _count: { select: { bets: true } } },
+    }),
+    prisma.player.count({ where }),
+  ]);
+  const items: AdminPlayerRow[] = players.map((p) => ({
+    id: p.id,
+    address: p.address,
+    createdAt: p.createdAt.toISOString(),
+    available: (ethBalance(p.balances)?.available ?? BigInt(0)).toString(),
+    locked: (ethBalance(p.balances)?.locked ?? BigInt(0)).toString(),
+    balances: balancesView(p.balances),
+    points: p.points.toString(),
+    bets: p._count.bets,
+  }));
+  return { page, pageSize, total, items };
+}
+
+// One player's balances with their latest transfers, bets and withdrawals
+export async function getPlayerDetail(playerId: number) {
+  const player = await prisma.player.findUnique({
+    where: { id: playerId },
+    include: {
+      balances: true,
+      transfers: { orderBy: { id: 'desc' }, take: 25 },
+      bets: { orderBy: { id: 'desc' }, take: 25, include: { round: { select: { symbol: true, timeframe: true, startAt: true } } } },
+      withdrawals: { orderBy: { id: 'desc' }, take: 10 },
+    },
+  });
+  if (!player) throw new LedgerError('Player not found', 404);
+  return {
+    id: player.id,
+    address: player.address,
+    createdAt: player.createdAt.toISOString(),
+    available: (ethBalance(player.balances)?.available ?? BigInt(0)).toString(),
+    locked: (ethBalance(player.balances)?.locked ?? BigInt(0)).toString(),
+    balances: balancesView(player.balances),
+    points: player.points.toString(),
+    transfers: player.transfers.map((t) => ({
+      id: t.id,
+      type: t.type,
+      asset: t.asset,
+      amount: t.amount.toString(),
+      meta: t.meta,
+      createdAt: t.createdAt.toISOString(),
+    })),
+    bets: player.bets.map((b) => ({
+      id: b.id,
+      roundId: b.roundId,
+      symbol: b.round.symbol,
+      timeframe: b.round.timeframe,
+      roundStart: b.round.startAt.toISOString(),
+      side: b.side,
+      asset: b.asset,
+      amount: b.amount.toString(),
+      status: b.status,
+      createdAt: b.createdAt.toISOString(),
+    })),
+    withdrawals: player.withdrawals.map((w) => ({
+      id: w.id,
+      asset: w.asset,
+      amount: w.amount.toString(),
+      status: w.status,
+      txHash: w.txHash,
+      createdAt: w.createdAt.toISOString(),
+    })),
+  };
+}
+
+// Operator: credits (positive) or debits (negative) a player's available balance in `asset` (base units)
+// against house P&L
+export async function adjustPlayerBalance(params: { playerId: number; asset?: string; amount: bigint; reason: string; operator: string }) {
+  const { playerId, amount, reason, operator } = params;
+  const asset = params.asset ?? DEFAULT_ASSET;
+  if (!getAsset(asset)) throw new LedgerError(`Unsupported asset: ${asset}`);
+  if (amount === BigInt(0)) throw new LedgerError('Amount must not be zero');
+  if (!reason.trim()) throw new LedgerError('A reason is required');
+
+  return prisma.$transaction(async (tx) => {
+    const player = await tx.player.findUnique({ where: { id: playerId } });
+    if (!player) throw new LedgerError('Player not found', 404);
+    const { transfer, balance } = await postTransfer(tx, {
+      playerId,
+      asset,
+      type: 'adjustment',
+      amount: amount < BigInt(0) ? -amount : amount,
+      meta: { direction: amount < BigInt(0) ? 'debit' : 'credit', reason: reason.trim(), operator: operator.toLowerCase() },
+      lines: adjustmentLines(amount),
+    });
+    await recordAudit(tx, {
+      actor: operator,
+      action: 'player.adjust',
+      target: `player:${playerId}`,
+      reason: reason.trim(),
+      payload: { transferId: transfer.id, asset, amount: amount.toString(), available: balance.available.toString() },
+    });
+    return {
+      transferId: transfer.id,
+      available: balance.available.toString(),
+      locked: balance.locked.toString(),
+    };
+  });
+}
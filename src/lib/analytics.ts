@@ -0,0 +1,205 @@
+import { prisma } from './prisma';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET, getAsset } from './assets';
+
+// Daily game statistics for the operator dashboard. The rollup job (scripts/analyticsRollup.ts) writes one
+// DailyStats row per UTC day and collateral asset; the current day is always computed live.
+//
+// A day's rounds are the rounds that ended that day and have settled, counted in each asset they had bets in.
+// Bets, volume and players are bets placed that day. Refunds can still land on a past day's bets, so the job
+// recomputes the last few days on every pass.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_ANALYTICS_DAYS = 366;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export class AnalyticsError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+  }
+}
+
+interface DayCounts {
+  rounds: number;
+  voidRounds: number;
+  upWins: number;
+  downWins: number;
+  bets: number;
+  volume: bigint;
+  fees: bigint;
+  uniquePlayers: number;
+}
+
+export interface DailyStatsView {
+  date: string; // YYYY-MM-DD, UTC
+  asset: string; // volume and fees are in its base units
+  rounds: number;
+  voidRounds: number;
+  upWins: number;
+  downWins: number;
+  upWinRatio: number | null; // up wins / decided rounds; null when none were decided
+  bets: number;
+  volume: string;
+  fees: string;
+  uniquePlayers: number;
+  source: 'rollup' | 'live' | 'missing'; // missing: the job has not rolled this day up yet
+}
+
+export function utcDay(date: Date): Date {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const dayKey = (day: Date) => day.toISOString().slice(0, 10);
+
+// "2026-10-19" -> that UTC midnight
+export function parseDay(value: string): Date {
+  const day = new Date(`${value}T00:00:00Z`);
+  if (!DAY_RE.test(value) || Number.isNaN(day.getTime()) || dayKey(day) !== value) {
+    throw new AnalyticsError(`Invalid date ${value}, expected YYYY-MM-DD`);
+  }
+  return day;
+}
+
+function emptyCounts(): DayCounts {
+  return { rounds: 0, voidRounds: 0, upWins: 0, downWins: 0, bets: 0, volume: BigInt(0), fees: BigInt(0), uniquePlayers: 0 };
+}
+
+// Every asset's figures for the UTC day starting at `day`
+async function computeDay(day: Date): Promise<Map<string, DayCounts>> {
+  const end = new Date(day.getTime() + DAY_MS);
+  const [rounds, bets, fees] = await Promise.all([
+    prisma.$queryRaw<Array<{ asset: string; rounds: number; voidRounds: number; upWins: number; downWins: number }>>`
+      SELECT b."asset",
+        COUNT(DISTINCT r."id")::int AS "rounds",
+        COUNT(DISTINCT r."id") FILTER (WHERE r."status" = 'void')::int AS "voidRounds",
+        COUNT(DISTINCT r."id") FILTER (WHERE r."status" = 'resolved' AND r."winningSide" = 'up')::int AS "upWins",
+        COUNT(DISTINCT r."id") FILTER (WHERE r."status" = 'resolved' AND r."winningSide" = 'down')::int AS "downWins"
+      FROM "Round" r JOIN "Bet" b ON b."roundId" = r."id"
+      WHERE r."status" IN ('resolved', 'void') AND r."endAt" >= ${day} AND r."endAt" < ${end}
+      GROUP BY b."asset"`,
+    prisma.$queryRaw<Array<{ asset: string; bets: number; volume: bigint; uniquePlayers: number }>>`
+      SELECT "asset", COUNT(*)::int AS "bets",
+        COALESCE(SUM("amount") FILTER (WHERE "status" <> 'refund'), 0)::bigint AS "volume",
+        COUNT(DISTINCT "playerId")::int AS "uniquePlayers"
+      FROM "Bet"
+      WHERE "createdAt" >= ${day} AND "createdAt" < ${end}
+      GROUP BY "asset"`,
+    prisma.ledgerEntry.groupBy({
+      by: ['asset'],
+      where: { account: 'house_fees', createdAt: { gte: day, lt: end } },
+      _sum: { amount: true },
+    }),
+  ]);
+
+  const byAsset = new Map<string, DayCounts>(COLLATERAL_ASSETS.map((a) => [a.symbol, emptyCounts()]));
+  const counts = (asset: string) => {
+    if (!byAsset.has(asset)) byAsset.set(asset, emptyCounts());
+    return byAsset.get(asset)!;
+  };
+  for (const { asset, ...row } of rounds) Object.assign(counts(asset), row);
+  for (const { asset, ...row } of bets) Object.assign(counts(asset), row);
+  for (const row of fees) counts(row.asset).fees = row._sum.amount ?? BigInt(0);
+  return byAsset;
+}
+
+// Recomputes and stores one UTC day for every asset; safe to run again
+export async function rollupDay(date: Date) {
+  const day = utcDay(date);
+  const byAsset = await computeDay(day);
+  for (const [asset, counts] of byAsset) {
+    await prisma.dailyStats.upsert({
+      where: { date_asset: { date: day, asset } },
+      create: { date: day, asset, ...counts },
+      update: counts,
+    });
+  }
+  return { date: dayKey(day), assets: [...byAsset.keys()] };
+}
+
+// Rolls up every day from `from` to `to`, both inclusive
+export async function rollupRange(from: Date, to: Date) {
+  const days: string[] = [];
+  for (let day = utcDay(from); day <= utcDay(to); day = new Date(day.getTime() + DAY_MS)) {
+    days.push((await rollupDay(day)).date);
+  }
+  return days;
+}
+
+// The last `days` days up to and including today
+export function rollupRecentDays(days: number, now: Date = new Date()) {
+  const today = utcDay(now);
+  return rollupRange(new Date(today.getTime() - (Math.max(days, 1) - 1) * DAY_MS), today);
+}
+
+function toView(date: Date, asset: string, counts: DayCounts, source: DailyStatsView['source']): DailyStatsView {
+  const decided = counts.upWins + counts.downWins;
+  return {
+    date: dayKey(date),
+    asset,
+    rounds: counts.rounds,
+    voidRounds: counts.voidRounds,
+    upWins: counts.upWins,
+    downWins: counts.downWins,
+    upWinRatio: decided > 0 ? counts.upWins / decided : null,
+    bets: counts.bets,
+    volume: counts.volume.toString(),
+    fees: counts.fees.toString(),
+    uniquePlayers: counts.uniquePlayers,
+    source,
+  };
+}
+
+// Day-by-day series for one asset over [from, to] (UTC days, inclusive), oldest first, with range totals.
+// Unique players do not add up across days, so the total counts them over the whole range.
+export async function getAnalytics(params: { from: Date; to: Date; asset?: string; now?: Date }) {
+  const asset = getAsset(params.asset ?? DEFAULT_ASSET);
+  if (!asset) throw new AnalyticsError(`Unsupported asset: ${params.asset}`);
+  const from = utcDay(params.from);
+  const to = utcDay(params.to);
+  if (to < from) throw new AnalyticsError('from must not be after to');
+  if ((to.getTime() - from.getTime()) / DAY_MS + 1 > MAX_ANALYTICS_DAYS) {
+    throw new AnalyticsError(`At most ${MAX_ANALYTICS_DAYS} days per request`);
+  }
+  const today = utcDay(params.now ?? new Date());
+  const rangeEnd = new Date(to.getTime() + DAY_MS);
+
+  const [stored, live, players] = await Promise.all([
+    prisma.dailyStats.findMany({ where: { asset: asset.symbol, date: { gte: from, lte: to } } }),
+    today >= from && today <= to ? computeDay(today) : Promise.resolve(null),
+    prisma.$queryRaw<{ players: number }[]>`
+      SELECT COUNT(DISTINCT "playerId")::int AS "players" FROM "Bet"
+      WHERE "asset" = ${asset.symbol} AND "createdAt" >= ${from} AND "createdAt" < ${rangeEnd}`,
+  ]);
+  const storedByDay = new Map(stored.map((row) => [dayKey(row.date), row]));
+
+  const series: DailyStatsView[] = [];
+  for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getTime() === today.getTime() && live) {
+      series.push(toView(day, asset.symbol, live.get(asset.symbol) ?? emptyCounts(), 'live'));
+      continue;
+    }
+    const row = storedByDay.get(dayKey(day));
+    series.push(toView(day, asset.symbol, row ?? emptyCounts(), row ? 'rollup' : 'missing'));
+  }
+
+  const sum = (key: 'rounds' | 'voidRounds' | 'upWins' | 'downWins' | 'bets') => series.reduce((total, d) => total + d[key], 0);
+  const upWins = sum('upWins');
+  const downWins = sum('downWins');
+  return {
+    asset: asset.symbol,
+    from: dayKey(from),
+    to: dayKey(to),
+    totals: {
+      rounds: sum('rounds'),
+      voidRounds: sum('voidRounds'),
+      upWins,
+      downWins,
+      upWinRatio: upWins + downWins > 0 ? upWins / (upWins + downWins) : null,
+      bets: sum('bets'),
+      volume: series.reduce((total, d) => total + BigInt(d.volume), BigInt(0)).toString(),
+      fees: series.reduce((total, d) => total + BigInt(d.fees), BigInt(0)).toString(),
+      uniquePlayers: players[0]?.players ?? 0,
+    },
+    series,
+  };
+}
@@ -0,0 +1,217 @@
+import { createHash, randomBytes } from 'crypto';
+import { Prisma } from '@prisma/client';
+import type { ApiKey } from '@prisma/client';
+import { prisma } from './prisma';
+
+// API keys for the public API (/api/v1). A key is `kai_<prefix>_<secret>`, shown once when it is created;
+// the database keeps its sha256 and the prefix, which identifies it in lists. Each key has scopes
+// ('read': balances, rounds, history; 'trade': placing bets) and its own per-minute rate limit.
+// Rate-limit windows and Idempotency-Key records live in Postgres, so every server instance shares them.
+
+export const API_SCOPES = ['read', 'trade'] as const;
+export type ApiScope = (typeof API_SCOPES)[number];
+
+export const API_KEY_HEADER = 'x-api-key';
+const MAX_KEYS_PER_PLAYER = 10;
+const WINDOW_MS = 60 * 1000;
+const IDEMPOTENCY_TTL_MS = 24 * 3600 * 1000;
+// A request still unfinished after this long crashed or timed out, so a retry may take its key over
+const IDEMPOTENCY_CLAIM_MS = 60 * 1000;
+
+// API_RATE_LIMIT_PER_MINUTE is the default for new keys, API_RATE_LIMIT_MAX the most a player may ask for
+function rateLimitSetting(name: string, fallback: number) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+export const DEFAULT_RATE_LIMIT = rateLimitSetting('API_RATE_LIMIT_PER_MINUTE', 60);
+export const MAX_RATE_LIMIT = Math.max(DEFAULT_RATE_LIMIT, rateLimitSetting('API_RATE_LIMIT_MAX', 600));
+
+export class ApiKeyError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+export interface ApiKeyView {
+  id: number;
+  name: string;
+  prefix: string;
+  scopes: ApiScope[];
+  rateLimit: number;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+function sha256(text: string) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function keyView(key: ApiKey): ApiKeyView {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes as ApiScope[],
+    rateLimit: key.rateLimit,
+    lastUsedAt: key.lastUsedAt?.toISOString() ?? null,
+    revokedAt: key.revokedAt?.toISOString() ?? null,
+    createdAt: key.createdAt.toISOString(),
+  };
+}
+
+async function playerIdFor(address: string) {
+  const player = await prisma.player.upsert({ where: { address }, create: { address }, update: {}, select: { id: true } });
+  return player.id;
+}
+
+export async function listApiKeys(address: string): Promise<ApiKeyView[]> {
+  const keys = await prisma.apiKey.findMany({
+    where: { player: { address } },
+    orderBy: [{ revokedAt: { sort: 'desc', nulls: 'first' } }, { id: 'desc' }],
+  });
+  return keys.map(keyView);
+}
+
+// Returns the new key's only plaintext copy alongside its listing
+export async function createApiKey(
+  address: string,
+  input: { name?: unknown; scopes?: unknown; rateLimit?: unknown }
+): Promise<{ key: string; apiKey: ApiKeyView }> {
+  const name = typeof input.name === 'string' ? input.name.trim().slice(0, 64) : '';
+  if (!name) throw new ApiKeyError('name is required');
+  const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : ['read'];
+  if (scopes.length === 0 || !scopes.every((s) => API_SCOPES.includes(s as ApiScope))) {
+    throw new ApiKeyError(`scopes must be a non-empty list of ${API_SCOPES.join(', ')}`);
+  }
+  const rateLimit = input.rateLimit === undefined ? DEFAULT_RATE_LIMIT : Number(input.rateLimit);
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+    throw new ApiKeyError(`rateLimit must be between 1 and ${MAX_RATE_LIMIT} requests per minute`);
+  }
+
+  const playerId = await playerIdFor(address);
+  const active = await prisma.apiKey.count({ where: { playerId, revokedAt: null } });
+  if (active >= MAX_KEYS_PER_PLAYER) throw new ApiKeyError(`At most ${MAX_KEYS_PER_PLAYER} active keys; revoke one first`, 409);
+
+  const prefix = `kai_${randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${randomBytes(24).toString('base64url')}`;
+  const created = await prisma.apiKey.create({
+    data: { playerId, name, prefix, keyHash: sha256(key), scopes: scopes as string[], rateLimit },
+  });
+  return { key, apiKey: keyView(created) };
+}
+
+export async function revokeApiKey(address: string, id: number): Promise<ApiKeyView> {
+  const key = await prisma.apiKey.findFirst({ where: { id, player: { address } } });
+  if (!key) throw new ApiKeyError('API key not found', 404);
+  if (key.revokedAt) return keyView(key);
+  return keyView(await prisma.apiKey.update({ where: { id }, data: { revokedAt: new Date() } }));
+}
+
+export interface ApiCaller {
+  keyId: number;
+  playerId: number;
+  address: string;
+  scopes: ApiScope[];
+  rateLimit: number;
+}
+
+// The active key presented in `header`, or null
+export async function authenticateApiKey(header: string | null): Promise<ApiCaller | null> {
+  if (!header || !header.startsWith('kai_')) return null;
+  const key = await prisma.apiKey.findUnique({
+    where: { keyHash: sha256(header.trim()) },
+    include: { player: { select: { address: true } } },
+  });
+  if (!key || key.revokedAt) return null;
+  return { keyId: key.id, playerId: key.playerId, address: key.player.address, scopes: key.scopes as ApiScope[], rateLimit: key.rateLimit };
+}
+
+export interface RateLimitState {
+  limit: number;
+  remaining: number;
+  resetAt: number; // seconds
+  allowed: boolean;
+}
+
+// Counts one request against the key's current one-minute window
+export async function consumeRateLimit(caller: ApiCaller, nowMs: number = Date.now()): Promise<RateLimitState> {
+  const windowStart = new Date(Math.floor(nowMs / WINDOW_MS) * WINDOW_MS);
+  const [row] = await prisma.$queryRaw<{ count: number }[]>`
+    INSERT INTO "ApiRateWindow" ("apiKeyId", "windowStart", "count") VALUES (${caller.keyId}, ${windowStart}, 1)
+    ON CONFLICT ("apiKeyId", "windowStart") DO UPDATE SET "count" = "ApiRateWindow"."count" + 1
+    RETURNING "count"`;
+  if (row.count === 1) {
+    // First request of the window: drop the key's old windows and note when it was last used
+    await prisma.apiRateWindow.deleteMany({ where: { apiKeyId: caller.keyId, windowStart: { lt: windowStart } } });
+    await prisma.apiKey.update({ where: { id: caller.keyId }, data: { lastUsedAt: new Date(nowMs) } });
+  }
+  return {
+    limit: caller.rateLimit,
+    remaining: Math.max(0, caller.rateLimit - row.count),
+    resetAt: (windowStart.getTime() + WINDOW_MS) / 1000,
+    allowed: row.count <= caller.rateLimit,
+  };
+}
+
+// Identifies one run of a request: a run whose claim was taken over cannot store its response any more
+export interface IdempotencyClaim {
+  recordId: number;
+  claimedAt: Date;
+}
+
+export type IdempotencyStart =
+  | { state: 'new'; claim: IdempotencyClaim }
+  | { state: 'replay'; status: number; body: unknown }
+  | { state: 'conflict'; status: number; error: string };
+
+// Claims `key` for this request, or returns what an earlier request with the same key got
+export async function beginIdempotentRequest(
+  caller: ApiCaller,
+  key: string,
+  request: { method: string; path: string; body: string }
+): Promise<IdempotencyStart> {
+  if (key.length > 255) return { state: 'conflict', status: 400, error: 'Idempotency-Key is longer than 255 characters' };
+  const requestHash = sha256(`${request.method} ${request.path}\n${request.body}`);
+  await prisma.idempotencyRecord.deleteMany({ where: { apiKeyId: caller.keyId, createdAt: { lt: new Date(Date.now() - IDEMPOTENCY_TTL_MS) } } });
+
+  try {
+    const record = await prisma.idempotencyRecord.create({
+      data: { apiKeyId: caller.keyId, key, method: request.method, path: request.path, requestHash },
+    });
+    return { state: 'new', claim: { recordId: record.id, claimedAt: record.claimedAt } };
+  } catch (error) {
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002')) throw error;
+  }
+  const existing = await prisma.idempotencyRecord.findUnique({ where: { apiKeyId_key: { apiKeyId: caller.keyId, key } } });
+  if (!existing) return { state: 'conflict', status: 409, error: 'Idempotency-Key was just released; retry' };
+  if (existing.requestHash !== requestHash) {
+    return { state: 'conflict', status: 422, error: 'Idempotency-Key was already used for a different request' };
+  }
+  if (existing.status === null) {
+    if (Date.now() - existing.claimedAt.getTime() < IDEMPOTENCY_CLAIM_MS) {
+      return { state: 'conflict', status: 409, error: 'A request with this Idempotency-Key is still in progress' };
+    }
+    // Abandoned: take it over, unless another retry or the late original got there first
+    const claimedAt = new Date();
+    const taken = await prisma.idempotencyRecord.updateMany({
+      where: { id: existing.id, status: null, claimedAt: existing.claimedAt },
+      data: { claimedAt },
+    });
+    if (taken.count === 0) return { state: 'conflict', status: 409, error: 'A request with this Idempotency-Key is still in progress' };
+    return { state: 'new', claim: { recordId: existing.id, claimedAt } };
+  }
+  return { state: 'replay', status: existing.status, body: existing.response };
+}
+
+// Stores the response retries will get. Server errors release the key instead, so a retry runs again.
+// A run whose claim was taken over as abandoned leaves the record alone.
+export async function finishIdempotentRequest(claim: IdempotencyClaim, status: number, body: unknown) {
+  const where = { id: claim.recordId, status: null, claimedAt: claim.claimedAt };
+  if (status >= 500) {
+    await prisma.idempotencyRecord.deleteMany({ where });
+    return;
+  }
+  await prisma.idempotencyRecord.updateMany({ where, data: { status, response: body as Prisma.InputJsonValue } });
+}
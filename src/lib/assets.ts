@@ -0,0 +1,77 @@
+import { ethers } from 'ethers';
+
+// Collateral assets: what balances, stakes and payouts are held in (not the MARKET_ASSETS players predict).
+// ETH is native; ERC-20s go through the vault's depositToken/withdrawToken and are enabled by configuring
+// their token address, e.g. NEXT_PUBLIC_USDC_ADDRESS. Every amount is an integer in the asset's base units
+// (wei for ETH, 1e-6 for USDC). Shared by the pages and the API routes, so keep this free of server-only imports.
+
+export interface CollateralAsset {
+  symbol: string;
+  decimals: number;
+  token: string | null; // lowercase ERC-20 address; null for native ETH
+  displayDecimals: number; // for formatting only
+}
+
+export const DEFAULT_ASSET = 'ETH';
+
+const NATIVE: CollateralAsset = { symbol: 'ETH', decimals: 18, token: null, displayDecimals: 4 };
+
+function erc20(symbol: string, address: string | undefined, decimals: number, displayDecimals: number): CollateralAsset[] {
+  if (!address || !ethers.isAddress(address)) return [];
+  return [{ symbol, decimals, token: address.toLowerCase(), displayDecimals }];
+}
+
+// NEXT_PUBLIC_ variables are inlined into the client bundle, so this list is the same on both sides
+export const COLLATERAL_ASSETS: CollateralAsset[] = [
+  NATIVE,
+  ...erc20('USDC', process.env.NEXT_PUBLIC_USDC_ADDRESS, Number(process.env.NEXT_PUBLIC_USDC_DECIMALS ?? 6) || 6, 2),
+];
+
+export class AssetAmountError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'AssetAmountError';
+  }
+}
+
+export function getAsset(symbol: unknown): CollateralAsset | null {
+  return COLLATERAL_ASSETS.find((a) => a.symbol === symbol) ?? null;
+}
+
+// An enabled asset from a request field; a missing field means ETH
+export function assetFromInput(value: unknown): CollateralAsset {
+  if (value === undefined || value === null || value === '') return NATIVE;
+  const asset = getAsset(typeof value === 'string' ? value.toUpperCase() : value);
+  if (!asset) throw new AssetAmountError(`Unsupported asset: ${String(value)}`);
+  return asset;
+}
+
+export function assetForToken(address: string): CollateralAsset | null {
+  const token = address.toLowerCase();
+  return COLLATERAL_ASSETS.find((a) => a.token === token) ?? null;
+}
+
+const DECIMAL_RE = /^\d+(\.\d+)?$/;
+
+// "1.5" -> base units, exactly. Rejects negatives, exponents and more decimals than the asset has.
+export function parseAssetAmount(value: unknown, asset: CollateralAsset): bigint {
+  const text = typeof value === 'string' ? value.trim() : typeof value === 'number' ? String(value) : '';
+  if (!DECIMAL_RE.test(text)) throw new AssetAmountError(`Invalid ${asset.symbol} amount`);
+  const fraction = text.split('.')[1] ?? '';
+  if (fraction.length > asset.decimals) {
+    throw new AssetAmountError(`${asset.symbol} amounts have at most ${asset.decimals} decimals`);
+  }
+  return ethers.parseUnits(text, asset.decimals);
+}
+
+// Base units -> "1.5", exact
+export function formatAssetAmount(amount: bigint | string, asset: CollateralAsset) {
+  const text = ethers.formatUnits(amount, asset.decimals);
+  return text.endsWith('.0') ? text.slice(0, -2) : text;
+}
+
+// Base units -> a rounded figure for display, e.g. "1.2346 ETH"
+export function displayAssetAmount(amount: bigint | string, asset: CollateralAsset) {
+  const value = Number(ethers.formatUnits(amount, asset.decimals));
+  return `${value.toFixed(asset.displayDecimals)} ${asset.symbol}`;
+}
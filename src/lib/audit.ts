@@ -0,0 +1,43 @@
+import type { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+
+// Operator audit log. Record inside the transaction that makes the change, so an action is logged
+// exactly when it took effect; actions without one (e.g. settling a round) are recorded once they succeed.
+
+export interface AuditEntry {
+  actor: string;
+  action: string;
+  target?: string | null;
+  reason?: string | null;
+  payload?: Prisma.InputJsonObject;
+}
+
+export async function recordAudit(client: Prisma.TransactionClient, entry: AuditEntry) {
+  await client.auditLog.create({
+    data: {
+      actor: entry.actor.toLowerCase(),
+      action: entry.action,
+      target: entry.target ?? null,
+      reason: entry.reason ?? null,
+      payload: entry.payload ?? {},
+    },
+  });
+}
+
+export async function listAuditLog(params: { page: number; pageSize: number; action?: string | null; actor?: string | null }) {
+  const { page, pageSize } = params;
+  const where: Prisma.AuditLogWhereInput = {
+    ...(params.action ? { action: params.action } : {}),
+    ...(params.actor ? { actor: params.actor.toLowerCase() } : {}),
+  };
+  const [rows, total] = await Promise.all([
+    prisma.auditLog.findMany({ where, orderBy: { id: 'desc' }, take: pageSize, skip: (page - 1) * pageSize }),
+    prisma.auditLog.count({ where }),
+  ]);
+  return {
+    page,
+    pageSize,
+    total,
+    items: rows.map((r) => ({ ...r, createdAt: r.createdAt.toISOString() })),
+  };
+}
@@ -0,0 +1,90 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { NextRequest, NextResponse } from 'next/server';
+
+// Sessions are HMAC-signed tokens issued after a Sign-In with Ethereum (EIP-4361) login.
+// Routes that act on a player's balance must take the address from here, never from the body.
+
+export const SESSION_COOKIE = 'kairos_session';
+export const SESSION_TTL_SECONDS = 12 * 60 * 60;
+export const NONCE_TTL_MS = 10 * 60 * 1000;
+
+interface SessionPayload {
+  sub: string; // lowercase address
+  iat: number; // seconds
+  exp: number; // seconds
+}
+
+function getSecret(): string {
+  const secret = process.env.AUTH_SESSION_SECRET;
+  if (!secret) throw new Error('Auth not configured: set AUTH_SESSION_SECRET');
+  return secret;
+}
+
+function signPayload(payload: string): string {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+export function createSessionToken(address: string, nowMs: number = Date.now()) {
+  const iat = Math.floor(nowMs / 1000);
+  const payload: SessionPayload = { sub: address.toLowerCase(), iat, exp: iat + SESSION_TTL_SECONDS };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${signPayload(encoded)}`, expiresAt: payload.exp };
+}
+
+export function verifySessionToken(token: string, nowMs: number = Date.now()): { address: string; expiresAt: number } | null {
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+  const expected = Buffer.from(signPayload(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString()) as SessionPayload;
+    if (!payload.sub || payload.exp * 1000 <= nowMs) return null;
+    return { address: payload.sub, expiresAt: payload.exp };
+  } catch {
+    return null;
+  }
+}
+
+// Session from the cookie, or from an `Authorization: Bearer <token>` header for non-browser clients
+export function getSession(req: NextRequest) {
+  const header = req.headers.get('authorization');
+  const token = header?.startsWith('Bearer ') ? header.slice(7) : req.cookies.get(SESSION_COOKIE)?.value;
+  return token ? verifySessionToken(token) : null;
+}
+
+export function getSessionAddress(req: NextRequest): string | null {
+  return getSession(req)?.address ?? null;
+}
+
+// Operators (OPERATOR_ADDRESSES, comma-separated) may void rounds and run other house actions
+export function isOperatorAddress(address: string | null): boolean {
+  if (!address) return false;
+  const operators = (process.env.OPERATOR_ADDRESSES ?? '')
+    .split(',')
+    .map((a) => a.trim().toLowerCase())
+    .filter(Boolean);
+  return operators.includes(address.toLowerCase());
+}
+
+// For operator-only routes: the operator's address, or the 401/403 response to return instead
+export function requireOperator(req: NextRequest): { denied: NextResponse; address: null } | { denied: null; address: string } {
+  const address = getSessionAddress(req);
+  if (!address) return { denied: NextResponse.json({ error: 'Sign in required' }, { status: 401 }), address: null };
+  if (!isOperatorAddress(address)) return { denied: NextResponse.json({ error: 'Operator only' }, { status: 403 }), address: null };
+  return { denied: null, address };
+}
+
+export function setSessionCookie(res: NextResponse, token: string, expiresAt: number) {
+  res.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: new Date(expiresAt * 1000),
+  });
+}
+
+export function clearSessionCookie(res: NextResponse) {
+  res.cookies.set(SESSION_COOKIE, '', { httpOnly: true, path: '/', maxAge: 0 });
+}
@@ -0,0 +1,381 @@
+import { Prisma } from '@prisma/client';
+import type { AutoBetPlan } from '@prisma/client';
+import { prisma } from './prisma';
+import { isBetRejection, placeBet } from './bets';
+import { betCutoffSeconds, parseMarket, roundStartFor } from './markets';
+import { AssetAmountError, assetFromInput, formatAssetAmount, getAsset, parseAssetAmount } from './assets';
+import { logEvent } from './roundResolver';
+import { assertNotExcluded } from './playLimits';
+import type { Side } from './roundSettlement';
+
+// Auto-bet plans. A player saves a plan for one market; the runner (scripts/autoBetRunner.ts) places one bet per
+// round for it through placeBet, the same checks as /api/vault/bet, and tags the bet with the plan id.
+//   side:   fixed (always plan.side), follow (the side that won the market's last decided round), contrarian (the other one)
+//   stake:  flat, martingale (doubles after each loss, back to the base stake after a win, capped at maxStake),
+//           or percent (a share of the available balance when the bet is placed)
+// A plan waits for its previous bet to settle before the next one, so sizing and the stop levels see every result;
+// a round whose betting cutoff passes meanwhile is skipped. The plan ends after `rounds` bets (completed), or once
+// its net result reaches -stopLoss or +takeProfit (stopped). Rejected bets (balance, play limits, risk caps, a
+// manual bet in the same round) skip the round and are reported in lastError.
+
+export const AUTO_BET_MODES = ['fixed', 'follow', 'contrarian'] as const;
+export type AutoBetMode = (typeof AUTO_BET_MODES)[number];
+export const AUTO_BET_SIZINGS = ['flat', 'martingale', 'percent'] as const;
+export type AutoBetSizing = (typeof AUTO_BET_SIZINGS)[number];
+export type AutoBetStatus = 'active' | 'paused' | 'cancelled' | 'completed' | 'stopped';
+
+const OPEN_STATUSES: AutoBetStatus[] = ['active', 'paused'];
+export const MAX_PLAN_ROUNDS = 1000;
+
+export class AutoBetError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'AutoBetError';
+  }
+}
+
+export interface AutoBetPlanView {
+  id: number;
+  symbol: string;
+  timeframe: number;
+  asset: string; // stakes, stop levels and results are in its base units
+  mode: AutoBetMode;
+  side: Side | null;
+  sizing: AutoBetSizing;
+  baseStake: string;
+  maxStake: string | null;
+  percent: number | null; // of the available balance
+  rounds: number;
+  stopLoss: string;
+  takeProfit: string;
+  status: AutoBetStatus;
+  stopReason: 'stop_loss' | 'take_profit' | null;
+  lastError: string | null;
+  placed: number; // bets placed so far
+  pending: number;
+  won: number;
+  lost: number;
+  net: string; // payouts and refunds minus stakes of settled bets; negative is a loss
+  createdAt: string;
+}
+
+interface PlanBetRow {
+  planId: number;
+  status: string;
+  stake: string;
+  payout: string;
+}
+
+interface PlanResults {
+  placed: number;
+  pending: number;
+  won: number;
+  lost: number;
+  net: bigint;
+  lossStreak: number; // losses since the last win, refunds ignored
+}
+
+// One bet per player per round, so the round's payout/refund transfer for the player is this bet's
+async function queryPlanBets(planIds: number[]) {
+  if (planIds.length === 0) return [];
+  return prisma.$queryRaw<PlanBetRow[]>`
+    SELECT b."planId", b."status", b."amount"::text AS "stake",
+      COALESCE((
+        SELECT SUM(t."amount") FROM "Transfer" t
+        WHERE t."playerId" = b."playerId" AND t."asset" = b."asset" AND t."type" IN ('payout', 'refund')
+          AND (t."meta"->>'roundId')::int = b."roundId"
+      ), 0)::text AS "payout"
+    FROM "Bet" b
+    WHERE b."planId" IN (${Prisma.join(planIds)})
+    ORDER BY b."id"`;
+}
+
+function summarize(rows: PlanBetRow[]): PlanResults {
+  const results: PlanResults = { placed: 0, pending: 0, won: 0, lost: 0, net: BigInt(0), lossStreak: 0 };
+  for (const row of rows) {
+    results.placed += 1;
+    if (row.status === 'pending') {
+      results.pending += 1;
+      continue;
+    }
+    results.net += BigInt(row.payout) - BigInt(row.stake);
+    if (row.status === 'won') {
+      results.won += 1;
+      results.lossStreak = 0;
+    } else if (row.status === 'lost') {
+      results.lost += 1;
+      results.lossStreak += 1;
+    }
+  }
+  return results;
+}
+
+async function planResults(planIds: number[]): Promise<Map<number, PlanResults>> {
+  const rows = await queryPlanBets(planIds);
+  return new Map(planIds.map((id) => [id, summarize(rows.filter((row) => row.planId === id))]));
+}
+
+function planView(plan: AutoBetPlan, results: PlanResults): AutoBetPlanView {
+  return {
+    id: plan.id,
+    symbol: plan.symbol,
+    timeframe: plan.timeframe,
+    asset: plan.asset,
+    mode: plan.mode as AutoBetMode,
+    side: plan.side as Side | null,
+    sizing: plan.sizing as AutoBetSizing,
+    baseStake: plan.baseStake.toString(),
+    maxStake: plan.maxStake?.toString() ?? null,
+    percent: plan.percentBps === null ? null : plan.percentBps / 100,
+    rounds: plan.rounds,
+    stopLoss: (plan.stopLoss ?? BigInt(0)).toString(),
+    takeProfit: (plan.takeProfit ?? BigInt(0)).toString(),
+    status: plan.status as AutoBetStatus,
+    stopReason: plan.stopReason as AutoBetPlanView['stopReason'],
+    lastError: plan.lastError,
+    placed: results.placed,
+    pending: results.pending,
+    won: results.won,
+    lost: results.lost,
+    net: results.net.toString(),
+    createdAt: plan.createdAt.toISOString(),
+  };
+}
+
+export async function listAutoBetPlans(address: string): Promise<AutoBetPlanView[]> {
+  const plans = await prisma.autoBetPlan.findMany({ where: { player: { address: address.toLowerCase() } }, orderBy: { id: 'desc' } });
+  const results = await planResults(plans.map((p) => p.id));
+  return plans.map((plan) => planView(plan, results.get(plan.id)!));
+}
+
+// Positive amount of `asset` from a decimal string field
+function stakeField(value: unknown, name: string, asset: ReturnType<typeof assetFromInput>) {
+  if (value === undefined || value === null || value === '') throw new AutoBetError(`${name} is required`);
+  let amount: bigint;
+  try {
+    amount = parseAssetAmount(value, asset);
+  } catch (error) {
+    throw new AutoBetError(`${name}: ${(error as AssetAmountError).message}`);
+  }
+  if (amount <= BigInt(0)) throw new AutoBetError(`${name} must be positive`);
+  return amount;
+}
+
+// Body of POST /api/autobet; amounts are decimal strings in `asset`, percent is 0.01-100
+export async function createAutoBetPlan(
+  address: string,
+  input: {
+    symbol?: unknown;
+    timeframe?: unknown;
+    asset?: unknown;
+    mode?: unknown;
+    side?: unknown;
+    sizing?: unknown;
+    baseStake?: unknown;
+    maxStake?: unknown;
+    percent?: unknown;
+    rounds?: unknown;
+    stopLoss?: unknown;
+    takeProfit?: unknown;
+  }
+): Promise<AutoBetPlanView> {
+  const market = parseMarket(input.symbol, input.timeframe);
+  if (!market) throw new AutoBetError(`Unknown market ${input.symbol} ${input.timeframe}`);
+  const asset = assetFromInput(input.asset);
+
+  const mode = input.mode as AutoBetMode;
+  if (!AUTO_BET_MODES.includes(mode)) throw new AutoBetError(`mode must be one of ${AUTO_BET_MODES.join(', ')}`);
+  if (mode === 'fixed' && input.side !== 'up' && input.side !== 'down') throw new AutoBetError('A fixed plan needs side up or down');
+  const side = mode === 'fixed' ? (input.side as Side) : null;
+
+  const sizing = input.sizing as AutoBetSizing;
+  if (!AUTO_BET_SIZINGS.includes(sizing)) throw new AutoBetError(`sizing must be one of ${AUTO_BET_SIZINGS.join(', ')}`);
+  let baseStake = BigInt(0);
+  let maxStake: bigint | null = null;
+  let percentBps: number | null = null;
+  if (sizing === 'percent') {
+    const percent = Number(input.percent);
+    percentBps = Math.round(percent * 100);
+    if (!Number.isFinite(percent) || percentBps < 1 || percentBps > 10000) throw new AutoBetError('percent must be between 0.01 and 100');
+  } else {
+    baseStake = stakeField(input.baseStake, 'baseStake', asset);
+    if (sizing === 'martingale') {
+      maxStake = stakeField(input.maxStake, 'maxStake', asset);
+      if (maxStake < baseStake) throw new AutoBetError('maxStake must be at least baseStake');
+    }
+  }
+
+  const rounds = Number(input.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_PLAN_ROUNDS) {
+    throw new AutoBetError(`rounds must be a whole number between 1 and ${MAX_PLAN_ROUNDS}`);
+  }
+  const stopLoss = stakeField(input.stopLoss, 'stopLoss', asset);
+  const takeProfit = stakeField(input.takeProfit, 'takeProfit', asset);
+
+  const addr = address.toLowerCase();
+  const player = await prisma.player.upsert({ where: { address: addr }, create: { address: addr }, update: {}, select: { id: true } });
+  await assertNotExcluded(player.id);
+  // One bet per player and round, so two plans on one market would take turns failing
+  const open = await prisma.autoBetPlan.findFirst({
+    where: { playerId: player.id, symbol: market.symbol, timeframe: market.timeframe, status: { in: OPEN_STATUSES } },
+  });
+  if (open) throw new AutoBetError(`Plan #${open.id} already runs on this market; cancel it first`, 409);
+
+  const plan = await prisma.autoBetPlan.create({
+    data: {
+      playerId: player.id,
+      symbol: market.symbol,
+      timeframe: market.timeframe,
+      asset: asset.symbol,
+      mode,
+      side,
+      sizing,
+      baseStake,
+      maxStake,
+      percentBps,
+      rounds,
+      stopLoss,
+      takeProfit,
+    },
+  });
+  return planView(plan, summarize([]));
+}
+
+const TRANSITIONS: Record<'pause' | 'resume' | 'cancel', { from: AutoBetStatus[]; to: AutoBetStatus }> = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  cancel: { from: OPEN_STATUSES, to: 'cancelled' },
+};
+
+// A pending bet of a paused or cancelled plan still settles as usual
+export async function updateAutoBetPlan(address: string, id: number, action: unknown): Promise<AutoBetPlanView> {
+  if (action !== 'pause' && action !== 'resume' && action !== 'cancel') throw new AutoBetError('action must be pause, resume or cancel');
+  const plan = await prisma.autoBetPlan.findFirst({ where: { id, player: { address: address.toLowerCase() } } });
+  if (!plan) throw new AutoBetError('Plan not found', 404);
+  const { from, to } = TRANSITIONS[action];
+  if (!from.includes(plan.status as AutoBetStatus)) throw new AutoBetError(`Plan #${id} is ${plan.status}`, 409);
+
+  const { count } = await prisma.autoBetPlan.updateMany({ where: { id, status: plan.status }, data: { status: to, lastError: null } });
+  if (count === 0) throw new AutoBetError(`Plan #${id} changed meanwhile; try again`, 409);
+  const updated = await prisma.autoBetPlan.findUniqueOrThrow({ where: { id } });
+  return planView(updated, (await planResults([id])).get(id)!);
+}
+
+// The side that won the market's last decided round before `roundStart`; voided rounds are passed over
+async function lastWinningSide(symbol: string, timeframe: number, roundStart: number): Promise<Side | null> {
+  const round = await prisma.round.findFirst({
+    where: { symbol, timeframe, status: 'resolved', winningSide: { not: null }, endAt: { lte: new Date(roundStart * 1000) } },
+    orderBy: { endAt: 'desc' },
+    select: { winningSide: true },
+  });
+  return (round?.winningSide as Side | undefined) ?? null;
+}
+
+async function chooseSide(plan: AutoBetPlan, roundStart: number): Promise<Side | null> {
+  if (plan.mode === 'fixed') return plan.side as Side;
+  const last = await lastWinningSide(plan.symbol, plan.timeframe, roundStart);
+  if (!last || plan.mode === 'follow') return last;
+  return last === 'up' ? 'down' : 'up';
+}
+
+async function chooseStake(plan: AutoBetPlan, results: PlanResults): Promise<bigint> {
+  if (plan.sizing === 'flat') return plan.baseStake;
+  if (plan.sizing === 'martingale') {
+    // Doubling stops at the cap, so a long losing run never builds a huge number
+    const cap = plan.maxStake ?? plan.baseStake;
+    let stake = plan.baseStake;
+    for (let i = 0; i < results.lossStreak && stake < cap; i++) stake *= BigInt(2);
+    return stake > cap ? cap : stake;
+  }
+  const balance = await prisma.balance.findUnique({ where: { playerId_asset: { playerId: plan.playerId, asset: plan.asset } } });
+  return ((balance?.available ?? BigInt(0)) * BigInt(plan.percentBps ?? 0)) / BigInt(10000);
+}
+
+export interface AutoBetRunnerOptions {
+  batchSize: number; // plans per pass
+}
+
+export function autoBetRunnerOptionsFromEnv(): AutoBetRunnerOptions {
+  return { batchSize: Math.max(1, Number(process.env.AUTOBET_BATCH ?? 200) || 200) };
+}
+
+export function createAutoBetRunner(options: AutoBetRunnerOptions) {
+  const status = { passes: 0, placed: 0, skipped: 0, failed: 0, lastPassAt: null as string | null };
+
+  async function finish(plan: AutoBetPlan, to: 'completed' | 'stopped', stopReason: 'stop_loss' | 'take_profit' | null, results: PlanResults) {
+    const { count } = await prisma.autoBetPlan.updateMany({ where: { id: plan.id, status: 'active' }, data: { status: to, stopReason } });
+    if (count > 0) logEvent('info', `autobet.${to}`, { planId: plan.id, stopReason, placed: results.placed, net: results.net.toString() });
+  }
+
+  async function skip(plan: AutoBetPlan, roundStart: number, reason: string) {
+    status.skipped += 1;
+    await prisma.autoBetPlan.update({ where: { id: plan.id }, data: { lastError: reason } });
+    logEvent('warn', 'autobet.skipped', { planId: plan.id, roundStart, reason });
+  }
+
+  async function runPlan(plan: AutoBetPlan, nowMs: number) {
+    const market = parseMarket(plan.symbol, plan.timeframe);
+    const asset = getAsset(plan.asset);
+    if (!market || !asset) {
+      await prisma.autoBetPlan.update({ where: { id: plan.id }, data: { status: 'cancelled', lastError: 'Market or asset no longer offered' } });
+      return;
+    }
+    const roundStart = roundStartFor(market.timeframe, nowMs);
+    if (plan.lastRoundAt && plan.lastRoundAt.getTime() >= roundStart * 1000) return; // this round is handled
+
+    const results = (await planResults([plan.id])).get(plan.id)!;
+    if (results.pending > 0) return; // wait for the previous bet to settle
+    if (plan.stopLoss !== null && results.net <= -plan.stopLoss) return finish(plan, 'stopped', 'stop_loss', results);
+    if (plan.takeProfit !== null && results.net >= plan.takeProfit) return finish(plan, 'stopped', 'take_profit', results);
+    if (results.placed >= plan.rounds) return finish(plan, 'completed', null, results);
+    if (nowMs >= (roundStart + market.timeframe - betCutoffSeconds(market.timeframe)) * 1000) return; // too late for this round
+
+    // Claim the round, so a second runner or a slow pass never bets twice
+    const roundAt = new Date(roundStart * 1000);
+    const { count } = await prisma.autoBetPlan.updateMany({
+      where: { id: plan.id, status: 'active', OR: [{ lastRoundAt: null }, { lastRoundAt: { lt: roundAt } }] },
+      data: { lastRoundAt: roundAt },
+    });
+    if (count === 0) return;
+
+    const side = await chooseSide(plan, roundStart);
+    if (!side) return skip(plan, roundStart, 'No decided round to follow yet');
+    const stake = await chooseStake(plan, results);
+    if (stake <= BigInt(0)) return skip(plan, roundStart, `No ${plan.asset} balance to stake`);
+
+    const player = await prisma.player.findUniqueOrThrow({ where: { id: plan.playerId }, select: { address: true } });
+    try {
+      const bet = await placeBet(
+        player.address,
+        { amount: formatAssetAmount(stake, asset), side, symbol: market.symbol, timeframe: market.timeframe, roundStart, asset: asset.symbol },
+        { planId: plan.id }
+      );
+      status.placed += 1;
+      if (plan.lastError) await prisma.autoBetPlan.update({ where: { id: plan.id }, data: { lastError: null } });
+      logEvent('info', 'autobet.placed', { planId: plan.id, betId: bet.betId, roundId: bet.roundId, side, stake: stake.toString(), asset: asset.symbol });
+    } catch (error) {
+      if (!isBetRejection(error)) throw error;
+      await skip(plan, roundStart, error.message);
+    }
+  }
+
+  async function runPass(nowMs: number = Date.now()) {
+    status.passes += 1;
+    status.lastPassAt = new Date(nowMs).toISOString();
+    const plans = await prisma.autoBetPlan.findMany({
+      where: { status: 'active' },
+      orderBy: [{ lastRoundAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+      take: options.batchSize,
+    });
+    for (const plan of plans) {
+      try {
+        await runPlan(plan, nowMs);
+      } catch (error) {
+        status.failed += 1;
+        logEvent('error', 'autobet.failed', { planId: plan.id, error: (error as Error).message });
+      }
+    }
+  }
+
+  return { runPass, getStatus: () => ({ ...status }) };
+}
@@ -0,0 +1,163 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { VOID_REASON_LABELS, VoidReason } from './roundSettlement';
+
+// A player's bets joined with their rounds and the ledger transfers that settled them.
+// Payout is what came back to the player for the bet: the net payout on a win, the stake on a refund.
+
+export const BET_OUTCOMES = ['pending', 'won', 'lost', 'refund'] as const;
+export type BetOutcome = (typeof BET_OUTCOMES)[number];
+
+export const MAX_HISTORY_PAGE_SIZE = 100;
+// CSV exports are capped so a single request cannot dump an unbounded table
+export const MAX_HISTORY_EXPORT_ROWS = 10000;
+
+export interface BetHistoryFilters {
+  from?: Date | null;
+  to?: Date | null;
+  symbol?: string | null;
+  timeframe?: number | null;
+  outcome?: BetOutcome | null;
+}
+
+export interface BetHistoryItem {
+  betId: number;
+  roundId: number;
+  symbol: string;
+  timeframe: number; // seconds
+  side: 'up' | 'down';
+  asset: string; // stake and payout are in its base units
+  stake: string;
+  entryPrice: number | null;
+  exitPrice: number | null;
+  outcome: BetOutcome;
+  payout: string; // credited back for this bet
+  points: string; // $Kairos points this bet earned, bonuses included
+  refundReason: string | null;
+  planId: number | null; // auto-bet plan that placed the bet
+  placedAt: string;
+  roundStart: string;
+  roundEnd: string;
+}
+
+interface BetHistoryRow {
+  betId: number;
+  roundId: number;
+  symbol: string;
+  timeframe: number;
+  side: 'up' | 'down';
+  asset: string;
+  stake: string;
+  entryPrice: number | null;
+  exitPrice: number | null;
+  outcome: BetOutcome;
+  payout: string;
+  points: string;
+  voidReason: string | null;
+  planId: number | null;
+  placedAt: Date;
+  roundStart: Date;
+  roundEnd: Date;
+}
+
+export function isBetOutcome(value: unknown): value is BetOutcome {
+  return BET_OUTCOMES.includes(value as BetOutcome);
+}
+
+function whereSql(playerId: number, filters: BetHistoryFilters) {
+  const conditions = [Prisma.sql`b."playerId" = ${playerId}`];
+  if (filters.from) conditions.push(Prisma.sql`b."createdAt" >= ${filters.from}`);
+  if (filters.to) conditions.push(Prisma.sql`b."createdAt" < ${filters.to}`);
+  if (filters.symbol) conditions.push(Prisma.sql`r."symbol" = ${filters.symbol}`);
+  if (filters.timeframe) conditions.push(Prisma.sql`r."timeframe" = ${filters.timeframe}`);
+  if (filters.outcome) conditions.push(Prisma.sql`b."status" = ${filters.outcome}`);
+  return Prisma.join(conditions, ' AND ');
+}
+
+// One bet per player per round, so the round's payout/refund transfer for the player is this bet's
+async function queryHistory(playerId: number, filters: BetHistoryFilters, limit: number, offset: number) {
+  return prisma.$queryRaw<BetHistoryRow[]>`
+    SELECT b."id" AS "betId", b."roundId", r."symbol", r."timeframe", b."side", b."asset",
+      b."amount"::text AS "stake", r."startPrice" AS "entryPrice", r."endPrice" AS "exitPrice",
+      b."status" AS "outcome", r."voidReason", b."planId", b."createdAt" AS "placedAt",
+      r."startAt" AS "roundStart", r."endAt" AS "roundEnd",
+      COALESCE((
+        SELECT SUM(t."amount") FROM "Transfer" t
+        WHERE t."playerId" = b."playerId" AND t."asset" = b."asset" AND t."type" IN ('payout', 'refund')
+          AND (t."meta"->>'roundId')::int = b."roundId"
+      ), 0)::text AS "payout",
+      COALESCE((SELECT SUM(pe."amount") FROM "PointsEvent" pe WHERE pe."betId" = b."id"), 0)::text AS "points"
+    FROM "Bet" b JOIN "Round" r ON r."id" = b."roundId"
+    WHERE ${whereSql(playerId, filters)}
+    ORDER BY b."createdAt" DESC, b."id" DESC
+    LIMIT ${limit} OFFSET ${offset}`;
+}
+
+function toItem(row: BetHistoryRow): BetHistoryItem {
+  const { voidReason, ...rest } = row;
+  return {
+    ...rest,
+    refundReason: row.outcome === 'refund' && voidReason
+      ? VOID_REASON_LABELS[voidReason as VoidReason] ?? voidReason
+      : null,
+    placedAt: row.placedAt.toISOString(),
+    roundStart: row.roundStart.toISOString(),
+    roundEnd: row.roundEnd.toISOString(),
+  };
+}
+
+export async function getBetHistory(params: BetHistoryFilters & {
+  address: string;
+  page: number; // 1-based
+  pageSize: number;
+}) {
+  const { page, pageSize, address, ...filters } = params;
+  const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() }, select: { id: true } });
+  if (!player) return { page, pageSize, total: 0, items: [] as BetHistoryItem[] };
+
+  const [rows, count] = await Promise.all([
+    queryHistory(player.id, filters, pageSize, (page - 1) * pageSize),
+    prisma.$queryRaw<{ total: number }[]>`
+      SELECT COUNT(*)::int AS "total" FROM "Bet" b JOIN "Round" r ON r."id" = b."roundId"
+      WHERE ${whereSql(player.id, filters)}`,
+  ]);
+  return { page, pageSize, total: count[0]?.total ?? 0, items: rows.map(toItem) };
+}
+
+export async function exportBetHistory(params: BetHistoryFilters & { address: string }): Promise<BetHistoryItem[]> {
+  const { address, ...filters } = params;
+  const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() }, select: { id: true } });
+  if (!player) return [];
+  return (await queryHistory(player.id, filters, MAX_HISTORY_EXPORT_ROWS, 0)).map(toItem);
+}
+
+const CSV_COLUMNS: Array<[string, (item: BetHistoryItem) => string]> = [
+  ['placed_at', (i) => i.placedAt],
+  ['bet_id', (i) => String(i.betId)],
+  ['round_id', (i) => String(i.roundId)],
+  ['symbol', (i) => i.symbol],
+  ['timeframe_seconds', (i) => String(i.timeframe)],
+  ['side', (i) => i.side],
+  ['asset', (i) => i.asset],
+  ['stake_wei', (i) => i.stake],
+  ['entry_price', (i) => (i.entryPrice === null ? '' : String(i.entryPrice))],
+  ['exit_price', (i) => (i.exitPrice === null ? '' : String(i.exitPrice))],
+  ['outcome', (i) => i.outcome],
+  ['payout_wei', (i) => i.payout],
+  ['points', (i) => i.points],
+  ['refund_reason', (i) => i.refundReason ?? ''],
+  ['plan_id', (i) => (i.planId === null ? '' : String(i.planId))],
+  ['round_start', (i) => i.roundStart],
+  ['round_end', (i) => i.roundEnd],
+];
+
+function csvCell(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Amounts stay in base units of the row's asset (wei for ETH) so the export is exact
+export function betHistoryToCsv(items: BetHistoryItem[]): string {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const item of items) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(item))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
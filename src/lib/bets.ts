@@ -0,0 +1,128 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { announceRoundOpened, publishRoundPool, recordRoundStartPrice, RoundSettlementError, Side, upsertBettableRound } from './roundSettlement';
+import { parseMarket } from './markets';
+import { LedgerError, betLockLines, postTransfer } from './ledger';
+import { awardStakePoints } from './points';
+import { checkBetAllowed, MarketConfigError } from './marketConfig';
+import { checkBetRisk, liabilityCap, RiskLimitError } from './risk';
+import { checkBetLimits, PlayLimitError } from './playLimits';
+import { AssetAmountError, assetFromInput, displayAssetAmount, parseAssetAmount } from './assets';
+
+// Bet placement, shared by the browser routes (/api/vault/bet, /api/offchain/bets) and the public API (/api/v1/bets)
+
+export interface BetRequest {
+  amount: unknown; // decimal string in `asset`
+  side: unknown; // 'up' | 'down' (true is up, for old clients)
+  symbol: unknown;
+  timeframe: unknown; // seconds
+  roundStart: unknown; // seconds
+  asset?: unknown; // default ETH
+}
+
+export interface PlacedBet {
+  betId: number;
+  playerId: number;
+  roundId: number;
+  asset: string;
+  stake: bigint; // base units of `asset`
+  side: Side;
+  points: bigint;
+}
+
+export class BetError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'BetError';
+  }
+}
+
+function isUniqueViolation(error: unknown) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002';
+}
+
+// Everything placeBet throws with a status meant for the client
+export function isBetRejection(error: unknown): error is Error & { status: number } {
+  return error instanceof BetError || error instanceof RoundSettlementError || error instanceof LedgerError
+    || error instanceof MarketConfigError || error instanceof RiskLimitError || error instanceof AssetAmountError
+    || error instanceof PlayLimitError;
+}
+
+// Places `address`'s bet: checks the balance, the player's own limits, market settings and risk caps, creates the
+// round on first bet, awards stake points and locks the stake through the ledger. One bet per player and round.
+// `planId` tags bets placed by an auto-bet plan (src/lib/autoBet.ts); it never comes from a request body.
+export async function placeBet(address: string, request: BetRequest, options: { planId?: number } = {}): Promise<PlacedBet> {
+  const { amount, side, symbol, timeframe, roundStart } = request;
+  if (!amount || !side || !roundStart) throw new BetError('Missing fields');
+  const market = parseMarket(symbol, timeframe);
+  if (!market) throw new BetError(`Unknown market ${symbol} ${timeframe}`);
+
+  const asset = assetFromInput(request.asset);
+  const stake = parseAssetAmount(amount, asset); // base units of `asset`
+  if (stake <= BigInt(0)) throw new BetError('Amount must be positive');
+  const betSide: Side = side === true || side === 'up' ? 'up' : 'down';
+  const addr = address.toLowerCase();
+  // Read outside the transaction, which must not wait on the vault RPC
+  const cap = await liabilityCap(asset.symbol).catch((error: RiskLimitError) => error);
+
+  const placed = await prisma.$transaction(async (tx) => {
+    let player = await tx.player.findUnique({ where: { address: addr } });
+    if (!player) {
+      // Balance rows are created by the first transfer in each asset
+      player = await tx.player.create({ data: { address: addr } });
+    }
+
+    const bal = await tx.balance.findUnique({ where: { playerId_asset: { playerId: player.id, asset: asset.symbol } } });
+    const available = bal?.available ?? BigInt(0);
+    if (available < stake) {
+      throw new BetError(`Insufficient balance. Available: ${displayAssetAmount(available, asset)}, Required: ${displayAssetAmount(stake, asset)}`);
+    }
+
+    // Responsible-play settings: self-exclusion, wager and net-loss limits
+    await checkBetLimits(tx, { playerId: player.id, asset: asset.symbol, stake });
+
+    // Operator settings: market not paused, stake within its limits
+    await checkBetAllowed(tx, market, stake, asset.symbol);
+
+    // Round must be open for betting (not ended, not past cutoff, not in the future)
+    const round = await upsertBettableRound(tx, market, Number(roundStart));
+
+    const alreadyBet = () => new BetError(`You already have a bet in round ${round.id}. Only one bet per round is allowed.`, 409);
+    const existingBet = await tx.bet.findUnique({ where: { playerId_roundId: { playerId: player.id, roundId: round.id } } });
+    if (existingBet) throw alreadyBet();
+
+    // House risk caps: stake size, per-player and imbalance limits, open liability vs the vault
+    await checkBetRisk(tx, { round, playerId: player.id, side: betSide, stake, asset: asset.symbol, cap });
+
+    // The unique index on (playerId, roundId) settles two bets racing past the check above
+    const bet = await tx.bet.create({
+      data: { playerId: player.id, roundId: round.id, asset: asset.symbol, amount: stake, side: betSide, planId: options.planId },
+    }).catch((error) => {
+      throw isUniqueViolation(error) ? alreadyBet() : error;
+    });
+
+    // Points first, so the balance event from the bet_lock carries them
+    const points = await awardStakePoints(tx, { playerId: player.id, betId: bet.id, stake, asset: asset.symbol });
+
+    await postTransfer(tx, {
+      playerId: player.id,
+      asset: asset.symbol,
+      type: 'bet_lock',
+      amount: stake,
+      meta: { roundId: round.id },
+      lines: betLockLines(stake),
+    });
+
+    return { betId: bet.id, playerId: player.id, roundId: round.id, asset: asset.symbol, stake, side: betSide, points };
+  });
+
+  // Entry price is recorded server-side; settlement backfills it from history if this fails
+  try {
+    await recordRoundStartPrice(placed.roundId);
+  } catch (priceError) {
+    console.warn(`Could not record start price for round ${placed.roundId}:`, priceError);
+  }
+  await announceRoundOpened(placed.roundId);
+  await publishRoundPool(placed.roundId, asset.symbol);
+  return placed;
+}
@@ -0,0 +1,79 @@
+import { prisma } from './prisma';
+import { CHART_RESOLUTIONS, ChartResolution } from './markets';
+import type { Candle } from './priceSources';
+
+// Round-aware chart data. Candles are built from the oracle's own 'median' ticks in price_data — the same
+// aggregated prices rounds are settled on — instead of a third-party feed, so a 60-second round can be read
+// off the chart exactly. Ticks come from every oracle read: /api/price polls, settlement, and the tick
+// recorder (scripts/priceTicker.ts). Seconds without a tick have no candle.
+
+export const MAX_CHART_CANDLES = 1000;
+const MAX_CHART_ROUNDS = 500;
+
+export interface ChartRound {
+  id: number;
+  timeframe: number;
+  startAt: number; // seconds
+  endAt: number; // seconds
+  status: string; // open|resolved|void
+  startPrice: number | null; // official entry price, once recorded
+  endPrice: number | null; // settlement price
+  winningSide: string | null;
+  voidReason: string | null;
+}
+
+interface BucketRow {
+  bucket: bigint;
+  open: unknown;
+  high: unknown;
+  low: unknown;
+  close: unknown;
+  ticks: number;
+}
+
+// The last `limit` candles of `resolution` ending at `endMs`, oldest first. `volume` is the tick count.
+export async function getTickCandles(symbol: string, resolution: ChartResolution, limit: number, endMs: number = Date.now()): Promise<Candle[]> {
+  const step = CHART_RESOLUTIONS[resolution];
+  const count = Math.min(MAX_CHART_CANDLES, Math.max(1, limit));
+  const end = new Date(endMs);
+  const since = new Date((Math.floor(endMs / 1000 / step) - count + 1) * step * 1000);
+  const rows = await prisma.$queryRaw<BucketRow[]>`
+    SELECT (FLOOR(EXTRACT(EPOCH FROM "timestamp") / ${step}) * ${step})::bigint AS "bucket",
+      (ARRAY_AGG("price" ORDER BY "timestamp", "id"))[1] AS "open",
+      MAX("price") AS "high",
+      MIN("price") AS "low",
+      (ARRAY_AGG("price" ORDER BY "timestamp" DESC, "id" DESC))[1] AS "close",
+      COUNT(*)::int AS "ticks"
+    FROM "price_data"
+    WHERE "symbol" = ${symbol} AND "source" = 'median' AND "timestamp" >= ${since} AND "timestamp" <= ${end}
+    GROUP BY 1
+    ORDER BY 1`;
+  return rows.map((r) => ({
+    time: Number(r.bucket),
+    open: Number(r.open),
+    high: Number(r.high),
+    low: Number(r.low),
+    close: Number(r.close),
+    volume: r.ticks,
+  }));
+}
+
+// Rounds of `symbol` (one round length, or all) that started in [fromMs, toMs], oldest first
+export async function getChartRounds(symbol: string, fromMs: number, toMs: number, timeframe?: number): Promise<ChartRound[]> {
+  const rounds = await prisma.round.findMany({
+    where: { symbol, ...(timeframe ? { timeframe } : {}), startAt: { gte: new Date(fromMs), lte: new Date(toMs) } },
+    orderBy: { startAt: 'asc' },
+    take: MAX_CHART_ROUNDS,
+  });
+  return rounds.map((r) => ({
+    id: r.id,
+    timeframe: r.timeframe,
+    startAt: r.startAt.getTime() / 1000,
+    endAt: r.endAt.getTime() / 1000,
+    status: r.status,
+    startPrice: r.startPrice,
+    endPrice: r.endPrice,
+    winningSide: r.winningSide,
+    voidReason: r.voidReason,
+  }));
+}
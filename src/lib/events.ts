@@ -0,0 +1,236 @@
+import { Prisma, type StreamEvent } from '@prisma/client';
+import { prisma } from './prisma';
+
+// Real-time events for /api/events (Server-Sent Events).
+// Writers append rows to the StreamEvent table, inside their own transaction where there is one, so an
+// event exists exactly when the change it describes was committed; the resolver daemon and the web server
+// write to the same log. Row ids are taken at insert, so they arrive out of order and rolled-back
+// transactions leave holes; the stream is ordered by `position` instead, which pollers hand out to rows
+// once they are committed. Each server process runs one poller that sequences new rows, reads them in
+// position order and fans them out to its open streams. Clients resume after the last position they saw
+// (the Last-Event-ID header), which is replayed from the table as long as it has not been pruned.
+
+export type StreamEventType =
+  | 'round.opened' // first bet created the round
+  | 'round.locked' // betting cutoff passed
+  | 'round.pool' // pool totals changed
+  | 'round.resolved' // settled with its start/end prices
+  | 'round.voided' // stakes refunded
+  | 'balance'; // a player's balance or points changed (private)
+
+export interface PublishedEvent {
+  type: StreamEventType;
+  payload: Prisma.InputJsonObject;
+  playerId?: number | null; // private to this player when set
+  dedupeKey?: string; // later events with the same key are dropped (announce() only)
+}
+
+type SequencedEvent = StreamEvent & { position: number };
+
+const POLL_MS = Math.max(100, Number(process.env.EVENTS_POLL_MS ?? 500) || 500);
+const RETENTION_MS = Math.max(1, Number(process.env.EVENTS_RETENTION_HOURS ?? 24) || 24) * 3600 * 1000;
+const PRUNE_EVERY_MS = 3600 * 1000;
+const SEQUENCE_BATCH = 500;
+const EVENTS_LOCK_KEY = 7_316_005;
+const HEARTBEAT_MS = 15000;
+// A client further behind than this gets a stream.reset and reloads its state instead of a replay
+const MAX_REPLAY = 1000;
+
+// Appends an event inside the caller's transaction
+export async function publishEvent(client: Prisma.TransactionClient, event: Omit<PublishedEvent, 'dedupeKey'>) {
+  await client.streamEvent.create({ data: { type: event.type, playerId: event.playerId ?? null, payload: event.payload } });
+}
+
+function isUniqueViolation(error: unknown) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002';
+}
+
+// For events published after the fact: a lost event must never fail the change it describes.
+// A dedupeKey already in the log skips the event; a racing announcer that wins the insert does too.
+export async function announce(event: PublishedEvent) {
+  try {
+    if (event.dedupeKey && await prisma.streamEvent.findUnique({ where: { dedupeKey: event.dedupeKey }, select: { id: true } })) return;
+    await prisma.streamEvent.create({
+      data: { type: event.type, playerId: event.playerId ?? null, dedupeKey: event.dedupeKey ?? null, payload: event.payload },
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) return;
+    console.warn(`[events] could not publish ${event.type}:`, (error as Error).message);
+  }
+}
+
+// Gives committed rows without a position the next ones, in id order. Uncommitted rows are invisible here,
+// and the lock makes the pollers of every process take turns, so positions never skip or go back.
+// Returns how many rows were sequenced.
+async function sequence(): Promise<number> {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${EVENTS_LOCK_KEY})`;
+    return tx.$executeRaw`
+      WITH "head" AS (SELECT COALESCE(MAX("position"), 0) AS "top" FROM "StreamEvent"),
+           "fresh" AS (
+             SELECT "id", ROW_NUMBER() OVER (ORDER BY "id") AS "n" FROM "StreamEvent"
+             WHERE "position" IS NULL ORDER BY "id" LIMIT ${SEQUENCE_BATCH}
+           )
+      UPDATE "StreamEvent" AS e SET "position" = "head"."top" + "fresh"."n"
+      FROM "head", "fresh" WHERE e."id" = "fresh"."id"`;
+  });
+}
+
+type Listener = (event: SequencedEvent) => void;
+
+const listeners = new Set<Listener>();
+let started: Promise<void> | null = null;
+let cursor = 0; // last position fanned out
+let lastPruneAt = 0;
+let timer: ReturnType<typeof setTimeout> | null = null;
+// Bumped on every stop, so a poll still in flight from before cannot fan out or reschedule
+let generation = 0;
+
+async function poll(gen: number) {
+  await sequence();
+  const rows = await prisma.streamEvent.findMany({ where: { position: { gt: cursor } }, orderBy: { position: 'asc' }, take: SEQUENCE_BATCH });
+  for (const row of rows as SequencedEvent[]) {
+    if (gen !== generation) return;
+    cursor = row.position;
+    for (const listener of listeners) listener(row);
+  }
+  if (Date.now() - lastPruneAt > PRUNE_EVERY_MS) {
+    lastPruneAt = Date.now();
+    // The newest event is kept, so the next position continues from it
+    const { _max } = await prisma.streamEvent.aggregate({ _max: { position: true } });
+    await prisma.streamEvent.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - RETENTION_MS) }, position: { lt: _max.position ?? 0 } },
+    });
+  }
+}
+
+function schedule(gen: number) {
+  timer = setTimeout(async () => {
+    try {
+      await poll(gen);
+    } catch (error) {
+      console.warn('[events] poll failed:', (error as Error).message);
+    }
+    if (gen !== generation) return;
+    if (listeners.size > 0) schedule(gen);
+    else stop();
+  }, POLL_MS);
+}
+
+function stop() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  started = null;
+  generation += 1;
+}
+
+// Starts the poller at the current end of the log; it stops again once nobody is listening.
+// Rows written while no poller ran are sequenced first, so they are only replayed, never fanned out.
+async function startAtHead(gen: number) {
+  while (await sequence() === SEQUENCE_BATCH);
+  const { _max } = await prisma.streamEvent.aggregate({ _max: { position: true } });
+  if (gen !== generation) return;
+  cursor = _max.position ?? 0;
+  schedule(gen);
+}
+
+function ensureStarted(): Promise<void> {
+  if (!started) {
+    started = startAtHead(generation);
+    started.catch(() => { started = null; });
+  }
+  return started;
+}
+
+function visibleTo(playerId: number | null) {
+  return (event: Pick<StreamEvent, 'playerId'>) => event.playerId === null || event.playerId === playerId;
+}
+
+function frame(event: { position: number; type: string; payload: unknown }) {
+  return `id: ${event.position}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`;
+}
+
+// An SSE body for one client: public events plus those private to `playerId`.
+// With `lastEventId` it first replays what the client missed, then follows the live log.
+export function openEventStream(params: { playerId: number | null; lastEventId: number | null; signal: AbortSignal }) {
+  const { playerId, lastEventId, signal } = params;
+  const visible = visibleTo(playerId);
+  const encoder = new TextEncoder();
+  let closed = false;
+  let cleanup = () => {};
+
+  return new ReadableStream<Uint8Array>({
+    async start(controller) {
+      const send = (text: string) => {
+        if (!closed) controller.enqueue(encoder.encode(text));
+      };
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        try { controller.close(); } catch {}
+      };
+
+      // Live events are held back until the replay is out, so nothing is sent twice or out of order
+      let lastSent = lastEventId ?? 0;
+      let buffered: SequencedEvent[] | null = [];
+      const listener: Listener = (event) => {
+        if (!visible(event)) return;
+        if (buffered) buffered.push(event);
+        else if (event.position > lastSent) {
+          lastSent = event.position;
+          send(frame(event));
+        }
+      };
+      const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+      cleanup = () => {
+        clearInterval(heartbeat);
+        listeners.delete(listener);
+        if (listeners.size === 0) stop();
+      };
+      signal.addEventListener('abort', close);
+
+      try {
+        // Listening before the poller starts keeps another stream's cleanup from stopping it meanwhile
+        listeners.add(listener);
+        await ensureStarted();
+        // Everything up to here has already been fanned out, so it can only come from the replay
+        const head = cursor;
+        send('retry: 3000\n\n');
+
+        let reset = false;
+        if (lastEventId !== null && lastEventId < head) {
+          const oldest = await prisma.streamEvent.findFirst({ where: { position: { not: null } }, orderBy: { position: 'asc' }, select: { position: true } });
+          const missed = await prisma.streamEvent.findMany({
+            where: {
+              position: { gt: lastEventId, lte: head },
+              OR: [{ playerId: null }, ...(playerId !== null ? [{ playerId }] : [])],
+            },
+            orderBy: { position: 'asc' },
+            take: MAX_REPLAY + 1,
+          });
+          reset = missed.length > MAX_REPLAY || oldest === null || oldest.position! > lastEventId + 1;
+          if (!reset) (missed as SequencedEvent[]).forEach((event) => send(frame(event)));
+        }
+        // Moves the client's Last-Event-ID to the head even when it had nothing to replay
+        lastSent = Math.max(lastSent, head);
+        send(frame({ position: head, type: reset ? 'stream.reset' : 'stream.ready', payload: { head } }));
+
+        for (const event of buffered) {
+          if (event.position > lastSent) {
+            lastSent = event.position;
+            send(frame(event));
+          }
+        }
+        buffered = null;
+      } catch (error) {
+        console.warn('[events] stream failed to start:', (error as Error).message);
+        close();
+      }
+    },
+    cancel() {
+      closed = true;
+      cleanup();
+    },
+  });
+}
@@ -0,0 +1,277 @@
+import { ethers } from 'ethers';
+import type { ChainAnchor, Round } from '@prisma/client';
+import { prisma } from './prisma';
+import { logEvent } from './roundResolver';
+import {
+  GENESIS_HASH,
+  ProofLink,
+  SETTLEMENT_RECORD_VERSION,
+  SettlementRecordBody,
+  canonicalJson,
+  encodeAnchor,
+  hashRecord,
+  linkHash,
+} from './settlementProof';
+
+// Provably-fair settlement trail. Once a round is settled (resolved or voided, no bet left pending) it is sealed
+// into a SettlementRecord: the prices it settled on, the oracle quotes stored around its start and end, every bet
+// with what it paid and the house fee, as canonical JSON. Records are hashed and linked in the order they were
+// sealed (see lib/settlementProof), and the anchor job (scripts/fairnessAnchor.ts) commits the chain head on-chain
+// from time to time. Anyone can then fetch /api/rounds/:id/proof and recompute the hashes up to an anchored head.
+//
+// A record is never rewritten: refunds that land after sealing are not in it.
+
+// Serializes sealing so every record links to the one before it
+const FAIRNESS_LOCK_KEY = 7_316_002;
+// Quotes within this distance of the round's start/end instants go into its record, as settlement allows
+const SAMPLE_WINDOW_MS = Number(process.env.ROUND_MAX_PRICE_SKEW_MS ?? 5000);
+const SEAL_BATCH = 50;
+const MAX_PROOF_LINKS = 1000;
+
+export class FairnessError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'FairnessError';
+  }
+}
+
+async function buildRecord(round: Round): Promise<SettlementRecordBody> {
+  const window = (at: Date) => ({ gte: new Date(at.getTime() - SAMPLE_WINDOW_MS), lte: new Date(at.getTime() + SAMPLE_WINDOW_MS) });
+  const [bets, transfers, startSamples, endSamples] = await Promise.all([
+    prisma.bet.findMany({ where: { roundId: round.id }, include: { player: { select: { address: true } } }, orderBy: { id: 'asc' } }),
+    prisma.transfer.findMany({
+      where: { type: { in: ['payout', 'refund', 'loss'] }, meta: { path: ['roundId'], equals: round.id } },
+    }),
+    prisma.priceSample.findMany({ where: { symbol: round.symbol, timestamp: window(round.startAt) }, orderBy: [{ timestamp: 'asc' }, { id: 'asc' }] }),
+    prisma.priceSample.findMany({ where: { symbol: round.symbol, timestamp: window(round.endAt) }, orderBy: [{ timestamp: 'asc' }, { id: 'asc' }] }),
+  ]);
+
+  // One bet per player and round, so a player's settlement transfer in the bet's asset is that bet's
+  const transferFor = new Map(transfers.map((t) => [`${t.playerId}:${t.asset}`, t]));
+  const fees: Record<string, bigint> = {};
+  const recordBets = bets.map((bet) => {
+    const transfer = transferFor.get(`${bet.playerId}:${bet.asset}`);
+    const fee = BigInt((transfer?.meta as { fee?: string } | null)?.fee ?? 0);
+    const credited = transfer && transfer.type !== 'loss' ? transfer.amount : BigInt(0);
+    fees[bet.asset] = (fees[bet.asset] ?? BigInt(0)) + fee;
+    return {
+      id: bet.id,
+      player: bet.player.address,
+      asset: bet.asset,
+      side: bet.side,
+      amount: bet.amount.toString(),
+      status: bet.status,
+      credited: credited.toString(),
+      fee: fee.toString(),
+    };
+  });
+
+  const price = (value: number | null, source: string | null, at: Date | null) =>
+    value === null ? null : { price: value, source, at: at?.toISOString() ?? null };
+  const samples = (at: 'start' | 'end', rows: typeof startSamples) =>
+    rows.map((s) => ({ at, source: s.source, price: s.price.toString(), timestamp: s.timestamp.toISOString() }));
+
+  return {
+    version: SETTLEMENT_RECORD_VERSION,
+    round: {
+      id: round.id,
+      symbol: round.symbol,
+      timeframe: round.timeframe,
+      startAt: round.startAt.toISOString(),
+      endAt: round.endAt.toISOString(),
+      status: round.status,
+      winningSide: round.winningSide,
+      voidReason: round.voidReason,
+      payoutMode: round.payoutMode,
+      feeBps: round.feeBps,
+    },
+    prices: {
+      start: price(round.startPrice, round.startPriceSource, round.startPriceAt),
+      end: price(round.endPrice, round.endPriceSource, round.endPriceAt),
+    },
+    samples: [...samples('start', startSamples), ...samples('end', endSamples)],
+    bets: recordBets,
+    fees: Object.fromEntries(Object.entries(fees).map(([asset, fee]) => [asset, fee.toString()])),
+  };
+}
+
+// Seals a settled round into the chain; returns its record, or null while it is not settled yet.
+// Safe to call again: a round is sealed once.
+export async function sealRound(roundId: number) {
+  const existing = await prisma.settlementRecord.findUnique({ where: { roundId } });
+  if (existing) return existing;
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) throw new FairnessError('Round not found', 404);
+  if (round.status !== 'resolved' && round.status !== 'void') return null;
+  if (await prisma.bet.count({ where: { roundId, status: 'pending' } })) return null;
+
+  const record = canonicalJson(await buildRecord(round));
+  const recordHash = hashRecord(record);
+  const sealed = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${FAIRNESS_LOCK_KEY})`;
+    const raced = await tx.settlementRecord.findUnique({ where: { roundId } });
+    if (raced) return raced;
+    const last = await tx.settlementRecord.findFirst({ orderBy: { seq: 'desc' } });
+    const seq = (last?.seq ?? 0) + 1;
+    const prevHash = last?.hash ?? GENESIS_HASH;
+    return tx.settlementRecord.create({
+      data: { seq, roundId, record, recordHash, prevHash, hash: linkHash(seq, prevHash, recordHash) },
+    });
+  });
+  logEvent('info', 'fairness.sealed', { roundId, seq: sealed.seq, hash: sealed.hash });
+  return sealed;
+}
+
+// Seals settled rounds that are not in the chain yet (settled before this existed, or the hook failed)
+export async function sealPendingRounds(limit = SEAL_BATCH) {
+  const rounds = await prisma.round.findMany({
+    where: { status: { in: ['resolved', 'void'] }, settlementRecord: null, bets: { none: { status: 'pending' } } },
+    orderBy: [{ endAt: 'asc' }, { id: 'asc' }],
+    take: limit,
+    select: { id: true },
+  });
+  let sealed = 0;
+  for (const { id } of rounds) {
+    if (await sealRound(id)) sealed += 1;
+  }
+  return sealed;
+}
+
+export async function getChainHead() {
+  return prisma.settlementRecord.findFirst({ orderBy: { seq: 'desc' }, select: { seq: true, hash: true } });
+}
+
+function anchorView(anchor: ChainAnchor) {
+  return {
+    headSeq: anchor.headSeq,
+    headHash: anchor.headHash,
+    chainId: anchor.chainId,
+    from: anchor.from,
+    to: anchor.to,
+    txHash: anchor.txHash,
+    status: anchor.status,
+    blockNumber: anchor.blockNumber,
+    confirmedAt: anchor.confirmedAt?.toISOString() ?? null,
+  };
+}
+
+// A round's record with the chain links from it up to the first confirmed anchor covering it
+// (or up to the current head while none does)
+export async function getRoundProof(roundId: number) {
+  const sealed = await prisma.settlementRecord.findUnique({ where: { roundId } });
+  if (!sealed) {
+    const round = await prisma.round.findUnique({ where: { id: roundId }, select: { id: true } });
+    throw new FairnessError(round ? 'Round has not been sealed yet' : 'Round not found', 404);
+  }
+  const anchor = await prisma.chainAnchor.findFirst({
+    where: { status: 'confirmed', headSeq: { gte: sealed.seq } },
+    orderBy: { headSeq: 'asc' },
+  });
+  const rows = await prisma.settlementRecord.findMany({
+    where: { seq: { gte: sealed.seq, ...(anchor ? { lte: anchor.headSeq } : {}) } },
+    orderBy: { seq: 'asc' },
+    take: MAX_PROOF_LINKS,
+    select: { seq: true, recordHash: true, prevHash: true, hash: true },
+  });
+  const links: ProofLink[] = rows;
+  const reachesAnchor = !!anchor && links[links.length - 1]?.seq === anchor.headSeq;
+  return {
+    roundId,
+    seq: sealed.seq,
+    record: sealed.record,
+    recordHash: sealed.recordHash,
+    hash: sealed.hash,
+    sealedAt: sealed.createdAt.toISOString(),
+    links,
+    anchor: anchor && reachesAnchor ? anchorView(anchor) : null,
+  };
+}
+
+export interface AnchorOptions {
+  intervalMs: number; // least time between anchors
+  confirmations: number;
+  dropAfterMs: number; // an anchor not mined after this long is given up and sent again
+}
+
+export function anchorOptionsFromEnv(): AnchorOptions {
+  const num = (value: string | undefined, fallback: number) => Math.max(1, Number(value ?? fallback) || fallback);
+  return {
+    intervalMs: num(process.env.FAIRNESS_ANCHOR_INTERVAL_MS, 600000),
+    confirmations: num(process.env.FAIRNESS_ANCHOR_CONFIRMATIONS, 2),
+    dropAfterMs: num(process.env.FAIRNESS_ANCHOR_DROP_AFTER_MS, 1800000),
+  };
+}
+
+// Commits the chain head on-chain: a transaction from FAIRNESS_ANCHOR_KEY to FAIRNESS_ANCHOR_ADDRESS (its own
+// address by default) whose calldata is anchor(seq, head). One anchor is in flight at a time. The key must not
+// send anything else, the vault owner least of all: the withdrawal worker hands out that key's nonces.
+export function createChainAnchorer(options: AnchorOptions) {
+  const rpcUrl = process.env.VAULT_RPC_URL || process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
+  const privateKey = process.env.FAIRNESS_ANCHOR_KEY;
+  if (!privateKey) throw new FairnessError('FAIRNESS_ANCHOR_KEY not configured', 500);
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const target = ethers.getAddress(process.env.FAIRNESS_ANCHOR_ADDRESS || wallet.address);
+
+  async function fail(anchor: ChainAnchor, reason: string) {
+    await prisma.chainAnchor.update({ where: { id: anchor.id }, data: { status: 'failed', error: reason.slice(0, 500) } });
+    logEvent('warn', 'fairness.anchor_failed', { anchorId: anchor.id, headSeq: anchor.headSeq, txHash: anchor.txHash, reason });
+  }
+
+  // Settles the anchor in flight; returns true while it is still waiting
+  async function confirm(anchor: ChainAnchor) {
+    if (!anchor.txHash) {
+      await fail(anchor, 'Not broadcast');
+      return false;
+    }
+    const receipt = await provider.getTransactionReceipt(anchor.txHash);
+    if (!receipt) {
+      if (Date.now() - anchor.createdAt.getTime() <= options.dropAfterMs) return true;
+      await fail(anchor, 'Not mined in time');
+      return false;
+    }
+    if ((await receipt.confirmations()) < options.confirmations) return true;
+    if (receipt.status !== 1) {
+      await fail(anchor, 'Anchor transaction reverted');
+      return false;
+    }
+    await prisma.chainAnchor.update({
+      where: { id: anchor.id },
+      data: { status: 'confirmed', blockNumber: receipt.blockNumber, confirmedAt: new Date() },
+    });
+    logEvent('info', 'fairness.anchored', { headSeq: anchor.headSeq, txHash: anchor.txHash, blockNumber: receipt.blockNumber });
+    return false;
+  }
+
+  async function anchorHead() {
+    const [head, last] = await Promise.all([
+      getChainHead(),
+      prisma.chainAnchor.findFirst({ where: { status: { not: 'failed' } }, orderBy: { id: 'desc' } }),
+    ]);
+    if (!head || (last && last.headSeq >= head.seq)) return null;
+    if (last && Date.now() - last.createdAt.getTime() < options.intervalMs) return null;
+
+    const { chainId } = await provider.getNetwork();
+    const anchor = await prisma.chainAnchor.create({
+      data: { headSeq: head.seq, headHash: head.hash, chainId: Number(chainId), from: wallet.address.toLowerCase(), to: target.toLowerCase() },
+    });
+    try {
+      const tx = await wallet.sendTransaction({ to: target, data: encodeAnchor(head.seq, head.hash) });
+      await prisma.chainAnchor.update({ where: { id: anchor.id }, data: { status: 'broadcast', txHash: tx.hash } });
+      logEvent('info', 'fairness.anchor_sent', { headSeq: head.seq, txHash: tx.hash });
+    } catch (error) {
+      await fail(anchor, (error as Error).message);
+    }
+    return anchor.id;
+  }
+
+  // One pass: seal what settled, settle the anchor in flight, then anchor the head when it is due
+  async function runOnce() {
+    const sealed = await sealPendingRounds();
+    const inFlight = await prisma.chainAnchor.findFirst({ where: { status: { in: ['pending', 'broadcast'] } }, orderBy: { id: 'asc' } });
+    if (inFlight && (await confirm(inFlight))) return { sealed, anchored: null };
+    return { sealed, anchored: await anchorHead() };
+  }
+
+  return { signer: wallet.address, target, runOnce };
+}
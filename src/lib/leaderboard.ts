@@ -0,0 +1,154 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { DEFAULT_ASSET } from './assets';
+
+// Player rankings over settled bets. Net profit is what a player got back from payouts minus what they
+// staked on settled (won/lost) bets; refunded bets count for nothing. Games count bets in every asset,
+// while volume and profit are ETH (wei) only, since amounts in different assets don't add up.
+
+export const LEADERBOARD_METRICS = ['profit', 'winRate', 'volume', 'points'] as const;
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'all'] as const;
+export type LeaderboardMetric = (typeof LEADERBOARD_METRICS)[number];
+export type LeaderboardWindow = (typeof LEADERBOARD_WINDOWS)[number];
+
+// Players need this many settled bets in the window to be ranked by win rate
+export const MIN_GAMES_FOR_WIN_RATE = Math.max(1, Number(process.env.LEADERBOARD_MIN_GAMES ?? 10) || 10);
+
+const WINDOW_MS: Record<LeaderboardWindow, number | null> = {
+  daily: 24 * 3600 * 1000,
+  weekly: 7 * 24 * 3600 * 1000,
+  all: null,
+};
+
+export interface LeaderboardEntry {
+  rank: number;
+  address: string;
+  gamesPlayed: number;
+  gamesWon: number;
+  winRate: number; // percent
+  volume: string; // wei staked on settled bets
+  netProfit: string; // wei, may be negative
+  points: string; // $Kairos points awarded in the window
+}
+
+interface LeaderboardRow extends Omit<LeaderboardEntry, 'winRate'> {
+  winRate: number; // 0..1
+}
+
+export function isLeaderboardMetric(value: unknown): value is LeaderboardMetric {
+  return LEADERBOARD_METRICS.includes(value as LeaderboardMetric);
+}
+
+export function isLeaderboardWindow(value: unknown): value is LeaderboardWindow {
+  return LEADERBOARD_WINDOWS.includes(value as LeaderboardWindow);
+}
+
+export function windowStart(window: LeaderboardWindow, nowMs: number = Date.now()): Date {
+  const span = WINDOW_MS[window];
+  return new Date(span === null ? 0 : nowMs - span);
+}
+
+// Ranking expression and who qualifies, per metric; these are fixed strings, never user input
+const METRIC_SQL: Record<LeaderboardMetric, { order: string; eligible: string }> = {
+  profit: { order: 's."netProfit" DESC', eligible: 's."gamesPlayed" > 0' },
+  winRate: { order: 's."gamesWon"::float / s."gamesPlayed" DESC, s."gamesPlayed" DESC', eligible: `s."gamesPlayed" >= ${MIN_GAMES_FOR_WIN_RATE}` },
+  volume: { order: 's."volume" DESC', eligible: 's."gamesPlayed" > 0' },
+  points: { order: 'COALESCE(pt."points", 0) DESC', eligible: 'COALESCE(pt."points", 0) > 0' },
+};
+
+function rankedSql(metric: LeaderboardMetric, since: Date) {
+  const { order, eligible } = METRIC_SQL[metric];
+  return Prisma.sql`
+    WITH per_round AS (
+      SELECT b."playerId", b."roundId", COALESCE(SUM(b."amount") FILTER (WHERE b."asset" = ${DEFAULT_ASSET}), 0) AS staked,
+        COUNT(*) AS games,
+        COUNT(*) FILTER (WHERE b."status" = 'won') AS wins
+      FROM "Bet" b
+      WHERE b."status" IN ('won', 'lost') AND b."createdAt" >= ${since}
+      GROUP BY b."playerId", b."roundId"
+    ), payouts AS (
+      SELECT t."playerId", (t."meta"->>'roundId')::int AS "roundId", SUM(t."amount") AS paid
+      FROM "Transfer" t
+      WHERE t."type" = 'payout' AND t."asset" = ${DEFAULT_ASSET} AND t."createdAt" >= ${since}
+      GROUP BY t."playerId", (t."meta"->>'roundId')::int
+    ), stats AS (
+      SELECT r."playerId", SUM(r.games)::int AS "gamesPlayed", SUM(r.wins)::int AS "gamesWon",
+        SUM(r.staked) AS "volume", SUM(COALESCE(p.paid, 0) - r.staked) AS "netProfit"
+      FROM per_round r
+      LEFT JOIN payouts p ON p."playerId" = r."playerId" AND p."roundId" = r."roundId"
+      GROUP BY r."playerId"
+    ), awarded AS (
+      SELECT e."playerId", SUM(e."amount") AS "points"
+      FROM "PointsEvent" e
+      WHERE e."createdAt" >= ${since}
+      GROUP BY e."playerId"
+    ), ranked AS (
+      SELECT pl."address",
+        COALESCE(s."gamesPlayed", 0) AS "gamesPlayed",
+        COALESCE(s."gamesWon", 0) AS "gamesWon",
+        CASE WHEN s."gamesPlayed" > 0 THEN s."gamesWon"::float / s."gamesPlayed" ELSE 0 END AS "winRate",
+        COALESCE(s."volume", 0)::text AS "volume",
+        COALESCE(s."netProfit", 0)::text AS "netProfit",
+        COALESCE(pt."points", 0)::text AS "points",
+        RANK() OVER (ORDER BY ${Prisma.raw(order)})::int AS "rank"
+      FROM "Player" pl
+      LEFT JOIN stats s ON s."playerId" = pl."id"
+      LEFT JOIN awarded pt ON pt."playerId" = pl."id"
+      WHERE ${Prisma.raw(eligible)}
+    )`;
+}
+
+function toEntry(row: LeaderboardRow): LeaderboardEntry {
+  return { ...row, winRate: Math.round(row.winRate * 10000) / 100 };
+}
+
+export async function getLeaderboard(params: {
+  metric: LeaderboardMetric;
+  window: LeaderboardWindow;
+  page: number; // 1-based
+  pageSize: number;
+  address?: string | null; // also return this player's own standing
+}) {
+  const { metric, window, page, pageSize } = params;
+  const since = windowStart(window);
+  const ranked = rankedSql(metric, since);
+  const address = params.address?.toLowerCase() ?? null;
+
+  const [rows, count, mine] = await Promise.all([
+    prisma.$queryRaw<LeaderboardRow[]>`${ranked}
+      SELECT * FROM ranked ORDER BY "rank", "address" LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+    prisma.$queryRaw<{ total: number }[]>`${ranked} SELECT COUNT(*)::int AS "total" FROM ranked`,
+    address
+      ? prisma.$queryRaw<LeaderboardRow[]>`${ranked} SELECT * FROM ranked WHERE "address" = ${address}`
+      : Promise.resolve([]),
+  ]);
+
+  return {
+    metric,
+    window,
+    since: since.toISOString(),
+    minGamesForWinRate: MIN_GAMES_FOR_WIN_RATE,
+    page,
+    pageSize,
+    total: count[0]?.total ?? 0,
+    entries: rows.map(toEntry),
+    me: mine[0] ? toEntry(mine[0]) : null,
+  };
+}
+
+export async function getGlobalStats(window: LeaderboardWindow) {
+  const since = windowStart(window);
+  const [totalRounds, volume, activePlayers] = await Promise.all([
+    prisma.round.count({ where: { status: { in: ['resolved', 'void'] }, endAt: { gte: since } } }),
+    prisma.bet.aggregate({ where: { asset: DEFAULT_ASSET, createdAt: { gte: since }, status: { not: 'refund' } }, _sum: { amount: true } }),
+    prisma.$queryRaw<{ players: number }[]>`
+      SELECT COUNT(DISTINCT "playerId")::int AS "players" FROM "Bet" WHERE "createdAt" >= ${since}`,
+  ]);
+  return {
+    window,
+    since: since.toISOString(),
+    totalRounds,
+    totalVolume: (volume._sum.amount ?? BigInt(0)).toString(),
+    activePlayers: activePlayers[0]?.players ?? 0,
+  };
+}
@@ -0,0 +1,197 @@
+import type { Prisma } from '@prisma/client';
+import { publishEvent } from './events';
+
+// Double-entry ledger. Every balance change is one Transfer (the journal players see in their history)
+// plus LedgerEntry lines that sum to zero.
+// Sign convention: positive = credit, negative = debit. Liability and house equity accounts carry credit
+// (positive) balances; the vault, an asset, carries a debit (negative) one.
+// Balance.available/locked are a projection of the player_* accounts and must only be changed through postTransfer.
+// Each transfer is in one asset (src/lib/assets.ts) and its entries carry it: every account is kept per asset,
+// and a journal only balances within its asset.
+
+export type LedgerAccount =
+  | 'player_available' // liability: withdrawable player funds
+  | 'player_locked' // liability: stakes in open rounds
+  | 'pending_withdrawals' // liability: debited from players, not yet paid out on-chain
+  | 'house_fees' // equity: fees taken from winning payouts
+  | 'house_pnl' // equity: losing stakes collected minus winnings paid beyond the stake
+  | 'vault'; // asset: what the vault contract holds of the transfer's asset
+
+export type TransferType =
+  | 'deposit'
+  | 'withdraw' // requested: held in pending_withdrawals
+  | 'withdraw_complete' // paid out by the vault
+  | 'withdraw_reversal' // rejected or failed on-chain: returned to the player
+  | 'bet_lock'
+  | 'payout'
+  | 'loss'
+  | 'refund'
+  | 'adjustment'
+  | 'opening_balance'
+  | 'referral_reward'; // a share of a referee's fee, credited to their referrer
+
+export interface LedgerLine {
+  account: LedgerAccount;
+  amount: bigint;
+}
+
+const PLAYER_ACCOUNTS: LedgerAccount[] = ['player_available', 'player_locked', 'pending_withdrawals'];
+export const LIABILITY_ACCOUNTS: LedgerAccount[] = ['player_available', 'player_locked', 'pending_withdrawals'];
+export const EQUITY_ACCOUNTS: LedgerAccount[] = ['house_fees', 'house_pnl'];
+
+export class LedgerError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'LedgerError';
+  }
+}
+
+export function depositLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'vault', amount: -amount },
+    { account: 'player_available', amount },
+  ];
+}
+
+// Debited now, paid out on-chain later
+export function withdrawalRequestLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'player_available', amount: -amount },
+    { account: 'pending_withdrawals', amount },
+  ];
+}
+
+// The vault paid a pending withdrawal
+export function withdrawalPaidLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'pending_withdrawals', amount: -amount },
+    { account: 'vault', amount },
+  ];
+}
+
+// A pending withdrawal that will not be paid goes back to the player
+export function withdrawalReversalLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'pending_withdrawals', amount: -amount },
+    { account: 'player_available', amount },
+  ];
+}
+
+export function betLockLines(stake: bigint): LedgerLine[] {
+  return [
+    { account: 'player_available', amount: -stake },
+    { account: 'player_locked', amount: stake },
+  ];
+}
+
+// `net` goes to the player, `fee` to the house; the house covers whatever the payout exceeds the stake by
+export function betWinLines(stake: bigint, net: bigint, fee: bigint): LedgerLine[] {
+  return [
+    { account: 'player_locked', amount: -stake },
+    { account: 'player_available', amount: net },
+    { account: 'house_fees', amount: fee },
+    { account: 'house_pnl', amount: stake - net - fee },
+  ];
+}
+
+export function betLossLines(stake: bigint): LedgerLine[] {
+  return [
+    { account: 'player_locked', amount: -stake },
+    { account: 'house_pnl', amount: stake },
+  ];
+}
+
+export function refundLines(stake: bigint): LedgerLine[] {
+  return [
+    { account: 'player_locked', amount: -stake },
+    { account: 'player_available', amount: stake },
+  ];
+}
+
+// The house passes part of a fee it took on to the referrer of the player who paid it
+export function referralRewardLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'house_fees', amount: -amount },
+    { account: 'player_available', amount },
+  ];
+}
+
+// Operator correction: positive credits the player, negative debits them; the house takes the other side
+export function adjustmentLines(amount: bigint): LedgerLine[] {
+  return [
+    { account: 'player_available', amount },
+    { account: 'house_pnl', amount: -amount },
+  ];
+}
+
+function sumAccount(lines: LedgerLine[], account: LedgerAccount) {
+  return lines.filter((l) => l.account === account).reduce((sum, l) => sum + l.amount, BigInt(0));
+}
+
+// Writes a balanced journal for one player and applies it to their Balance in `asset`, creating that row if needed.
+// Throws (rolling back the caller's transaction) if the lines do not balance or would overdraw the player.
+export async function postTransfer(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; asset: string; type: TransferType; amount: bigint; meta?: Prisma.InputJsonObject; lines: LedgerLine[] }
+) {
+  const { playerId, asset, type, amount, meta, lines } = params;
+  const total = lines.reduce((sum, l) => sum + l.amount, BigInt(0));
+  if (lines.length === 0 || total !== BigInt(0)) {
+    throw new LedgerError(`Unbalanced ${type} journal (off by ${total})`, 500);
+  }
+
+  const transfer = await tx.transfer.create({
+    data: {
+      playerId,
+      type,
+      asset,
+      amount,
+      meta: meta ?? {},
+      entries: {
+        create: lines
+          .filter((l) => l.amount !== BigInt(0))
+          .map((l) => ({ account: l.account, asset, amount: l.amount, playerId: PLAYER_ACCOUNTS.includes(l.account) ? playerId : null })),
+      },
+    },
+  });
+
+  const available = sumAccount(lines, 'player_available');
+  const locked = sumAccount(lines, 'player_locked');
+  const balance = await tx.balance.upsert({
+    where: { playerId_asset: { playerId, asset } },
+    create: { playerId, asset, available, locked },
+    update: { available: { increment: available }, locked: { increment: locked } },
+  });
+  if (balance.available < BigInt(0) || balance.locked < BigInt(0)) {
+    throw new LedgerError('Insufficient balance');
+  }
+
+  const { points } = await tx.player.findUniqueOrThrow({ where: { id: playerId }, select: { points: true } });
+  // Pushed to the player's event stream once this transaction commits
+  await publishEvent(tx, {
+    type: 'balance',
+    playerId,
+    payload: {
+      transferId: transfer.id,
+      transferType: type,
+      amount: amount.toString(),
+      roundId: typeof meta?.roundId === 'number' ? meta.roundId : null,
+      asset,
+      available: balance.available.toString(),
+      locked: balance.locked.toString(),
+      points: points.toString(),
+    },
+  });
+  return { transfer, balance };
+}
+
+// A player's Balance in `asset` rebuilt from their ledger entries alone
+export async function replayPlayerBalance(client: Prisma.TransactionClient, playerId: number, asset: string) {
+  const sums = await client.ledgerEntry.groupBy({
+    by: ['account'],
+    where: { playerId, asset, account: { in: ['player_available', 'player_locked'] } },
+    _sum: { amount: true },
+  });
+  const of = (account: LedgerAccount) => sums.find((s) => s.account === account)?._sum.amount ?? BigInt(0);
+  return { available: of('player_available'), locked: of('player_locked') };
+}
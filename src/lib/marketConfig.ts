@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import type { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { ALL_MARKETS, Market, marketLabel } from './markets';
+import { newRoundTerms } from './roundSettlement';
+import { recordAudit } from './audit';
+import { DEFAULT_ASSET } from './assets';
+
+// Operator settings per market: pause betting, the house fee for new rounds, and stake limits.
+// Markets without a MarketConfig row run on the defaults (HOUSE_FEE_BPS, no stake limits).
+
+export interface MarketSettings {
+  symbol: string;
+  timeframe: number;
+  paused: boolean;
+  feeBps: number; // effective fee for rounds created from now on
+  feeOverridden: boolean;
+  minStake: string | null; // wei
+  maxStake: string | null; // wei
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+export class MarketConfigError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'MarketConfigError';
+  }
+}
+
+type MarketConfigRow = Prisma.MarketConfigGetPayload<object>;
+
+function toSettings(market: Market, row: MarketConfigRow | null): MarketSettings {
+  return {
+    symbol: market.symbol,
+    timeframe: market.timeframe,
+    paused: row?.paused ?? false,
+    feeBps: row?.feeBps ?? newRoundTerms().feeBps,
+    feeOverridden: row?.feeBps !== null && row?.feeBps !== undefined,
+    minStake: row?.minStake?.toString() ?? null,
+    maxStake: row?.maxStake?.toString() ?? null,
+    updatedBy: row?.updatedBy ?? null,
+    updatedAt: row?.updatedAt.toISOString() ?? null,
+  };
+}
+
+export async function getMarketSettings(client: Prisma.TransactionClient, market: Market): Promise<MarketSettings> {
+  const row = await client.marketConfig.findUnique({ where: { symbol_timeframe: { symbol: market.symbol, timeframe: market.timeframe } } });
+  return toSettings(market, row);
+}
+
+export async function listMarketSettings(): Promise<MarketSettings[]> {
+  const rows = await prisma.marketConfig.findMany();
+  return ALL_MARKETS.map((market) =>
+    toSettings(market, rows.find((r) => r.symbol === market.symbol && r.timeframe === market.timeframe) ?? null)
+  );
+}
+
+// Throws unless a bet of `stake` (base units of `asset`) may be placed on `market` now.
+// The stake limits are in ETH and only apply to ETH stakes; other assets are capped by the risk limits (lib/risk).
+export async function checkBetAllowed(client: Prisma.TransactionClient, market: Market, stake: bigint, asset: string = DEFAULT_ASSET) {
+  const settings = await getMarketSettings(client, market);
+  if (settings.paused) throw new MarketConfigError(`Betting is paused on ${marketLabel(market)}`, 409);
+  if (asset !== DEFAULT_ASSET) return settings;
+  if (settings.minStake !== null && stake < BigInt(settings.minStake)) {
+    throw new MarketConfigError(`Minimum stake on ${marketLabel(market)} is ${ethers.formatEther(settings.minStake)} ETH`);
+  }
+  if (settings.maxStake !== null && stake > BigInt(settings.maxStake)) {
+    throw new MarketConfigError(`Maximum stake on ${marketLabel(market)} is ${ethers.formatEther(settings.maxStake)} ETH`);
+  }
+  return settings;
+}
+
+export interface MarketSettingsPatch {
+  paused?: boolean;
+  feeBps?: number | null; // null restores the default
+  minStake?: bigint | null; // null removes the limit
+  maxStake?: bigint | null;
+}
+
+// Operator: changes a market's settings and records the change in the audit log
+export async function updateMarketSettings(market: Market, patch: MarketSettingsPatch, operator: string, reason?: string | null) {
+  if (patch.feeBps !== undefined && patch.feeBps !== null && (!Number.isInteger(patch.feeBps) || patch.feeBps < 0 || patch.feeBps >= 10000)) {
+    throw new MarketConfigError('feeBps must be an integer from 0 to 9999');
+  }
+  for (const key of ['minStake', 'maxStake'] as const) {
+    const value = patch[key];
+    if (value !== undefined && value !== null && value <= BigInt(0)) throw new MarketConfigError(`${key} must be positive`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const key = { symbol: market.symbol, timeframe: market.timeframe };
+    const before = await tx.marketConfig.findUnique({ where: { symbol_timeframe: key } });
+    const minStake = patch.minStake !== undefined ? patch.minStake : before?.minStake ?? null;
+    const maxStake = patch.maxStake !== undefined ? patch.maxStake : before?.maxStake ?? null;
+    if (minStake !== null && maxStake !== null && minStake > maxStake) throw new MarketConfigError('minStake is above maxStake');
+
+    const row = await tx.marketConfig.upsert({
+      where: { symbol_timeframe: key },
+      create: { ...key, paused: patch.paused ?? false, feeBps: patch.feeBps ?? null, minStake, maxStake, updatedBy: operator.toLowerCase() },
+      update: {
+        ...(patch.paused !== undefined ? { paused: patch.paused } : {}),
+        ...(patch.feeBps !== undefined ? { feeBps: patch.feeBps } : {}),
+        minStake,
+        maxStake,
+        updatedBy: operator.toLowerCase(),
+      },
+    });
+    const settings = toSettings(market, row);
+    await recordAudit(tx, {
+      actor: operator,
+      action: 'market.update',
+      target: `market:${market.symbol}:${market.timeframe}`,
+      reason,
+      payload: {
+        before: before ? { ...toSettings(market, before), updatedAt: null } : null,
+        after: { ...settings, updatedAt: null },
+      },
+    });
+    return settings;
+  });
+}
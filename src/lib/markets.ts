@@ -0,0 +1,85 @@
+// Markets players can bet on: an asset and a round length. A round is keyed by (symbol, timeframe, start).
+// Shared by the game page and the API routes, so keep this free of server-only imports.
+
+export const MARKET_ASSETS = {
+  ETH: 'ETHUSDT',
+  HYPE: 'HYPEUSDT',
+} as const;
+
+export const MARKET_TIMEFRAMES = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+} as const;
+
+// Chart candle sizes built from the oracle's stored ticks (/api/candles), in seconds
+export const CHART_RESOLUTIONS = {
+  '1s': 1,
+  '5s': 5,
+  '15s': 15,
+  '1m': 60,
+} as const;
+
+export type MarketAsset = keyof typeof MARKET_ASSETS;
+export type MarketSymbol = (typeof MARKET_ASSETS)[MarketAsset];
+export type TimeframeLabel = keyof typeof MARKET_TIMEFRAMES;
+export type ChartResolution = keyof typeof CHART_RESOLUTIONS;
+
+export interface Market {
+  symbol: MarketSymbol;
+  timeframe: number; // seconds
+}
+
+// Betting closes this many seconds before a round ends
+const BET_CUTOFF_SECONDS: Record<number, number> = {
+  60: 10,
+  300: 30,
+  900: 60,
+  3600: 120,
+};
+
+export const ALL_MARKETS: Market[] = Object.values(MARKET_ASSETS).flatMap((symbol) =>
+  Object.values(MARKET_TIMEFRAMES).map((timeframe) => ({ symbol, timeframe }))
+);
+
+export function isMarketSymbol(value: unknown): value is MarketSymbol {
+  return Object.values(MARKET_ASSETS).includes(value as MarketSymbol);
+}
+
+export function isChartResolution(value: unknown): value is ChartResolution {
+  return typeof value === 'string' && value in CHART_RESOLUTIONS;
+}
+
+export function isMarketTimeframe(value: unknown): boolean {
+  return Object.values(MARKET_TIMEFRAMES).includes(Number(value) as (typeof MARKET_TIMEFRAMES)[TimeframeLabel]);
+}
+
+// Validates a (symbol, timeframe) pair from a request; timeframe is in seconds
+export function parseMarket(symbol: unknown, timeframe: unknown): Market | null {
+  if (!isMarketSymbol(symbol) || !isMarketTimeframe(timeframe)) return null;
+  return { symbol, timeframe: Number(timeframe) };
+}
+
+export function assetForSymbol(symbol: string): MarketAsset | null {
+  const entry = Object.entries(MARKET_ASSETS).find(([, s]) => s === symbol);
+  return entry ? (entry[0] as MarketAsset) : null;
+}
+
+export function timeframeLabel(seconds: number): string {
+  const entry = Object.entries(MARKET_TIMEFRAMES).find(([, s]) => s === seconds);
+  return entry ? entry[0] : `${seconds}s`;
+}
+
+export function marketLabel(market: { symbol: string; timeframe: number }): string {
+  return `${assetForSymbol(market.symbol) ?? market.symbol} ${timeframeLabel(market.timeframe)}`;
+}
+
+export function betCutoffSeconds(timeframe: number): number {
+  return BET_CUTOFF_SECONDS[timeframe] ?? Math.max(10, Math.floor(timeframe / 6));
+}
+
+// Start (seconds) of the round of `timeframe` running at `atMs`
+export function roundStartFor(timeframe: number, atMs: number = Date.now()): number {
+  return Math.floor(atMs / 1000 / timeframe) * timeframe;
+}
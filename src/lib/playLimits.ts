@@ -0,0 +1,283 @@
+import type { Prisma, PlayLimit } from '@prisma/client';
+import { prisma } from './prisma';
+import { AssetAmountError, CollateralAsset, assetFromInput, displayAssetAmount, getAsset, parseAssetAmount } from './assets';
+
+// Responsible-play controls a player sets for themselves:
+//   limits      deposit, wager (stakes placed) and net-loss (stakes placed minus payouts and refunds received)
+//               limits per asset over the last 24 hours, 7 days or 30 days. Pending bets count as lost.
+//               Lowering or adding a limit applies at once; raising or removing one waits PLAY_LIMIT_COOLING_OFF_HOURS.
+//   exclusion   timed or permanent self-exclusion. It blocks bets and deposits; withdrawals stay open.
+//   reminders   the game page reminds the player how long they have been playing, every N minutes.
+// placeBet checks bets. Deposits are checked by the deposit page before funds are sent, and a deposit that still
+// arrives over a limit or during an exclusion is credited and paid straight back (src/lib/vaultDeposits.ts).
+
+export const PLAY_LIMIT_KINDS = ['deposit', 'wager', 'loss'] as const;
+export type PlayLimitKind = (typeof PLAY_LIMIT_KINDS)[number];
+export const PLAY_LIMIT_PERIODS = { day: 24 * 3600 * 1000, week: 7 * 24 * 3600 * 1000, month: 30 * 24 * 3600 * 1000 } as const;
+export type PlayLimitPeriod = keyof typeof PLAY_LIMIT_PERIODS;
+
+const KIND_LABELS: Record<PlayLimitKind, string> = { deposit: 'deposit', wager: 'wager', loss: 'net loss' };
+const PERIOD_LABELS: Record<PlayLimitPeriod, string> = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+export const MAX_EXCLUSION_DAYS = 3650;
+export const MAX_REMINDER_MINUTES = 24 * 60;
+const PLAY_LIMIT_LOCK_KEY = 7_316_004;
+
+export function coolingOffMs() {
+  const hours = Number(process.env.PLAY_LIMIT_COOLING_OFF_HOURS ?? 24);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 24) * 3600 * 1000;
+}
+
+export class PlayLimitError extends Error {
+  constructor(message: string, public status: number = 403) {
+    super(message);
+    this.name = 'PlayLimitError';
+  }
+}
+
+export interface PlayLimitView {
+  asset: string; // amounts are in its base units
+  kind: PlayLimitKind;
+  period: PlayLimitPeriod;
+  amount: string;
+  used: string; // in the current period
+  remaining: string;
+  pendingAmount: string | null; // a raise waiting out the cooling-off
+  pendingRemoval: boolean;
+  pendingAt: string | null;
+}
+
+export interface PlaySettings {
+  exclusion: { until: string | null; permanent: boolean } | null; // null when not excluded
+  sessionReminderMinutes: number | null;
+  coolingOffHours: number;
+  limits: PlayLimitView[];
+}
+
+type Client = Prisma.TransactionClient | typeof prisma;
+
+function excludedMessage(player: { excludedUntil: Date | null; excludedPermanently: boolean }, nowMs: number) {
+  if (player.excludedPermanently) return 'You have self-excluded permanently. Betting and deposits are blocked; withdrawals stay open.';
+  if (player.excludedUntil && player.excludedUntil.getTime() > nowMs) {
+    return `You have self-excluded until ${player.excludedUntil.toISOString()}. Betting and deposits are blocked until then; withdrawals stay open.`;
+  }
+  return null;
+}
+
+// Promotes raises and removals whose cooling-off has passed; returns the limits in force
+async function limitsInForce(client: Client, playerId: number, nowMs: number): Promise<PlayLimit[]> {
+  const limits = await client.playLimit.findMany({ where: { playerId }, orderBy: { id: 'asc' } });
+  const result: PlayLimit[] = [];
+  for (const limit of limits) {
+    if (!limit.pendingAt || limit.pendingAt.getTime() > nowMs) {
+      result.push(limit);
+    } else if (limit.pendingAmount === null) {
+      await client.playLimit.deleteMany({ where: { id: limit.id, pendingAt: limit.pendingAt } });
+    } else {
+      result.push(await client.playLimit.update({
+        where: { id: limit.id },
+        data: { amount: limit.pendingAmount, pendingAmount: null, pendingAt: null },
+      }));
+    }
+  }
+  return result;
+}
+
+async function sumSince(client: Client, playerId: number, asset: string, kind: PlayLimitKind, since: Date): Promise<bigint> {
+  if (kind === 'deposit') {
+    // Deposits paid back for breaking a limit do not count
+    const [row] = await client.$queryRaw<{ total: string }[]>`
+      SELECT COALESCE(SUM(t."amount"), 0)::text AS "total" FROM "Transfer" t
+      WHERE t."playerId" = ${playerId} AND t."asset" = ${asset} AND t."type" = 'deposit' AND t."createdAt" >= ${since}
+        AND NOT EXISTS (SELECT 1 FROM "Withdrawal" w WHERE w."returnOf" = t."meta"->>'txHash')`;
+    return BigInt(row.total);
+  }
+  const { _sum: staked } = await client.bet.aggregate({ where: { playerId, asset, createdAt: { gte: since } }, _sum: { amount: true } });
+  if (kind === 'wager') return staked.amount ?? BigInt(0);
+  const { _sum: returned } = await client.transfer.aggregate({
+    where: { playerId, asset, type: { in: ['payout', 'refund'] }, createdAt: { gte: since } },
+    _sum: { amount: true },
+  });
+  const loss = (staked.amount ?? BigInt(0)) - (returned.amount ?? BigInt(0));
+  return loss > BigInt(0) ? loss : BigInt(0);
+}
+
+async function usage(client: Client, limit: PlayLimit, nowMs: number) {
+  return sumSince(client, limit.playerId, limit.asset, limit.kind as PlayLimitKind, new Date(nowMs - PLAY_LIMIT_PERIODS[limit.period as PlayLimitPeriod]));
+}
+
+function breachMessage(limit: PlayLimit, used: bigint, asset: CollateralAsset) {
+  const left = limit.amount > used ? limit.amount - used : BigInt(0);
+  return `This would exceed your ${PERIOD_LABELS[limit.period as PlayLimitPeriod]} ${KIND_LABELS[limit.kind as PlayLimitKind]} limit of ` +
+    `${displayAssetAmount(limit.amount, asset)}; ${displayAssetAmount(left, asset)} left in the period.`;
+}
+
+// Why the player may not move `amount` of `asset` in as a bet or deposit right now, or null.
+// Takes a per-player lock, so two bets or deposits at once cannot both fit under a limit.
+async function blockReason(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; asset: string; amount: bigint; kinds: PlayLimitKind[] }
+): Promise<string | null> {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${PLAY_LIMIT_LOCK_KEY}::int, ${params.playerId}::int)`;
+  const nowMs = Date.now();
+  const player = await tx.player.findUniqueOrThrow({
+    where: { id: params.playerId },
+    select: { excludedUntil: true, excludedPermanently: true },
+  });
+  const excluded = excludedMessage(player, nowMs);
+  if (excluded) return excluded;
+
+  const asset = getAsset(params.asset);
+  if (!asset) return null;
+  const limits = (await limitsInForce(tx, params.playerId, nowMs))
+    .filter((l) => l.asset === params.asset && params.kinds.includes(l.kind as PlayLimitKind));
+  for (const limit of limits) {
+    const used = await usage(tx, limit, nowMs);
+    if (used + params.amount > limit.amount) return breachMessage(limit, used, asset);
+  }
+  return null;
+}
+
+// Called by placeBet inside its transaction
+export async function checkBetLimits(tx: Prisma.TransactionClient, params: { playerId: number; asset: string; stake: bigint }) {
+  const reason = await blockReason(tx, { playerId: params.playerId, asset: params.asset, amount: params.stake, kinds: ['wager', 'loss'] });
+  if (reason) throw new PlayLimitError(reason);
+}
+
+// Called while crediting a deposit; a reason means it is paid back
+export async function depositBlockReason(tx: Prisma.TransactionClient, params: { playerId: number; asset: string; amount: bigint }) {
+  return blockReason(tx, { ...params, kinds: ['deposit'] });
+}
+
+// The deposit page asks before sending funds to the vault
+export async function checkDepositAllowed(address: string, input: { asset?: unknown; amount?: unknown }) {
+  const asset = assetFromInput(input.asset);
+  const amount = parseAssetAmount(input.amount, asset);
+  const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() }, select: { id: true } });
+  if (!player) return;
+  const reason = await prisma.$transaction((tx) => depositBlockReason(tx, { playerId: player.id, asset: asset.symbol, amount }));
+  if (reason) throw new PlayLimitError(reason);
+}
+
+// For creating auto-bet plans and the like: refuses while the player is self-excluded
+export async function assertNotExcluded(playerId: number) {
+  const player = await prisma.player.findUniqueOrThrow({ where: { id: playerId }, select: { excludedUntil: true, excludedPermanently: true } });
+  const excluded = excludedMessage(player, Date.now());
+  if (excluded) throw new PlayLimitError(excluded);
+}
+
+async function playerFor(address: string) {
+  const addr = address.toLowerCase();
+  return prisma.player.upsert({ where: { address: addr }, create: { address: addr }, update: {} });
+}
+
+export async function getPlaySettings(address: string): Promise<PlaySettings> {
+  const player = await playerFor(address);
+  const nowMs = Date.now();
+  const limits = await limitsInForce(prisma, player.id, nowMs);
+  const views = await Promise.all(limits.map(async (limit): Promise<PlayLimitView> => {
+    const used = await usage(prisma, limit, nowMs);
+    return {
+      asset: limit.asset,
+      kind: limit.kind as PlayLimitKind,
+      period: limit.period as PlayLimitPeriod,
+      amount: limit.amount.toString(),
+      used: used.toString(),
+      remaining: (limit.amount > used ? limit.amount - used : BigInt(0)).toString(),
+      pendingAmount: limit.pendingAmount?.toString() ?? null,
+      pendingRemoval: limit.pendingAt !== null && limit.pendingAmount === null,
+      pendingAt: limit.pendingAt?.toISOString() ?? null,
+    };
+  }));
+  const excluded = excludedMessage(player, nowMs) !== null;
+  return {
+    exclusion: excluded ? { until: player.excludedPermanently ? null : player.excludedUntil!.toISOString(), permanent: player.excludedPermanently } : null,
+    sessionReminderMinutes: player.sessionReminderMinutes,
+    coolingOffHours: coolingOffMs() / 3600 / 1000,
+    limits: views,
+  };
+}
+
+// amount null removes the limit. Returns whether the change applied now or waits for the cooling-off.
+export async function setPlayLimit(
+  address: string,
+  input: { asset?: unknown; kind?: unknown; period?: unknown; amount?: unknown }
+): Promise<{ applied: boolean; effectiveAt: string }> {
+  const kind = input.kind as PlayLimitKind;
+  if (!PLAY_LIMIT_KINDS.includes(kind)) throw new PlayLimitError(`kind must be one of ${PLAY_LIMIT_KINDS.join(', ')}`, 400);
+  const period = input.period as PlayLimitPeriod;
+  if (!(typeof period === 'string' && period in PLAY_LIMIT_PERIODS)) {
+    throw new PlayLimitError(`period must be one of ${Object.keys(PLAY_LIMIT_PERIODS).join(', ')}`, 400);
+  }
+  const asset = assetFromInput(input.asset);
+  let amount: bigint | null = null;
+  if (input.amount !== null && input.amount !== undefined && input.amount !== '') {
+    try {
+      amount = parseAssetAmount(input.amount, asset);
+    } catch (error) {
+      throw new PlayLimitError((error as AssetAmountError).message, 400);
+    }
+  }
+
+  const player = await playerFor(address);
+  const nowMs = Date.now();
+  const key = { playerId_asset_kind_period: { playerId: player.id, asset: asset.symbol, kind, period } };
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${PLAY_LIMIT_LOCK_KEY}::int, ${player.id}::int)`;
+    const current = (await limitsInForce(tx, player.id, nowMs)).find((l) => l.asset === asset.symbol && l.kind === kind && l.period === period);
+    const now = { applied: true, effectiveAt: new Date(nowMs).toISOString() };
+
+    if (!current) {
+      if (amount === null) return now;
+      await tx.playLimit.create({ data: { playerId: player.id, asset: asset.symbol, kind, period, amount } });
+      return now;
+    }
+    if (amount !== null && amount <= current.amount) {
+      // Tightening applies at once and drops any pending raise
+      await tx.playLimit.update({ where: key, data: { amount, pendingAmount: null, pendingAt: null } });
+      return now;
+    }
+    const pendingAt = new Date(nowMs + coolingOffMs());
+    await tx.playLimit.update({ where: key, data: { pendingAmount: amount, pendingAt } });
+    return { applied: false, effectiveAt: pendingAt.toISOString() };
+  });
+}
+
+// Exclusions can be extended or made permanent, never shortened. Active auto-bet plans are paused.
+export async function selfExclude(address: string, input: { days?: unknown; permanent?: unknown }) {
+  const player = await playerFor(address);
+  const permanent = input.permanent === true;
+  let until: Date | null = null;
+  if (!permanent) {
+    const days = Number(input.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXCLUSION_DAYS) {
+      throw new PlayLimitError(`days must be a whole number between 1 and ${MAX_EXCLUSION_DAYS}`, 400);
+    }
+    until = new Date(Date.now() + days * 24 * 3600 * 1000);
+  }
+
+  // One statement against the stored values, so two requests racing can only end on the longer exclusion
+  // (GREATEST skips nulls: a permanent request keeps the date, a first request sets it)
+  await prisma.$transaction([
+    prisma.$executeRaw`
+      UPDATE "Player"
+      SET "excludedPermanently" = "excludedPermanently" OR ${permanent}, "excludedUntil" = GREATEST("excludedUntil", ${until})
+      WHERE "id" = ${player.id}`,
+    prisma.autoBetPlan.updateMany({ where: { playerId: player.id, status: 'active' }, data: { status: 'paused' } }),
+  ]);
+  return getPlaySettings(address);
+}
+
+// minutes null turns reminders off
+export async function setSessionReminder(address: string, minutes: unknown) {
+  let value: number | null = null;
+  if (minutes !== null && minutes !== undefined && minutes !== '') {
+    value = Number(minutes);
+    if (!Number.isInteger(value) || value < 5 || value > MAX_REMINDER_MINUTES) {
+      throw new PlayLimitError(`Reminders can be every 5 to ${MAX_REMINDER_MINUTES} minutes`, 400);
+    }
+  }
+  const player = await playerFor(address);
+  await prisma.player.update({ where: { id: player.id }, data: { sessionReminderMinutes: value } });
+  return { sessionReminderMinutes: value };
+}
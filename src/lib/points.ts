@@ -0,0 +1,382 @@
+import { ethers } from 'ethers';
+import type { Prisma, PointsSeason } from '@prisma/client';
+import { prisma } from './prisma';
+import { recordAudit } from './audit';
+import { DEFAULT_ASSET, getAsset } from './assets';
+
+// $Kairos points engine. Awards are made inside the bet and settlement transactions and each one is a
+// PointsEvent linked to its bet; Player.points is kept as their running sum.
+//   stake   on every bet: a percent of the stake, by stake tier
+//   win     on a winning bet: a percent of the stake
+//   streak  on a winning bet that extends a run of wins: a percent of the stake, by streak length
+// The season running at the time multiplies every award, and the daily cap trims whatever would exceed it.
+// Stakes in other assets count at their ETH value, from POINTS_<ASSET>_ETH_RATE (ETH per whole unit, e.g.
+// POINTS_USDC_ETH_RATE=0.0004), so tiers and awards are the same whatever a player bets in.
+// Rules live in the PointsRules table (newest version wins), so operators change them without a redeploy.
+
+export interface PointsRules {
+  stakeTiers: Array<{ minStakeEth: number; percent: number }>; // the highest tier the stake reaches applies
+  winBonusPercent: number;
+  streakBonuses: Array<{ wins: number; percent: number }>; // the longest streak reached applies
+  dailyCap: string | null; // points per player per UTC day (decimal $Kairos), null for none
+}
+
+export type PointsKind = 'stake' | 'win' | 'streak' | 'opening_balance';
+
+// What the bet routes awarded before rules were configurable
+export const DEFAULT_POINTS_RULES: PointsRules = {
+  stakeTiers: [
+    { minStakeEth: 0, percent: 100 },
+    { minStakeEth: 0.01, percent: 75 },
+    { minStakeEth: 0.05, percent: 50 },
+    { minStakeEth: 0.1, percent: 25 },
+  ],
+  winBonusPercent: 0,
+  streakBonuses: [],
+  dailyCap: null,
+};
+
+const CAPPED_KINDS: PointsKind[] = ['stake', 'win', 'streak'];
+const RULES_CACHE_MS = 10000;
+const BPS = BigInt(10000);
+
+export class PointsError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'PointsError';
+  }
+}
+
+function percentToBps(percent: number) {
+  return BigInt(Math.round(percent * 100));
+}
+
+function parsePercent(value: unknown, field: string) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 10000) {
+    throw new PointsError(`${field} must be a percent between 0 and 10000`);
+  }
+  return value;
+}
+
+// Validates rules sent by an operator; tiers and streaks come back sorted ascending
+export function parsePointsRules(input: unknown): PointsRules {
+  const raw = (input ?? {}) as Record<string, unknown>;
+  if (!Array.isArray(raw.stakeTiers) || raw.stakeTiers.length === 0) throw new PointsError('stakeTiers must be a non-empty list');
+  const stakeTiers = raw.stakeTiers.map((tier, i) => {
+    const { minStakeEth, percent } = (tier ?? {}) as Record<string, unknown>;
+    if (typeof minStakeEth !== 'number' || !Number.isFinite(minStakeEth) || minStakeEth < 0) {
+      throw new PointsError(`stakeTiers[${i}].minStakeEth must be a number of ETH`);
+    }
+    return { minStakeEth, percent: parsePercent(percent, `stakeTiers[${i}].percent`) };
+  }).sort((a, b) => a.minStakeEth - b.minStakeEth);
+
+  const streakBonuses = (Array.isArray(raw.streakBonuses) ? raw.streakBonuses : []).map((bonus, i) => {
+    const { wins, percent } = (bonus ?? {}) as Record<string, unknown>;
+    if (!Number.isInteger(wins) || (wins as number) < 2) throw new PointsError(`streakBonuses[${i}].wins must be an integer of at least 2`);
+    return { wins: wins as number, percent: parsePercent(percent, `streakBonuses[${i}].percent`) };
+  }).sort((a, b) => a.wins - b.wins);
+
+  let dailyCap: string | null = null;
+  if (raw.dailyCap !== null && raw.dailyCap !== undefined && raw.dailyCap !== '') {
+    try {
+      if (ethers.parseEther(String(raw.dailyCap)) <= BigInt(0)) throw new Error();
+    } catch {
+      throw new PointsError('dailyCap must be a positive number of points');
+    }
+    dailyCap = String(raw.dailyCap);
+  }
+
+  return {
+    stakeTiers,
+    winBonusPercent: parsePercent(raw.winBonusPercent ?? 0, 'winBonusPercent'),
+    streakBonuses,
+    dailyCap,
+  };
+}
+
+let cachedRules: { version: number; rules: PointsRules; loadedAt: number } | null = null;
+
+// The rules in force and their version (0 = built-in defaults)
+export async function getPointsRules(): Promise<{ version: number; rules: PointsRules }> {
+  if (cachedRules && Date.now() - cachedRules.loadedAt < RULES_CACHE_MS) return cachedRules;
+  const latest = await prisma.pointsRules.findFirst({ orderBy: { id: 'desc' } });
+  cachedRules = latest
+    ? { version: latest.id, rules: latest.rules as unknown as PointsRules, loadedAt: Date.now() }
+    : { version: 0, rules: DEFAULT_POINTS_RULES, loadedAt: Date.now() };
+  return cachedRules;
+}
+
+export async function listPointsRules(limit = 20) {
+  const versions = await prisma.pointsRules.findMany({ orderBy: { id: 'desc' }, take: limit });
+  return versions.map((v) => ({ version: v.id, rules: v.rules as unknown as PointsRules, createdBy: v.createdBy, note: v.note, createdAt: v.createdAt.toISOString() }));
+}
+
+// Operator: publishes a new rules version; applies to awards from now on
+export async function setPointsRules(input: unknown, operator: string, note?: string | null) {
+  const rules = parsePointsRules(input);
+  const created = await prisma.$transaction(async (tx) => {
+    const row = await tx.pointsRules.create({
+      data: { rules: rules as unknown as Prisma.InputJsonObject, createdBy: operator.toLowerCase(), note: note ?? null },
+    });
+    await recordAudit(tx, {
+      actor: operator,
+      action: 'points.rules',
+      target: `points_rules:${row.id}`,
+      reason: note,
+      payload: { rules: rules as unknown as Prisma.InputJsonObject },
+    });
+    return row;
+  });
+  cachedRules = null;
+  return { version: created.id, rules };
+}
+
+export function stakeTierPercent(rules: PointsRules, stake: bigint) {
+  const stakeEth = Number(ethers.formatEther(stake));
+  let percent = 0;
+  for (const tier of rules.stakeTiers) {
+    if (stakeEth >= tier.minStakeEth) percent = tier.percent;
+  }
+  return percent;
+}
+
+function utcDayStart(now: Date) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+async function seasonAt(client: Prisma.TransactionClient, at: Date) {
+  return client.pointsSeason.findFirst({ where: { startsAt: { lte: at }, endsAt: { gt: at } } });
+}
+
+// ETH per whole unit of each non-ETH asset, for valuing stakes
+const ETH_RATE_DEFAULTS: Record<string, string> = { USDC: '0.0004' };
+
+// A stake in `asset` base units -> its value in wei
+export function stakeInWei(stake: bigint, asset: string) {
+  if (asset === DEFAULT_ASSET) return stake;
+  const info = getAsset(asset);
+  if (!info) return BigInt(0);
+  let rate: bigint;
+  try {
+    rate = ethers.parseEther(process.env[`POINTS_${asset}_ETH_RATE`] || ETH_RATE_DEFAULTS[asset] || '0');
+  } catch {
+    rate = ethers.parseEther(ETH_RATE_DEFAULTS[asset] || '0');
+  }
+  return (stake * rate) / BigInt(10) ** BigInt(info.decimals);
+}
+
+// Points a stake (valued in wei) earns when placed, before the season multiplier and daily cap
+export function stakePointsBase(rules: PointsRules, stake: bigint) {
+  const percent = stakeTierPercent(rules, stake);
+  return { percent, base: (stake * percentToBps(percent)) / BPS };
+}
+
+// The streak bonus that applies after `streak` wins in a row, if any
+export function streakBonusFor(rules: PointsRules, streak: number) {
+  return [...rules.streakBonuses].reverse().find((b) => streak >= b.wins) ?? null;
+}
+
+// Points a winning stake (valued in wei) earns on top, before the season multiplier and daily cap
+export function winPointsBase(rules: PointsRules, stake: bigint, streak: number) {
+  const bonus = streakBonusFor(rules, streak);
+  return {
+    win: (stake * percentToBps(rules.winBonusPercent)) / BPS,
+    streak: bonus ? (stake * percentToBps(bonus.percent)) / BPS : BigInt(0),
+  };
+}
+
+// Records one award and adds it to the player's points. Returns the points actually awarded: the season
+// multiplier applied, trimmed to the daily cap, and 0 if this bet already got this kind of award.
+async function award(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; betId: number; kind: PointsKind; base: bigint; version: number; rules: PointsRules; meta: Prisma.InputJsonObject }
+) {
+  const { playerId, betId, kind, version, rules } = params;
+  const now = new Date();
+  const season = await seasonAt(tx, now);
+  let amount = season ? (params.base * BigInt(season.multiplierBps)) / BPS : params.base;
+  if (amount <= BigInt(0)) return BigInt(0);
+
+  // Serializes this player's awards, so concurrent bets cannot both fit under the cap
+  await tx.$queryRaw`SELECT "id" FROM "Player" WHERE "id" = ${playerId} FOR UPDATE`;
+  if (rules.dailyCap !== null) {
+    const { _sum } = await tx.pointsEvent.aggregate({
+      where: { playerId, kind: { in: CAPPED_KINDS }, createdAt: { gte: utcDayStart(now) } },
+      _sum: { amount: true },
+    });
+    const left = ethers.parseEther(rules.dailyCap) - (_sum.amount ?? BigInt(0));
+    if (left <= BigInt(0)) return BigInt(0);
+    if (amount > left) amount = left;
+  }
+
+  const { count } = await tx.pointsEvent.createMany({
+    data: [{
+      playerId,
+      betId,
+      kind,
+      amount,
+      seasonId: season?.id ?? null,
+      rulesVersion: version,
+      meta: { ...params.meta, base: params.base.toString(), multiplierBps: season?.multiplierBps ?? 10000 },
+    }],
+    skipDuplicates: true,
+  });
+  if (count === 0) return BigInt(0);
+  await tx.player.update({ where: { id: playerId }, data: { points: { increment: amount } } });
+  return amount;
+}
+
+// Called when a bet is placed, before its bet_lock transfer so the balance event carries the new points
+export async function awardStakePoints(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; betId: number; stake: bigint; asset: string }
+) {
+  const { version, rules } = await getPointsRules();
+  const { percent, base } = stakePointsBase(rules, stakeInWei(params.stake, params.asset));
+  return award(tx, {
+    playerId: params.playerId,
+    betId: params.betId,
+    kind: 'stake',
+    base,
+    version,
+    rules,
+    meta: { percent, ...(params.asset !== DEFAULT_ASSET ? { asset: params.asset } : {}) },
+  });
+}
+
+// Wins in a row ending with this (already settled) bet; refunds neither break nor extend a streak
+async function winStreak(tx: Prisma.TransactionClient, playerId: number, longest: number) {
+  const recent = await tx.bet.findMany({
+    where: { playerId, status: { in: ['won', 'lost'] } },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: longest,
+    select: { status: true },
+  });
+  const firstLoss = recent.findIndex((b) => b.status !== 'won');
+  return firstLoss === -1 ? recent.length : firstLoss;
+}
+
+// Called when a bet is settled as won, before its payout transfer
+export async function awardWinPoints(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; betId: number; stake: bigint; asset: string }
+) {
+  const { version, rules } = await getPointsRules();
+  const stake = stakeInWei(params.stake, params.asset);
+  const bet = { playerId: params.playerId, betId: params.betId };
+  let total = BigInt(0);
+  if (rules.winBonusPercent > 0) {
+    total += await award(tx, {
+      ...bet,
+      kind: 'win',
+      base: winPointsBase(rules, stake, 0).win,
+      version,
+      rules,
+      meta: { percent: rules.winBonusPercent },
+    });
+  }
+  if (rules.streakBonuses.length > 0) {
+    const streak = await winStreak(tx, params.playerId, rules.streakBonuses[rules.streakBonuses.length - 1].wins);
+    const bonus = streakBonusFor(rules, streak);
+    if (bonus) {
+      total += await award(tx, {
+        ...bet,
+        kind: 'streak',
+        base: winPointsBase(rules, stake, streak).streak,
+        version,
+        rules,
+        meta: { percent: bonus.percent, streak },
+      });
+    }
+  }
+  return total;
+}
+
+function seasonView(season: PointsSeason) {
+  return {
+    id: season.id,
+    name: season.name,
+    startsAt: season.startsAt.toISOString(),
+    endsAt: season.endsAt.toISOString(),
+    multiplier: season.multiplierBps / 10000,
+    snapshotAt: season.snapshotAt?.toISOString() ?? null,
+  };
+}
+
+export type SeasonView = ReturnType<typeof seasonView>;
+
+export async function listSeasons() {
+  const now = new Date();
+  const seasons = await prisma.pointsSeason.findMany({ orderBy: { startsAt: 'desc' }, take: 50 });
+  const current = seasons.find((s) => s.startsAt <= now && s.endsAt > now) ?? null;
+  return { current: current ? seasonView(current) : null, seasons: seasons.map(seasonView) };
+}
+
+// Operator: schedules a season; it may not overlap another one
+export async function createSeason(params: { name: string; startsAt: Date; endsAt: Date; multiplier: number; operator: string }) {
+  const { name, startsAt, endsAt, multiplier, operator } = params;
+  if (!name.trim()) throw new PointsError('Season name required');
+  if (!(endsAt > startsAt)) throw new PointsError('Season must end after it starts');
+  if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > 100) throw new PointsError('multiplier must be between 0 and 100');
+
+  return prisma.$transaction(async (tx) => {
+    const overlapping = await tx.pointsSeason.findFirst({ where: { startsAt: { lt: endsAt }, endsAt: { gt: startsAt } } });
+    if (overlapping) throw new PointsError(`Overlaps season ${overlapping.id} (${overlapping.name})`, 409);
+    const season = await tx.pointsSeason.create({
+      data: { name: name.trim(), startsAt, endsAt, multiplierBps: Math.round(multiplier * 10000), createdBy: operator.toLowerCase() },
+    });
+    await recordAudit(tx, {
+      actor: operator,
+      action: 'season.create',
+      target: `season:${season.id}`,
+      payload: { name: season.name, startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString(), multiplier },
+    });
+    return seasonView(season);
+  }, { isolationLevel: 'Serializable' });
+}
+
+export interface SeasonStanding {
+  rank: number;
+  address: string;
+  points: string;
+}
+
+// Operator: freezes an ended season's standings for the distribution. Awards are stamped with their season
+// when made, so the totals cannot change afterwards; taking the snapshot twice is refused.
+export async function snapshotSeason(seasonId: number, operator: string) {
+  const season = await prisma.pointsSeason.findUnique({ where: { id: seasonId } });
+  if (!season) throw new PointsError('Season not found', 404);
+  if (season.endsAt > new Date()) throw new PointsError('Season has not ended yet', 409);
+  if (season.snapshotAt) throw new PointsError('Season already snapshotted', 409);
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.pointsSeason.updateMany({ where: { id: seasonId, snapshotAt: null }, data: { snapshotAt: new Date() } });
+    if (count === 0) throw new PointsError('Season already snapshotted', 409);
+    const inserted = await tx.$executeRaw`
+      INSERT INTO "PointsSnapshot" ("seasonId", "playerId", "address", "points", "rank")
+      SELECT ${seasonId}, e."playerId", p."address", SUM(e."amount"), RANK() OVER (ORDER BY SUM(e."amount") DESC)
+      FROM "PointsEvent" e JOIN "Player" p ON p."id" = e."playerId"
+      WHERE e."seasonId" = ${seasonId}
+      GROUP BY e."playerId", p."address"
+      HAVING SUM(e."amount") > 0`;
+    await recordAudit(tx, { actor: operator, action: 'season.snapshot', target: `season:${seasonId}`, payload: { players: inserted } });
+    return { season: seasonView({ ...season, snapshotAt: new Date() }), players: inserted };
+  }, { timeout: 30000 });
+}
+
+export async function getSeasonSnapshot(seasonId: number): Promise<{ season: SeasonView; standings: SeasonStanding[] }> {
+  const season = await prisma.pointsSeason.findUnique({ where: { id: seasonId } });
+  if (!season) throw new PointsError('Season not found', 404);
+  if (!season.snapshotAt) throw new PointsError('Season has no snapshot yet', 409);
+  const rows = await prisma.pointsSnapshot.findMany({ where: { seasonId }, orderBy: [{ rank: 'asc' }, { address: 'asc' }] });
+  return {
+    season: seasonView(season),
+    standings: rows.map((r) => ({ rank: r.rank, address: r.address, points: r.points.toString() })),
+  };
+}
+
+// Points in 18-decimal units, like wei; CRLF line endings
+export function seasonSnapshotToCsv(standings: SeasonStanding[]) {
+  const lines = ['rank,address,points', ...standings.map((s) => `${s.rank},${s.address},${s.points}`)];
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,182 @@
+// Server-side price oracle used to settle rounds, feed charts and run the resolver.
+// Only import this from API routes and scripts: settlement prices must never come from the browser.
+//
+// Every lookup asks all configured sources (src/lib/priceSources.ts) at once, drops quotes older than
+// ORACLE_MAX_AGE_MS, takes the median, drops quotes further than ORACLE_MAX_DEVIATION_BPS from it and
+// answers with the median of what is left, provided at least ORACLE_MIN_SOURCES agree.
+// Every sample is saved to the price_data table (ORACLE_PERSIST=0 turns that off).
+
+import { prisma } from './prisma';
+import {
+  Candle,
+  CandleInterval,
+  LIVE_SOURCES,
+  PriceQuote,
+  PriceSource,
+  fixtureSourceFromFile,
+} from './priceSources';
+
+export type { Candle, CandleInterval, PriceQuote, PriceSource } from './priceSources';
+export { CANDLE_INTERVALS } from './priceSources';
+
+const MAX_AGE_MS = Number(process.env.ORACLE_MAX_AGE_MS ?? 5000) || 5000;
+const MAX_DEVIATION_BPS = Number(process.env.ORACLE_MAX_DEVIATION_BPS ?? 100) || 100;
+const MIN_SOURCES = Math.max(1, Number(process.env.ORACLE_MIN_SOURCES ?? 1) || 1);
+const PERSIST = process.env.ORACLE_PERSIST !== '0';
+// Live prices are shared between callers for this long, so polling clients do not fan out upstream
+const LIVE_CACHE_MS = Number(process.env.ORACLE_LIVE_CACHE_MS ?? 1000);
+// A live quote taken this close to the requested time counts as the price at that time
+const LIVE_TOLERANCE_MS = 3000;
+
+export interface OracleReading {
+  quote: PriceQuote | null; // the aggregated price, null when too few sources agree
+  accepted: PriceQuote[];
+  rejected: Array<PriceQuote & { reason: 'stale' | 'outlier' }>;
+  failed: string[]; // sources that errored or had no answer
+}
+
+// ORACLE_SOURCES: comma-separated adapter names, or "fixture" with ORACLE_FIXTURE_FILE for offline runs
+function sourcesFromEnv(): PriceSource[] {
+  const names = (process.env.ORACLE_SOURCES || 'hyperliquid,binance,cryptocompare,coingecko')
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  return names.map((name) => {
+    if (name === 'fixture') {
+      if (!process.env.ORACLE_FIXTURE_FILE) throw new Error('ORACLE_FIXTURE_FILE is required for the fixture source');
+      return fixtureSourceFromFile(process.env.ORACLE_FIXTURE_FILE);
+    }
+    const source = LIVE_SOURCES[name];
+    if (!source) throw new Error(`Unknown price source "${name}"`);
+    return source;
+  });
+}
+
+let sources: PriceSource[] | null = null;
+const liveCache = new Map<string, { reading: OracleReading; at: number }>();
+
+function getSources() {
+  if (!sources) sources = sourcesFromEnv();
+  return sources;
+}
+
+// Swaps the adapters, e.g. for a fixture source in offline runs
+export function setPriceSources(next: PriceSource[]) {
+  sources = next;
+  liveCache.clear();
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median of the fresh quotes after dropping the outliers; pure so it can be checked without network
+export function aggregateQuotes(quotes: PriceQuote[], atMs: number): Omit<OracleReading, 'failed'> {
+  const rejected: OracleReading['rejected'] = [];
+  const fresh = quotes.filter((q) => {
+    if (Math.abs(q.timestamp - atMs) <= MAX_AGE_MS) return true;
+    rejected.push({ ...q, reason: 'stale' });
+    return false;
+  });
+  if (fresh.length === 0) return { quote: null, accepted: [], rejected };
+
+  const mid = median(fresh.map((q) => q.price));
+  const accepted = fresh.filter((q) => {
+    if (Math.abs(q.price - mid) * 10000 <= mid * MAX_DEVIATION_BPS) return true;
+    rejected.push({ ...q, reason: 'outlier' });
+    return false;
+  });
+  if (accepted.length < MIN_SOURCES) return { quote: null, accepted, rejected };
+
+  const quote: PriceQuote = accepted.length === 1
+    ? accepted[0]
+    : {
+        price: median(accepted.map((q) => q.price)),
+        source: `median:${accepted.map((q) => q.source).join(',')}`,
+        timestamp: Math.round(median(accepted.map((q) => q.timestamp))),
+      };
+  return { quote, accepted, rejected };
+}
+
+async function persistReading(symbol: string, reading: OracleReading) {
+  if (!PERSIST) return;
+  const samples = [...reading.accepted, ...reading.rejected].map((q) => ({
+    symbol,
+    price: q.price,
+    timestamp: new Date(q.timestamp),
+    source: q.source,
+  }));
+  if (reading.quote) {
+    samples.push({ symbol, price: reading.quote.price, timestamp: new Date(reading.quote.timestamp), source: 'median' });
+  }
+  if (samples.length === 0) return;
+  try {
+    await prisma.priceSample.createMany({ data: samples });
+  } catch (error) {
+    // Never hold up a price on the sample log
+    console.warn('[oracle] could not save price samples:', (error as Error).message);
+  }
+}
+
+async function read(symbol: string, atMs: number, ask: (source: PriceSource) => Promise<PriceQuote | null>): Promise<OracleReading> {
+  const active = getSources();
+  const results = await Promise.allSettled(active.map(ask));
+  const quotes: PriceQuote[] = [];
+  const failed: string[] = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled' && result.value) quotes.push(result.value);
+    else failed.push(active[i].name);
+  });
+
+  const reading = { ...aggregateQuotes(quotes, atMs), failed };
+  if (!reading.quote) {
+    console.warn(`[oracle] no price for ${symbol} at ${new Date(atMs).toISOString()}: ${reading.accepted.length} accepted, ${reading.rejected.length} rejected, failed: ${failed.join(',') || 'none'}`);
+  }
+  await persistReading(symbol, reading);
+  return reading;
+}
+
+export async function readLivePrice(symbol: string): Promise<OracleReading> {
+  const cached = liveCache.get(symbol);
+  if (cached && Date.now() - cached.at < LIVE_CACHE_MS) return cached.reading;
+  const reading = await read(symbol, Date.now(), (source) => source.live(symbol));
+  liveCache.set(symbol, { reading, at: Date.now() });
+  return reading;
+}
+
+export async function getLivePrice(symbol: string): Promise<PriceQuote | null> {
+  return (await readLivePrice(symbol)).quote;
+}
+
+// Price at a given instant: a live quote when `atMs` is now, otherwise the sources' historical prices.
+// Returns null for future instants or when too few sources agree.
+export async function getPriceAt(symbol: string, atMs: number): Promise<PriceQuote | null> {
+  const now = Date.now();
+  if (atMs > now + LIVE_TOLERANCE_MS) return null;
+  if (Math.abs(now - atMs) <= LIVE_TOLERANCE_MS) return getLivePrice(symbol);
+  return (await read(symbol, atMs, (source) => source.at(symbol, atMs))).quote;
+}
+
+// Candles from the first source that has them, skipping any whose latest close is an outlier
+// against the aggregated live price. Candles are passed through unchanged.
+export async function getCandles(symbol: string, interval: CandleInterval, limit: number): Promise<Candle[]> {
+  const live = await getLivePrice(symbol);
+  for (const source of getSources()) {
+    if (!source.candles) continue;
+    try {
+      const candles = (await source.candles(symbol, interval, limit))?.filter((c) => Number.isFinite(c.close) && c.close > 0);
+      if (!candles || candles.length === 0) continue;
+      const last = candles[candles.length - 1].close;
+      if (live && Math.abs(last - live.price) * 10000 > live.price * MAX_DEVIATION_BPS) {
+        console.warn(`[oracle] ${source.name} ${symbol} ${interval} candles disagree with the live price (${last} vs ${live.price})`);
+        continue;
+      }
+      return candles.slice(-limit);
+    } catch (error) {
+      console.warn(`[oracle] ${source.name} candles failed:`, (error as Error).message);
+    }
+  }
+  return [];
+}
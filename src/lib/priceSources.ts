@@ -0,0 +1,277 @@
+import { readFileSync } from 'node:fs';
+
+// Price source adapters for the server oracle (src/lib/priceOracle.ts).
+// Each adapter answers for the symbols it knows and returns null for the rest; a thrown error counts as a
+// failed source. The fixture source replays prices from a JSON file so the oracle can run offline.
+
+export interface PriceQuote {
+  price: number;
+  source: string;
+  timestamp: number; // ms the price applies to
+}
+
+export interface Candle {
+  time: number; // candle open, seconds
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+export const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400,
+} as const;
+
+export type CandleInterval = keyof typeof CANDLE_INTERVALS;
+
+export interface PriceSource {
+  name: string;
+  live(symbol: string): Promise<PriceQuote | null>;
+  // Price at a past instant; the quote's timestamp says how close to `atMs` it really is
+  at(symbol: string, atMs: number): Promise<PriceQuote | null>;
+  candles?(symbol: string, interval: CandleInterval, limit: number): Promise<Candle[] | null>;
+}
+
+const REQUEST_TIMEOUT_MS = 3000;
+
+async function fetchJson(url: string, init?: RequestInit): Promise<unknown> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal, cache: 'no-store' });
+    if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function toQuote(value: unknown, source: string, timestamp: number): PriceQuote | null {
+  const price = typeof value === 'string' ? parseFloat(value) : Number(value);
+  if (!Number.isFinite(price) || price <= 0) return null;
+  return { price, source, timestamp };
+}
+
+// Base asset of a USDT-quoted market symbol, e.g. ETHUSDT -> ETH
+function baseAsset(symbol: string): string | null {
+  return symbol.endsWith('USDT') ? symbol.slice(0, -4) : null;
+}
+
+const HYPERLIQUID_INFO_URL = 'https://api.hyperliquid.xyz/info';
+
+async function hyperliquidInfo(body: object): Promise<unknown> {
+  return fetchJson(HYPERLIQUID_INFO_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+async function hyperliquidCandles(coin: string, interval: CandleInterval, startTime: number, endTime: number) {
+  const rows = await hyperliquidInfo({ type: 'candleSnapshot', req: { coin, interval, startTime, endTime } });
+  if (!Array.isArray(rows)) return [];
+  return (rows as Array<{ t: number; o: string; h: string; l: string; c: string; v: string }>).map((c) => ({
+    time: Math.floor(c.t / 1000),
+    open: parseFloat(c.o),
+    high: parseFloat(c.h),
+    low: parseFloat(c.l),
+    close: parseFloat(c.c),
+    volume: parseFloat(c.v),
+  }));
+}
+
+export const hyperliquidSource: PriceSource = {
+  name: 'hyperliquid',
+  async live(symbol) {
+    const coin = baseAsset(symbol);
+    if (!coin) return null;
+    const mids = await hyperliquidInfo({ type: 'allMids' }) as Record<string, string>;
+    return toQuote(mids?.[coin], 'hyperliquid', Date.now());
+  },
+  // Open of the 1m candle starting at `atMs`; only exact for minute-aligned times
+  async at(symbol, atMs) {
+    const coin = baseAsset(symbol);
+    if (!coin) return null;
+    const minute = Math.floor(atMs / 60_000) * 60_000;
+    const candle = (await hyperliquidCandles(coin, '1m', minute, minute + 60_000)).find((c) => c.time * 1000 === minute);
+    return candle ? toQuote(candle.open, 'hyperliquid:1m', minute) : null;
+  },
+  async candles(symbol, interval, limit) {
+    const coin = baseAsset(symbol);
+    if (!coin) return null;
+    const endTime = Date.now();
+    return hyperliquidCandles(coin, interval, endTime - CANDLE_INTERVALS[interval] * 1000 * limit, endTime);
+  },
+};
+
+const BINANCE_API_URL = 'https://api.binance.com/api/v3';
+
+export const binanceSource: PriceSource = {
+  name: 'binance',
+  async live(symbol) {
+    const ticker = await fetchJson(`${BINANCE_API_URL}/ticker/price?symbol=${symbol}`) as { price?: string };
+    return toQuote(ticker?.price, 'binance', Date.now());
+  },
+  // Open of the 1s kline starting at `atMs`, i.e. the traded price at that second
+  async at(symbol, atMs) {
+    const startTime = Math.floor(atMs / 1000) * 1000;
+    const klines = await fetchJson(
+      `${BINANCE_API_URL}/klines?symbol=${symbol}&interval=1s&startTime=${startTime}&limit=1`
+    ) as Array<[number, string]>;
+    const kline = klines?.[0];
+    if (!kline || kline[0] !== startTime) return null;
+    return toQuote(kline[1], 'binance:1s', startTime);
+  },
+  async candles(symbol, interval, limit) {
+    const klines = await fetchJson(
+      `${BINANCE_API_URL}/klines?symbol=${symbol}&interval=${interval}&limit=${Math.min(limit, 1000)}`
+    ) as Array<[number, string, string, string, string, string]>;
+    if (!Array.isArray(klines)) return null;
+    return klines.map((k) => ({
+      time: Math.floor(k[0] / 1000),
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[5]),
+    }));
+  },
+};
+
+const CRYPTOCOMPARE_API_URL = 'https://min-api.cryptocompare.com/data';
+
+// histo endpoint and aggregate for each candle interval
+const cryptoCompareHisto: Record<CandleInterval, [string, number]> = {
+  '1m': ['histominute', 1],
+  '5m': ['histominute', 5],
+  '15m': ['histominute', 15],
+  '1h': ['histohour', 1],
+  '4h': ['histohour', 4],
+  '1d': ['histoday', 1],
+};
+
+type CryptoCompareRow = { time: number; open: number; high: number; low: number; close: number; volumeto: number };
+
+export const cryptoCompareSource: PriceSource = {
+  name: 'cryptocompare',
+  async live(symbol) {
+    const fsym = baseAsset(symbol);
+    if (!fsym) return null;
+    const data = await fetchJson(`${CRYPTOCOMPARE_API_URL}/price?fsym=${fsym}&tsyms=USD`) as { USD?: number };
+    return toQuote(data?.USD, 'cryptocompare', Date.now());
+  },
+  // Open of the minute starting at `atMs`
+  async at(symbol, atMs) {
+    const fsym = baseAsset(symbol);
+    if (!fsym) return null;
+    const minute = Math.floor(atMs / 60_000) * 60;
+    const data = await fetchJson(
+      `${CRYPTOCOMPARE_API_URL}/v2/histominute?fsym=${fsym}&tsym=USD&limit=1&toTs=${minute}`
+    ) as { Data?: { Data?: CryptoCompareRow[] } };
+    const row = data?.Data?.Data?.find((r) => r.time === minute);
+    return row ? toQuote(row.open, 'cryptocompare:1m', minute * 1000) : null;
+  },
+  async candles(symbol, interval, limit) {
+    const fsym = baseAsset(symbol);
+    if (!fsym) return null;
+    const [endpoint, aggregate] = cryptoCompareHisto[interval];
+    const data = await fetchJson(
+      `${CRYPTOCOMPARE_API_URL}/v2/${endpoint}?fsym=${fsym}&tsym=USD&limit=${Math.min(limit, 2000)}&aggregate=${aggregate}`
+    ) as { Data?: { Data?: CryptoCompareRow[] } };
+    const rows = data?.Data?.Data;
+    if (!Array.isArray(rows)) return null;
+    return rows.map((r) => ({ time: r.time, open: r.open, high: r.high, low: r.low, close: r.close, volume: r.volumeto }));
+  },
+};
+
+const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3';
+const coinGeckoIds: Record<string, string> = {
+  ETHUSDT: 'ethereum',
+  HYPEUSDT: 'hyperliquid',
+};
+
+// CoinGecko updates every minute or so, so its quotes are often too old for the oracle's age limit;
+// it mainly serves as a cross-check when the exchanges disagree.
+export const coinGeckoSource: PriceSource = {
+  name: 'coingecko',
+  async live(symbol) {
+    const id = coinGeckoIds[symbol];
+    if (!id) return null;
+    const data = await fetchJson(
+      `${COINGECKO_API_URL}/simple/price?ids=${id}&vs_currencies=usd&include_last_updated_at=true`
+    ) as Record<string, { usd?: number; last_updated_at?: number }>;
+    const entry = data?.[id];
+    return entry?.last_updated_at ? toQuote(entry.usd, 'coingecko', entry.last_updated_at * 1000) : null;
+  },
+  // Nearest point of the market chart around `atMs`
+  async at(symbol, atMs) {
+    const id = coinGeckoIds[symbol];
+    if (!id) return null;
+    const from = Math.floor(atMs / 1000) - 300;
+    const data = await fetchJson(
+      `${COINGECKO_API_URL}/coins/${id}/market_chart/range?vs_currency=usd&from=${from}&to=${from + 600}`
+    ) as { prices?: Array<[number, number]> };
+    const points = data?.prices ?? [];
+    if (points.length === 0) return null;
+    const nearest = points.reduce((best, p) => (Math.abs(p[0] - atMs) < Math.abs(best[0] - atMs) ? p : best));
+    return toQuote(nearest[1], 'coingecko', nearest[0]);
+  },
+};
+
+// Fixture source: { "ETHUSDT": [[timestampMs, price], ...] }. A fixture price holds until the next point.
+export function createFixtureSource(points: Record<string, Array<[number, number]>>): PriceSource {
+  const series = Object.fromEntries(
+    Object.entries(points).map(([symbol, rows]) => [symbol, [...rows].sort((a, b) => a[0] - b[0])])
+  );
+  const priceAt = (symbol: string, atMs: number) => {
+    const rows = series[symbol] ?? [];
+    let price: number | null = null;
+    for (const [ts, p] of rows) {
+      if (ts > atMs) break;
+      price = p;
+    }
+    return price;
+  };
+
+  return {
+    name: 'fixture',
+    async live(symbol) {
+      const now = Date.now();
+      const price = priceAt(symbol, now);
+      return price === null ? null : { price, source: 'fixture', timestamp: now };
+    },
+    async at(symbol, atMs) {
+      const price = priceAt(symbol, atMs);
+      return price === null ? null : { price, source: 'fixture', timestamp: atMs };
+    },
+    async candles(symbol, interval, limit) {
+      const step = CANDLE_INTERVALS[interval];
+      const rows = series[symbol] ?? [];
+      const buckets = new Map<number, Candle>();
+      for (const [ts, price] of rows) {
+        const time = Math.floor(ts / 1000 / step) * step;
+        const candle = buckets.get(time);
+        if (!candle) buckets.set(time, { time, open: price, high: price, low: price, close: price, volume: 0 });
+        else Object.assign(candle, { high: Math.max(candle.high, price), low: Math.min(candle.low, price), close: price });
+      }
+      return [...buckets.values()].slice(-limit);
+    },
+  };
+}
+
+export function fixtureSourceFromFile(path: string): PriceSource {
+  return createFixtureSource(JSON.parse(readFileSync(path, 'utf8')));
+}
+
+export const LIVE_SOURCES: Record<string, PriceSource> = {
+  hyperliquid: hyperliquidSource,
+  binance: binanceSource,
+  cryptocompare: cryptoCompareSource,
+  coingecko: coinGeckoSource,
+};
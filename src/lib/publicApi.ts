@@ -0,0 +1,254 @@
+import { NextRequest, NextResponse } from 'next/server';
+import {
+  API_KEY_HEADER,
+  ApiCaller,
+  ApiScope,
+  authenticateApiKey,
+  beginIdempotentRequest,
+  consumeRateLimit,
+  finishIdempotentRequest,
+  IdempotencyClaim,
+  RateLimitState,
+} from './apiKeys';
+
+// Public API plumbing. Each /api/v1 endpoint is declared once as an ApiRoute: its parameters and body as
+// JSON Schema, the scope it needs and its handler. defineApiRoute turns a declaration into a Next.js route
+// handler (key check, rate limit, validation, Idempotency-Key), and openApiDocument turns the same
+// declarations into the spec served at /api/v1/openapi.json, so the two cannot drift apart.
+
+export const API_VERSION = '1';
+export const API_BASE_PATH = '/api/v1';
+
+export interface JsonSchema {
+  type?: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array';
+  description?: string;
+  enum?: readonly (string | number)[];
+  minimum?: number;
+  maximum?: number;
+  format?: string;
+  example?: unknown;
+  nullable?: boolean;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  additionalProperties?: JsonSchema | boolean;
+}
+
+export interface ApiParam {
+  name: string;
+  in: 'query' | 'path';
+  required?: boolean;
+  description?: string;
+  schema: JsonSchema;
+}
+
+export interface ApiContext {
+  caller: ApiCaller;
+  params: Record<string, unknown>; // query and path parameters, coerced to their schema types
+  body: Record<string, unknown>;
+}
+
+export interface ApiRoute {
+  method: 'GET' | 'POST';
+  path: string; // under /api/v1, OpenAPI style: /rounds/{id}
+  operationId: string;
+  summary: string;
+  description?: string;
+  tag: string;
+  scope: ApiScope;
+  params?: ApiParam[];
+  body?: JsonSchema;
+  response: JsonSchema;
+  idempotent?: boolean; // honours an Idempotency-Key header
+  handler: (ctx: ApiContext) => Promise<unknown>;
+}
+
+export class PublicApiError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'PublicApiError';
+  }
+}
+
+function coerce(value: string, schema: JsonSchema, name: string): unknown {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+      throw new PublicApiError(`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    return number;
+  }
+  if (schema.type === 'boolean') {
+    if (value !== 'true' && value !== 'false') throw new PublicApiError(`${name} must be true or false`);
+    return value === 'true';
+  }
+  return value;
+}
+
+// Checks the subset of JSON Schema the routes use: types, enums, bounds and required properties
+function check(value: unknown, schema: JsonSchema, name: string) {
+  if (value === undefined || value === null) return;
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  const expected = schema.type === 'integer' ? 'number' : schema.type;
+  if (expected && type !== expected) throw new PublicApiError(`${name} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`);
+  if (schema.type === 'integer' && !Number.isInteger(value)) throw new PublicApiError(`${name} must be an integer`);
+  if (schema.enum && !schema.enum.includes(value as string | number)) throw new PublicApiError(`${name} must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) throw new PublicApiError(`${name} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) throw new PublicApiError(`${name} must be at most ${schema.maximum}`);
+  }
+  if (schema.type === 'object' && schema.properties) {
+    const object = value as Record<string, unknown>;
+    for (const field of schema.required ?? []) {
+      if (object[field] === undefined || object[field] === null) throw new PublicApiError(`${field} is required`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties)) check(object[field], fieldSchema, field);
+  }
+}
+
+function parseParams(route: ApiRoute, req: NextRequest, pathParams: Record<string, string>) {
+  const params: Record<string, unknown> = {};
+  for (const param of route.params ?? []) {
+    const raw = param.in === 'path' ? pathParams[param.name] : req.nextUrl.searchParams.get(param.name);
+    if (raw === null || raw === undefined || raw === '') {
+      if (param.required) throw new PublicApiError(`${param.name} is required`);
+      continue;
+    }
+    params[param.name] = coerce(raw, param.schema, param.name);
+    check(params[param.name], param.schema, param.name);
+  }
+  return params;
+}
+
+function rateLimitHeaders(state: RateLimitState): Record<string, string> {
+  return {
+    'X-RateLimit-Limit': String(state.limit),
+    'X-RateLimit-Remaining': String(state.remaining),
+    'X-RateLimit-Reset': String(state.resetAt),
+  };
+}
+
+function errorStatus(error: unknown) {
+  const status = (error as { status?: unknown }).status;
+  return typeof status === 'number' && status >= 400 && status < 600 ? status : 500;
+}
+
+// The Next.js handler for a declared route
+export function defineApiRoute(route: ApiRoute) {
+  return async (req: NextRequest, context?: { params: Promise<Record<string, string>> }) => {
+    const caller = await authenticateApiKey(req.headers.get(API_KEY_HEADER));
+    if (!caller) return NextResponse.json({ error: `Missing or invalid API key (send it in the ${API_KEY_HEADER} header)` }, { status: 401 });
+    const limit = await consumeRateLimit(caller);
+    const headers: Record<string, string> = { ...rateLimitHeaders(limit), 'Cache-Control': 'private, no-store' };
+    if (!limit.allowed) {
+      headers['Retry-After'] = String(Math.max(1, Math.ceil(limit.resetAt - Date.now() / 1000)));
+      return NextResponse.json({ error: `Rate limit of ${limit.limit} requests per minute exceeded` }, { status: 429, headers });
+    }
+    if (!caller.scopes.includes(route.scope)) {
+      return NextResponse.json({ error: `This API key lacks the '${route.scope}' scope` }, { status: 403, headers });
+    }
+
+    let text = '';
+    let body: Record<string, unknown> = {};
+    try {
+      if (route.body) {
+        text = await req.text();
+        body = text ? JSON.parse(text) : {};
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new PublicApiError('Body must be a JSON object');
+      }
+    } catch (error) {
+      return NextResponse.json({ error: error instanceof PublicApiError ? error.message : 'Invalid JSON in request body' }, { status: 400, headers });
+    }
+
+    const idempotencyKey = route.idempotent ? req.headers.get('idempotency-key') : null;
+    let claim: IdempotencyClaim | null = null;
+    if (idempotencyKey) {
+      const started = await beginIdempotentRequest(caller, idempotencyKey, { method: route.method, path: req.nextUrl.pathname, body: text });
+      if (started.state === 'replay') {
+        return NextResponse.json(started.body, { status: started.status, headers: { ...headers, 'Idempotent-Replayed': 'true' } });
+      }
+      if (started.state === 'conflict') return NextResponse.json({ error: started.error }, { status: started.status, headers });
+      claim = started.claim;
+    }
+
+    let status = 200;
+    let result: unknown;
+    try {
+      const params = parseParams(route, req, (await context?.params) ?? {});
+      if (route.body) check(body, route.body, 'body');
+      result = await route.handler({ caller, params, body });
+    } catch (error) {
+      status = errorStatus(error);
+      if (status >= 500) console.error(`[api] ${route.method} ${route.path} failed:`, error);
+      result = { error: status >= 500 ? 'Internal error' : (error as Error).message };
+    }
+    if (claim !== null) await finishIdempotentRequest(claim, status, result);
+    return NextResponse.json(result, { status, headers });
+  };
+}
+
+const ERROR_RESPONSE = { $ref: '#/components/responses/Error' };
+
+// OpenAPI 3.0 document for `routes`
+export function openApiDocument(routes: ApiRoute[]) {
+  const paths: Record<string, Record<string, unknown>> = {};
+  for (const route of routes) {
+    const parameters: unknown[] = (route.params ?? []).map((p) => ({
+      name: p.name,
+      in: p.in,
+      required: p.in === 'path' ? true : Boolean(p.required),
+      ...(p.description ? { description: p.description } : {}),
+      schema: p.schema,
+    }));
+    if (route.idempotent) {
+      parameters.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Retries with the same key within 24h get the first response back (with Idempotent-Replayed: true) instead of running again',
+        schema: { type: 'string', maxLength: 255 },
+      });
+    }
+    paths[route.path] = {
+      ...paths[route.path],
+      [route.method.toLowerCase()]: {
+        operationId: route.operationId,
+        summary: route.summary,
+        ...(route.description ? { description: route.description } : {}),
+        tags: [route.tag],
+        security: [{ apiKey: [] }],
+        'x-required-scope': route.scope,
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(route.body ? { requestBody: { required: true, content: { 'application/json': { schema: route.body } } } } : {}),
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: route.response } } },
+          400: ERROR_RESPONSE,
+          401: ERROR_RESPONSE,
+          403: ERROR_RESPONSE,
+          ...(route.method === 'POST' ? { 409: ERROR_RESPONSE, 422: ERROR_RESPONSE } : {}),
+          429: ERROR_RESPONSE,
+        },
+      },
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Kairos API',
+      version: API_VERSION,
+      description: 'Programmatic access for players. Create keys on your profile page; every request counts against the key\'s per-minute rate limit, reported in the X-RateLimit-* headers. Amounts are strings in base units of their asset unless stated otherwise.',
+    },
+    servers: [{ url: API_BASE_PATH }],
+    components: {
+      securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+      responses: {
+        Error: {
+          description: 'The request was rejected',
+          content: { 'application/json': { schema: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] } } },
+        },
+      },
+    },
+    paths,
+  };
+}
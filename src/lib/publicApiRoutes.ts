@@ -0,0 +1,274 @@
+import { prisma } from './prisma';
+import { ApiRoute, JsonSchema, PublicApiError } from './publicApi';
+import { placeBet } from './bets';
+import { getRoundStats } from './roundSettlement';
+import { getBetHistory, BET_OUTCOMES, MAX_HISTORY_PAGE_SIZE } from './betHistory';
+import { ALL_MARKETS, betCutoffSeconds, MARKET_ASSETS, parseMarket, roundStartFor } from './markets';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET } from './assets';
+
+// The /api/v1 endpoints. Route files only export these handlers; /api/v1/openapi.json documents them.
+
+const SYMBOL: JsonSchema = { type: 'string', enum: Object.values(MARKET_ASSETS), example: 'ETHUSDT' };
+const TIMEFRAME: JsonSchema = { type: 'integer', enum: [...new Set(ALL_MARKETS.map((m) => m.timeframe))], description: 'Round length in seconds', example: 60 };
+const ASSET: JsonSchema = { type: 'string', enum: COLLATERAL_ASSETS.map((a) => a.symbol), description: `Collateral asset (default ${DEFAULT_ASSET})` };
+const SIDE: JsonSchema = { type: 'string', enum: ['up', 'down'] };
+const BASE_UNITS: JsonSchema = { type: 'string', description: 'Integer amount in base units of the asset', example: '10000000000000000' };
+const SECONDS: JsonSchema = { type: 'integer', description: 'Unix time in seconds' };
+
+const ROUND: JsonSchema = {
+  type: 'object',
+  properties: {
+    roundId: { type: 'integer', nullable: true, description: 'null until the first bet creates the round' },
+    symbol: SYMBOL,
+    timeframe: TIMEFRAME,
+    startAt: SECONDS,
+    lockAt: { ...SECONDS, description: 'Bets are refused from this instant' },
+    endAt: SECONDS,
+    status: { type: 'string', enum: ['open', 'resolved', 'void'] },
+    payoutMode: { type: 'string', enum: ['fixed', 'parimutuel'] },
+    feeBps: { type: 'integer', description: 'House fee on winning payouts' },
+    asset: ASSET,
+    upPool: BASE_UNITS,
+    downPool: BASE_UNITS,
+    upBets: { type: 'integer' },
+    downBets: { type: 'integer' },
+    upMultiplier: { type: 'number', nullable: true, description: 'Payout per unit staked on up, after the fee, if it won now' },
+    downMultiplier: { type: 'number', nullable: true },
+  },
+};
+
+const SETTLED_ROUND: JsonSchema = {
+  type: 'object',
+  properties: {
+    roundId: { type: 'integer' },
+    symbol: SYMBOL,
+    timeframe: TIMEFRAME,
+    startAt: SECONDS,
+    endAt: SECONDS,
+    status: { type: 'string', enum: ['open', 'resolved', 'void'] },
+    startPrice: { type: 'number', nullable: true },
+    endPrice: { type: 'number', nullable: true },
+    winningSide: { ...SIDE, nullable: true },
+    voidReason: { type: 'string', nullable: true, enum: ['tie', 'one_sided', 'stale_price', 'price_unavailable', 'operator'] },
+    payoutMode: { type: 'string', enum: ['fixed', 'parimutuel'] },
+    feeBps: { type: 'integer' },
+  },
+};
+
+const BET: JsonSchema = {
+  type: 'object',
+  properties: {
+    betId: { type: 'integer' },
+    roundId: { type: 'integer' },
+    symbol: SYMBOL,
+    timeframe: TIMEFRAME,
+    side: SIDE,
+    asset: ASSET,
+    stake: BASE_UNITS,
+    entryPrice: { type: 'number', nullable: true },
+    exitPrice: { type: 'number', nullable: true },
+    outcome: { type: 'string', enum: BET_OUTCOMES },
+    payout: { ...BASE_UNITS, description: 'Credited back for the bet: the net payout on a win, the stake on a refund' },
+    points: { type: 'string', description: '$Kairos points the bet earned, in wei' },
+    refundReason: { type: 'string', nullable: true },
+    planId: { type: 'integer', nullable: true, description: 'Auto-bet plan that placed the bet' },
+    placedAt: { type: 'string', format: 'date-time' },
+    roundStart: { type: 'string', format: 'date-time' },
+    roundEnd: { type: 'string', format: 'date-time' },
+  },
+};
+
+function requireMarket(symbol: unknown, timeframe: unknown) {
+  const market = parseMarket(symbol, timeframe);
+  if (!market) throw new PublicApiError(`Unknown market ${symbol} ${timeframe}`);
+  return market;
+}
+
+const getBalances: ApiRoute = {
+  method: 'GET',
+  path: '/balances',
+  operationId: 'getBalances',
+  summary: 'Balances in every collateral asset',
+  tag: 'Account',
+  scope: 'read',
+  response: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      points: { type: 'string', description: '$Kairos points, in wei' },
+      balances: {
+        type: 'array',
+        items: { type: 'object', properties: { asset: ASSET, available: BASE_UNITS, locked: { ...BASE_UNITS, description: 'Staked in open rounds' } } },
+      },
+    },
+  },
+  async handler({ caller }) {
+    const player = await prisma.player.findUniqueOrThrow({
+      where: { id: caller.playerId },
+      select: { points: true, balances: { select: { asset: true, available: true, locked: true } } },
+    });
+    return {
+      address: caller.address,
+      points: player.points.toString(),
+      balances: COLLATERAL_ASSETS.map(({ symbol }) => {
+        const row = player.balances.find((b) => b.asset === symbol);
+        return { asset: symbol, available: (row?.available ?? BigInt(0)).toString(), locked: (row?.locked ?? BigInt(0)).toString() };
+      }),
+    };
+  },
+};
+
+const getCurrentRound: ApiRoute = {
+  method: 'GET',
+  path: '/rounds/current',
+  operationId: 'getCurrentRound',
+  summary: 'The round of a market running now, or at roundStart, with its live pools',
+  tag: 'Rounds',
+  scope: 'read',
+  params: [
+    { name: 'symbol', in: 'query', required: true, schema: SYMBOL },
+    { name: 'timeframe', in: 'query', required: true, schema: TIMEFRAME },
+    { name: 'roundStart', in: 'query', description: 'Start of another round, in seconds', schema: SECONDS },
+    { name: 'asset', in: 'query', description: 'Asset whose pools to report', schema: ASSET },
+  ],
+  response: ROUND,
+  async handler({ params }) {
+    const market = requireMarket(params.symbol, params.timeframe);
+    const roundStart = (params.roundStart as number | undefined) ?? roundStartFor(market.timeframe);
+    if (roundStart % market.timeframe !== 0) throw new PublicApiError(`roundStart is not aligned to ${market.timeframe}s rounds`);
+    const stats = await getRoundStats(market, roundStart, (params.asset as string | undefined) ?? DEFAULT_ASSET);
+    const endAt = roundStart + market.timeframe;
+    return { ...stats, lockAt: endAt - betCutoffSeconds(market.timeframe), endAt };
+  },
+};
+
+const getRound: ApiRoute = {
+  method: 'GET',
+  path: '/rounds/{id}',
+  operationId: 'getRound',
+  summary: 'A round by id: its prices and outcome once settled',
+  tag: 'Rounds',
+  scope: 'read',
+  params: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+  response: SETTLED_ROUND,
+  async handler({ params }) {
+    const round = await prisma.round.findUnique({ where: { id: params.id as number } });
+    if (!round) throw new PublicApiError('Round not found', 404);
+    return {
+      roundId: round.id,
+      symbol: round.symbol,
+      timeframe: round.timeframe,
+      startAt: round.startAt.getTime() / 1000,
+      endAt: round.endAt.getTime() / 1000,
+      status: round.status,
+      startPrice: round.startPrice,
+      endPrice: round.endPrice,
+      winningSide: round.winningSide,
+      voidReason: round.voidReason,
+      payoutMode: round.payoutMode,
+      feeBps: round.feeBps,
+    };
+  },
+};
+
+const listBets: ApiRoute = {
+  method: 'GET',
+  path: '/bets',
+  operationId: 'listBets',
+  summary: 'Bet history, newest first',
+  tag: 'Bets',
+  scope: 'read',
+  params: [
+    { name: 'symbol', in: 'query', schema: SYMBOL },
+    { name: 'timeframe', in: 'query', schema: TIMEFRAME },
+    { name: 'outcome', in: 'query', schema: { type: 'string', enum: BET_OUTCOMES } },
+    { name: 'from', in: 'query', description: 'Placed at or after (ISO date-time)', schema: { type: 'string', format: 'date-time' } },
+    { name: 'to', in: 'query', description: 'Placed before (ISO date-time)', schema: { type: 'string', format: 'date-time' } },
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+    { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_HISTORY_PAGE_SIZE } },
+  ],
+  response: {
+    type: 'object',
+    properties: { page: { type: 'integer' }, pageSize: { type: 'integer' }, total: { type: 'integer' }, items: { type: 'array', items: BET } },
+  },
+  async handler({ caller, params }) {
+    const date = (name: 'from' | 'to') => {
+      if (params[name] === undefined) return null;
+      const value = new Date(params[name] as string);
+      if (isNaN(value.getTime())) throw new PublicApiError(`${name} must be an ISO date-time`);
+      return value;
+    };
+    return getBetHistory({
+      address: caller.address,
+      symbol: (params.symbol as string | undefined) ?? null,
+      timeframe: (params.timeframe as number | undefined) ?? null,
+      outcome: (params.outcome as (typeof BET_OUTCOMES)[number] | undefined) ?? null,
+      from: date('from'),
+      to: date('to'),
+      page: (params.page as number | undefined) ?? 1,
+      pageSize: (params.pageSize as number | undefined) ?? 20,
+    });
+  },
+};
+
+const createBet: ApiRoute = {
+  method: 'POST',
+  path: '/bets',
+  operationId: 'createBet',
+  summary: 'Place a bet',
+  description: 'One bet per player and round. Send an Idempotency-Key to retry safely: a retry gets the original result instead of "You already have a bet in round".',
+  tag: 'Bets',
+  scope: 'trade',
+  idempotent: true,
+  body: {
+    type: 'object',
+    required: ['symbol', 'timeframe', 'side', 'amount'],
+    properties: {
+      symbol: SYMBOL,
+      timeframe: TIMEFRAME,
+      side: SIDE,
+      amount: { type: 'string', description: 'Decimal amount in whole units of the asset', example: '0.01' },
+      asset: ASSET,
+      roundStart: { ...SECONDS, description: 'Round to bet on (default: the round running now)' },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      betId: { type: 'integer' },
+      roundId: { type: 'integer' },
+      symbol: SYMBOL,
+      timeframe: TIMEFRAME,
+      roundStart: SECONDS,
+      side: SIDE,
+      asset: ASSET,
+      stake: BASE_UNITS,
+      points: { type: 'string', description: '$Kairos points awarded for the stake, in wei' },
+    },
+  },
+  async handler({ caller, body }) {
+    const market = requireMarket(body.symbol, body.timeframe);
+    const roundStart = (body.roundStart as number | undefined) ?? roundStartFor(market.timeframe);
+    const bet = await placeBet(caller.address, {
+      amount: body.amount,
+      side: body.side,
+      symbol: market.symbol,
+      timeframe: market.timeframe,
+      roundStart,
+      asset: body.asset,
+    });
+    return {
+      betId: bet.betId,
+      roundId: bet.roundId,
+      symbol: market.symbol,
+      timeframe: market.timeframe,
+      roundStart,
+      side: bet.side,
+      asset: bet.asset,
+      stake: bet.stake.toString(),
+      points: bet.points.toString(),
+    };
+  },
+};
+
+export const v1Routes = { getBalances, getCurrentRound, getRound, listBets, createBet };
@@ -0,0 +1,120 @@
+import { prisma } from './prisma';
+import { getVaultBalance } from './vaultDeposits';
+import { EQUITY_ACCOUNTS, LIABILITY_ACCOUNTS, LedgerAccount } from './ledger';
+import { COLLATERAL_ASSETS, DEFAULT_ASSET } from './assets';
+
+// Proves solvency: compares what the ledger says the vault holds, and what it owes players,
+// with the vault's on-chain balance. Also checks the ledger against itself — every transfer
+// balances and every Balance row equals the replay of its player's entries.
+// Each asset is reconciled on its own, against the vault's holdings of that asset.
+
+const MAX_LISTED = 20;
+
+export interface ReconciliationReport {
+  id: number | null; // ReconciliationRun id when persisted
+  asset: string; // amounts below are in its base units
+  vaultAddress: string;
+  vaultBalance: string; // on-chain
+  bookVault: string; // what the ledger says the vault holds
+  drift: string; // vaultBalance - bookVault; non-zero means the books and the chain disagree
+  liabilities: string; // owed to players
+  houseEquity: string;
+  accounts: Record<string, string>;
+  solvent: boolean; // vaultBalance covers liabilities
+  unbalancedTransfers: number[];
+  balanceMismatches: { playerId: number; available: string; locked: string; ledgerAvailable: string; ledgerLocked: string }[];
+  ok: boolean;
+}
+
+interface MismatchRow {
+  playerId: number;
+  available: bigint;
+  locked: bigint;
+  ledgerAvailable: bigint;
+  ledgerLocked: bigint;
+}
+
+export async function reconcileLedger(
+  { persist = true, asset = DEFAULT_ASSET }: { persist?: boolean; asset?: string } = {}
+): Promise<ReconciliationReport> {
+  const [totals, unbalanced, mismatches, vault] = await Promise.all([
+    prisma.ledgerEntry.groupBy({ by: ['account'], where: { asset }, _sum: { amount: true } }),
+    prisma.$queryRaw<{ transferId: number }[]>`
+      SELECT "transferId" FROM "LedgerEntry"
+      WHERE "asset" = ${asset}
+      GROUP BY "transferId"
+      HAVING SUM("amount") <> 0
+      ORDER BY "transferId"`,
+    prisma.$queryRaw<MismatchRow[]>`
+      SELECT b."playerId", b."available", b."locked",
+        COALESCE(SUM(e."amount") FILTER (WHERE e."account" = 'player_available'), 0)::bigint AS "ledgerAvailable",
+        COALESCE(SUM(e."amount") FILTER (WHERE e."account" = 'player_locked'), 0)::bigint AS "ledgerLocked"
+      FROM "Balance" b
+      LEFT JOIN "LedgerEntry" e ON e."playerId" = b."playerId" AND e."asset" = b."asset"
+      WHERE b."asset" = ${asset}
+      GROUP BY b."playerId", b."available", b."locked"
+      HAVING b."available" <> COALESCE(SUM(e."amount") FILTER (WHERE e."account" = 'player_available'), 0)
+        OR b."locked" <> COALESCE(SUM(e."amount") FILTER (WHERE e."account" = 'player_locked'), 0)
+      ORDER BY b."playerId"`,
+    getVaultBalance(asset),
+  ]);
+
+  const account = (name: LedgerAccount) => totals.find((t) => t.account === name)?._sum.amount ?? BigInt(0);
+  const sum = (names: LedgerAccount[]) => names.reduce((total, name) => total + account(name), BigInt(0));
+  const bookVault = -account('vault');
+  const liabilities = sum(LIABILITY_ACCOUNTS);
+  const houseEquity = sum(EQUITY_ACCOUNTS);
+  const drift = vault.balance - bookVault;
+  const solvent = vault.balance >= liabilities;
+
+  let id: number | null = null;
+  if (persist) {
+    const run = await prisma.reconciliationRun.create({
+      data: {
+        asset,
+        vaultBalance: vault.balance,
+        bookVault,
+        liabilities,
+        houseEquity,
+        drift,
+        unbalancedCount: unbalanced.length,
+        balanceMismatches: mismatches.length,
+        solvent,
+      },
+    });
+    id = run.id;
+  }
+
+  const report: ReconciliationReport = {
+    id,
+    asset,
+    vaultAddress: vault.vaultAddress,
+    vaultBalance: vault.balance.toString(),
+    bookVault: bookVault.toString(),
+    drift: drift.toString(),
+    liabilities: liabilities.toString(),
+    houseEquity: houseEquity.toString(),
+    accounts: Object.fromEntries(totals.map((t) => [t.account, (t._sum.amount ?? BigInt(0)).toString()])),
+    solvent,
+    unbalancedTransfers: unbalanced.slice(0, MAX_LISTED).map((r) => r.transferId),
+    balanceMismatches: mismatches.slice(0, MAX_LISTED).map((m) => ({
+      playerId: m.playerId,
+      available: m.available.toString(),
+      locked: m.locked.toString(),
+      ledgerAvailable: m.ledgerAvailable.toString(),
+      ledgerLocked: m.ledgerLocked.toString(),
+    })),
+    ok: drift === BigInt(0) && solvent && unbalanced.length === 0 && mismatches.length === 0,
+  };
+
+  const log = report.ok ? console.log : console.warn;
+  log(`[reconcile] ${asset}: vault ${report.vaultBalance}, book ${report.bookVault}, drift ${report.drift}, liabilities ${report.liabilities}, solvent: ${solvent}, unbalanced: ${unbalanced.length}, mismatched balances: ${mismatches.length}`);
+  return report;
+}
+
+// reconcileLedger for every enabled asset
+export async function reconcileAllAssets({ persist = true }: { persist?: boolean } = {}) {
+  const reports: ReconciliationReport[] = [];
+  for (const { symbol } of COLLATERAL_ASSETS) reports.push(await reconcileLedger({ persist, asset: symbol }));
+  return { ok: reports.every((r) => r.ok), reports };
+}
@@ -0,0 +1,215 @@
+import { randomInt } from 'crypto';
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { postTransfer, referralRewardLines } from './ledger';
+
+// Referrals. Every player can share a code (/?ref=CODE); a new player who arrives with one is attributed to
+// its owner when they first sign in, deposit or enter it on their profile, and never after their first
+// deposit. From then on the referrer is credited REFERRAL_FEE_SHARE_BPS of every fee the house takes on the
+// referee's winning bets, as a `referral_reward` transfer out of house_fees.
+// Abuse guards: no self-referral, attribution is final, cycles (A invites B invites A) are refused, and only
+// the direct referrer earns — a referee's own invitees never pay anything up the chain.
+
+const BPS = BigInt(10000);
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 8;
+const REFERRAL_LOCK_KEY = 7_316_003;
+const MAX_INVITEES = 500;
+
+export class ReferralError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'ReferralError';
+  }
+}
+
+// Share of the fee on a referee's winning bet, in basis points (default 20%; 0 turns rewards off)
+export function referralShareBps(): number {
+  const bps = Number(process.env.REFERRAL_FEE_SHARE_BPS ?? 2000);
+  return Number.isInteger(bps) && bps >= 0 && bps <= 10000 ? bps : 2000;
+}
+
+// Codes are case-insensitive; anything that cannot be a code is null
+export function normalizeReferralCode(input: unknown): string | null {
+  if (typeof input !== 'string') return null;
+  const code = input.trim().toUpperCase();
+  return code.length === CODE_LENGTH && [...code].every((c) => CODE_ALPHABET.includes(c)) ? code : null;
+}
+
+function isUniqueViolation(error: unknown) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002';
+}
+
+// The player's code, created on first use
+export async function getReferralCode(playerId: number): Promise<string> {
+  for (let attempt = 0; ; attempt++) {
+    const player = await prisma.player.findUniqueOrThrow({ where: { id: playerId }, select: { referralCode: true } });
+    if (player.referralCode) return player.referralCode;
+    const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+    try {
+      await prisma.player.updateMany({ where: { id: playerId, referralCode: null }, data: { referralCode: code } });
+    } catch (error) {
+      // Another player already has this code; draw again
+      if (!isUniqueViolation(error) || attempt >= 5) throw error;
+    }
+  }
+}
+
+// Held by attribution and by the deposit credit, so a player's first deposit and a referral cannot pass
+// each other: whichever commits second sees the first
+export async function lockReferee(tx: Prisma.TransactionClient, playerId: number) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${REFERRAL_LOCK_KEY}::int, ${playerId}::int)`;
+}
+
+// Attributes `address` (lowercase) to the owner of `code`. Creates the player if they have never been seen.
+export async function attributeReferral(address: string, code: unknown): Promise<{ referrer: string }> {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) throw new ReferralError('Invalid referral code');
+
+  return prisma.$transaction(async (tx) => {
+    // One attribution at a time, so two players cannot invite each other concurrently
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${REFERRAL_LOCK_KEY})`;
+    const referrer = await tx.player.findUnique({ where: { referralCode: normalized } });
+    if (!referrer) throw new ReferralError('Unknown referral code', 404);
+    if (referrer.address === address) throw new ReferralError('You cannot use your own referral code');
+
+    let player = await tx.player.findUnique({ where: { address } });
+    if (!player) player = await tx.player.create({ data: { address } });
+    await lockReferee(tx, player.id);
+    if (player.referrerId !== null) {
+      throw new ReferralError(player.referrerId === referrer.id ? 'Already referred by this code' : 'Already referred by another player', 409);
+    }
+    const deposited = await tx.transfer.count({ where: { playerId: player.id, type: 'deposit' } });
+    if (deposited > 0) throw new ReferralError('Referral codes can only be used before your first deposit', 409);
+
+    // Walk up the referrer's own chain: it must not lead back to this player
+    for (let ancestorId = referrer.referrerId; ancestorId !== null; ) {
+      if (ancestorId === player.id) throw new ReferralError('Players cannot refer each other', 409);
+      const ancestor = await tx.player.findUnique({ where: { id: ancestorId }, select: { referrerId: true } });
+      ancestorId = ancestor?.referrerId ?? null;
+    }
+
+    await tx.player.update({ where: { id: player.id }, data: { referrerId: referrer.id, referredAt: new Date() } });
+    console.log(`[referrals] ${address} referred by ${referrer.address}`);
+    return { referrer: referrer.address };
+  });
+}
+
+// Sign-in and deposit attribution: a stale or invalid code must never block either, so failures are logged only
+export async function tryAttributeReferral(address: string, code: unknown): Promise<{ referrer: string } | { error: string }> {
+  try {
+    return await attributeReferral(address, code);
+  } catch (error) {
+    if (!(error instanceof ReferralError)) console.warn('[referrals] attribution failed:', (error as Error).message);
+    return { error: (error as Error).message };
+  }
+}
+
+// Credits the referee's referrer their share of `fee`. Call inside the payout transaction of the won bet.
+export async function creditReferralShare(
+  tx: Prisma.TransactionClient,
+  params: { refereeId: number; betId: number; roundId: number; asset: string; fee: bigint }
+): Promise<bigint> {
+  const shareBps = referralShareBps();
+  if (shareBps === 0 || params.fee <= BigInt(0)) return BigInt(0);
+  const referee = await tx.player.findUnique({ where: { id: params.refereeId }, select: { referrerId: true } });
+  if (!referee?.referrerId) return BigInt(0);
+  const amount = (params.fee * BigInt(shareBps)) / BPS;
+  if (amount <= BigInt(0)) return BigInt(0);
+
+  await postTransfer(tx, {
+    playerId: referee.referrerId,
+    asset: params.asset,
+    type: 'referral_reward',
+    amount,
+    meta: { roundId: params.roundId, betId: params.betId, refereeId: params.refereeId, fee: params.fee.toString(), shareBps },
+    lines: referralRewardLines(amount),
+  });
+  return amount;
+}
+
+interface InviteeRow {
+  id: number;
+  address: string;
+  referredAt: Date | null;
+  bets: number;
+}
+
+interface AssetSumRow {
+  playerId: number;
+  asset: string;
+  amount: string;
+}
+
+export interface ReferralInvitee {
+  address: string;
+  referredAt: string | null;
+  bets: number;
+  volume: Record<string, string>; // staked, per asset in base units
+  earned: Record<string, string>; // rewards credited to the referrer, per asset in base units
+}
+
+export interface ReferralSummary {
+  code: string;
+  shareBps: number;
+  referredBy: string | null;
+  canBeReferred: boolean; // no referrer yet and no deposit
+  invitees: ReferralInvitee[];
+  totals: { invitees: number; volume: Record<string, string>; earned: Record<string, string> };
+}
+
+function addTo(sums: Record<string, string>, asset: string, amount: string) {
+  sums[asset] = (BigInt(sums[asset] ?? '0') + BigInt(amount)).toString();
+}
+
+// The referrals tab: the player's code and what each of their invitees has staked and earned them
+export async function getReferralSummary(address: string): Promise<ReferralSummary> {
+  let player = await prisma.player.findUnique({ where: { address }, include: { referrer: { select: { address: true } } } });
+  if (!player) {
+    await prisma.player.create({ data: { address } }).catch((error) => { if (!isUniqueViolation(error)) throw error; });
+    player = await prisma.player.findUniqueOrThrow({ where: { address }, include: { referrer: { select: { address: true } } } });
+  }
+  const code = await getReferralCode(player.id);
+
+  const [deposits, invitees, volume, earned] = await Promise.all([
+    prisma.transfer.count({ where: { playerId: player.id, type: 'deposit' } }),
+    prisma.$queryRaw<InviteeRow[]>`
+      SELECT p."id", p."address", p."referredAt", COUNT(b."id")::int AS "bets"
+      FROM "Player" p LEFT JOIN "Bet" b ON b."playerId" = p."id"
+      WHERE p."referrerId" = ${player.id}
+      GROUP BY p."id"
+      ORDER BY p."referredAt" DESC NULLS LAST, p."id" DESC
+      LIMIT ${MAX_INVITEES}`,
+    prisma.$queryRaw<AssetSumRow[]>`
+      SELECT b."playerId", b."asset", SUM(b."amount")::text AS "amount"
+      FROM "Bet" b JOIN "Player" p ON p."id" = b."playerId"
+      WHERE p."referrerId" = ${player.id}
+      GROUP BY b."playerId", b."asset"`,
+    prisma.$queryRaw<AssetSumRow[]>`
+      SELECT ("meta"->>'refereeId')::int AS "playerId", "asset", SUM("amount")::text AS "amount"
+      FROM "Transfer"
+      WHERE "playerId" = ${player.id} AND "type" = 'referral_reward'
+      GROUP BY 1, "asset"`,
+  ]);
+
+  const totals: ReferralSummary['totals'] = { invitees: invitees.length, volume: {}, earned: {} };
+  for (const row of volume) addTo(totals.volume, row.asset, row.amount);
+  for (const row of earned) addTo(totals.earned, row.asset, row.amount);
+  const byPlayer = (rows: AssetSumRow[], playerId: number) =>
+    Object.fromEntries(rows.filter((r) => r.playerId === playerId).map((r) => [r.asset, r.amount]));
+
+  return {
+    code,
+    shareBps: referralShareBps(),
+    referredBy: player.referrer?.address ?? null,
+    canBeReferred: player.referrerId === null && deposits === 0,
+    invitees: invitees.map((i) => ({
+      address: i.address,
+      referredAt: i.referredAt ? i.referredAt.toISOString() : null,
+      bets: i.bets,
+      volume: byPlayer(volume, i.id),
+      earned: byPlayer(earned, i.id),
+    })),
+    totals,
+  };
+}
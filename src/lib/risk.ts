@@ -0,0 +1,287 @@
+import { ethers } from 'ethers';
+import type { Prisma, Round } from '@prisma/client';
+import { prisma } from './prisma';
+import { Market, marketLabel } from './markets';
+import { getCachedVaultBalance } from './vaultDeposits';
+import { getMarketSettings } from './marketConfig';
+import { getRoundPools, getRoundStats, RoundPools, Side, winningPayout } from './roundSettlement';
+import { CollateralAsset, DEFAULT_ASSET, formatAssetAmount, getAsset } from './assets';
+
+// House risk caps, checked before a bet is accepted. Amounts in whole units of the asset; 0 disables a cap.
+//   RISK_MAX_STAKE_<ASSET>            largest single bet (ETH 1, USDC 2500)
+//   RISK_MAX_PLAYER_ROUND_<ASSET>     most one player may stake on one round (ETH 2, USDC 5000)
+//   RISK_MAX_ROUND_IMBALANCE_<ASSET>  largest gap between a fixed-odds round's up and down pools (ETH 5, USDC 12500)
+//   RISK_MAX_LIABILITY_FRACTION       open liability across all rounds, as a fraction of the vault balance (default 0.5)
+// Every asset is capped on its own: its pools, its open liability and the vault's holdings of it.
+// A round's liability is what the house pays out beyond the pool if its heavier side wins. One-sided rounds
+// are counted as if someone could still take the other side, since a single bet makes them payable.
+// Parimutuel rounds pay winners out of the pool itself, so they carry no imbalance or liability.
+// Bets that shrink the imbalance or the liability are always accepted.
+
+export interface RiskLimits {
+  maxStake: bigint | null; // wei
+  maxPlayerRoundStake: bigint | null;
+  maxRoundImbalance: bigint | null;
+  maxLiabilityBps: number | null; // of the vault balance
+}
+
+export class RiskLimitError extends Error {
+  constructor(message: string, public status: number = 409) {
+    super(message);
+    this.name = 'RiskLimitError';
+  }
+}
+
+// Defaults per asset: [stake, player round, round imbalance]
+const DEFAULT_CAPS: Record<string, [string, string, string]> = {
+  ETH: ['1', '2', '5'],
+  USDC: ['2500', '5000', '12500'],
+};
+
+function assetLimit(value: string | undefined, fallback: string, decimals: number): bigint | null {
+  try {
+    const units = ethers.parseUnits(value?.trim() || fallback, decimals);
+    return units > BigInt(0) ? units : null;
+  } catch {
+    return ethers.parseUnits(fallback, decimals);
+  }
+}
+
+const MAX_LIABILITY_BPS = (() => {
+  const fraction = Number(process.env.RISK_MAX_LIABILITY_FRACTION ?? 0.5);
+  if (!Number.isFinite(fraction) || fraction < 0) return 5000;
+  return fraction === 0 ? null : Math.round(fraction * 10000);
+})();
+
+export function riskLimits(asset: CollateralAsset): RiskLimits {
+  const [stake, playerRound, imbalance] = DEFAULT_CAPS[asset.symbol] ?? ['0', '0', '0'];
+  const env = (name: string) => process.env[`RISK_MAX_${name}_${asset.symbol}`];
+  return {
+    maxStake: assetLimit(env('STAKE'), stake, asset.decimals),
+    maxPlayerRoundStake: assetLimit(env('PLAYER_ROUND'), playerRound, asset.decimals),
+    maxRoundImbalance: assetLimit(env('ROUND_IMBALANCE'), imbalance, asset.decimals),
+    maxLiabilityBps: MAX_LIABILITY_BPS,
+  };
+}
+
+function requireAsset(symbol: string) {
+  const asset = getAsset(symbol);
+  if (!asset) throw new RiskLimitError(`Unsupported asset: ${symbol}`, 400);
+  return asset;
+}
+
+const ZERO = BigInt(0);
+// Every bet acceptance takes this transaction-level advisory lock for its asset, so concurrent bets in one asset
+// see each other's liability; liability is capped per asset, so bets in different assets do not wait on each other
+const RISK_LOCK_KEY = 7_316_001;
+// The vault RPC can hang; the liability cap waits this long for it at most
+const VAULT_BALANCE_TIMEOUT_MS = 3000;
+
+// `pools` with one more bet of `stake` on `side`
+export function addStake(pools: RoundPools, side: Side, stake: bigint): RoundPools {
+  return side === 'up'
+    ? { ...pools, up: pools.up + stake, upBets: pools.upBets + 1 }
+    : { ...pools, down: pools.down + stake, downBets: pools.downBets + 1 };
+}
+
+// Wei the house pays beyond the pool if `side` wins; negative when the pool covers it
+function sideShortfall(round: Pick<Round, 'payoutMode' | 'feeBps'>, pools: RoundPools, side: Side) {
+  const winners = side === 'up' ? pools.up : pools.down;
+  if (winners === ZERO) return -(pools.up + pools.down);
+  return winningPayout(round, pools, side, winners).net - (pools.up + pools.down);
+}
+
+export function roundLiability(round: Pick<Round, 'payoutMode' | 'feeBps'>, pools: RoundPools) {
+  const worst = [sideShortfall(round, pools, 'up'), sideShortfall(round, pools, 'down')].reduce((a, b) => (a > b ? a : b));
+  return worst > ZERO ? worst : ZERO;
+}
+
+function imbalance(pools: RoundPools) {
+  return pools.up > pools.down ? pools.up - pools.down : pools.down - pools.up;
+}
+
+// A fixed-odds round's pools going from `before` to `after` widen its imbalance past the cap
+export function breaksImbalanceCap(round: Pick<Round, 'payoutMode'>, limits: RiskLimits, before: RoundPools, after: RoundPools) {
+  if (round.payoutMode !== 'fixed' || limits.maxRoundImbalance === null) return false;
+  return imbalance(after) > limits.maxRoundImbalance && imbalance(after) > imbalance(before);
+}
+
+// Liability in `asset` of every round still open, optionally leaving one out
+async function openLiability(client: Prisma.TransactionClient, asset: string, excludeRoundId?: number | null) {
+  const rounds = await client.round.findMany({
+    where: { status: 'open', ...(excludeRoundId ? { id: { not: excludeRoundId } } : {}) },
+    select: { id: true, payoutMode: true, feeBps: true },
+  });
+  if (rounds.length === 0) return ZERO;
+  const groups = await client.bet.groupBy({
+    by: ['roundId', 'side'],
+    where: { roundId: { in: rounds.map((r) => r.id) }, asset },
+    _sum: { amount: true },
+  });
+  let total = ZERO;
+  for (const round of rounds) {
+    const pools: RoundPools = { up: ZERO, down: ZERO, upBets: 0, downBets: 0 };
+    for (const group of groups) {
+      if (group.roundId !== round.id) continue;
+      if (group.side === 'up') pools.up = group._sum.amount ?? ZERO;
+      else if (group.side === 'down') pools.down = group._sum.amount ?? ZERO;
+    }
+    total += roundLiability(round, pools);
+  }
+  return total;
+}
+
+// The most open liability the house takes in `asset`, from the vault's balance. Read it before opening a bet
+// transaction: the RPC call must not hold the transaction (and the risk lock) open.
+export async function liabilityCap(asset: string) {
+  if (MAX_LIABILITY_BPS === null) return null;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  try {
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${VAULT_BALANCE_TIMEOUT_MS}ms`)), VAULT_BALANCE_TIMEOUT_MS);
+    });
+    const { balance } = await Promise.race([getCachedVaultBalance(asset), timeout]);
+    return (balance * BigInt(MAX_LIABILITY_BPS)) / BigInt(10000);
+  } catch (error) {
+    console.error('[risk] vault balance unavailable', error);
+    throw new RiskLimitError('Bets are paused: the vault balance cannot be read right now', 503);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Throws unless the house can take `stake` (base units of `asset`) on `side` of `round`. Call inside the bet
+// transaction, after the round row exists and before the bet is created. `cap` is liabilityCap(asset), or the
+// error it threw, which only rejects the bet if the bet adds liability.
+export async function checkBetRisk(
+  tx: Prisma.TransactionClient,
+  params: { round: Round; playerId: number; side: Side; stake: bigint; asset: string; cap: bigint | null | RiskLimitError }
+) {
+  const { round, playerId, side, stake } = params;
+  const asset = requireAsset(params.asset);
+  const limits = riskLimits(asset);
+  const amount = (units: bigint) => `${formatAssetAmount(units, asset)} ${asset.symbol}`;
+  if (limits.maxStake !== null && stake > limits.maxStake) {
+    throw new RiskLimitError(`Stake exceeds the ${amount(limits.maxStake)} maximum per bet`, 400);
+  }
+
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${RISK_LOCK_KEY}::int, hashtext(${asset.symbol}))`;
+
+  if (limits.maxPlayerRoundStake !== null) {
+    const staked = await tx.bet.aggregate({ where: { playerId, roundId: round.id, asset: asset.symbol }, _sum: { amount: true } });
+    const total = (staked._sum.amount ?? ZERO) + stake;
+    if (total > limits.maxPlayerRoundStake) {
+      throw new RiskLimitError(
+        `Stakes on one round are limited to ${amount(limits.maxPlayerRoundStake)} per player; you can add ${amount(limits.maxPlayerRoundStake - (total - stake))}`
+      );
+    }
+  }
+
+  const before = await getRoundPools(round.id, tx, asset.symbol);
+  const after = addStake(before, side, stake);
+  const label = `${marketLabel(round)} round ${round.id}`;
+
+  if (breaksImbalanceCap(round, limits, before, after)) {
+    throw new RiskLimitError(`${label} is too one-sided to take more on ${side.toUpperCase()}; try a smaller stake or the other side`);
+  }
+
+  const liabilityAfter = roundLiability(round, after);
+  if (liabilityAfter > roundLiability(round, before)) {
+    const { cap } = params;
+    if (cap instanceof RiskLimitError) throw cap;
+    if (cap !== null && (await openLiability(tx, asset.symbol, round.id)) + liabilityAfter > cap) {
+      throw new RiskLimitError('The house has reached its open liability limit; try a smaller stake or the other side');
+    }
+  }
+}
+
+export interface BetCapacity {
+  asset: string; // every amount below is in its base units
+  limits: {
+    maxStake: string | null;
+    maxPlayerRoundStake: string | null;
+    maxRoundImbalance: string | null;
+    maxLiabilityFraction: number | null;
+  };
+  market: { paused: boolean; minStake: string | null; maxStake: string | null };
+  round: { roundId: number | null; upPool: string; downPool: string; imbalance: string };
+  liability: { open: string; cap: string | null };
+  playerStake: string | null; // the player's stakes on this round; null when not signed in
+  remaining: Record<Side, string | null>; // largest stake accepted now on each side; null when uncapped
+}
+
+function minCap(values: Array<bigint | null>) {
+  const capped = values.filter((v): v is bigint => v !== null).map((v) => (v > ZERO ? v : ZERO));
+  return capped.length ? capped.reduce((a, b) => (a < b ? a : b)) : null;
+}
+
+// Current caps and how much more a player could stake in `asset` on each side of a round. Advisory: the bet
+// route re-checks under its lock, since other bets may land in between.
+export async function getBetCapacity(
+  market: Market,
+  roundStart: number,
+  address?: string | null,
+  assetSymbol: string = DEFAULT_ASSET
+): Promise<BetCapacity> {
+  const asset = requireAsset(assetSymbol);
+  const limits = riskLimits(asset);
+  const stats = await getRoundStats(market, roundStart, asset.symbol);
+  const terms = { payoutMode: stats.payoutMode, feeBps: stats.feeBps };
+  const pools: RoundPools = { up: BigInt(stats.upPool), down: BigInt(stats.downPool), upBets: stats.upBets, downBets: stats.downBets };
+  const settings = await getMarketSettings(prisma, market);
+
+  let playerStake: bigint | null = null;
+  if (address) {
+    const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() }, select: { id: true } });
+    playerStake = ZERO;
+    if (player && stats.roundId !== null) {
+      const staked = await prisma.bet.aggregate({
+        where: { playerId: player.id, roundId: stats.roundId, asset: asset.symbol },
+        _sum: { amount: true },
+      });
+      playerStake = staked._sum.amount ?? ZERO;
+    }
+  }
+
+  const [others, cap] = await Promise.all([openLiability(prisma, asset.symbol, stats.roundId), liabilityCap(asset.symbol)]);
+  const current = roundLiability(terms, pools);
+  // Each wei staked on a fixed-odds side adds (net multiplier - 1) to the shortfall if that side wins
+  const netMultiplierBps = BigInt(2) * (BigInt(10000) - BigInt(terms.feeBps));
+  const perWeiBps = netMultiplierBps - BigInt(10000);
+
+  const remainingFor = (side: Side) => {
+    const gap = side === 'up' ? pools.up - pools.down : pools.down - pools.up;
+    const headroom = cap !== null ? cap - others - sideShortfall(terms, pools, side) : null;
+    const liabilityRoom = headroom === null || terms.payoutMode !== 'fixed' || perWeiBps <= ZERO
+      ? null
+      : (headroom * BigInt(10000)) / perWeiBps;
+    const remaining = minCap([
+      limits.maxStake,
+      settings.maxStake !== null && asset.symbol === DEFAULT_ASSET ? BigInt(settings.maxStake) : null,
+      limits.maxPlayerRoundStake !== null && playerStake !== null ? limits.maxPlayerRoundStake - playerStake : limits.maxPlayerRoundStake,
+      limits.maxRoundImbalance !== null && terms.payoutMode === 'fixed' ? limits.maxRoundImbalance - gap : null,
+      liabilityRoom,
+    ]);
+    return settings.paused ? '0' : remaining?.toString() ?? null;
+  };
+
+  return {
+    asset: asset.symbol,
+    limits: {
+      maxStake: limits.maxStake?.toString() ?? null,
+      maxPlayerRoundStake: limits.maxPlayerRoundStake?.toString() ?? null,
+      maxRoundImbalance: limits.maxRoundImbalance?.toString() ?? null,
+      maxLiabilityFraction: limits.maxLiabilityBps !== null ? limits.maxLiabilityBps / 10000 : null,
+    },
+    // market stake limits are in ETH and only apply to ETH stakes
+    market: {
+      paused: settings.paused,
+      minStake: asset.symbol === DEFAULT_ASSET ? settings.minStake : null,
+      maxStake: asset.symbol === DEFAULT_ASSET ? settings.maxStake : null,
+    },
+    round: { roundId: stats.roundId, upPool: stats.upPool, downPool: stats.downPool, imbalance: imbalance(pools).toString() },
+    liability: { open: (others + current).toString(), cap: cap?.toString() ?? null },
+    playerStake: playerStake?.toString() ?? null,
+    remaining: { up: remainingFor('up'), down: remainingFor('down') },
+  };
+}
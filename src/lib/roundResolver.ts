@@ -0,0 +1,204 @@
+import type { Prisma, Round } from '@prisma/client';
+import { prisma } from './prisma';
+import { announceLockedRounds, getRoundPoolsByAsset, planRoundSettlement, resolveRound, RoundSettlementError } from './roundSettlement';
+
+// Server-side round resolver, run by scripts/autoResolver.ts so rounds settle without a browser watching.
+// Each pass settles every open round whose endAt has passed (and finishes refunds on void rounds) through
+// resolveRound, the same code the API routes use. Failed rounds are retried with exponential backoff.
+// Passes also announce round.locked on the event stream once a round's betting cutoff has passed.
+
+export interface ResolverOptions {
+  dryRun: boolean; // plan settlements and log them, write nothing
+  batchSize: number; // rounds per pass
+  retryBaseMs: number;
+  retryMaxMs: number;
+}
+
+interface RetryState {
+  attempts: number;
+  nextAttemptAt: number; // ms
+  lastError: string;
+}
+
+export interface ResolverStatus {
+  dryRun: boolean;
+  startedAt: string;
+  passes: number;
+  lastPassAt: string | null;
+  lastPassMs: number | null;
+  lastPassError: string | null;
+  resolved: number; // rounds settled or refunded since start
+  failed: number; // failed attempts since start
+  due: number; // ended rounds still waiting to be settled
+  oldestDueEndAt: string | null;
+  lagSeconds: number; // how long the oldest unsettled ended round has been waiting
+  retrying: Array<{ roundId: number; attempts: number; nextAttemptAt: string; lastError: string }>;
+}
+
+export function resolverOptionsFromEnv(argv: string[] = []): ResolverOptions {
+  const num = (value: string | undefined, fallback: number) => Math.max(1, Number(value ?? fallback) || fallback);
+  return {
+    dryRun: argv.includes('--dry-run') || process.env.RESOLVER_DRY_RUN === '1',
+    batchSize: num(process.env.RESOLVER_BATCH, 50),
+    retryBaseMs: num(process.env.RESOLVER_RETRY_BASE_MS, 5000),
+    retryMaxMs: num(process.env.RESOLVER_RETRY_MAX_MS, 300000),
+  };
+}
+
+// One JSON object per line, so logs can be shipped and queried as-is
+export function logEvent(level: 'info' | 'warn' | 'error', event: string, fields: Record<string, unknown> = {}) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, event, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+const dueRoundsWhere = (now: Date): Prisma.RoundWhereInput => ({
+  OR: [
+    { status: 'open', endAt: { lte: now } },
+    // Voided while bets were still landing; refundRound picks those up
+    { status: 'void', bets: { some: { status: 'pending' } } },
+  ],
+});
+
+export function createRoundResolver(options: ResolverOptions) {
+  const retries = new Map<number, RetryState>();
+  // Dry-run never settles anything, so log each round's plan once rather than every pass
+  const planned = new Set<number>();
+  const status: Omit<ResolverStatus, 'due' | 'oldestDueEndAt' | 'lagSeconds' | 'retrying'> = {
+    dryRun: options.dryRun,
+    startedAt: new Date().toISOString(),
+    passes: 0,
+    lastPassAt: null,
+    lastPassMs: null,
+    lastPassError: null,
+    resolved: 0,
+    failed: 0,
+  };
+
+  function backoffMs(attempts: number) {
+    return Math.min(options.retryMaxMs, options.retryBaseMs * 2 ** (attempts - 1));
+  }
+
+  async function dryRunRound(round: Round) {
+    const plan = await planRoundSettlement(round, await getRoundPoolsByAsset(round.id));
+    logEvent('info', 'round.plan', {
+      roundId: round.id,
+      symbol: round.symbol,
+      timeframe: round.timeframe,
+      endAt: round.endAt.toISOString(),
+      outcome: plan.outcome,
+      winningSide: plan.winningSide,
+      voidReason: plan.voidReason,
+      startPrice: plan.start?.price ?? null,
+      endPrice: plan.end?.price ?? null,
+    });
+  }
+
+  async function settleRound(round: Round) {
+    const startedMs = Date.now();
+    const result = await resolveRound(round.id);
+    status.resolved += 1;
+    logEvent('info', 'round.resolved', {
+      roundId: round.id,
+      symbol: round.symbol,
+      timeframe: round.timeframe,
+      lagSeconds: Math.round((startedMs - round.endAt.getTime()) / 1000),
+      winningSide: result.winningSide,
+      voidReason: result.voidReason,
+      startPrice: result.startPrice,
+      endPrice: result.endPrice,
+      bets: result.credits.length,
+      already: result.already ?? false,
+      ms: Date.now() - startedMs,
+    });
+  }
+
+  function recordFailure(round: Round, error: unknown) {
+    status.failed += 1;
+    // A round that no longer exists will never settle
+    if (error instanceof RoundSettlementError && error.status === 404) {
+      retries.delete(round.id);
+      logEvent('warn', 'round.missing', { roundId: round.id });
+      return;
+    }
+    const attempts = (retries.get(round.id)?.attempts ?? 0) + 1;
+    const retryInMs = backoffMs(attempts);
+    const message = (error as Error).message;
+    retries.set(round.id, { attempts, nextAttemptAt: Date.now() + retryInMs, lastError: message });
+    // 503 is the expected "price not available yet"; anything else needs a look
+    const expected = error instanceof RoundSettlementError && error.status === 503;
+    logEvent(expected ? 'warn' : 'error', 'round.failed', {
+      roundId: round.id,
+      symbol: round.symbol,
+      timeframe: round.timeframe,
+      attempts,
+      retryInMs,
+      error: message,
+    });
+  }
+
+  // Settles (or, in dry-run, plans) every due round that is not waiting out a backoff
+  async function runPass(): Promise<{ attempted: number; resolved: number; failed: number }> {
+    const startedMs = Date.now();
+    const counts = { attempted: 0, resolved: 0, failed: 0 };
+    try {
+      if (!options.dryRun) await announceLockedRounds(startedMs);
+      // Leave rounds waiting out a backoff out of the batch, so they cannot starve newer ones
+      const skip = [...planned, ...[...retries].filter(([, r]) => r.nextAttemptAt > startedMs).map(([roundId]) => roundId)];
+      const rounds = await prisma.round.findMany({
+        where: { ...dueRoundsWhere(new Date()), id: { notIn: skip } },
+        orderBy: { endAt: 'asc' },
+        take: options.batchSize,
+      });
+      for (const round of rounds) {
+        counts.attempted += 1;
+        try {
+          if (options.dryRun) {
+            await dryRunRound(round);
+            planned.add(round.id);
+          } else {
+            await settleRound(round);
+            retries.delete(round.id);
+          }
+          counts.resolved += 1;
+        } catch (error) {
+          counts.failed += 1;
+          recordFailure(round, error);
+        }
+      }
+      status.lastPassError = null;
+    } catch (error) {
+      status.lastPassError = (error as Error).message;
+      logEvent('error', 'pass.failed', { error: status.lastPassError });
+    }
+    status.passes += 1;
+    status.lastPassAt = new Date().toISOString();
+    status.lastPassMs = Date.now() - startedMs;
+    if (counts.attempted > 0) logEvent('info', 'pass.done', { ...counts, ms: status.lastPassMs, dryRun: options.dryRun });
+    return counts;
+  }
+
+  async function getStatus(): Promise<ResolverStatus> {
+    const now = new Date();
+    const where = dueRoundsWhere(now);
+    const [due, oldest] = await Promise.all([
+      prisma.round.count({ where }),
+      prisma.round.findFirst({ where, orderBy: { endAt: 'asc' }, select: { endAt: true } }),
+    ]);
+    return {
+      ...status,
+      due,
+      oldestDueEndAt: oldest?.endAt.toISOString() ?? null,
+      lagSeconds: oldest ? Math.max(0, Math.round((now.getTime() - oldest.endAt.getTime()) / 1000)) : 0,
+      retrying: [...retries.entries()].map(([roundId, r]) => ({
+        roundId,
+        attempts: r.attempts,
+        nextAttemptAt: new Date(r.nextAttemptAt).toISOString(),
+        lastError: r.lastError,
+      })),
+    };
+  }
+
+  return { runPass, getStatus };
+}
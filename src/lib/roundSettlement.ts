@@ -0,0 +1,574 @@
+import type { Prisma, Round } from '@prisma/client';
+import { prisma } from './prisma';
+import { getPriceAt, PriceQuote } from './priceOracle';
+import { ALL_MARKETS, Market, betCutoffSeconds, parseMarket } from './markets';
+import { betLossLines, betWinLines, postTransfer, refundLines } from './ledger';
+import { awardWinPoints } from './points';
+import { announce } from './events';
+import { DEFAULT_ASSET } from './assets';
+import { sealRound } from './fairness';
+import { creditReferralShare } from './referrals';
+
+const FIXED_PAYOUT_MULTIPLIER = BigInt(2);
+const BPS = BigInt(10000);
+// Oracle prices further than this from the round's start/end instant are too stale to settle on
+const MAX_PRICE_SKEW_MS = Number(process.env.ROUND_MAX_PRICE_SKEW_MS ?? 5000);
+// A round still missing a price this long after it ended is voided instead of retried forever
+const VOID_AFTER_MS = Number(process.env.ROUND_VOID_AFTER_SECONDS ?? 600) * 1000;
+
+export type Side = 'up' | 'down';
+export type PayoutMode = 'fixed' | 'parimutuel';
+// Why a round's stakes were refunded instead of settled
+export type VoidReason = 'tie' | 'one_sided' | 'stale_price' | 'price_unavailable' | 'operator';
+
+export const VOID_REASON_LABELS: Record<VoidReason, string> = {
+  tie: 'Price did not move',
+  one_sided: 'All bets were on the same side',
+  stale_price: 'Oracle price was stale',
+  price_unavailable: 'Oracle price was unavailable',
+  operator: 'Round voided by an operator',
+};
+
+// Payout terms are fixed when a round is created, from ROUND_PAYOUT_MODE and HOUSE_FEE_BPS,
+// unless an operator set a fee for the market (MarketConfig.feeBps)
+export function newRoundTerms(marketFeeBps?: number | null): { payoutMode: PayoutMode; feeBps: number } {
+  const payoutMode: PayoutMode = process.env.ROUND_PAYOUT_MODE === 'parimutuel' ? 'parimutuel' : 'fixed';
+  if (marketFeeBps !== undefined && marketFeeBps !== null) return { payoutMode, feeBps: marketFeeBps };
+  const feeBps = Number(process.env.HOUSE_FEE_BPS ?? 500);
+  return { payoutMode, feeBps: Number.isInteger(feeBps) && feeBps >= 0 && feeBps < 10000 ? feeBps : 500 };
+}
+
+async function marketFeeBps(client: Prisma.TransactionClient, market: Market) {
+  const config = await client.marketConfig.findUnique({
+    where: { symbol_timeframe: { symbol: market.symbol, timeframe: market.timeframe } },
+    select: { feeBps: true },
+  });
+  return config?.feeBps ?? null;
+}
+
+export interface RoundPools {
+  up: bigint;
+  down: bigint;
+  upBets: number;
+  downBets: number;
+}
+
+export class RoundSettlementError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'RoundSettlementError';
+  }
+}
+
+export interface RoundSettlement {
+  roundId: number;
+  symbol: string;
+  timeframe: number;
+  already?: boolean;
+  resolved: boolean;
+  winningSide: Side | null;
+  voidReason: VoidReason | null; // set when every stake was refunded
+  voidReasonLabel: string | null; // player-facing explanation of voidReason
+  startPrice: number | null;
+  endPrice: number | null;
+  payoutMode: PayoutMode;
+  payoutMultiplier: number | null; // net payout / stake for the winning side, for ETH stakes
+  payoutMultipliers: Record<string, number | null>; // the same per asset staked in the round
+  credits: Array<{ playerId: number; delta: string; status: string }>;
+}
+
+// Equal prices have no winner; the round is refunded as a tie
+export function decideWinningSide(startPrice: number, endPrice: number): Side | null {
+  if (endPrice > startPrice) return 'up';
+  if (endPrice < startPrice) return 'down';
+  return null;
+}
+
+const emptyPools = (): RoundPools => ({ up: BigInt(0), down: BigInt(0), upBets: 0, downBets: 0 });
+
+// Up/down stake totals in each asset, over every bet in the round whatever its status, so retried settlements
+// see the same pools. Each asset is a pool of its own: stakes in one asset never pay out in another.
+export async function getRoundPoolsByAsset(roundId: number, client: Prisma.TransactionClient = prisma): Promise<Map<string, RoundPools>> {
+  const groups = await client.bet.groupBy({
+    by: ['asset', 'side'],
+    where: { roundId },
+    _sum: { amount: true },
+    _count: { _all: true },
+  });
+  const byAsset = new Map<string, RoundPools>();
+  for (const group of groups) {
+    const pools = byAsset.get(group.asset) ?? emptyPools();
+    if (group.side === 'up') {
+      pools.up = group._sum.amount ?? BigInt(0);
+      pools.upBets = group._count._all;
+    } else if (group.side === 'down') {
+      pools.down = group._sum.amount ?? BigInt(0);
+      pools.downBets = group._count._all;
+    }
+    byAsset.set(group.asset, pools);
+  }
+  return byAsset;
+}
+
+// The round's pools in one asset
+export async function getRoundPools(roundId: number, client: Prisma.TransactionClient = prisma, asset: string = DEFAULT_ASSET): Promise<RoundPools> {
+  return (await getRoundPoolsByAsset(roundId, client)).get(asset) ?? emptyPools();
+}
+
+// A round is one-sided when no asset has stakes on both sides, so there is nobody to win against
+function oneSided(poolsByAsset: Map<string, RoundPools>) {
+  return [...poolsByAsset.values()].every((pools) => pools.up === BigInt(0) || pools.down === BigInt(0));
+}
+
+// Net payout (stake included) for a winning stake on `side`.
+// fixed: 2x the stake. parimutuel: the stake's share of the whole pool, so winners split the losing side.
+// The house fee is taken from the gross payout in both modes; integer rounding dust stays with the house.
+export function winningPayout(
+  round: Pick<Round, 'payoutMode' | 'feeBps'>,
+  pools: RoundPools,
+  side: Side,
+  stake: bigint
+): { net: bigint; fee: bigint } {
+  const sidePool = side === 'up' ? pools.up : pools.down;
+  const gross = round.payoutMode === 'parimutuel' && sidePool > BigInt(0)
+    ? (stake * (pools.up + pools.down)) / sidePool
+    : stake * FIXED_PAYOUT_MULTIPLIER;
+  const fee = (gross * BigInt(round.feeBps)) / BPS;
+  return { net: gross - fee, fee };
+}
+
+// The house's result if each side wins, from the pools as they stand (per-bet rounding aside).
+// One-sided rounds are refunded, so they risk nothing.
+export function roundExposure(round: Pick<Round, 'payoutMode' | 'feeBps'>, pools: RoundPools) {
+  const houseIf = (side: Side) => {
+    const winners = side === 'up' ? pools.up : pools.down;
+    if (pools.up === BigInt(0) || pools.down === BigInt(0)) return BigInt(0);
+    return pools.up + pools.down - winningPayout(round, pools, side, winners).net;
+  };
+  const houseIfUp = houseIf('up');
+  const houseIfDown = houseIf('down');
+  return { houseIfUp, houseIfDown, worstCase: houseIfUp < houseIfDown ? houseIfUp : houseIfDown };
+}
+
+// What a winning stake on `side` would currently return per unit staked; null when nothing is staked on it yet
+export function impliedMultiplier(round: Pick<Round, 'payoutMode' | 'feeBps'>, pools: RoundPools, side: Side): number | null {
+  const feeFactor = 1 - round.feeBps / 10000;
+  if (round.payoutMode !== 'parimutuel') return Number(FIXED_PAYOUT_MULTIPLIER) * feeFactor;
+  const sidePool = Number(side === 'up' ? pools.up : pools.down);
+  if (sidePool <= 0) return null;
+  return (Number(pools.up + pools.down) / sidePool) * feeFactor;
+}
+
+function summarize(round: Round, poolsByAsset: Map<string, RoundPools>): Omit<RoundSettlement, 'credits' | 'resolved'> {
+  const winningSide = (round.winningSide as Side | null) ?? null;
+  const multiplier = (pools: RoundPools) => (winningSide ? impliedMultiplier(round, pools, winningSide) : null);
+  return {
+    roundId: round.id,
+    symbol: round.symbol,
+    timeframe: round.timeframe,
+    winningSide,
+    voidReason: (round.voidReason as VoidReason | null) ?? null,
+    voidReasonLabel: round.voidReason ? VOID_REASON_LABELS[round.voidReason as VoidReason] ?? round.voidReason : null,
+    startPrice: round.startPrice,
+    endPrice: round.endPrice,
+    payoutMode: round.payoutMode as PayoutMode,
+    payoutMultiplier: multiplier(poolsByAsset.get(DEFAULT_ASSET) ?? emptyPools()),
+    payoutMultipliers: Object.fromEntries([...poolsByAsset].map(([asset, pools]) => [asset, multiplier(pools)])),
+  };
+}
+
+export interface RoundStats {
+  roundId: number | null; // null until the first bet creates the round
+  symbol: string;
+  timeframe: number;
+  startAt: number; // seconds
+  status: string;
+  payoutMode: PayoutMode;
+  feeBps: number;
+  asset: string; // the pools below are this asset's, in its base units
+  upPool: string;
+  downPool: string;
+  upBets: number;
+  downBets: number;
+  upMultiplier: number | null;
+  downMultiplier: number | null;
+}
+
+function roundKey(market: Market, roundStart: number) {
+  return { symbol_timeframe_startAt: { symbol: market.symbol, timeframe: market.timeframe, startAt: new Date(roundStart * 1000) } };
+}
+
+// Live pool totals in `asset` for a market's round; rounds nobody has bet on yet report empty pools under the current terms
+export async function getRoundStats(market: Market, roundStart: number, asset: string = DEFAULT_ASSET): Promise<RoundStats> {
+  const round = await prisma.round.findUnique({ where: roundKey(market, roundStart) });
+  const pools = round ? await getRoundPools(round.id, prisma, asset) : emptyPools();
+  const defaults = round ? undefined : newRoundTerms(await marketFeeBps(prisma, market));
+  return roundStats(market, roundStart, round, asset, pools, defaults);
+}
+
+function roundStats(
+  market: { symbol: string; timeframe: number },
+  roundStart: number,
+  round: Round | null,
+  asset: string,
+  pools: RoundPools,
+  defaults = newRoundTerms() // terms a round not created yet will get
+): RoundStats {
+  const terms = round ?? defaults;
+  return {
+    roundId: round?.id ?? null,
+    symbol: market.symbol,
+    timeframe: market.timeframe,
+    startAt: roundStart,
+    status: round?.status ?? 'open',
+    payoutMode: terms.payoutMode as PayoutMode,
+    feeBps: terms.feeBps,
+    asset,
+    upPool: pools.up.toString(),
+    downPool: pools.down.toString(),
+    upBets: pools.upBets,
+    downBets: pools.downBets,
+    upMultiplier: impliedMultiplier(terms, pools, 'up'),
+    downMultiplier: impliedMultiplier(terms, pools, 'down'),
+  };
+}
+
+// Round fields every round.* event carries; times in seconds
+function roundEvent(round: Round) {
+  return {
+    roundId: round.id,
+    symbol: round.symbol,
+    timeframe: round.timeframe,
+    startAt: round.startAt.getTime() / 1000,
+    endAt: round.endAt.getTime() / 1000,
+    lockAt: round.endAt.getTime() / 1000 - betCutoffSeconds(round.timeframe),
+    status: round.status,
+  };
+}
+
+// Broadcasts a round's pool totals in `asset`, e.g. after a bet in that asset landed on it
+export async function publishRoundPool(roundId: number, asset: string = DEFAULT_ASSET) {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) return;
+  const stats = roundStats(round, round.startAt.getTime() / 1000, round, asset, await getRoundPools(roundId, prisma, asset));
+  await announce({ type: 'round.pool', payload: { ...stats } });
+}
+
+// Broadcasts round.opened once the first bet on the round has committed; later bets find it already announced
+export async function announceRoundOpened(roundId: number) {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) return;
+  await announce({ type: 'round.opened', dedupeKey: `round.opened:${roundId}`, payload: roundEvent(round) });
+}
+
+// Broadcasts round.locked for open rounds whose betting cutoff passed within the last `lookbackMs`.
+// Run on every resolver pass; the dedupe key keeps each round to a single event.
+export async function announceLockedRounds(nowMs: number = Date.now(), lookbackMs = 5 * 60 * 1000) {
+  const maxCutoffMs = Math.max(...ALL_MARKETS.map((m) => betCutoffSeconds(m.timeframe))) * 1000;
+  const rounds = await prisma.round.findMany({
+    where: { status: 'open', endAt: { gt: new Date(nowMs - lookbackMs), lte: new Date(nowMs + maxCutoffMs) } },
+  });
+  const locked = rounds.filter((round) => round.endAt.getTime() - betCutoffSeconds(round.timeframe) * 1000 <= nowMs);
+  for (const round of locked) {
+    await announce({ type: 'round.locked', dedupeKey: `round.locked:${round.id}`, payload: roundEvent(round) });
+  }
+  return locked.length;
+}
+
+function storedQuote(price: number | null, source: string | null, at: Date | null): PriceQuote | null {
+  if (price === null || !source || !at) return null;
+  return { price, source, timestamp: at.getTime() };
+}
+
+function isStale(quote: PriceQuote, atMs: number) {
+  return Math.abs(quote.timestamp - atMs) > MAX_PRICE_SKEW_MS;
+}
+
+// The round a bet on `market` starting at `roundStart` (seconds) belongs to, created on first bet.
+// Rejects rounds that are misaligned, not started yet, past the market's betting cutoff, or no longer open.
+export async function upsertBettableRound(
+  tx: Prisma.TransactionClient,
+  market: Market,
+  roundStart: number,
+  nowMs: number = Date.now()
+): Promise<Round> {
+  if (!Number.isInteger(roundStart) || roundStart % market.timeframe !== 0) {
+    throw new RoundSettlementError(`Round start ${roundStart} is not aligned to ${market.timeframe}s rounds`);
+  }
+  const startMs = roundStart * 1000;
+  const endMs = startMs + market.timeframe * 1000;
+  if (startMs > nowMs + 5000) throw new RoundSettlementError(`Round ${roundStart} has not started yet`);
+  if (nowMs >= endMs) throw new RoundSettlementError(`Round ${roundStart} has already ended. Please wait for the next round.`);
+  if (nowMs >= endMs - betCutoffSeconds(market.timeframe) * 1000) {
+    throw new RoundSettlementError('Betting is locked for this round. Please wait for the next round.');
+  }
+  const round = await tx.round.upsert({
+    where: roundKey(market, roundStart),
+    create: { ...market, startAt: new Date(startMs), endAt: new Date(endMs), ...newRoundTerms(await marketFeeBps(tx, market)) },
+    update: {},
+  });
+  if (round.status !== 'open') throw new RoundSettlementError(`Round ${roundStart} is closed (${round.status})`, 409);
+  // Held until the bet commits, so a void or settlement cannot land mid-bet; one that already has closes the round
+  const [open] = await tx.$queryRaw<{ id: number }[]>`SELECT "id" FROM "Round" WHERE "id" = ${round.id} AND "status" = 'open' FOR SHARE`;
+  if (!open) throw new RoundSettlementError(`Round ${roundStart} is closed`, 409);
+  return round;
+}
+
+// Resolves a request body to a round id: either { roundId } or the market key { symbol, timeframe, roundStart }
+export async function lookupRoundId(body: { roundId?: unknown; symbol?: unknown; timeframe?: unknown; roundStart?: unknown }): Promise<number> {
+  if (body.roundId !== undefined) {
+    const roundId = Number(body.roundId);
+    if (!Number.isInteger(roundId) || roundId <= 0) throw new RoundSettlementError('Invalid roundId');
+    return roundId;
+  }
+  const market = parseMarket(body.symbol, body.timeframe);
+  const roundStart = Number(body.roundStart);
+  if (!market || !Number.isInteger(roundStart)) {
+    throw new RoundSettlementError('Send roundId, or symbol, timeframe and roundStart');
+  }
+  const round = await prisma.round.findUnique({ where: roundKey(market, roundStart), select: { id: true } });
+  if (!round) throw new RoundSettlementError('Round not found', 404);
+  return round.id;
+}
+
+// Records the oracle price at round start. Safe to call repeatedly; only the first recording sticks.
+export async function recordRoundStartPrice(roundId: number): Promise<void> {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round || round.startPrice !== null) return;
+  const quote = await getPriceAt(round.symbol, round.startAt.getTime());
+  if (!quote) return;
+  await prisma.round.updateMany({
+    where: { id: roundId, startPrice: null },
+    data: { startPrice: quote.price, startPriceSource: quote.source, startPriceAt: new Date(quote.timestamp) },
+  });
+}
+
+// Adds the settled round to the public settlement chain. The anchor job seals whatever this misses.
+async function sealSettledRound(roundId: number) {
+  try {
+    await sealRound(roundId);
+  } catch (error) {
+    console.warn(`[settlement] could not seal round ${roundId}:`, error);
+  }
+}
+
+// Voids a round and refunds every pending stake to `available` with a 'refund' ledger transfer.
+// Marks the round void first so no new bets land on it, then refunds bet by bet; re-running it
+// (e.g. via resolveRound on a void round) picks up any stake a racing bet placed meanwhile.
+async function refundRound(round: Round, reason: VoidReason, note?: string): Promise<RoundSettlement> {
+  const roundId = round.id;
+  await prisma.round.updateMany({
+    where: { id: roundId, status: { not: 'resolved' } },
+    data: { status: 'void', voidReason: round.voidReason ?? reason },
+  });
+  const voided = await prisma.round.findUniqueOrThrow({ where: { id: roundId } });
+  if (voided.status !== 'void') {
+    // Settled by a concurrent resolver before we could void it
+    return { ...summarize(voided, await getRoundPoolsByAsset(roundId)), already: true, resolved: true, credits: [] };
+  }
+
+  const bets = await prisma.bet.findMany({ where: { roundId, status: 'pending' } });
+  const credits: RoundSettlement['credits'] = [];
+  for (const bet of bets) {
+    await prisma.$transaction(async (tx) => {
+      const claimed = await tx.bet.updateMany({ where: { id: bet.id, status: 'pending' }, data: { status: 'refund' } });
+      if (claimed.count === 0) return;
+      await postTransfer(tx, {
+        playerId: bet.playerId,
+        asset: bet.asset,
+        type: 'refund',
+        amount: bet.amount,
+        meta: { roundId, reason: voided.voidReason, ...(note ? { note } : {}) },
+        lines: refundLines(bet.amount),
+      });
+      credits.push({ playerId: bet.playerId, delta: '0', status: 'refund' });
+    }, { timeout: 8000 });
+  }
+
+  console.log(`[settlement] round ${roundId} (${round.symbol} ${round.timeframe}s) void: ${voided.voidReason}${note ? ` (${note})` : ''}, refunds: ${credits.length}`);
+  const settlement = summarize(voided, await getRoundPoolsByAsset(roundId));
+  await announce({ type: 'round.voided', dedupeKey: `round.settled:${roundId}`, payload: { ...roundEvent(voided), ...settlement } });
+  await sealSettledRound(roundId);
+  return { ...settlement, resolved: true, credits };
+}
+
+// Operator action: refunds every stake on a round that has not been settled yet, even one still open
+export async function voidRound(roundId: number, note?: string): Promise<RoundSettlement> {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) throw new RoundSettlementError('Round not found', 404);
+  if (round.status === 'resolved') throw new RoundSettlementError('Round is already settled', 409);
+  return refundRound(round, 'operator', note);
+}
+
+// Operator action: prices a round the oracle could not, stamped at the round's own start/end so they
+// count as fresh. Prices already recorded are never replaced.
+export async function recordOperatorPrices(roundId: number, prices: { startPrice?: number; endPrice?: number }) {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) throw new RoundSettlementError('Round not found', 404);
+  if (round.status !== 'open') throw new RoundSettlementError(`Round is already ${round.status}`, 409);
+  for (const [field, price] of Object.entries(prices)) {
+    if (price !== undefined && (!Number.isFinite(price) || price <= 0)) throw new RoundSettlementError(`Invalid ${field}`);
+  }
+  if (prices.startPrice !== undefined) {
+    if (round.startPrice !== null) throw new RoundSettlementError('Round already has a start price', 409);
+    await prisma.round.updateMany({
+      where: { id: roundId, startPrice: null },
+      data: { startPrice: prices.startPrice, startPriceSource: 'operator', startPriceAt: round.startAt },
+    });
+  }
+  if (prices.endPrice !== undefined) {
+    if (Date.now() < round.endAt.getTime()) throw new RoundSettlementError('Round has not ended yet', 409);
+    if (round.endPrice !== null) throw new RoundSettlementError('Round already has an end price', 409);
+    await prisma.round.updateMany({
+      where: { id: roundId, endPrice: null },
+      data: { endPrice: prices.endPrice, endPriceSource: 'operator', endPriceAt: round.endAt },
+    });
+  }
+}
+
+export interface SettlementPlan {
+  outcome: 'settle' | 'refund' | 'retry'; // retry: no price yet, try again later
+  winningSide: Side | null;
+  voidReason: VoidReason | null;
+  start: PriceQuote | null;
+  end: PriceQuote | null;
+}
+
+// Decides how an ended round would settle right now, without writing anything.
+// resolveRound acts on it; the resolver daemon logs it in dry-run mode.
+export async function planRoundSettlement(round: Round, poolsByAsset: Map<string, RoundPools>): Promise<SettlementPlan> {
+  const plan = (outcome: SettlementPlan['outcome'], fields: Partial<SettlementPlan> = {}): SettlementPlan =>
+    ({ outcome, winningSide: null, voidReason: null, start: null, end: null, ...fields });
+
+  if (round.status === 'void') return plan('refund', { voidReason: round.voidReason as VoidReason });
+  // Nobody to win against: refund without needing a price
+  if (oneSided(poolsByAsset)) return plan('refund', { voidReason: 'one_sided' });
+
+  const start = storedQuote(round.startPrice, round.startPriceSource, round.startPriceAt)
+    ?? await getPriceAt(round.symbol, round.startAt.getTime());
+  const end = storedQuote(round.endPrice, round.endPriceSource, round.endPriceAt)
+    ?? await getPriceAt(round.symbol, round.endAt.getTime());
+  if (!start || !end) {
+    if (Date.now() - round.endAt.getTime() > VOID_AFTER_MS) return plan('refund', { voidReason: 'price_unavailable', start, end });
+    return plan('retry', { start, end });
+  }
+  if (isStale(start, round.startAt.getTime()) || isStale(end, round.endAt.getTime())) {
+    return plan('refund', { voidReason: 'stale_price', start, end });
+  }
+  const winningSide = decideWinningSide(start.price, end.price);
+  return winningSide ? plan('settle', { winningSide, start, end }) : plan('refund', { voidReason: 'tie', start, end });
+}
+
+// Settles a round from recorded oracle prices. The outcome is never taken from the caller.
+// Ties, one-sided rounds and rounds without a fresh price are voided and refunded. So are the stakes in any
+// asset whose own pool is one-sided, even when the round as a whole settles.
+// Idempotent: each bet is settled inside its own transaction guarded on status 'pending',
+// so concurrent or retried calls cannot pay a bet twice.
+export async function resolveRound(roundId: number): Promise<RoundSettlement> {
+  const round = await prisma.round.findUnique({ where: { id: roundId } });
+  if (!round) throw new RoundSettlementError('Round not found', 404);
+  if (round.status === 'resolved') {
+    return { ...summarize(round, await getRoundPoolsByAsset(roundId)), already: true, resolved: true, credits: [] };
+  }
+  if (round.status === 'void') return refundRound(round, round.voidReason as VoidReason);
+  if (Date.now() < round.endAt.getTime()) throw new RoundSettlementError('Round has not ended yet', 409);
+
+  const poolsByAsset = await getRoundPoolsByAsset(roundId);
+  const plan = await planRoundSettlement(round, poolsByAsset);
+  if (plan.outcome === 'retry') throw new RoundSettlementError('Settlement price unavailable, retry later', 503);
+  // Ties are decided below, from the prices that actually got persisted
+  if (plan.outcome === 'refund' && plan.voidReason !== 'tie') return refundRound(round, plan.voidReason!);
+  const start = plan.start!;
+  const end = plan.end!;
+
+  // Persist prices once; a concurrent resolver that got here first wins and we reuse its values
+  await prisma.round.updateMany({
+    where: { id: roundId, startPrice: null },
+    data: { startPrice: start.price, startPriceSource: start.source, startPriceAt: new Date(start.timestamp) },
+  });
+  await prisma.round.updateMany({
+    where: { id: roundId, endPrice: null },
+    data: { endPrice: end.price, endPriceSource: end.source, endPriceAt: new Date(end.timestamp) },
+  });
+  const priced = await prisma.round.findUniqueOrThrow({ where: { id: roundId } });
+  const winningSide = decideWinningSide(priced.startPrice!, priced.endPrice!);
+  if (winningSide === null) return refundRound(priced, 'tie');
+
+  const bets = await prisma.bet.findMany({ where: { roundId, status: 'pending' } });
+  const credits: RoundSettlement['credits'] = [];
+  let voidedMeanwhile = false;
+
+  // Each bet in its own small transaction to avoid long-running tx timeouts
+  for (const bet of bets) {
+    if (voidedMeanwhile) break;
+    await prisma.$transaction(async (tx) => {
+      // Holding the round row keeps an operator void from landing mid-bet; once it has, the rest are refunded
+      const [open] = await tx.$queryRaw<{ id: number }[]>`SELECT "id" FROM "Round" WHERE "id" = ${roundId} AND "status" = 'open' FOR SHARE`;
+      if (!open) {
+        voidedMeanwhile = true;
+        return;
+      }
+      const pools = poolsByAsset.get(bet.asset) ?? emptyPools();
+      const refund = pools.up === BigInt(0) || pools.down === BigInt(0);
+      const win = bet.side === winningSide;
+      const claimed = await tx.bet.updateMany({
+        where: { id: bet.id, status: 'pending' },
+        data: { status: refund ? 'refund' : win ? 'won' : 'lost' },
+      });
+      if (claimed.count === 0) return; // settled by a concurrent call
+
+      if (refund) {
+        await postTransfer(tx, {
+          playerId: bet.playerId,
+          asset: bet.asset,
+          type: 'refund',
+          amount: bet.amount,
+          meta: { roundId, reason: 'one_sided' },
+          lines: refundLines(bet.amount),
+        });
+        credits.push({ playerId: bet.playerId, delta: '0', status: 'refund' });
+      } else if (win) {
+        // Bonus points before the payout, so the payout's balance event carries them
+        await awardWinPoints(tx, { playerId: bet.playerId, betId: bet.id, stake: bet.amount, asset: bet.asset });
+        const { net, fee } = winningPayout(priced, pools, winningSide, bet.amount);
+        await postTransfer(tx, {
+          playerId: bet.playerId,
+          asset: bet.asset,
+          type: 'payout',
+          amount: net,
+          meta: { roundId, fee: fee.toString() },
+          lines: betWinLines(bet.amount, net, fee),
+        });
+        await creditReferralShare(tx, { refereeId: bet.playerId, betId: bet.id, roundId, asset: bet.asset, fee });
+        credits.push({ playerId: bet.playerId, delta: net.toString(), status: 'won' });
+      } else {
+        await postTransfer(tx, {
+          playerId: bet.playerId,
+          asset: bet.asset,
+          type: 'loss',
+          amount: bet.amount,
+          meta: { roundId },
+          lines: betLossLines(bet.amount),
+        });
+        credits.push({ playerId: bet.playerId, delta: (bet.amount * BigInt(-1)).toString(), status: 'lost' });
+      }
+    }, { timeout: 8000 });
+  }
+
+  // Only an open round can become resolved: a void that won the race keeps the round and refunds what is left
+  const marked = voidedMeanwhile
+    ? { count: 0 }
+    : await prisma.round.updateMany({ where: { id: roundId, status: 'open' }, data: { winningSide, status: 'resolved' } });
+  const resolved = await prisma.round.findUniqueOrThrow({ where: { id: roundId } });
+  if (marked.count === 0) {
+    console.warn(`[settlement] round ${roundId} was ${resolved.status} before it could be resolved, settled bets: ${credits.length}`);
+    if (resolved.status === 'void') return refundRound(resolved, resolved.voidReason as VoidReason);
+    return { ...summarize(resolved, poolsByAsset), already: true, resolved: true, credits };
+  }
+  console.log(`[settlement] round ${roundId} (${round.symbol} ${round.timeframe}s) ${priced.startPrice} -> ${priced.endPrice} (${priced.startPriceSource}/${priced.endPriceSource}), winner: ${winningSide}, ${priced.payoutMode} payout, bets: ${credits.length}`);
+
+  const settlement = summarize(resolved, poolsByAsset);
+  await announce({ type: 'round.resolved', dedupeKey: `round.settled:${roundId}`, payload: { ...roundEvent(resolved), ...settlement } });
+  await sealSettledRound(roundId);
+  return { ...settlement, resolved: true, credits };
+}
@@ -0,0 +1,106 @@
+import { ethers } from 'ethers';
+
+// Hashing for the public settlement chain (see lib/fairness). Shared by the server, which seals records,
+// and the /verify page, which recomputes every hash in the browser from the proof the API returns.
+//
+//   recordHash = keccak256(utf8(record))               record: canonical JSON text of the settlement
+//   hash       = keccak256(abi.encodePacked(uint256 seq, bytes32 prevHash, bytes32 recordHash))
+//
+// The first record's prevHash is zero. Anchors commit (seq, hash) on-chain as calldata of anchor(uint256,bytes32).
+
+export const SETTLEMENT_RECORD_VERSION = 1;
+export const GENESIS_HASH = ethers.ZeroHash;
+export const ANCHOR_ABI = ['function anchor(uint256 seq, bytes32 head)'];
+
+export interface SettlementRecordBody {
+  version: number;
+  round: {
+    id: number;
+    symbol: string;
+    timeframe: number;
+    startAt: string;
+    endAt: string;
+    status: string; // resolved|void
+    winningSide: string | null;
+    voidReason: string | null;
+    payoutMode: string;
+    feeBps: number;
+  };
+  prices: {
+    start: { price: number; source: string | null; at: string | null } | null;
+    end: { price: number; source: string | null; at: string | null } | null;
+  };
+  // Every oracle quote stored around the start and end instants, including the 'median' the round settled on
+  samples: { at: 'start' | 'end'; source: string; price: string; timestamp: string }[];
+  bets: {
+    id: number;
+    player: string;
+    asset: string;
+    side: string;
+    amount: string; // base units of `asset`
+    status: string; // won|lost|refund
+    credited: string; // paid back to the player: net payout, refunded stake or 0
+    fee: string;
+  }[];
+  fees: Record<string, string>; // house fee per asset
+}
+
+export interface ProofLink {
+  seq: number;
+  recordHash: string;
+  prevHash: string;
+  hash: string;
+}
+
+// JSON with object keys sorted at every level, so the same record always hashes the same
+export function canonicalJson(value: unknown): string {
+  return JSON.stringify(value, (_key, v) =>
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, (v as Record<string, unknown>)[k]]))
+      : v
+  );
+}
+
+export function hashRecord(record: string): string {
+  return ethers.keccak256(ethers.toUtf8Bytes(record));
+}
+
+export function linkHash(seq: number, prevHash: string, recordHash: string): string {
+  return ethers.solidityPackedKeccak256(['uint256', 'bytes32', 'bytes32'], [seq, prevHash, recordHash]);
+}
+
+export function encodeAnchor(seq: number, head: string): string {
+  return new ethers.Interface(ANCHOR_ABI).encodeFunctionData('anchor', [seq, head]);
+}
+
+// (seq, head) from anchor calldata, or null when it is not an anchor call
+export function decodeAnchor(data: string): { seq: number; head: string } | null {
+  try {
+    const [seq, head] = new ethers.Interface(ANCHOR_ABI).decodeFunctionData('anchor', data);
+    return { seq: Number(seq), head: String(head) };
+  } catch {
+    return null;
+  }
+}
+
+export interface ProofCheck {
+  ok: boolean;
+  recordHash: string; // recomputed from the record text
+  errors: string[];
+}
+
+// Recomputes the record's hash and every link from it up to the last one given
+export function verifyProof(record: string, links: ProofLink[]): ProofCheck {
+  const recordHash = hashRecord(record);
+  const errors: string[] = [];
+  if (links.length === 0) return { ok: false, recordHash, errors: ['No chain links'] };
+  if (links[0].recordHash !== recordHash) errors.push(`Record hashes to ${recordHash}, not ${links[0].recordHash}`);
+  links.forEach((link, i) => {
+    if (i > 0 && link.seq !== links[i - 1].seq + 1) errors.push(`Link ${link.seq} does not follow ${links[i - 1].seq}`);
+    if (i > 0 && link.prevHash !== links[i - 1].hash) errors.push(`Link ${link.seq} does not point at link ${links[i - 1].seq}`);
+    if (link.seq === 1 && link.prevHash !== GENESIS_HASH) errors.push('First link must start from the zero hash');
+    const expected = linkHash(link.seq, link.prevHash, link.recordHash);
+    if (expected !== link.hash) errors.push(`Link ${link.seq} hashes to ${expected}, not ${link.hash}`);
+  });
+  return { ok: errors.length === 0, recordHash, errors };
+}
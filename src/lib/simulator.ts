@@ -0,0 +1,554 @@
+import { ethers } from 'ethers';
+import type { Round } from '@prisma/client';
+import { getPriceAt, setPriceSources } from './priceOracle';
+import { createFixtureSource } from './priceSources';
+import { decideWinningSide, newRoundTerms, PayoutMode, planRoundSettlement, RoundPools, Side, winningPayout } from './roundSettlement';
+import { DEFAULT_POINTS_RULES, parsePointsRules, PointsRules, stakeInWei, stakePointsBase, winPointsBase } from './points';
+import { addStake, breaksImbalanceCap, riskLimits, roundLiability } from './risk';
+import { CollateralAsset, DEFAULT_ASSET, formatAssetAmount, getAsset, parseAssetAmount } from './assets';
+import { isMarketSymbol, isMarketTimeframe, roundStartFor } from './markets';
+
+// Offline round simulator (scripts/simulateRounds.ts). Replays a price series through the server's own
+// settlement plan, payout, risk-cap and points functions with synthetic players, so payout terms, fees and
+// points rules can be evaluated before they ship. Prices come from a fixture (the ORACLE_FIXTURE_FILE format)
+// or a seeded random walk; nothing touches the network or the database.
+//
+// One market is simulated: its rounds run back to back, every player bets at most once per round, and the
+// house starts with `bankroll` in the vault next to the players' balances. Players stop once broke.
+
+export type Strategy = 'random' | 'momentum' | 'contrarian' | 'martingale';
+export type RejectReason = 'stake' | 'player_round' | 'imbalance' | 'liability';
+
+export interface StakeDistribution {
+  type: 'fixed' | 'uniform' | 'lognormal';
+  value?: string; // fixed, whole units
+  min?: string; // uniform range; lower/upper clamp otherwise
+  max?: string;
+  median?: string; // lognormal
+  sigma?: number; // lognormal spread (default 1)
+}
+
+export interface PlayerGroup {
+  name: string;
+  count: number;
+  balance: string; // each player's starting balance, whole units
+  betProbability: number; // chance of betting in any round, 0..1
+  upBias?: number; // chance of picking UP for 'random' players (default 0.5)
+  strategy?: Strategy; // momentum: follow the last round; contrarian: fade it; martingale: double after a loss
+  stake: StakeDistribution;
+}
+
+export interface SyntheticPrices {
+  start: number;
+  volatilityBps: number; // standard deviation of each step's move
+  driftBps?: number; // mean move per step
+  stepMs: number;
+  durationMs: number;
+  startMs?: number; // default 2026-01-01T00:00:00Z
+}
+
+export interface SimulationConfig {
+  symbol: string;
+  timeframe: number; // round length, seconds
+  asset: string; // collateral players stake
+  payoutMode: PayoutMode;
+  feeBps: number;
+  bankroll: string; // house funds in the vault at the start, whole units
+  seed: number;
+  riskCaps: boolean; // apply the RISK_* caps the bet route enforces
+  pointsRules: PointsRules;
+  seasonMultiplier: number; // every award is multiplied by this, as during a season
+  maxRounds: number | null;
+  groups: PlayerGroup[];
+  syntheticPrices: SyntheticPrices | null;
+}
+
+export type PriceSeries = Record<string, Array<[number, number]>>;
+
+export class SimulationError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'SimulationError';
+  }
+}
+
+const STRATEGIES: Strategy[] = ['random', 'momentum', 'contrarian', 'martingale'];
+const ZERO = BigInt(0);
+const DEFAULT_SYNTHETIC_START_MS = Date.UTC(2026, 0, 1);
+
+function requireNumber(value: unknown, field: string, min: number, max: number = Number.MAX_SAFE_INTEGER) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new SimulationError(`${field} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function requireAmount(value: unknown, field: string, asset: CollateralAsset) {
+  try {
+    const units = parseAssetAmount(value, asset);
+    if (units < ZERO) throw new Error();
+    return units;
+  } catch {
+    throw new SimulationError(`${field} must be a non-negative amount of ${asset.symbol}`);
+  }
+}
+
+// Validates a simulation config file; unset terms default to what the server would use for a new round
+export function parseSimulationConfig(input: unknown): SimulationConfig {
+  const raw = (input ?? {}) as Record<string, unknown>;
+  const symbol = raw.symbol ?? 'ETHUSDT';
+  if (!isMarketSymbol(symbol)) throw new SimulationError(`Unknown symbol ${symbol}`);
+  const timeframe = raw.timeframe ?? 60;
+  if (!isMarketTimeframe(timeframe)) throw new SimulationError(`Unknown timeframe ${timeframe}`);
+  const asset = getAsset(raw.asset ?? DEFAULT_ASSET);
+  if (!asset) throw new SimulationError(`Unsupported asset: ${raw.asset}`);
+
+  const terms = newRoundTerms();
+  const payoutMode = raw.payoutMode ?? terms.payoutMode;
+  if (payoutMode !== 'fixed' && payoutMode !== 'parimutuel') throw new SimulationError('payoutMode must be fixed or parimutuel');
+
+  if (!Array.isArray(raw.groups) || raw.groups.length === 0) throw new SimulationError('groups must be a non-empty list');
+  const groups = raw.groups.map((g, i): PlayerGroup => {
+    const group = (g ?? {}) as Record<string, unknown>;
+    const field = (name: string) => `groups[${i}].${name}`;
+    const strategy = (group.strategy ?? 'random') as Strategy;
+    if (!STRATEGIES.includes(strategy)) throw new SimulationError(`${field('strategy')} must be one of ${STRATEGIES.join(', ')}`);
+    const stake = (group.stake ?? {}) as StakeDistribution;
+    if (!['fixed', 'uniform', 'lognormal'].includes(stake.type)) throw new SimulationError(`${field('stake.type')} must be fixed, uniform or lognormal`);
+    for (const key of ['value', 'min', 'max', 'median'] as const) {
+      if (stake[key] !== undefined) requireAmount(stake[key], field(`stake.${key}`), asset);
+    }
+    if (stake.type === 'fixed' && stake.value === undefined) throw new SimulationError(`${field('stake.value')} is required`);
+    if (stake.type === 'uniform' && (stake.min === undefined || stake.max === undefined)) throw new SimulationError(`${field('stake.min')} and max are required`);
+    if (stake.type === 'lognormal' && stake.median === undefined) throw new SimulationError(`${field('stake.median')} is required`);
+    requireAmount(group.balance, field('balance'), asset);
+    return {
+      name: typeof group.name === 'string' && group.name ? group.name : `group${i + 1}`,
+      count: requireNumber(group.count, field('count'), 1, 100000),
+      balance: String(group.balance),
+      betProbability: requireNumber(group.betProbability, field('betProbability'), 0, 1),
+      upBias: group.upBias === undefined ? 0.5 : requireNumber(group.upBias, field('upBias'), 0, 1),
+      strategy,
+      stake: { ...stake, sigma: stake.sigma === undefined ? 1 : requireNumber(stake.sigma, field('stake.sigma'), 0, 10) },
+    };
+  });
+
+  let syntheticPrices: SyntheticPrices | null = null;
+  if (raw.syntheticPrices) {
+    const s = raw.syntheticPrices as Record<string, unknown>;
+    syntheticPrices = {
+      start: requireNumber(s.start, 'syntheticPrices.start', 0.00000001),
+      volatilityBps: requireNumber(s.volatilityBps, 'syntheticPrices.volatilityBps', 0, 10000),
+      driftBps: s.driftBps === undefined ? 0 : requireNumber(s.driftBps, 'syntheticPrices.driftBps', -10000, 10000),
+      stepMs: requireNumber(s.stepMs, 'syntheticPrices.stepMs', 100),
+      durationMs: requireNumber(s.durationMs, 'syntheticPrices.durationMs', 1000, 90 * 24 * 3600 * 1000),
+      startMs: s.startMs === undefined ? DEFAULT_SYNTHETIC_START_MS : requireNumber(s.startMs, 'syntheticPrices.startMs', 0),
+    };
+  }
+
+  return {
+    symbol,
+    timeframe: Number(timeframe),
+    asset: asset.symbol,
+    payoutMode,
+    feeBps: raw.feeBps === undefined ? terms.feeBps : requireNumber(raw.feeBps, 'feeBps', 0, 9999),
+    bankroll: String(raw.bankroll ?? '0'),
+    seed: raw.seed === undefined ? 1 : requireNumber(raw.seed, 'seed', 0),
+    riskCaps: raw.riskCaps !== false,
+    pointsRules: raw.pointsRules === undefined ? DEFAULT_POINTS_RULES : parsePointsRules(raw.pointsRules),
+    seasonMultiplier: raw.seasonMultiplier === undefined ? 1 : requireNumber(raw.seasonMultiplier, 'seasonMultiplier', 0, 100),
+    maxRounds: raw.maxRounds === undefined ? null : requireNumber(raw.maxRounds, 'maxRounds', 1),
+    groups,
+    syntheticPrices,
+  };
+}
+
+// mulberry32: small, fast and reproducible from a seed
+function createRng(seed: number) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const normal = () => {
+    const u = Math.max(next(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+  };
+  return { next, normal };
+}
+
+// A seeded random walk in the fixture format
+export function syntheticPriceSeries(symbol: string, params: SyntheticPrices, seed: number): PriceSeries {
+  const rng = createRng(seed ^ 0x5eed);
+  const startMs = params.startMs ?? DEFAULT_SYNTHETIC_START_MS;
+  const points: Array<[number, number]> = [];
+  let price = params.start;
+  for (let t = startMs; t <= startMs + params.durationMs; t += params.stepMs) {
+    points.push([t, Number(price.toFixed(8))]);
+    price *= 1 + ((params.driftBps ?? 0) + params.volatilityBps * rng.normal()) / 10000;
+  }
+  return { [symbol]: points };
+}
+
+interface SimPlayer {
+  id: number;
+  group: PlayerGroup;
+  balance: bigint;
+  pnl: bigint;
+  volume: bigint;
+  bets: number;
+  wins: number;
+  losses: number;
+  refunds: number;
+  points: bigint;
+  streak: number; // wins in a row; refunds neither break nor extend it
+  lastStake: bigint | null;
+  lastResult: 'won' | 'lost' | null;
+  pointsDay: string;
+  pointsToday: bigint;
+}
+
+export interface SimulatedRound {
+  index: number;
+  startAt: string;
+  startPrice: number | null;
+  endPrice: number | null;
+  outcome: Side | 'void';
+  voidReason: string | null;
+  bets: number;
+  rejected: number;
+  upPool: string;
+  downPool: string;
+  houseResult: string; // house gain (negative: loss) on the round
+  fees: string;
+  points: string;
+  houseEquity: string; // bankroll plus the house result so far
+}
+
+function percentile(sorted: bigint[], p: number) {
+  if (sorted.length === 0) return ZERO;
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p))];
+}
+
+export async function runSimulation(config: SimulationConfig, prices: PriceSeries) {
+  const asset = getAsset(config.asset)!;
+  const units = (amount: bigint) => formatAssetAmount(amount, asset);
+  const series = prices[config.symbol];
+  if (!series || series.length < 2) throw new SimulationError(`No price series for ${config.symbol}`);
+  setPriceSources([createFixtureSource(prices)]);
+
+  const rng = createRng(config.seed);
+  const limits = riskLimits(asset);
+  const rules = config.pointsRules;
+  const multiplierBps = BigInt(Math.round(config.seasonMultiplier * 10000));
+  const dailyCap = rules.dailyCap === null ? null : ethers.parseEther(rules.dailyCap);
+  const bankroll = requireAmount(config.bankroll, 'bankroll', asset);
+
+  const players: SimPlayer[] = [];
+  for (const group of config.groups) {
+    for (let i = 0; i < group.count; i++) {
+      players.push({
+        id: players.length + 1, group, balance: parseAssetAmount(group.balance, asset), pnl: ZERO, volume: ZERO,
+        bets: 0, wins: 0, losses: 0, refunds: 0, points: ZERO, streak: 0, lastStake: null, lastResult: null, pointsDay: '', pointsToday: ZERO,
+      });
+    }
+  }
+  // The vault holds every player's balance and the house's funds; settlement only moves value between them
+  const vaultBalance = bankroll + players.reduce((total, p) => total + p.balance, ZERO);
+  const liabilityCap = limits.maxLiabilityBps === null ? null : (vaultBalance * BigInt(limits.maxLiabilityBps)) / BigInt(10000);
+
+  const drawStake = (player: SimPlayer) => {
+    const stake = player.group.stake;
+    const amount = (value: string | undefined, fallback: bigint) => (value === undefined ? fallback : parseAssetAmount(value, asset));
+    const min = amount(stake.min, BigInt(1));
+    const max = amount(stake.max, player.balance);
+    let units: bigint;
+    if (player.group.strategy === 'martingale' && player.lastResult === 'lost' && player.lastStake) {
+      units = player.lastStake * BigInt(2);
+    } else if (stake.type === 'fixed') {
+      units = amount(stake.value, ZERO);
+    } else if (stake.type === 'uniform') {
+      units = min + (((max - min) * BigInt(Math.floor(rng.next() * 1e6))) / BigInt(1e6));
+    } else {
+      const median = Number(ethers.formatUnits(amount(stake.median, ZERO), asset.decimals));
+      const value = median * Math.exp((stake.sigma ?? 1) * rng.normal());
+      units = parseAssetAmount(value.toFixed(asset.decimals), asset);
+    }
+    if (units < min) units = min;
+    if (units > max) units = max;
+    return units > player.balance ? player.balance : units;
+  };
+
+  const pickSide = (player: SimPlayer, lastOutcome: Side | null): Side => {
+    const strategy = player.group.strategy ?? 'random';
+    if (lastOutcome && strategy === 'momentum') return lastOutcome;
+    if (lastOutcome && strategy === 'contrarian') return lastOutcome === 'up' ? 'down' : 'up';
+    return rng.next() < (player.group.upBias ?? 0.5) ? 'up' : 'down';
+  };
+
+  const awardPoints = (player: SimPlayer, base: bigint, day: string) => {
+    let amount = (base * multiplierBps) / BigInt(10000);
+    if (player.pointsDay !== day) {
+      player.pointsDay = day;
+      player.pointsToday = ZERO;
+    }
+    if (dailyCap !== null) {
+      const left = dailyCap - player.pointsToday;
+      if (amount > left) amount = left > ZERO ? left : ZERO;
+    }
+    player.points += amount;
+    player.pointsToday += amount;
+    return amount;
+  };
+
+  const firstMs = series.reduce((min, [ts]) => Math.min(min, ts), Infinity);
+  const lastMs = series.reduce((max, [ts]) => Math.max(max, ts), -Infinity);
+  const firstStart = roundStartFor(config.timeframe, firstMs + config.timeframe * 1000 - 1);
+
+  const rounds: SimulatedRound[] = [];
+  const rejected: Record<RejectReason, number> = { stake: 0, player_round: 0, imbalance: 0, liability: 0 };
+  const voided: Record<string, number> = {};
+  let houseResult = ZERO;
+  let fees = ZERO;
+  let volume = ZERO;
+  let refunded = ZERO;
+  let pointsIssued = ZERO;
+  let betsPlaced = 0;
+  let peak = bankroll;
+  let minEquity = bankroll;
+  let maxDrawdown = ZERO;
+  let worstRound = ZERO;
+  let lastOutcome: Side | null = null;
+
+  for (let start = firstStart; (start + config.timeframe) * 1000 <= lastMs; start += config.timeframe) {
+    if (config.maxRounds !== null && rounds.length >= config.maxRounds) break;
+    const index = rounds.length + 1;
+    const round: Round = {
+      id: index, symbol: config.symbol, timeframe: config.timeframe,
+      startAt: new Date(start * 1000), endAt: new Date((start + config.timeframe) * 1000),
+      startPrice: null, startPriceSource: null, startPriceAt: null, endPrice: null, endPriceSource: null, endPriceAt: null,
+      winningSide: null, voidReason: null, payoutMode: config.payoutMode, feeBps: config.feeBps, status: 'open', createdAt: new Date(start * 1000),
+    };
+    const day = round.startAt.toISOString().slice(0, 10);
+
+    // Bets, in random order so the risk caps do not always favour the same players
+    let pools: RoundPools = { up: ZERO, down: ZERO, upBets: 0, downBets: 0 };
+    const bets: Array<{ player: SimPlayer; side: Side; stake: bigint }> = [];
+    let roundRejected = 0;
+    let roundPoints = ZERO;
+    const order = players.filter((p) => p.balance > ZERO);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    for (const player of order) {
+      if (rng.next() >= player.group.betProbability) continue;
+      const stake = drawStake(player);
+      if (stake <= ZERO) continue;
+      const side = pickSide(player, lastOutcome);
+      const after = addStake(pools, side, stake);
+      let reason: RejectReason | null = null;
+      if (config.riskCaps) {
+        if (limits.maxStake !== null && stake > limits.maxStake) reason = 'stake';
+        else if (limits.maxPlayerRoundStake !== null && stake > limits.maxPlayerRoundStake) reason = 'player_round';
+        else if (breaksImbalanceCap(round, limits, pools, after)) reason = 'imbalance';
+        else if (liabilityCap !== null && roundLiability(round, after) > roundLiability(round, pools) && roundLiability(round, after) > liabilityCap) reason = 'liability';
+      }
+      if (reason) {
+        rejected[reason] += 1;
+        roundRejected += 1;
+        continue;
+      }
+      pools = after;
+      player.balance -= stake;
+      player.lastStake = stake;
+      bets.push({ player, side, stake });
+      roundPoints += awardPoints(player, stakePointsBase(rules, stakeInWei(stake, asset.symbol)).base, day);
+    }
+    betsPlaced += bets.length;
+
+    // Settlement: the same plan the resolver acts on, then the same payout per bet
+    let outcome: Side | 'void';
+    let voidReason: string | null = null;
+    let startPrice: number | null = null;
+    let endPrice: number | null = null;
+    let roundHouse = ZERO;
+    let roundFees = ZERO;
+    if (bets.length > 0) {
+      const plan = await planRoundSettlement(round, new Map([[asset.symbol, pools]]));
+      startPrice = plan.start?.price ?? null;
+      endPrice = plan.end?.price ?? null;
+      if (plan.outcome === 'settle') {
+        outcome = plan.winningSide!;
+      } else {
+        outcome = 'void';
+        voidReason = plan.voidReason ?? 'price_unavailable';
+      }
+    } else {
+      const [startQuote, endQuote] = await Promise.all([getPriceAt(config.symbol, start * 1000), getPriceAt(config.symbol, (start + config.timeframe) * 1000)]);
+      startPrice = startQuote?.price ?? null;
+      endPrice = endQuote?.price ?? null;
+      const side = startPrice !== null && endPrice !== null ? decideWinningSide(startPrice, endPrice) : null;
+      outcome = side ?? 'void';
+      voidReason = side ? null : startPrice !== null && endPrice !== null ? 'tie' : 'price_unavailable';
+    }
+
+    for (const { player, side, stake } of bets) {
+      player.bets += 1;
+      if (outcome === 'void') {
+        player.balance += stake;
+        player.refunds += 1;
+        refunded += stake;
+        continue;
+      }
+      player.volume += stake;
+      volume += stake;
+      if (side === outcome) {
+        const { net, fee } = winningPayout(round, pools, side, stake);
+        player.balance += net;
+        player.pnl += net - stake;
+        player.wins += 1;
+        player.streak += 1;
+        player.lastResult = 'won';
+        roundHouse -= net - stake;
+        roundFees += fee;
+        const bonus = winPointsBase(rules, stakeInWei(stake, asset.symbol), player.streak);
+        roundPoints += awardPoints(player, bonus.win + bonus.streak, day);
+      } else {
+        player.pnl -= stake;
+        player.losses += 1;
+        player.streak = 0;
+        player.lastResult = 'lost';
+        roundHouse += stake;
+      }
+    }
+    if (outcome === 'void' && bets.length > 0) voided[voidReason!] = (voided[voidReason!] ?? 0) + 1;
+    lastOutcome = outcome === 'void' ? lastOutcome : outcome;
+
+    houseResult += roundHouse;
+    fees += roundFees;
+    pointsIssued += roundPoints;
+    const equity = bankroll + houseResult;
+    if (equity > peak) peak = equity;
+    if (equity < minEquity) minEquity = equity;
+    if (peak - equity > maxDrawdown) maxDrawdown = peak - equity;
+    if (roundHouse < worstRound) worstRound = roundHouse;
+
+    rounds.push({
+      index,
+      startAt: round.startAt.toISOString(),
+      startPrice,
+      endPrice,
+      outcome,
+      voidReason,
+      bets: bets.length,
+      rejected: roundRejected,
+      upPool: units(pools.up),
+      downPool: units(pools.down),
+      houseResult: units(roundHouse),
+      fees: units(roundFees),
+      points: ethers.formatEther(roundPoints),
+      houseEquity: units(equity),
+    });
+  }
+
+  const sortedPnl = (list: SimPlayer[]) => list.map((p) => p.pnl).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const distribution = (list: SimPlayer[]) => {
+    const sorted = sortedPnl(list);
+    return {
+      min: units(sorted[0] ?? ZERO),
+      p5: units(percentile(sorted, 0.05)),
+      p25: units(percentile(sorted, 0.25)),
+      median: units(percentile(sorted, 0.5)),
+      p75: units(percentile(sorted, 0.75)),
+      p95: units(percentile(sorted, 0.95)),
+      max: units(sorted[sorted.length - 1] ?? ZERO),
+    };
+  };
+  const sum = (list: SimPlayer[], get: (p: SimPlayer) => bigint) => list.reduce((total, p) => total + get(p), ZERO);
+  const active = players.filter((p) => p.bets > 0);
+
+  const report = {
+    asset: asset.symbol, // amounts are in whole units of it; points in $Kairos
+    market: { symbol: config.symbol, timeframe: config.timeframe, payoutMode: config.payoutMode, feeBps: config.feeBps },
+    period: { from: rounds[0]?.startAt ?? null, to: rounds.length ? new Date(Date.parse(rounds[rounds.length - 1].startAt) + config.timeframe * 1000).toISOString() : null },
+    rounds: {
+      total: rounds.length,
+      withBets: rounds.filter((r) => r.bets > 0).length,
+      settled: rounds.filter((r) => r.bets > 0 && r.outcome !== 'void').length,
+      voided,
+      upWins: rounds.filter((r) => r.outcome === 'up').length,
+      downWins: rounds.filter((r) => r.outcome === 'down').length,
+    },
+    bets: { placed: betsPlaced, rejected, volume: units(volume), refunded: units(refunded) },
+    house: {
+      bankroll: units(bankroll),
+      result: units(houseResult), // stakes kept minus winnings paid, fees included
+      fees: units(fees),
+      edge: volume > ZERO ? Number((houseResult * BigInt(1000000)) / volume) / 1000000 : null, // result / settled volume
+      finalEquity: units(bankroll + houseResult),
+      minEquity: units(minEquity),
+      maxDrawdown: units(maxDrawdown),
+      maxDrawdownPercent: peak > ZERO ? Number((maxDrawdown * BigInt(10000)) / peak) / 100 : null,
+      worstRound: units(worstRound),
+      vaultBalance: units(vaultBalance),
+      liabilityCap: liabilityCap === null ? null : units(liabilityCap),
+    },
+    points: { issued: ethers.formatEther(pointsIssued), perBet: betsPlaced ? ethers.formatEther(pointsIssued / BigInt(betsPlaced)) : '0' },
+    players: {
+      total: players.length,
+      active: active.length,
+      inProfit: active.filter((p) => p.pnl > ZERO).length,
+      broke: players.filter((p) => p.balance === ZERO).length,
+      pnl: distribution(active),
+      groups: config.groups.map((group) => {
+        const members = active.filter((p) => p.group === group);
+        return {
+          name: group.name,
+          strategy: group.strategy ?? 'random',
+          players: group.count,
+          active: members.length,
+          bets: members.reduce((total, p) => total + p.bets, 0),
+          volume: units(sum(members, (p) => p.volume)),
+          pnl: units(sum(members, (p) => p.pnl)),
+          points: ethers.formatEther(sum(members, (p) => p.points)),
+          inProfit: members.filter((p) => p.pnl > ZERO).length,
+          broke: players.filter((p) => p.group === group && p.balance === ZERO).length,
+          pnlDistribution: distribution(members),
+        };
+      }),
+    },
+  };
+
+  const playerRows = players.map((p) => ({
+    player: p.id,
+    group: p.group.name,
+    strategy: p.group.strategy ?? 'random',
+    bets: p.bets,
+    wins: p.wins,
+    losses: p.losses,
+    refunds: p.refunds,
+    volume: units(p.volume),
+    pnl: units(p.pnl),
+    balance: units(p.balance),
+    points: ethers.formatEther(p.points),
+  }));
+
+  return { report, rounds, players: playerRows };
+}
+
+function csvCell(value: unknown): string {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of flat objects -> CSV with a header from the first row's keys
+export function toCsv(rows: object[]): string {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(','), ...rows.map((row) => columns.map((c) => csvCell((row as Record<string, unknown>)[c])).join(','))];
+  return lines.join('\r\n') + '\r\n';
+}
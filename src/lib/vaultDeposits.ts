@@ -0,0 +1,245 @@
+import { ethers } from 'ethers';
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma';
+import { ERC20_ABI, VAULT_ABI, getVaultAddress } from '../app/utils/vault';
+import { depositLines, postTransfer } from './ledger';
+import { CollateralAsset, DEFAULT_ASSET, assetForToken, getAsset } from './assets';
+import { depositBlockReason } from './playLimits';
+import { queueDepositReturn } from './withdrawals';
+import { lockReferee } from './referrals';
+
+// Off-chain balances are only credited for vault `Deposited` (ETH) and `TokenDeposited` (ERC-20) events we have
+// read from the chain ourselves; token deposits of assets not in src/lib/assets.ts are ignored.
+// Each transaction is credited at most once: the deposit Transfer stores `meta.txHash`, which has a
+// unique index, so the webhook and the background indexer can race on the same deposit safely.
+// A deposit over one of the player's deposit limits, or made while they are self-excluded, cannot be refused
+// on-chain: it is credited and immediately queued as a withdrawal back to the sender.
+
+const RPC_URL = process.env.VAULT_RPC_URL || process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
+export const REQUIRED_CONFIRMATIONS = Math.max(1, Number(process.env.DEPOSIT_CONFIRMATIONS ?? 3) || 3);
+
+const INDEXER_CURSOR = 'vault_deposits';
+const INDEXER_BATCH_BLOCKS = Math.max(1, Number(process.env.DEPOSIT_INDEXER_BATCH ?? 1000) || 1000);
+const TX_HASH_RE = /^0x[0-9a-fA-F]{64}$/;
+
+const vaultInterface = new ethers.Interface(VAULT_ABI);
+const depositedTopic = vaultInterface.getEvent('Deposited')!.topicHash;
+const tokenDepositedTopic = vaultInterface.getEvent('TokenDeposited')!.topicHash;
+
+export class DepositVerificationError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'DepositVerificationError';
+  }
+}
+
+export interface VaultDeposit {
+  txHash: string; // lowercase
+  from: string; // lowercase depositor, from the Deposited/TokenDeposited event
+  asset: string;
+  amount: bigint; // base units of `asset`
+  blockNumber: number;
+  confirmations: number;
+}
+
+export interface DepositCredit {
+  credited: boolean; // false when this tx had already been credited
+  txHash: string;
+  asset: string;
+  amount: string;
+  balance: { available: string; locked: string } | null;
+  returned?: { withdrawalId: number; reason: string }; // paid back: over a deposit limit or self-excluded
+}
+
+let provider: ethers.JsonRpcProvider | null = null;
+
+function getProvider() {
+  if (!provider) provider = new ethers.JsonRpcProvider(RPC_URL);
+  return provider;
+}
+
+function requireVaultAddress(): string {
+  const vault = getVaultAddress();
+  if (!vault) throw new DepositVerificationError('Vault address not configured', 500);
+  return vault.toLowerCase();
+}
+
+function requireAsset(symbol: string): CollateralAsset {
+  const asset = getAsset(symbol);
+  if (!asset) throw new DepositVerificationError(`Unsupported asset: ${symbol}`);
+  return asset;
+}
+
+// What the vault contract currently holds of `asset` (ETH by default)
+export async function getVaultBalance(assetSymbol: string = DEFAULT_ASSET): Promise<{ vaultAddress: string; balance: bigint }> {
+  const vaultAddress = requireVaultAddress();
+  const asset = requireAsset(assetSymbol);
+  if (!asset.token) return { vaultAddress, balance: await getProvider().getBalance(vaultAddress) };
+  const token = new ethers.Contract(asset.token, ERC20_ABI, getProvider());
+  return { vaultAddress, balance: BigInt(await token.balanceOf(vaultAddress)) };
+}
+
+const cachedBalances = new Map<string, { value: { vaultAddress: string; balance: bigint }; ts: number }>();
+const BALANCE_TTL_MS = 15_000; // 15s, so routes that check it on every request do not wait on the RPC
+
+// getVaultBalance, served from a short cache
+export async function getCachedVaultBalance(assetSymbol: string = DEFAULT_ASSET) {
+  const cached = cachedBalances.get(assetSymbol);
+  if (cached && Date.now() - cached.ts < BALANCE_TTL_MS) return cached.value;
+  const value = await getVaultBalance(assetSymbol);
+  cachedBalances.set(assetSymbol, { value, ts: Date.now() });
+  return value;
+}
+
+// Sums the vault's deposit events in one transaction. A tx crediting more than one depositor or asset is
+// rejected because deposits are keyed by tx hash.
+function depositFromLogs(logs: ReadonlyArray<ethers.Log>, vault: string) {
+  let from: string | null = null;
+  let asset: string | null = null;
+  let amount = BigInt(0);
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== vault || log.removed) continue;
+    if (log.topics[0] !== depositedTopic && log.topics[0] !== tokenDepositedTopic) continue;
+    const parsed = vaultInterface.parseLog(log);
+    if (!parsed) continue;
+    const logAsset = parsed.name === 'TokenDeposited' ? assetForToken(String(parsed.args.token))?.symbol : DEFAULT_ASSET;
+    if (!logAsset) continue;
+    const depositor = String(parsed.args.from).toLowerCase();
+    if (from && depositor !== from) throw new DepositVerificationError('Transaction deposits for more than one address');
+    if (asset && logAsset !== asset) throw new DepositVerificationError('Transaction deposits more than one asset');
+    from = depositor;
+    asset = logAsset;
+    amount += BigInt(parsed.args.amount);
+  }
+  return from && asset && amount > BigInt(0) ? { from, asset, amount } : null;
+}
+
+// Reads a transaction from the chain and returns the vault deposit it made, whatever its confirmations.
+export async function verifyVaultDeposit(txHash: string): Promise<VaultDeposit> {
+  if (!TX_HASH_RE.test(txHash)) throw new DepositVerificationError('Invalid transaction hash');
+  const vault = requireVaultAddress();
+  const receipt = await getProvider().getTransactionReceipt(txHash);
+  if (!receipt) throw new DepositVerificationError('Transaction not found or not yet mined', 404);
+  if (receipt.status !== 1) throw new DepositVerificationError('Transaction reverted');
+
+  const deposit = depositFromLogs(receipt.logs, vault);
+  if (!deposit) throw new DepositVerificationError('Transaction did not deposit into the vault');
+
+  return {
+    txHash: receipt.hash.toLowerCase(),
+    from: deposit.from,
+    asset: deposit.asset,
+    amount: deposit.amount,
+    blockNumber: receipt.blockNumber,
+    confirmations: await receipt.confirmations(),
+  };
+}
+
+function isUniqueViolation(error: unknown) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002';
+}
+
+// Credits a verified deposit to its depositor. Idempotent per tx hash.
+export async function creditVaultDeposit(deposit: VaultDeposit, source: 'webhook' | 'indexer'): Promise<DepositCredit> {
+  if (deposit.confirmations < REQUIRED_CONFIRMATIONS) {
+    throw new DepositVerificationError(`Deposit has ${deposit.confirmations}/${REQUIRED_CONFIRMATIONS} confirmations`, 409);
+  }
+  const summary = { txHash: deposit.txHash, asset: deposit.asset, amount: deposit.amount.toString() };
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.transfer.findFirst({
+        where: { type: 'deposit', meta: { path: ['txHash'], equals: deposit.txHash } },
+      });
+      if (existing) return { ...summary, credited: false, balance: null };
+
+      let player = await tx.player.findUnique({ where: { address: deposit.from } });
+      if (!player) {
+        player = await tx.player.create({ data: { address: deposit.from } });
+      }
+      await lockReferee(tx, player.id);
+      // Checked before the credit, so this deposit is not part of its own limit usage
+      const blocked = await depositBlockReason(tx, { playerId: player.id, asset: deposit.asset, amount: deposit.amount });
+      let { balance: updated } = await postTransfer(tx, {
+        playerId: player.id,
+        asset: deposit.asset,
+        type: 'deposit',
+        amount: deposit.amount,
+        meta: { txHash: deposit.txHash, blockNumber: deposit.blockNumber, source },
+        lines: depositLines(deposit.amount),
+      });
+      console.log(`[deposits] credited ${deposit.amount} ${deposit.asset} base units to ${deposit.from} from ${deposit.txHash} (${source})`);
+      let returned: DepositCredit['returned'];
+      if (blocked) {
+        const result = await queueDepositReturn(tx, {
+          playerId: player.id,
+          toAddress: deposit.from,
+          asset: deposit.asset,
+          amount: deposit.amount,
+          txHash: deposit.txHash,
+          reason: blocked,
+        });
+        updated = result.balance;
+        returned = { withdrawalId: result.withdrawal.id, reason: blocked };
+        console.log(`[deposits] returning ${deposit.txHash} to ${deposit.from}: ${blocked}`);
+      }
+      const balance = { available: updated.available.toString(), locked: updated.locked.toString() };
+      return { ...summary, credited: true, balance, ...(returned ? { returned } : {}) };
+    });
+  } catch (error) {
+    // Lost the race against a concurrent credit of the same tx
+    if (isUniqueViolation(error)) return { ...summary, credited: false, balance: null };
+    throw error;
+  }
+}
+
+// Credits every vault deposit in [fromBlock, toBlock]
+export async function scanVaultDeposits(fromBlock: number, toBlock: number): Promise<DepositCredit[]> {
+  const vault = requireVaultAddress();
+  const rpc = getProvider();
+  const head = await rpc.getBlockNumber();
+  const logs = await rpc.getLogs({ address: vault, topics: [[depositedTopic, tokenDepositedTopic]], fromBlock, toBlock });
+
+  const byTx = new Map<string, ethers.Log[]>();
+  for (const log of logs) {
+    const key = log.transactionHash.toLowerCase();
+    byTx.set(key, [...(byTx.get(key) ?? []), log]);
+  }
+
+  const credits: DepositCredit[] = [];
+  for (const [txHash, txLogs] of byTx) {
+    try {
+      const deposit = depositFromLogs(txLogs, vault);
+      if (!deposit) continue;
+      const blockNumber = txLogs[0].blockNumber;
+      credits.push(await creditVaultDeposit({ txHash, ...deposit, blockNumber, confirmations: head - blockNumber + 1 }, 'indexer'));
+    } catch (error) {
+      // Anything else (RPC, database) aborts the pass so the cursor is not advanced past it
+      if (!(error instanceof DepositVerificationError)) throw error;
+      console.error(`[deposits] skipping ${txHash}:`, error.message);
+    }
+  }
+  return credits;
+}
+
+// One indexer pass: scans from the stored cursor up to the newest block with enough confirmations.
+// Starts at DEPOSIT_INDEXER_START_BLOCK (or one batch behind the head) the first time it runs.
+export async function syncVaultDeposits(): Promise<{ fromBlock: number; toBlock: number; credited: number } | null> {
+  const head = await getProvider().getBlockNumber();
+  const safeHead = head - REQUIRED_CONFIRMATIONS + 1;
+  const cursor = await prisma.chainCursor.findUnique({ where: { name: INDEXER_CURSOR } });
+  const startBlock = process.env.DEPOSIT_INDEXER_START_BLOCK
+    ? Number(process.env.DEPOSIT_INDEXER_START_BLOCK)
+    : Math.max(0, safeHead - INDEXER_BATCH_BLOCKS);
+  const fromBlock = cursor ? cursor.blockNumber + 1 : startBlock;
+  if (fromBlock > safeHead) return null;
+
+  const toBlock = Math.min(safeHead, fromBlock + INDEXER_BATCH_BLOCKS - 1);
+  const credits = await scanVaultDeposits(fromBlock, toBlock);
+  await prisma.chainCursor.upsert({
+    where: { name: INDEXER_CURSOR },
+    create: { name: INDEXER_CURSOR, blockNumber: toBlock },
+    update: { blockNumber: toBlock },
+  });
+  return { fromBlock, toBlock, credited: credits.filter((c) => c.credited).length };
+}
@@ -0,0 +1,518 @@
+import { ethers } from 'ethers';
+import type { Prisma, Withdrawal } from '@prisma/client';
+import { prisma } from './prisma';
+import { ERC20_ABI, VAULT_ABI, getVaultAddress } from '../app/utils/vault';
+import { postTransfer, withdrawalPaidLines, withdrawalRequestLines, withdrawalReversalLines } from './ledger';
+import { logEvent } from './roundResolver';
+import { recordAudit } from './audit';
+import { CollateralAsset, DEFAULT_ASSET, formatAssetAmount, getAsset } from './assets';
+
+// Asynchronous withdrawals. A request debits the player straight into the ledger's pending_withdrawals account
+// and queues a Withdrawal row (or holds it for operator review at or above WITHDRAW_REVIEW_THRESHOLD_<ASSET>).
+// The worker (scripts/withdrawalWorker.ts) pays queued rows out of the vault, ETH with withdraw and ERC-20s
+// with withdrawToken:
+//   queued -> signed     payout signed with the next vault-owner nonce; nonce, hash and raw tx saved first
+//   signed -> broadcast  sent to the node, rebroadcast while it is not mined
+//   broadcast -> completed   mined with WITHDRAW_CONFIRMATIONS; pending_withdrawals -> vault
+//   broadcast -> failed      reverted, or its nonce was used by another tx; the amount goes back to the player
+// Saving the signed tx before sending it means a crash at any point resumes with the same tx, never a second one.
+// Run exactly one worker per vault-owner key: nonces are handed out by the worker alone.
+
+export type WithdrawalStatus = 'review' | 'queued' | 'signed' | 'broadcast' | 'completed' | 'failed' | 'rejected';
+
+const IN_FLIGHT: WithdrawalStatus[] = ['signed', 'broadcast'];
+// Everything but failed and rejected counts towards the daily limit
+const COUNTED: WithdrawalStatus[] = ['review', 'queued', 'signed', 'broadcast', 'completed'];
+const DAY_MS = 24 * 3600 * 1000;
+
+// Defaults per asset, in whole units: [min, daily limit, review threshold]
+const DEFAULT_LIMITS: Record<string, [string, string, string]> = {
+  ETH: ['0.001', '5', '1'],
+  USDC: ['1', '10000', '2500'],
+};
+
+function unitsFromEnv(value: string | undefined, fallback: string, decimals: number) {
+  try {
+    return ethers.parseUnits(value || fallback, decimals);
+  } catch {
+    return ethers.parseUnits(fallback, decimals);
+  }
+}
+
+// WITHDRAW_MIN_<ASSET>, WITHDRAW_DAILY_LIMIT_<ASSET> and WITHDRAW_REVIEW_THRESHOLD_<ASSET>, in base units
+export function withdrawalLimits(asset: CollateralAsset) {
+  const [min, dailyLimit, reviewThreshold] = DEFAULT_LIMITS[asset.symbol] ?? ['0', '0', '0'];
+  const env = (name: string) => process.env[`WITHDRAW_${name}_${asset.symbol}`];
+  return {
+    min: unitsFromEnv(env('MIN'), min, asset.decimals),
+    dailyLimit: unitsFromEnv(env('DAILY_LIMIT'), dailyLimit, asset.decimals), // per address, rolling 24 hours
+    reviewThreshold: unitsFromEnv(env('REVIEW_THRESHOLD'), reviewThreshold, asset.decimals), // at or above: held for an operator
+  };
+}
+
+function requireAsset(symbol: string) {
+  const asset = getAsset(symbol);
+  if (!asset) throw new WithdrawalError(`Unsupported asset: ${symbol}`);
+  return asset;
+}
+
+export class WithdrawalError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'WithdrawalError';
+  }
+}
+
+export interface WithdrawalView {
+  id: number;
+  asset: string;
+  amount: string; // base units of `asset`
+  toAddress: string;
+  status: WithdrawalStatus;
+  txHash: string | null; // once broadcast
+  error: string | null; // why it failed or was rejected
+  createdAt: string;
+  completedAt: string | null;
+}
+
+export interface WithdrawalLimits {
+  asset: string;
+  min: string; // base units of `asset`
+  dailyLimit: string;
+  usedToday: string;
+  remainingToday: string;
+  reviewThreshold: string;
+}
+
+function toView(w: Withdrawal): WithdrawalView {
+  const status = w.status as WithdrawalStatus;
+  return {
+    id: w.id,
+    asset: w.asset,
+    amount: w.amount.toString(),
+    toAddress: w.toAddress,
+    status,
+    txHash: status === 'broadcast' || status === 'completed' || status === 'failed' ? w.txHash : null,
+    error: status === 'failed' ? w.lastError : status === 'rejected' ? w.reviewNote ?? 'Rejected' : null,
+    createdAt: w.createdAt.toISOString(),
+    completedAt: w.completedAt?.toISOString() ?? null,
+  };
+}
+
+// Returned deposits are not the player's doing, so they do not count
+async function withdrawnToday(client: Prisma.TransactionClient, playerId: number, asset: string) {
+  const { _sum } = await client.withdrawal.aggregate({
+    where: { playerId, asset, returnOf: null, status: { in: COUNTED }, createdAt: { gte: new Date(Date.now() - DAY_MS) } },
+    _sum: { amount: true },
+  });
+  return _sum.amount ?? BigInt(0);
+}
+
+function limitsView(asset: CollateralAsset, usedToday: bigint): WithdrawalLimits {
+  const limits = withdrawalLimits(asset);
+  const remaining = limits.dailyLimit - usedToday;
+  return {
+    asset: asset.symbol,
+    min: limits.min.toString(),
+    dailyLimit: limits.dailyLimit.toString(),
+    usedToday: usedToday.toString(),
+    remainingToday: (remaining > BigInt(0) ? remaining : BigInt(0)).toString(),
+    reviewThreshold: limits.reviewThreshold.toString(),
+  };
+}
+
+// Moves a withdrawal on from `from`; throws if something else moved it first
+async function transition(
+  tx: Prisma.TransactionClient,
+  id: number,
+  from: WithdrawalStatus | WithdrawalStatus[],
+  data: Prisma.WithdrawalUpdateManyMutationInput
+) {
+  const { count } = await tx.withdrawal.updateMany({
+    where: { id, status: Array.isArray(from) ? { in: from } : from },
+    data,
+  });
+  if (count === 0) throw new WithdrawalError(`Withdrawal ${id} is no longer ${Array.isArray(from) ? from.join('/') : from}`, 409);
+  return tx.withdrawal.findUniqueOrThrow({ where: { id } });
+}
+
+async function reverse(tx: Prisma.TransactionClient, w: Withdrawal, reason: string) {
+  await postTransfer(tx, {
+    playerId: w.playerId,
+    asset: w.asset,
+    type: 'withdraw_reversal',
+    amount: w.amount,
+    meta: { withdrawalId: w.id, reason },
+    lines: withdrawalReversalLines(w.amount),
+  });
+}
+
+// Debits the player's `asset` balance (base units) and queues the payout to their own address
+export async function requestWithdrawal(address: string, amount: bigint, assetSymbol: string = DEFAULT_ASSET) {
+  const addr = address.toLowerCase();
+  const asset = requireAsset(assetSymbol);
+  const limits = withdrawalLimits(asset);
+  const units = (value: bigint) => `${formatAssetAmount(value, asset)} ${asset.symbol}`;
+  if (amount < limits.min) {
+    throw new WithdrawalError(`Minimum withdrawal is ${units(limits.min)}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const player = await tx.player.findUnique({ where: { address: addr } });
+    if (!player) throw new WithdrawalError('Player not found', 404);
+    // Serializes this player's requests in the asset, so two at once cannot both fit under the daily limit
+    const locked = await tx.$queryRaw<Array<{ id: number }>>`
+      SELECT "id" FROM "Balance" WHERE "playerId" = ${player.id} AND "asset" = ${asset.symbol} FOR UPDATE`;
+    if (locked.length === 0) throw new WithdrawalError(`No ${asset.symbol} balance to withdraw`);
+
+    const used = await withdrawnToday(tx, player.id, asset.symbol);
+    if (used + amount > limits.dailyLimit) {
+      const left = limits.dailyLimit > used ? limits.dailyLimit - used : BigInt(0);
+      throw new WithdrawalError(
+        `Daily withdrawal limit is ${units(limits.dailyLimit)}; ${units(left)} left in the last 24 hours`,
+        429
+      );
+    }
+
+    const withdrawal = await tx.withdrawal.create({
+      data: {
+        playerId: player.id,
+        toAddress: addr,
+        asset: asset.symbol,
+        amount,
+        status: amount >= limits.reviewThreshold ? 'review' : 'queued',
+      },
+    });
+    const { balance } = await postTransfer(tx, {
+      playerId: player.id,
+      asset: asset.symbol,
+      type: 'withdraw',
+      amount,
+      meta: { withdrawalId: withdrawal.id },
+      lines: withdrawalRequestLines(amount),
+    });
+    return {
+      withdrawal: toView(withdrawal),
+      balance: { available: balance.available.toString(), locked: balance.locked.toString() },
+      limits: limitsView(asset, used + amount),
+    };
+  });
+}
+
+// Pays a just-credited deposit back to its sender, when the player's limits or self-exclusion refuse it
+// (src/lib/playLimits.ts). Skips the daily limit and review: the funds go back where they came from.
+export async function queueDepositReturn(
+  tx: Prisma.TransactionClient,
+  params: { playerId: number; toAddress: string; asset: string; amount: bigint; txHash: string; reason: string }
+) {
+  const withdrawal = await tx.withdrawal.create({
+    data: { playerId: params.playerId, toAddress: params.toAddress, asset: params.asset, amount: params.amount, returnOf: params.txHash },
+  });
+  const { balance } = await postTransfer(tx, {
+    playerId: params.playerId,
+    asset: params.asset,
+    type: 'withdraw',
+    amount: params.amount,
+    meta: { withdrawalId: withdrawal.id, returnOf: params.txHash, reason: params.reason },
+    lines: withdrawalRequestLines(params.amount),
+  });
+  return { withdrawal: toView(withdrawal), balance };
+}
+
+// The player's recent withdrawals in every asset (or just `id`) and what they can still withdraw today in `asset`
+export async function getWithdrawalStatus(address: string, id?: number, assetSymbol: string = DEFAULT_ASSET) {
+  const asset = requireAsset(assetSymbol);
+  const player = await prisma.player.findUnique({ where: { address: address.toLowerCase() } });
+  if (!player) return { withdrawals: [], limits: limitsView(asset, BigInt(0)) };
+  const [withdrawals, used] = await Promise.all([
+    prisma.withdrawal.findMany({
+      where: { playerId: player.id, ...(id !== undefined ? { id } : {}) },
+      orderBy: { id: 'desc' },
+      take: 20,
+    }),
+    withdrawnToday(prisma, player.id, asset.symbol),
+  ]);
+  if (id !== undefined && withdrawals.length === 0) throw new WithdrawalError('Withdrawal not found', 404);
+  return { withdrawals: withdrawals.map(toView), limits: limitsView(asset, used) };
+}
+
+// Operator view: withdrawals awaiting review, oldest first, and the queue by status
+export async function getWithdrawalQueue() {
+  const [review, byStatus] = await Promise.all([
+    prisma.withdrawal.findMany({
+      where: { status: 'review' },
+      orderBy: { id: 'asc' },
+      take: 100,
+      include: { player: { select: { address: true } } },
+    }),
+    prisma.withdrawal.groupBy({ by: ['status', 'asset'], _count: { _all: true }, _sum: { amount: true } }),
+  ]);
+  // status -> asset -> count and amount
+  const counts: Record<string, Record<string, { count: number; amount: string }>> = {};
+  for (const s of byStatus) {
+    counts[s.status] = { ...counts[s.status], [s.asset]: { count: s._count._all, amount: (s._sum.amount ?? BigInt(0)).toString() } };
+  }
+  return {
+    review: review.map((w) => ({ ...toView(w), player: w.player.address })),
+    counts,
+  };
+}
+
+// Operator decision on a withdrawal held for review. A rejection returns the amount to the player.
+export async function reviewWithdrawal(params: { id: number; approve: boolean; operator: string; note?: string | null }) {
+  const { id, approve, operator, note } = params;
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.withdrawal.findUnique({ where: { id } });
+    if (!current) throw new WithdrawalError('Withdrawal not found', 404);
+    if (current.status !== 'review') throw new WithdrawalError(`Withdrawal ${id} is ${current.status}, not awaiting review`, 409);
+
+    const reviewed = await transition(tx, id, 'review', {
+      status: approve ? 'queued' : 'rejected',
+      reviewedBy: operator.toLowerCase(),
+      reviewNote: note ?? null,
+      completedAt: approve ? null : new Date(),
+    });
+    if (!approve) await reverse(tx, reviewed, 'rejected');
+    await recordAudit(tx, {
+      actor: operator,
+      action: approve ? 'withdrawal.approve' : 'withdrawal.reject',
+      target: `withdrawal:${id}`,
+      reason: note,
+      payload: { playerId: reviewed.playerId, asset: reviewed.asset, amount: reviewed.amount.toString(), toAddress: reviewed.toAddress },
+    });
+    return toView(reviewed);
+  });
+}
+
+export interface WithdrawalWorkerOptions {
+  confirmations: number;
+  batchSize: number; // payouts in flight at once
+  rebroadcastMs: number; // resend a payout that has not been mined for this long
+  dropAfterMs: number; // give up on a payout whose nonce another tx has used, after this long
+}
+
+export interface WithdrawalWorkerStatus {
+  signer: string;
+  startedAt: string;
+  passes: number;
+  lastPassAt: string | null;
+  lastPassError: string | null;
+  completed: number; // since start
+  failed: number;
+  counts: Record<string, number>;
+  oldestQueuedAt: string | null;
+}
+
+export function withdrawalWorkerOptionsFromEnv(): WithdrawalWorkerOptions {
+  const num = (value: string | undefined, fallback: number) => Math.max(1, Number(value ?? fallback) || fallback);
+  return {
+    confirmations: num(process.env.WITHDRAW_CONFIRMATIONS, 2),
+    batchSize: num(process.env.WITHDRAW_WORKER_BATCH, 10),
+    rebroadcastMs: num(process.env.WITHDRAW_REBROADCAST_MS, 60000),
+    dropAfterMs: num(process.env.WITHDRAW_DROP_AFTER_MS, 600000),
+  };
+}
+
+// The node already has this tx, or it (or a tx with its nonce) was already mined
+function alreadySent(error: unknown) {
+  return ethers.isError(error, 'NONCE_EXPIRED') || /already known|known transaction/i.test((error as Error).message ?? '');
+}
+
+export function createWithdrawalWorker(options: WithdrawalWorkerOptions) {
+  const rpcUrl = process.env.VAULT_RPC_URL || process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
+  // prefer the server-scoped key, as the old synchronous route did
+  const privateKey = process.env.SERVER_VAULT_OWNER_KEY || process.env.RESOLVER_PRIVATE_KEY;
+  const vaultAddress = getVaultAddress();
+  if (!privateKey) throw new WithdrawalError('Server key not configured', 500);
+  if (!vaultAddress) throw new WithdrawalError('Vault address not configured', 500);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const vault = new ethers.Contract(vaultAddress, VAULT_ABI, wallet);
+  const status: Omit<WithdrawalWorkerStatus, 'counts' | 'oldestQueuedAt'> = {
+    signer: wallet.address,
+    startedAt: new Date().toISOString(),
+    passes: 0,
+    lastPassAt: null,
+    lastPassError: null,
+    completed: 0,
+    failed: 0,
+  };
+
+  async function recordError(w: Withdrawal, event: string, error: unknown) {
+    const message = (error as Error).message;
+    await prisma.withdrawal.update({ where: { id: w.id }, data: { attempts: { increment: 1 }, lastError: message.slice(0, 500) } });
+    logEvent('error', event, { withdrawalId: w.id, attempts: w.attempts + 1, error: message });
+  }
+
+  async function nextNonce() {
+    const [pending, reserved] = await Promise.all([
+      provider.getTransactionCount(wallet.address, 'pending'),
+      prisma.withdrawal.aggregate({ where: { status: { in: IN_FLIGHT } }, _max: { nonce: true } }),
+    ]);
+    return Math.max(pending, (reserved._max.nonce ?? -1) + 1);
+  }
+
+  async function broadcast(w: Withdrawal) {
+    try {
+      await provider.broadcastTransaction(w.rawTx!);
+    } catch (error) {
+      if (!alreadySent(error)) {
+        await recordError(w, 'withdrawal.broadcast_failed', error);
+        return false;
+      }
+    }
+    const first = w.status === 'signed';
+    await prisma.withdrawal.updateMany({
+      where: { id: w.id, status: { in: IN_FLIGHT } },
+      data: { status: 'broadcast', lastError: null, ...(first ? { broadcastAt: new Date() } : { attempts: { increment: 1 } }) },
+    });
+    logEvent('info', first ? 'withdrawal.broadcast' : 'withdrawal.rebroadcast', { withdrawalId: w.id, txHash: w.txHash, nonce: w.nonce });
+    return true;
+  }
+
+  async function sign(w: Withdrawal) {
+    const nonce = await nextNonce();
+    const token = requireAsset(w.asset).token;
+    const request = token
+      ? await vault.withdrawToken.populateTransaction(token, w.toAddress, w.amount)
+      : await vault.withdraw.populateTransaction(w.toAddress, w.amount);
+    const populated = await wallet.populateTransaction({ ...request, nonce });
+    const rawTx = await wallet.signTransaction(populated);
+    const txHash = ethers.Transaction.from(rawTx).hash!;
+    const { count } = await prisma.withdrawal.updateMany({
+      where: { id: w.id, status: 'queued' },
+      data: { status: 'signed', nonce, txHash, rawTx },
+    });
+    if (count === 0) return null;
+    logEvent('info', 'withdrawal.signed', { withdrawalId: w.id, txHash, nonce, asset: w.asset, amount: w.amount.toString() });
+    return prisma.withdrawal.findUniqueOrThrow({ where: { id: w.id } });
+  }
+
+  async function complete(w: Withdrawal, blockNumber: number) {
+    await prisma.$transaction(async (tx) => {
+      await transition(tx, w.id, 'broadcast', { status: 'completed', completedAt: new Date(), lastError: null });
+      await postTransfer(tx, {
+        playerId: w.playerId,
+        asset: w.asset,
+        type: 'withdraw_complete',
+        amount: w.amount,
+        meta: { withdrawalId: w.id, txHash: w.txHash },
+        lines: withdrawalPaidLines(w.amount),
+      });
+    });
+    status.completed += 1;
+    logEvent('info', 'withdrawal.completed', { withdrawalId: w.id, txHash: w.txHash, blockNumber });
+  }
+
+  async function fail(w: Withdrawal, reason: string) {
+    await prisma.$transaction(async (tx) => {
+      const failed = await transition(tx, w.id, 'broadcast', { status: 'failed', completedAt: new Date(), lastError: reason });
+      await reverse(tx, failed, reason);
+    });
+    status.failed += 1;
+    logEvent('warn', 'withdrawal.failed', { withdrawalId: w.id, txHash: w.txHash, nonce: w.nonce, reason });
+  }
+
+  async function confirm(w: Withdrawal) {
+    const receipt = await provider.getTransactionReceipt(w.txHash!);
+    if (receipt) {
+      if ((await receipt.confirmations()) < options.confirmations) return;
+      if (receipt.status === 1) await complete(w, receipt.blockNumber);
+      else await fail(w, 'Payout transaction reverted');
+      return;
+    }
+    // Not mined. If the nonce has been used, this tx can never be; wait a while in case the receipt is just late.
+    const mined = await provider.getTransactionCount(wallet.address, 'latest');
+    if (mined > w.nonce!) {
+      if (Date.now() - (w.broadcastAt ?? w.updatedAt).getTime() > options.dropAfterMs) {
+        await fail(w, `Nonce ${w.nonce} was used by another transaction`);
+      }
+      return;
+    }
+    if (Date.now() - w.updatedAt.getTime() > options.rebroadcastMs) await broadcast(w);
+  }
+
+  // What the vault can still pay in `asset` on top of the payouts not yet mined
+  async function vaultAvailable(assetSymbol: string) {
+    const token = requireAsset(assetSymbol).token;
+    const [vaultBalance, inFlight] = await Promise.all([
+      token ? new ethers.Contract(token, ERC20_ABI, provider).balanceOf(vaultAddress).then(BigInt) : provider.getBalance(vaultAddress),
+      prisma.withdrawal.aggregate({ where: { status: { in: IN_FLIGHT }, asset: assetSymbol }, _sum: { amount: true } }),
+    ]);
+    return vaultBalance - (inFlight._sum.amount ?? BigInt(0));
+  }
+
+  // Sends new payouts only while the vault covers them on top of those not yet mined
+  async function signQueued(slots: number) {
+    if (slots <= 0) return;
+    const queued = await prisma.withdrawal.findMany({ where: { status: 'queued' }, orderBy: { id: 'asc' }, take: slots });
+    if (queued.length === 0) return;
+    const available = new Map<string, bigint>();
+    const short = new Set<string>(); // later payouts in a short asset wait too, so each asset pays out in order
+    for (const w of queued) {
+      if (short.has(w.asset)) continue;
+      if (!available.has(w.asset)) available.set(w.asset, await vaultAvailable(w.asset));
+      const left = available.get(w.asset)!;
+      if (w.amount > left) {
+        logEvent('warn', 'withdrawal.vault_short', { withdrawalId: w.id, asset: w.asset, amount: w.amount.toString(), available: left.toString() });
+        short.add(w.asset);
+        continue;
+      }
+      let signed: Withdrawal | null;
+      try {
+        signed = await sign(w);
+      } catch (error) {
+        // e.g. gas estimation reverted: not the vault owner, or the vault is short; stays queued
+        await recordError(w, 'withdrawal.sign_failed', error);
+        return;
+      }
+      if (!signed) continue;
+      available.set(w.asset, left - w.amount);
+      // A payout the node will not take blocks every later nonce, so stop here until it goes through
+      if (!(await broadcast(signed))) return;
+    }
+  }
+
+  async function runPass() {
+    try {
+      const broadcasted = await prisma.withdrawal.findMany({ where: { status: 'broadcast' }, orderBy: { nonce: 'asc' } });
+      for (const w of broadcasted) await confirm(w);
+
+      // Signed but never sent, e.g. the worker stopped in between: send the same tx
+      const signed = await prisma.withdrawal.findMany({ where: { status: 'signed' }, orderBy: { nonce: 'asc' } });
+      let stuck = false;
+      for (const w of signed) {
+        if (!(await broadcast(w))) {
+          stuck = true;
+          break;
+        }
+      }
+
+      if (!stuck) {
+        const inFlight = await prisma.withdrawal.count({ where: { status: { in: IN_FLIGHT } } });
+        await signQueued(options.batchSize - inFlight);
+      }
+      status.lastPassError = null;
+    } catch (error) {
+      status.lastPassError = (error as Error).message;
+      logEvent('error', 'withdrawal.pass_failed', { error: status.lastPassError });
+    }
+    status.passes += 1;
+    status.lastPassAt = new Date().toISOString();
+  }
+
+  async function getStatus(): Promise<WithdrawalWorkerStatus> {
+    const [byStatus, oldest] = await Promise.all([
+      prisma.withdrawal.groupBy({ by: ['status'], where: { status: { notIn: ['completed', 'failed', 'rejected'] } }, _count: { _all: true } }),
+      prisma.withdrawal.findFirst({ where: { status: 'queued' }, orderBy: { id: 'asc' }, select: { createdAt: true } }),
+    ]);
+    return {
+      ...status,
+      counts: Object.fromEntries(byStatus.map((s) => [s.status, s._count._all])),
+      oldestQueuedAt: oldest?.createdAt.toISOString() ?? null,
+    };
+  }
+
+  return { runPass, getStatus };
+}